@@ -118,6 +118,70 @@ describe('GASdf Client', () => {
       );
     });
 
+    it('should include speed if provided', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve(mockQuote),
+      });
+
+      await client.getQuote({
+        userPubkey: 'test',
+        paymentToken: 'test',
+        speed: 'fast',
+      });
+
+      expect(mockFetch).toHaveBeenCalledWith(
+        'https://test.api/quote',
+        expect.objectContaining({
+          body: expect.stringContaining('"speed":"fast"'),
+        }),
+      );
+    });
+
+    it('should refresh a quote by ID', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ quoteId: 'test-quote-id', paymentSatisfied: true }),
+      });
+
+      const refreshed = await client.refreshQuote('test-quote-id');
+
+      expect(refreshed.paymentSatisfied).toBe(true);
+      expect(mockFetch).toHaveBeenCalledWith(
+        'https://test.api/quote/test-quote-id/refresh',
+        expect.objectContaining({ method: 'POST' }),
+      );
+    });
+
+    it('should get a batch quote', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ batchId: 'batch-1', indicative: true, prices: [] }),
+      });
+
+      const batch = await client.getBatchQuote({ userPubkey: 'user', paymentTokens: ['usdc', 'usdt'] });
+
+      expect(batch.batchId).toBe('batch-1');
+      expect(mockFetch).toHaveBeenCalledWith(
+        'https://test.api/quote/batch',
+        expect.objectContaining({ method: 'POST' }),
+      );
+      const [, init] = mockFetch.mock.calls[0];
+      expect(JSON.parse(init.body).paymentTokens).toEqual(['usdc', 'usdt']);
+    });
+
+    it('should get quote status', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ quoteId: 'test-quote-id', status: 'confirmed', signature: 'sig' }),
+      });
+
+      const status = await client.getQuoteStatus('test-quote-id');
+
+      expect(status.status).toBe('confirmed');
+      expect(mockFetch).toHaveBeenCalledWith('https://test.api/quote/test-quote-id', expect.any(Object));
+    });
+
     it('should include API key header if configured', async () => {
       const clientWithKey = new GASdf({ endpoint: 'https://test.api', apiKey: 'secret' });
       mockFetch.mockResolvedValueOnce({
@@ -291,6 +355,35 @@ describe('GASdf Client', () => {
     });
   });
 
+  describe('burns', () => {
+    it('should page through burn proofs', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ burns: [], totalBurns: 0, limit: 5, offset: 10, hasMore: false }),
+      });
+
+      const page = await client.getBurns({ limit: 5, offset: 10 });
+
+      expect(mockFetch).toHaveBeenCalledWith(
+        'https://test.api/burns?limit=5&offset=10',
+        expect.anything(),
+      );
+      expect(page.offset).toBe(10);
+    });
+
+    it('should verify a burn by signature', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ verified: true, onChain: { amountBurned: 10 } }),
+      });
+
+      const result = await client.verifyBurn('BurnSig123');
+
+      expect(mockFetch).toHaveBeenCalledWith('https://test.api/burns/BurnSig123', expect.anything());
+      expect(result.verified).toBe(true);
+    });
+  });
+
   describe('getTokenScore', () => {
     it('should return token score', async () => {
       const mockScore = {
@@ -4,14 +4,20 @@ import {
   VersionedTransaction,
 } from '@solana/web3.js';
 import type {
+  BatchQuote,
+  BatchQuoteRequest,
   GASdfConfig,
   Quote,
+  QuoteRefresh,
   QuoteRequest,
+  QuoteStatus,
   SubmitResult,
   PaymentToken,
   TokenScore,
   HealthStatus,
   BurnStats,
+  BurnList,
+  BurnVerification,
   SupportedTransaction,
 } from './types';
 import {
@@ -87,12 +93,63 @@ export class GASdf {
         userPubkey,
         paymentToken,
         estimatedComputeUnits: request.estimatedComputeUnits,
+        speed: request.speed,
+        batchId: request.batchId,
       }),
     });
 
     return response as Quote;
   }
 
+  /**
+   * Indicative fees in several payment tokens from one request — for token
+   * pickers. Lock the chosen one with `getQuote({ batchId, paymentToken, userPubkey })`
+   * before the batch expires.
+   *
+   * @param request - Wallet and token mints to price
+   */
+  async getBatchQuote(request: BatchQuoteRequest): Promise<BatchQuote> {
+    const response = await this.fetch('/quote/batch', {
+      method: 'POST',
+      body: JSON.stringify({
+        userPubkey: this.toBase58(request.userPubkey),
+        paymentTokens: request.paymentTokens.map((mint) => this.toBase58(mint)),
+        estimatedComputeUnits: request.estimatedComputeUnits,
+        speed: request.speed,
+      }),
+    });
+
+    return response as BatchQuote;
+  }
+
+  /**
+   * Where a quote is in its lifecycle: active / expired, or consumed,
+   * submitted, confirmed or failed once used (with the tx signature)
+   *
+   * @param quoteId - Quote ID from getQuote
+   */
+  async getQuoteStatus(quoteId: string): Promise<QuoteStatus> {
+    return this.fetch(`/quote/${encodeURIComponent(quoteId)}`) as Promise<QuoteStatus>;
+  }
+
+  /**
+   * Refresh a quote that expired (or is about to) without starting over
+   *
+   * Re-prices it under the same quoteId and extends its expiry. Works for a
+   * few minutes after expiry. If `paymentSatisfied`, the transaction already
+   * signed for it can still be submitted.
+   *
+   * @param quoteId - Quote ID from getQuote
+   */
+  async refreshQuote(quoteId: string): Promise<QuoteRefresh> {
+    const response = await this.fetch(`/quote/${encodeURIComponent(quoteId)}/refresh`, {
+      method: 'POST',
+      body: JSON.stringify({}),
+    });
+
+    return response as QuoteRefresh;
+  }
+
   /**
    * Submit a signed transaction through GASdf
    *
@@ -189,6 +246,29 @@ export class GASdf {
     return this.fetch('/stats') as Promise<BurnStats>;
   }
 
+  /**
+   * List recorded burn proofs, newest first
+   *
+   * @param options - Page size (max 100) and number of proofs to skip
+   */
+  async getBurns(options: { limit?: number; offset?: number } = {}): Promise<BurnList> {
+    const params = new URLSearchParams();
+    if (options.limit !== undefined) params.set('limit', String(options.limit));
+    if (options.offset !== undefined) params.set('offset', String(options.offset));
+    const query = params.toString();
+    return this.fetch(`/burns${query ? `?${query}` : ''}`) as Promise<BurnList>;
+  }
+
+  /**
+   * Get a burn proof, verified on-chain by the API: the transaction must
+   * BurnChecked exactly the recorded amount of the $ASDF mint
+   *
+   * @param signature - Burn transaction signature
+   */
+  async verifyBurn(signature: string): Promise<BurnVerification> {
+    return this.fetch(`/burns/${encodeURIComponent(signature)}`) as Promise<BurnVerification>;
+  }
+
   /**
    * Check if a quote is still valid
    */
@@ -230,7 +310,7 @@ export class GASdf {
     const data = await response.json().catch(() => ({})) as Record<string, unknown>;
 
     if (!response.ok) {
-      throw parseApiError(response.status, data as { error?: string; errors?: string[]; quoteId?: string });
+      throw parseApiError(response.status, data as Parameters<typeof parseApiError>[1]);
     }
 
     return data;
@@ -57,6 +57,16 @@ describe('ValidationError', () => {
     const error = new ValidationError('Invalid input', ['field1 required', 'field2 invalid']);
     expect(error.errors).toEqual(['field1 required', 'field2 invalid']);
   });
+
+  it('should expose structured issues and their codes', () => {
+    const error = new ValidationError('Transaction validation failed', [], [
+      { code: 'FEE_PAYER_MISMATCH', message: 'Wrong fee payer', instructionIndex: null },
+      { code: 'FEE_PAYER_DRAIN', message: 'Unauthorized System.Transfer', instructionIndex: 2 },
+    ]);
+    expect(error.codes).toEqual(['FEE_PAYER_MISMATCH', 'FEE_PAYER_DRAIN']);
+    expect(error.errors).toEqual(['Wrong fee payer', 'Unauthorized System.Transfer']);
+    expect(error.issues[1].instructionIndex).toBe(2);
+  });
 });
 
 describe('TransactionError', () => {
@@ -108,6 +118,19 @@ describe('parseApiError', () => {
     expect((error as ValidationError).errors).toEqual(['bad']);
   });
 
+  it('should parse structured validation details', () => {
+    const error = parseApiError(400, {
+      error: 'Transaction validation failed',
+      code: 'VALIDATION_FAILED',
+      details: [
+        { code: 'INSUFFICIENT_PAYMENT', message: 'Insufficient fee payment', instructionIndex: 1 },
+      ],
+    });
+    expect(error).toBeInstanceOf(ValidationError);
+    expect((error as ValidationError).codes).toEqual(['INSUFFICIENT_PAYMENT']);
+    expect((error as ValidationError).issues[0].instructionIndex).toBe(1);
+  });
+
   it('should parse 404 with quote as QuoteNotFoundError', () => {
     const error = parseApiError(404, { error: 'Quote not found' });
     expect(error).toBeInstanceOf(QuoteNotFoundError);
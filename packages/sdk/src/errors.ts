@@ -32,16 +32,56 @@ export class QuoteNotFoundError extends GASdfError {
   }
 }
 
+/**
+ * Codes returned by /v1/submit transaction validation
+ */
+export type ValidationIssueCode =
+  | 'DESERIALIZE_FAILED'
+  | 'TX_TOO_LARGE'
+  | 'FEE_PAYER_MISMATCH'
+  | 'INVALID_SIGNATURE'
+  | 'TREASURY_NOT_CONFIGURED'
+  | 'MISSING_PAYMENT'
+  | 'INSUFFICIENT_PAYMENT'
+  | 'FEE_PAYER_DRAIN'
+  | 'FEE_PAYER_TOKEN_DRAIN'
+  | 'NONCE_REQUIRED'
+  | 'NONCE_ACCOUNT_MISMATCH'
+  | 'NONCE_AUTHORITY_IS_FEE_PAYER'
+  | 'LOOKUP_TABLE_UNRESOLVED'
+  | 'COMPUTE_UNIT_PRICE_MISMATCH'
+  | 'COMPUTE_BUDGET_EXCEEDS_QUOTE';
+
+/**
+ * A single failed validation check
+ */
+export interface ValidationIssue {
+  code: ValidationIssueCode | string;
+  message: string;
+  /** Offending instruction, null for transaction-level checks */
+  instructionIndex: number | null;
+}
+
 /**
  * Transaction validation failed
  */
 export class ValidationError extends GASdfError {
+  /** Error messages (one per failed check) */
+  public readonly errors: string[];
+
   constructor(
     message: string,
-    public readonly errors: string[] = [],
+    errors: string[] = [],
+    public readonly issues: ValidationIssue[] = [],
   ) {
     super(message, 'VALIDATION_ERROR', 400);
     this.name = 'ValidationError';
+    this.errors = errors.length > 0 ? errors : issues.map((issue) => issue.message);
+  }
+
+  /** Codes of the failed checks, in order */
+  get codes(): string[] {
+    return this.issues.map((issue) => issue.code);
   }
 }
 
@@ -83,7 +123,15 @@ export class NetworkError extends GASdfError {
  */
 export function parseApiError(
   status: number,
-  body: { error?: string; errors?: string[]; quoteId?: string } | string,
+  body:
+    | {
+        error?: string;
+        code?: string;
+        errors?: string[];
+        details?: unknown;
+        quoteId?: string;
+      }
+    | string,
 ): GASdfError {
   const data = typeof body === 'string' ? { error: body } : body;
   const message = data.error || 'Unknown error';
@@ -93,7 +141,7 @@ export function parseApiError(
       if (message.includes('expired')) {
         return new QuoteExpiredError(data.quoteId || 'unknown');
       }
-      return new ValidationError(message, data.errors);
+      return new ValidationError(message, data.errors, parseValidationIssues(data.details));
     case 404:
       if (message.includes('quote') || message.includes('Quote')) {
         return new QuoteNotFoundError(data.quoteId || 'unknown');
@@ -109,3 +157,16 @@ export function parseApiError(
       return new GASdfError(message, 'UNKNOWN_ERROR', status);
   }
 }
+
+/**
+ * Extract structured validation issues from an error `details` field
+ */
+function parseValidationIssues(details: unknown): ValidationIssue[] {
+  if (!Array.isArray(details)) {
+    return [];
+  }
+  return details.filter(
+    (item): item is ValidationIssue =>
+      typeof item === 'object' && item !== null && 'code' in item && 'message' in item,
+  );
+}
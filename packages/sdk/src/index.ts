@@ -30,6 +30,15 @@ export type {
   GASdfConfig,
   Quote,
   QuoteRequest,
+  BatchQuote,
+  BatchQuotePrice,
+  BatchQuoteRequest,
+  QuoteRefresh,
+  TransferFeeInfo,
+  QuoteStatus,
+  QuoteLifecycleStatus,
+  QuoteSpeed,
+  PriorityFeeOption,
   SubmitRequest,
   SubmitResult,
   PaymentToken,
@@ -41,6 +50,9 @@ export type {
   DualBurnInfo,
   HealthStatus,
   BurnStats,
+  BurnProof,
+  BurnList,
+  BurnVerification,
   SupportedTransaction,
   RetryConfig,
 } from './types';
@@ -54,6 +66,7 @@ export {
   RateLimitError,
   NetworkError,
 } from './errors';
+export type { ValidationIssue, ValidationIssueCode } from './errors';
 
 // Utilities for advanced usage
 export { generateCorrelationId } from './fetch';
@@ -225,6 +225,92 @@ describe('useGaslessTransaction', () => {
     expect(onSuccess).toHaveBeenCalledWith(mockSubmitResult);
   });
 
+  it('should refresh an expired quote and resubmit the signed transaction', async () => {
+    const mockQuote = createMockQuote();
+    const mockSubmitResult = {
+      signature: 'TestSignature123',
+      explorerUrl: 'https://solscan.io/tx/TestSignature123',
+    };
+    const refreshedExpiry = Date.now() + 120000;
+
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockQuote) })
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: () =>
+          Promise.resolve({
+            error: 'Quote expired — refresh it with POST /v1/quote/:id/refresh',
+            code: 'QUOTE_EXPIRED',
+            quoteId: 'test-quote',
+          }),
+      })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            quoteId: 'test-quote',
+            paymentSatisfied: true,
+            expiresAt: refreshedExpiry,
+            ttl: 60,
+          }),
+      })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockSubmitResult) });
+
+    mockSignTransaction.mockResolvedValueOnce({
+      serialize: () => Buffer.from('mocked-transaction'),
+      feePayer: feePayer.publicKey,
+      signatures: [{ signature: Buffer.alloc(64), publicKey: mockPublicKey }],
+    });
+
+    const { result } = renderHook(
+      () => useGaslessTransaction({ paymentToken: 'USDC' }),
+      { wrapper },
+    );
+
+    await act(async () => {
+      await result.current.execute(new Transaction());
+    });
+
+    expect(mockFetch.mock.calls[2][0]).toBe('https://test.api/quote/test-quote/refresh');
+    expect(mockSignTransaction).toHaveBeenCalledTimes(1);
+    expect(result.current.status).toBe('success');
+    expect(result.current.quote?.expiresAt).toBe(refreshedExpiry);
+  });
+
+  it('should fail when the refreshed quote needs a new payment', async () => {
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(createMockQuote()) })
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({ error: 'Quote expired', code: 'QUOTE_EXPIRED' }),
+      })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ quoteId: 'test-quote', paymentSatisfied: false }),
+      });
+
+    mockSignTransaction.mockResolvedValueOnce({
+      serialize: () => Buffer.from('mocked-transaction'),
+      feePayer: feePayer.publicKey,
+      signatures: [{ signature: Buffer.alloc(64), publicKey: mockPublicKey }],
+    });
+
+    const { result } = renderHook(
+      () => useGaslessTransaction({ paymentToken: 'USDC' }),
+      { wrapper },
+    );
+
+    await act(async () => {
+      await result.current.execute(new Transaction());
+    });
+
+    expect(mockFetch).toHaveBeenCalledTimes(3);
+    expect(result.current.status).toBe('error');
+    expect(result.current.error?.name).toBe('QuoteExpiredError');
+  });
+
   it('should handle signing error', async () => {
     const mockQuote = createMockQuote();
 
@@ -5,12 +5,13 @@ import { useWallet, useConnection } from '@solana/wallet-adapter-react';
 import { Transaction, VersionedTransaction, PublicKey } from '@solana/web3.js';
 import { useGASdf } from './context';
 import type { Quote, SubmitResult, SupportedTransaction } from '../types';
-import { GASdfError } from '../errors';
+import { GASdfError, QuoteExpiredError } from '../errors';
 
 export type TransactionStatus =
   | 'idle'
   | 'getting-quote'
   | 'awaiting-signature'
+  | 'refreshing-quote'
   | 'submitting'
   | 'confirming'
   | 'success'
@@ -130,9 +131,23 @@ export function useGaslessTransaction(
         setStatus('awaiting-signature');
         const signed = await signTransaction(transaction);
 
-        // 4. Submit to GASdf
+        // 4. Submit to GASdf — if the quote expired during the wallet prompt,
+        //    refresh it and resubmit when the signed payment still covers it
         setStatus('submitting');
-        const submitResult = await client.submit(signed, newQuote.quoteId);
+        let submitResult: SubmitResult;
+        try {
+          submitResult = await client.submit(signed, newQuote.quoteId);
+        } catch (err) {
+          if (!(err instanceof QuoteExpiredError)) throw err;
+
+          setStatus('refreshing-quote');
+          const refreshed = await client.refreshQuote(newQuote.quoteId);
+          if (!refreshed.paymentSatisfied) throw err;
+          setQuote({ ...newQuote, expiresAt: refreshed.expiresAt, ttl: refreshed.ttl });
+
+          setStatus('submitting');
+          submitResult = await client.submit(signed, newQuote.quoteId);
+        }
 
         // 5. Wait for confirmation (optional - GASdf already confirms)
         setStatus('confirming');
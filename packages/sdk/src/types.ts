@@ -35,6 +35,12 @@ export interface PaymentToken {
   name?: string;
   decimals: number;
   logoURI?: string;
+  /** Token-2022 mint (derive ATAs with the Token-2022 program) */
+  token2022?: boolean;
+  /** Minimum fee in the token's smallest unit */
+  minFeeAmount?: string;
+  /** Buffer added to the market-price fee, in basis points */
+  slippageBps?: number;
 }
 
 /**
@@ -118,6 +124,23 @@ export interface HolderTierInfo {
   isAtBreakEven: boolean;
 }
 
+/**
+ * Confirmation speed tier (maps to a Helius priority level)
+ */
+export type QuoteSpeed = 'economy' | 'standard' | 'fast' | 'turbo';
+
+/**
+ * Priority fee for one speed tier
+ */
+export interface PriorityFeeOption {
+  /** Helius priority level: Low, Medium, High, VeryHigh */
+  priorityLevel: string;
+  /** SetComputeUnitPrice value (micro-lamports per CU) */
+  computeUnitPrice: number;
+  /** Priority fee in lamports at the quoted compute unit limit */
+  lamports: number;
+}
+
 /**
  * Quote request parameters
  */
@@ -128,6 +151,67 @@ export interface QuoteRequest {
   paymentToken: string | PublicKey;
   /** Optional: estimated compute units for more accurate quote */
   estimatedComputeUnits?: number;
+  /** Optional: confirmation speed (default: standard) */
+  speed?: QuoteSpeed;
+  /** Optional: lock this token's price from a batch quote (speed and compute units come from the batch) */
+  batchId?: string;
+}
+
+/**
+ * Batch quote request: indicative fees in several payment tokens
+ */
+export interface BatchQuoteRequest {
+  userPubkey: string | PublicKey;
+  /** Token mints to price (at most 20) */
+  paymentTokens: Array<string | PublicKey>;
+  estimatedComputeUnits?: number;
+  speed?: QuoteSpeed;
+}
+
+/**
+ * Indicative fee in one token — lock it with getQuote({ batchId, paymentToken })
+ */
+export type BatchQuotePrice =
+  | {
+      paymentToken: string;
+      symbol: string;
+      decimals: number;
+      feeAmount: string;
+      feeFormatted: string;
+    }
+  | {
+      paymentToken: string;
+      /** TOKEN_NOT_ACCEPTED or PRICE_UNAVAILABLE */
+      code: string;
+      error: string;
+    };
+
+export interface BatchQuote {
+  batchId: string;
+  /** Prices are not payable until locked into a quote */
+  indicative: true;
+  prices: BatchQuotePrice[];
+  holderTier: {
+    tier: string;
+    discountPercent: number;
+  };
+  speed: QuoteSpeed;
+  priorityFee: PriorityFeeOption & { computeUnitLimit: number };
+  feeOptions: Record<QuoteSpeed, PriorityFeeOption>;
+  /** Lock deadline (unix ms) */
+  expiresAt: number;
+  ttl: number;
+}
+
+/**
+ * Token-2022 transfer fee withheld from a fee payment
+ */
+export interface TransferFeeInfo {
+  basisPoints: number;
+  /** Withheld by the token program (smallest unit as string) */
+  amount: string;
+  /** What the treasury receives */
+  netAmount: string;
 }
 
 /**
@@ -144,16 +228,85 @@ export interface Quote {
   feeAmount: string;
   /** Fee amount formatted with decimals (e.g., "0.01 USDC") */
   feeFormatted: string;
+  /** Token-2022 transfer fee included in feeAmount (null when the mint has none) */
+  transferFee: TransferFeeInfo | null;
   /** Payment token info with K-score */
   paymentToken: QuotePaymentToken;
   /** Holder tier discount info */
   holderTier: HolderTierInfo;
+  /** Speed tier this quote is priced for */
+  speed: QuoteSpeed;
+  /** Priority fee for the chosen tier — set SetComputeUnitPrice to computeUnitPrice */
+  priorityFee: PriorityFeeOption & { computeUnitLimit: number };
+  /** Priority fee at every tier */
+  feeOptions: Record<QuoteSpeed, PriorityFeeOption>;
   /** Quote expiry timestamp (unix ms) */
   expiresAt: number;
   /** Time-to-live in seconds */
   ttl: number;
 }
 
+/**
+ * Result of refreshing an existing quote (same quoteId)
+ */
+export interface QuoteRefresh {
+  quoteId: string;
+  /** true: submit the transaction already built; false: rebuild it with feeAmount/priorityFee */
+  paymentSatisfied: boolean;
+  /** Fee amount the quote now requires */
+  feeAmount: string;
+  /** Fee amount before the refresh */
+  previousFeeAmount: string;
+  /** Fresh market price (kept out of feeAmount while within tolerance) */
+  currentFeeAmount: string;
+  /** Unchanged fee payer */
+  feePayer: string;
+  speed: QuoteSpeed;
+  priorityFee: Omit<PriorityFeeOption, 'computeUnitPrice'> & {
+    computeUnitPrice: number | null;
+    computeUnitLimit: number;
+  };
+  jitoTipLamports: number | null;
+  /** New expiry timestamp (unix ms) */
+  expiresAt: number;
+  ttl: number;
+}
+
+/**
+ * Quote lifecycle status (GET /v1/quote/:id)
+ */
+export type QuoteLifecycleStatus =
+  | 'active'
+  | 'expired'
+  | 'consumed'
+  | 'submitted'
+  | 'confirmed'
+  | 'failed';
+
+export interface QuoteStatus {
+  quoteId: string;
+  status: QuoteLifecycleStatus;
+  /** Transaction signature once submitted */
+  signature: string | null;
+  explorer?: string;
+  bundleId?: string;
+  /** Why a submission failed */
+  error?: { code: string; message?: string };
+  userPubkey: string;
+  paymentToken: string;
+  feeAmount: string;
+  feePayer: string;
+  createdAt: number;
+  expiresAt: number;
+  /** Seconds left before expiry (0 once expired or used) */
+  ttl: number;
+  /** Expired quotes: refreshQuote works until this timestamp (unix ms) */
+  refreshableUntil?: number;
+  consumedAt?: number;
+  submittedAt?: number | null;
+  confirmedAt?: number | null;
+}
+
 /**
  * Transaction submission request
  */
@@ -199,6 +352,56 @@ export interface BurnStats {
   burnedFormatted: string;
 }
 
+/**
+ * A recorded $ASDF burn (amounts in UI units)
+ */
+export interface BurnProof {
+  burnSignature: string;
+  /** Jupiter swap that produced the burned $ASDF (swapped fees only) */
+  swapSignature?: string;
+  amountBurned: number;
+  /** Share retained by the treasury (0 for fees paid in $ASDF) */
+  treasuryAmount?: number;
+  /** Fee token swapped, and how much (raw units) */
+  inputMint?: string;
+  inputAmount?: number;
+  method: 'jupiter' | 'direct';
+  timestamp: number;
+  network: string;
+  explorerUrl: string;
+}
+
+/**
+ * A page of burn proofs, newest first
+ */
+export interface BurnList {
+  burns: BurnProof[];
+  totalBurns: number;
+  limit: number;
+  offset: number;
+  hasMore: boolean;
+  verification: { message: string; howToVerify: string; mint: string };
+}
+
+/**
+ * A burn proof cross-checked against the chain
+ */
+export interface BurnVerification {
+  burn: BurnProof;
+  /** The transaction succeeded and BurnChecked exactly amountBurned of the $ASDF mint */
+  verified: boolean;
+  /** Why verification failed */
+  reason?: string;
+  /** null if RPC can't find the transaction */
+  onChain: {
+    slot: number;
+    blockTime: number | null;
+    success: boolean;
+    amountBurned: number;
+  } | null;
+  explorerUrl: string;
+}
+
 /**
  * Supported transaction types
  */
@@ -15,7 +15,6 @@ const {
   Connection,
   Keypair,
   PublicKey,
-  AddressLookupTableProgram,
   TransactionMessage,
   VersionedTransaction,
   sendAndConfirmTransaction,
@@ -25,25 +24,8 @@ const bs58 = require('bs58');
 // Load environment
 require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 
-// Core addresses to include in ALT
-const CORE_ADDRESSES = [
-  // System programs
-  new PublicKey('11111111111111111111111111111111'), // System Program
-  new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'), // Token Program
-  new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'), // Token-2022 Program
-  new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL'), // Associated Token Program
-  new PublicKey('SysvarRent111111111111111111111111111111111'), // Rent Sysvar
-
-  // Jupiter
-  new PublicKey('JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4'), // Jupiter V6
-
-  // Common tokens
-  new PublicKey('So11111111111111111111111111111111111111112'), // WSOL
-  new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'), // USDC
-  new PublicKey('Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'), // USDT
-  new PublicKey('mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So'), // mSOL
-  new PublicKey('J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn'), // jitoSOL
-];
+// Address list lives in src/utils/alt.js (shared with the API)
+const alt = require('../src/utils/alt');
 
 async function getConnection() {
   const rpcUrl = process.env.RPC_URL ||
@@ -77,11 +59,10 @@ async function createLookupTable() {
   console.log('Using slot:', slot);
 
   // Create the lookup table
-  const [createIx, lookupTableAddress] = AddressLookupTableProgram.createLookupTable({
-    authority: authority.publicKey,
-    payer: authority.publicKey,
-    recentSlot: slot,
-  });
+  const { instruction: createIx, address: lookupTableAddress } = alt.buildCreateInstruction(
+    authority.publicKey,
+    slot
+  );
 
   console.log('Lookup Table Address:', lookupTableAddress.toBase58());
 
@@ -140,40 +121,15 @@ async function extendLookupTable(altAddress) {
 
   console.log('Current addresses:', existingAddresses.size);
 
-  // Get addresses to add (filter out already existing)
+  // Core programs/mints + this instance's fee payers and treasury ATAs
   const addressesToAdd = [];
-
-  // Add ASDF mint if configured
-  if (process.env.ASDF_MINT && !process.env.ASDF_MINT.includes('Fake')) {
-    try {
-      const asdfMint = new PublicKey(process.env.ASDF_MINT);
-      if (!existingAddresses.has(asdfMint.toBase58())) {
-        addressesToAdd.push(asdfMint);
-        console.log('Adding ASDF mint:', asdfMint.toBase58());
-      }
-    } catch {
-      console.log('Invalid ASDF_MINT, skipping');
-    }
-  }
-
-  // Add treasury if configured
-  if (process.env.TREASURY_ADDRESS) {
-    try {
-      const treasury = new PublicKey(process.env.TREASURY_ADDRESS);
-      if (!existingAddresses.has(treasury.toBase58())) {
-        addressesToAdd.push(treasury);
-        console.log('Adding Treasury:', treasury.toBase58());
-      }
-    } catch {
-      console.log('Invalid TREASURY_ADDRESS, skipping');
-    }
-  }
-
-  // Add core addresses
-  for (const addr of CORE_ADDRESSES) {
-    if (!existingAddresses.has(addr.toBase58())) {
+  const candidates = [...alt.getCoreAddressesForAlt(), ...alt.getGasdfAddressesForAlt()];
+  for (const addr of candidates) {
+    const key = addr.toBase58();
+    if (!existingAddresses.has(key)) {
+      existingAddresses.add(key);
       addressesToAdd.push(addr);
-      console.log('Adding:', addr.toBase58());
+      console.log('Adding:', key);
     }
   }
 
@@ -185,17 +141,13 @@ async function extendLookupTable(altAddress) {
   console.log(`\nAdding ${addressesToAdd.length} new addresses...`);
 
   // Extend in batches of 20 (Solana limit)
-  const BATCH_SIZE = 20;
-  for (let i = 0; i < addressesToAdd.length; i += BATCH_SIZE) {
-    const batch = addressesToAdd.slice(i, i + BATCH_SIZE);
-    console.log(`\nBatch ${Math.floor(i / BATCH_SIZE) + 1}: ${batch.length} addresses`);
-
-    const extendIx = AddressLookupTableProgram.extendLookupTable({
-      lookupTable: lookupTableAddress,
-      authority: authority.publicKey,
-      payer: authority.publicKey,
-      addresses: batch,
-    });
+  const extendIxs = alt.buildExtendInstructions(
+    lookupTableAddress,
+    authority.publicKey,
+    addressesToAdd
+  );
+  for (const [i, extendIx] of extendIxs.entries()) {
+    console.log(`\nBatch ${i + 1}/${extendIxs.length}`);
 
     const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
 
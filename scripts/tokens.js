@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Manage the payment token registry (Redis) — no redeploy needed.
+ * Running instances pick changes up within TOKEN_REGISTRY_SYNC_SECONDS.
+ *
+ * Usage:
+ *   node scripts/tokens.js list                       # All tokens, paused included
+ *   node scripts/tokens.js add <mint> [options]       # Register (decimals read from the mint)
+ *   node scripts/tokens.js set <mint> [options]       # Change fee policy or labels
+ *   node scripts/tokens.js pause <mint>               # Stop accepting a token (e.g. depeg)
+ *   node scripts/tokens.js resume <mint>
+ *   node scripts/tokens.js remove <mint>
+ *
+ * Options:
+ *   --symbol <s> --name <n>
+ *   --min-fee <raw units>     Minimum fee in the token's smallest unit
+ *   --slippage-bps <bps>      Buffer added to the market-price fee
+ *   --burn-threshold <raw>    Balance that triggers a swap-and-burn ("default":
+ *                             BURN_THRESHOLD_LAMPORTS worth)
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+
+const redis = require('../src/utils/redis');
+const tokenRegistry = require('../src/services/token-registry');
+
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const [flag, value] = [args[i], args[i + 1]];
+    if (value === undefined) throw new Error(`Missing value for ${flag}`);
+    switch (flag) {
+      case '--symbol':
+        options.symbol = value;
+        break;
+      case '--name':
+        options.name = value;
+        break;
+      case '--min-fee':
+        options.minFeeAmount = value;
+        break;
+      case '--slippage-bps':
+        options.slippageBps = Number(value);
+        break;
+      case '--burn-threshold':
+        options.burnThresholdAmount = value === 'default' ? null : value;
+        break;
+      default:
+        throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+  return options;
+}
+
+function printToken(entry) {
+  const status = entry.enabled ? 'enabled' : 'PAUSED';
+  console.log(
+    `  ${entry.symbol.padEnd(8)} ${entry.mint}  ${status.padEnd(7)}  decimals=${entry.decimals}` +
+      `  minFee=${entry.minFeeAmount}  slippage=${entry.slippageBps}bps` +
+      `  burnThreshold=${entry.burnThresholdAmount ?? 'default'}` +
+      (entry.token2022 ? '  token-2022' : '')
+  );
+}
+
+async function run(command, mint, args) {
+  switch (command) {
+    case 'list':
+      await tokenRegistry.sync();
+      console.log('Payment tokens:\n');
+      tokenRegistry.listTokens({ includeDisabled: true }).forEach(printToken);
+      return;
+    case 'add':
+      printToken(await tokenRegistry.addToken(mint, parseOptions(args)));
+      return;
+    case 'set':
+      printToken(await tokenRegistry.updateToken(mint, parseOptions(args)));
+      return;
+    case 'pause':
+      printToken(await tokenRegistry.setEnabled(mint, false));
+      return;
+    case 'resume':
+      printToken(await tokenRegistry.setEnabled(mint, true));
+      return;
+    case 'remove':
+      console.log((await tokenRegistry.removeToken(mint)) ? 'Removed' : 'Not registered');
+      return;
+  }
+}
+
+// Main
+const [command, mint, ...args] = process.argv.slice(2);
+const commands = ['list', 'add', 'set', 'pause', 'resume', 'remove'];
+
+if (!commands.includes(command) || (command !== 'list' && !mint)) {
+  console.log('Usage:');
+  console.log('  node scripts/tokens.js list');
+  console.log(
+    '  node scripts/tokens.js add <mint> [--symbol S] [--name N] [--min-fee RAW] [--slippage-bps BPS] [--burn-threshold RAW]'
+  );
+  console.log(
+    '  node scripts/tokens.js set <mint> [--symbol S] [--name N] [--min-fee RAW] [--slippage-bps BPS] [--burn-threshold RAW|default]'
+  );
+  console.log('  node scripts/tokens.js pause|resume|remove <mint>');
+  process.exit(1);
+}
+
+if (!process.env.REDIS_URL) {
+  console.error('REDIS_URL not set — the registry lives in Redis');
+  process.exit(1);
+}
+
+redis
+  .initializeClient()
+  .then(() => run(command, mint, args))
+  .catch((error) => {
+    console.error('✗ Error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => redis.disconnect());
@@ -22,9 +22,11 @@ const MINTS = {
 const TOKEN_INFO = {
   [MINTS.USDC]: { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
   [MINTS.USDT]: { symbol: 'USDT', name: 'Tether USD', decimals: 6 },
-  [MINTS.PYUSD]: { symbol: 'PYUSD', name: 'PayPal USD', decimals: 6 },
+  // Token-2022 mint: ATAs are derived with the Token-2022 program
+  [MINTS.PYUSD]: { symbol: 'PYUSD', name: 'PayPal USD', decimals: 6, token2022: true },
   [MINTS.ASDF]: { symbol: 'ASDF', name: '$asdfasdfa', decimals: 6 },
-  [MINTS.WSOL]: { symbol: 'SOL', name: 'Wrapped SOL', decimals: 9 },
+  // Paid natively (System transfer to the treasury), never as wrapped SOL
+  [MINTS.WSOL]: { symbol: 'SOL', name: 'Solana', decimals: 9 },
 };
 
 // Holder discount tiers (ordered highest to lowest)
@@ -39,6 +41,28 @@ const TIERS = [
 // Jito tip minimum (0.0002 SOL in lamports)
 const JITO_TIP_LAMPORTS = 200_000;
 
+// Quote speed tiers → Helius priority levels
+const SPEED_TIERS = {
+  economy: 'Low',
+  standard: 'Medium',
+  fast: 'High',
+  turbo: 'VeryHigh',
+};
+const DEFAULT_SPEED = 'standard';
+
+// POST /v1/quote/batch — every accepted token fits
+const MAX_BATCH_QUOTE_TOKENS = 20;
+
+// Quote lifecycle (GET /v1/quote/:id)
+const QUOTE_STATUS = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  CONSUMED: 'consumed', // Claimed by /v1/submit, not sent yet
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
 // Solana tx size limit
 const MAX_TX_SIZE = 1232;
 
@@ -54,6 +78,10 @@ module.exports = {
   TOKEN_INFO,
   TIERS,
   JITO_TIP_LAMPORTS,
+  SPEED_TIERS,
+  DEFAULT_SPEED,
+  MAX_BATCH_QUOTE_TOKENS,
+  QUOTE_STATUS,
   MAX_TX_SIZE,
   EXPLORER_BASE,
 };
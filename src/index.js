@@ -2,13 +2,17 @@ const express = require('express');
 const config = require('./utils/config');
 const logger = require('./utils/logger');
 const redis = require('./utils/redis');
-const feePayer = require('./services/fee-payer');
+const feePayerPool = require('./services/fee-payer-pool');
+const tokenRegistry = require('./services/token-registry');
 const { startBurnWorker, stopBurnWorker } = require('./services/burn-worker');
+const { startRefillWorker, stopRefillWorker } = require('./services/refill-worker');
 const { securityHeaders, globalLimiter, quoteLimiter, submitLimiter } = require('./middleware/security');
 
 const healthRouter = require('./routes/health');
 const tokensRouter = require('./routes/tokens');
+const burnsRouter = require('./routes/burns');
 const quoteRouter = require('./routes/quote');
+const prepareRouter = require('./routes/prepare');
 const submitRouter = require('./routes/submit');
 
 const app = express();
@@ -22,7 +26,10 @@ app.use(globalLimiter);
 // Routes
 app.use('/v1/health', healthRouter);
 app.use('/v1/tokens', tokensRouter);
+app.use('/v1/burns', burnsRouter);
+app.use('/v1/stats/burns', burnsRouter); // Same burn proofs, under the stats namespace
 app.use('/v1/quote', quoteLimiter, quoteRouter);
+app.use('/v1/prepare', quoteLimiter, prepareRouter);
 app.use('/v1/submit', submitLimiter, submitRouter);
 
 // 404 handler
@@ -39,8 +46,10 @@ app.use((err, req, res, _next) => {
 // Start
 async function start() {
   await redis.initializeClient();
-  feePayer.startBalanceMonitor();
+  await tokenRegistry.startSync();
+  feePayerPool.startBalanceMonitor();
   startBurnWorker();
+  startRefillWorker();
 
   app.listen(config.PORT, () => {
     logger.info('SERVER', `GASdf running on port ${config.PORT}`, {
@@ -53,8 +62,10 @@ async function start() {
 // Graceful shutdown
 async function shutdown(signal) {
   logger.info('SERVER', `${signal} received, shutting down...`);
-  feePayer.stopBalanceMonitor();
+  feePayerPool.stopBalanceMonitor();
+  tokenRegistry.stopSync();
   stopBurnWorker();
+  stopRefillWorker();
   await redis.disconnect();
   process.exit(0);
 }
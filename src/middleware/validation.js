@@ -26,6 +26,10 @@ function isValidUUID(str) {
   return uuidRegex.test(str);
 }
 
+function isValidComputeUnits(units) {
+  return Number.isInteger(units) && units > 0 && units <= 1400000;
+}
+
 // Validation schemas
 const schemas = {
   quote: {
@@ -41,7 +45,7 @@ const schemas = {
     },
     estimatedComputeUnits: {
       required: false,
-      validate: (v) => !v || (Number.isInteger(v) && v > 0 && v <= 1400000),
+      validate: (v) => !v || isValidComputeUnits(v),
       message: 'estimatedComputeUnits must be between 1 and 1,400,000',
     },
   },
@@ -111,4 +115,5 @@ module.exports = {
   isValidSolanaAddress,
   isValidBase64,
   isValidUUID,
+  isValidComputeUnits,
 };
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+const burnVerifier = require('../services/burn-verifier');
+const { MINTS, EXPLORER_BASE } = require('../constants');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Shape of a transaction signature: anything else is a client error, while a
+// well-formed one that was never recorded is a 404
+const SIGNATURE_REGEX = /^[0-9A-Za-z]{64,88}$/;
+
+const VERIFICATION = {
+  message: 'Every burn is a BurnChecked of the $ASDF mint, recorded with its signature',
+  howToVerify:
+    'GET /v1/burns/:signature re-checks the transaction against RPC, or open explorerUrl',
+  mint: MINTS.ASDF,
+};
+
+// GET /v1/burns?limit=20&offset=0 — recorded burn proofs, newest first
+router.get('/', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  try {
+    // One extra proof tells whether there is a next page
+    const { proofs, totalCount } = await redis.getBurnProofs(limit + 1, offset);
+
+    res.json({
+      burns: proofs.slice(0, limit),
+      totalBurns: totalCount,
+      limit,
+      offset,
+      hasMore: proofs.length > limit,
+      verification: VERIFICATION,
+    });
+  } catch (error) {
+    logger.error('BURNS', 'Failed to list burn proofs', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list burns',
+      code: 'BURNS_LIST_FAILED',
+    });
+  }
+});
+
+// GET /v1/burns/:signature — a burn proof, cross-checked on-chain
+router.get('/:signature', async (req, res) => {
+  const { signature } = req.params;
+
+  if (!SIGNATURE_REGEX.test(signature)) {
+    return res.status(400).json({
+      error: 'Invalid signature format',
+      code: 'INVALID_SIGNATURE',
+    });
+  }
+
+  try {
+    const proof = await redis.getBurnProofBySignature(signature);
+    if (!proof) {
+      return res.status(404).json({
+        error: 'Burn not found or past its retention window',
+        code: 'BURN_NOT_FOUND',
+      });
+    }
+
+    const { verified, reason, onChain } = await burnVerifier.verifyBurn(proof);
+
+    res.json({
+      burn: proof,
+      verified,
+      ...(reason && { reason }),
+      onChain,
+      explorerUrl: `${EXPLORER_BASE}/tx/${signature}`,
+    });
+  } catch (error) {
+    logger.error('BURNS', 'Burn verification failed', {
+      signature: signature.slice(0, 16),
+      error: error.message,
+    });
+    res.status(500).json({
+      error: 'Failed to verify burn',
+      code: 'BURN_VERIFICATION_FAILED',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const redis = require('../utils/redis');
-const feePayer = require('../services/fee-payer');
+const feePayerPool = require('../services/fee-payer-pool');
 const helius = require('../services/helius');
+const jito = require('../services/jito');
+const alt = require('../utils/alt');
 const logger = require('../utils/logger');
 
 // GET /v1/health
 router.get('/', async (req, res) => {
   try {
-    const [redisPing, balanceInfo] = await Promise.all([
-      redis.ping(),
-      feePayer.checkBalance(),
-    ]);
+    const [redisPing, poolStatus] = await Promise.all([redis.ping(), feePayerPool.checkBalances()]);
 
     const redisOk = !!redisPing;
+    const [primary] = poolStatus.payers;
     // Circuit breaker is informational — don't fail healthcheck for low balance
     const healthy = redisOk;
 
@@ -21,12 +21,24 @@ router.get('/', async (req, res) => {
       status: healthy ? 'ok' : 'degraded',
       timestamp: new Date().toISOString(),
       redis: { connected: !!redisPing },
+      // Primary payer, same shape as before the pool
       feePayer: {
-        address: feePayer.getPublicKey().toBase58(),
-        solBalance: balanceInfo.solBalance,
-        circuitOpen: balanceInfo.circuitOpen,
+        address: primary.pubkey,
+        solBalance: primary.solBalance,
+        circuitOpen: primary.circuitOpen,
+      },
+      feePayerPool: {
+        circuitOpen: poolStatus.circuitOpen,
+        totalSolBalance: poolStatus.totalSolBalance,
+        payers: poolStatus.payers.map((p) => ({
+          address: p.pubkey,
+          solBalance: p.solBalance,
+          circuitOpen: p.circuitOpen,
+        })),
       },
       helius: { available: helius.isAvailable() },
+      jito: jito.getStatus(),
+      lookupTable: alt.getStatus(),
     });
   } catch (err) {
     logger.error('HEALTH', 'Health check failed', { error: err.message });
@@ -0,0 +1,159 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+const quoteSigner = require('../services/quote-signer');
+const txBuilder = require('../services/tx-builder');
+const tokenRegistry = require('../services/token-registry');
+const { isValidBase64 } = require('../middleware/validation');
+const { MAX_TX_SIZE } = require('../constants');
+
+const router = express.Router();
+
+// POST /v1/prepare
+router.post('/', async (req, res) => {
+  try {
+    const { quoteId, instructions, transaction, signedQuote } = req.body;
+
+    // =========================================================================
+    // 1. Validate input: instructions XOR draft transaction
+    // =========================================================================
+    if (!quoteId || (!instructions && !transaction)) {
+      return res.status(400).json({
+        error: 'Missing required fields: quoteId, and instructions or transaction',
+        code: 'INVALID_INPUT',
+      });
+    }
+    if (instructions && transaction) {
+      return res.status(400).json({
+        error: 'Provide either instructions or transaction, not both',
+        code: 'INVALID_INPUT',
+      });
+    }
+    const invalidField = [
+      typeof quoteId !== 'string' && 'quoteId must be a string',
+      instructions &&
+        (!Array.isArray(instructions) || instructions.length === 0) &&
+        'instructions must be a non-empty array',
+      transaction &&
+        !isValidBase64(transaction) &&
+        'transaction must be a base64 draft transaction',
+    ].find(Boolean);
+    if (invalidField) {
+      return res.status(400).json({ error: invalidField, code: 'INVALID_INPUT' });
+    }
+
+    // =========================================================================
+    // 2. Get quote from Redis, or verify the signed envelope if it's gone
+    //    (not claimed — the quote stays usable for /v1/submit)
+    // =========================================================================
+    let quote = await redis.getQuote(quoteId);
+    if (!quote && signedQuote) {
+      const verification = quoteSigner.verifySignedQuote(signedQuote, quoteId);
+      if (!verification.valid) {
+        return res.status(400).json({
+          error: 'Signed quote rejected',
+          code: 'INVALID_SIGNED_QUOTE',
+          details: verification.error,
+        });
+      }
+      quote = verification.quote;
+    }
+    if (!quote) {
+      return res.status(404).json({
+        error: 'Quote not found or expired',
+        code: 'QUOTE_NOT_FOUND',
+      });
+    }
+    // Expired quotes are kept a while so they can be refreshed, not used
+    if (quote.expiresAt <= Date.now()) {
+      return res.status(400).json({
+        error: 'Quote expired — refresh it with POST /v1/quote/:id/refresh',
+        code: 'QUOTE_EXPIRED',
+        quoteId,
+      });
+    }
+    // Submit rejects open quotes for a paused token — don't build one it would reject
+    if (tokenRegistry.getToken(quote.paymentToken)?.enabled === false) {
+      return res.status(400).json({
+        error: 'Payment token is temporarily paused — request a quote in another token',
+        code: 'TOKEN_PAUSED',
+      });
+    }
+
+    // =========================================================================
+    // 3. User instructions
+    // =========================================================================
+    let userInstructions;
+    let lookupTables = [];
+    try {
+      if (instructions) {
+        userInstructions = txBuilder.parseInstructions(instructions);
+      } else {
+        ({ instructions: userInstructions, lookupTables } =
+          await txBuilder.instructionsFromDraft(transaction));
+      }
+    } catch (err) {
+      return res.status(400).json({
+        error: 'Invalid instructions',
+        code: instructions ? 'INVALID_INSTRUCTIONS' : 'INVALID_DRAFT_TRANSACTION',
+        details: err.message,
+      });
+    }
+
+    // =========================================================================
+    // 4. Build: compute budget + treasury ATA + fee payment, fee payer, blockhash
+    // =========================================================================
+    const prepared = await txBuilder.buildPreparedTransaction(quote, userInstructions, {
+      lookupTables,
+    });
+
+    // =========================================================================
+    // 5. Size check (signature slots included)
+    //    web3.js can't even serialize a message past the packet limit
+    // =========================================================================
+    let serialized;
+    try {
+      serialized = prepared.transaction.serialize();
+    } catch (err) {
+      if (!(err instanceof RangeError)) throw err;
+    }
+    if (!serialized || serialized.length > MAX_TX_SIZE) {
+      return res.status(400).json({
+        error: `Prepared transaction exceeds Solana limit of ${MAX_TX_SIZE} bytes`,
+        code: 'TX_TOO_LARGE',
+        details: { size: serialized?.length ?? null, maxSize: MAX_TX_SIZE },
+      });
+    }
+
+    logger.info('PREPARE', 'Transaction prepared', {
+      quoteId,
+      userPubkey: quote.userPubkey.slice(0, 8),
+      instructions: userInstructions.length,
+      size: serialized.length,
+      createsTreasuryAta: prepared.createsTreasuryAta,
+    });
+
+    // =========================================================================
+    // 6. Response — unsigned v0 transaction for the wallet to sign
+    // =========================================================================
+    res.json({
+      quoteId,
+      transaction: Buffer.from(serialized).toString('base64'),
+      feePayer: quote.feePayer,
+      recentBlockhash: prepared.recentBlockhash,
+      lastValidBlockHeight: prepared.lastValidBlockHeight,
+      feePaymentIndex: prepared.feePaymentIndex,
+      createsTreasuryAta: prepared.createsTreasuryAta,
+      size: serialized.length,
+      expiresAt: quote.expiresAt,
+    });
+  } catch (error) {
+    logger.error('PREPARE', 'Failed to prepare transaction', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to prepare transaction',
+      code: 'PREPARE_FAILED',
+    });
+  }
+});
+
+module.exports = router;
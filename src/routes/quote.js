@@ -6,17 +6,46 @@ const config = require('../utils/config');
 const logger = require('../utils/logger');
 const redis = require('../utils/redis');
 const tokenGate = require('../services/token-gate');
+const tokenRegistry = require('../services/token-registry');
 const feePayer = require('../services/fee-payer');
+const feePayerPool = require('../services/fee-payer-pool');
 const helius = require('../services/helius');
 const jupiter = require('../services/jupiter');
 const holderDiscount = require('../services/holder-discount');
+const quoteSigner = require('../services/quote-signer');
+const durableNonce = require('../services/durable-nonce');
+const jito = require('../services/jito');
+const draftTransaction = require('../services/draft-transaction');
+const mintInfo = require('../services/mint-info');
+const alt = require('../utils/alt');
+const {
+  isValidSolanaAddress,
+  isValidBase64,
+  isValidComputeUnits,
+} = require('../middleware/validation');
+const {
+  SPEED_TIERS,
+  DEFAULT_SPEED,
+  MAX_BATCH_QUOTE_TOKENS,
+  QUOTE_STATUS,
+  EXPLORER_BASE,
+} = require('../constants');
 
 const router = express.Router();
 
 // POST /v1/quote
 router.post('/', async (req, res) => {
   try {
-    const { paymentToken, userPubkey, estimatedComputeUnits = 200000 } = req.body;
+    const {
+      paymentToken,
+      userPubkey,
+      estimatedComputeUnits = 200000,
+      signed = false,
+      nonceAccount,
+      transaction,
+      speed = DEFAULT_SPEED,
+      batchId,
+    } = req.body;
 
     // =========================================================================
     // 1. Validate input
@@ -28,22 +57,64 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const invalidField = [
+      !isValidSolanaAddress(paymentToken) && 'paymentToken must be a valid Solana address',
+      !isValidSolanaAddress(userPubkey) && 'userPubkey must be a valid Solana address',
+      !isValidComputeUnits(estimatedComputeUnits) &&
+        'estimatedComputeUnits must be an integer between 1 and 1,400,000',
+      typeof signed !== 'boolean' && 'signed must be a boolean',
+      nonceAccount !== undefined &&
+        !isValidSolanaAddress(nonceAccount) &&
+        'nonceAccount must be a valid Solana address',
+      transaction !== undefined &&
+        !isValidBase64(transaction) &&
+        'transaction must be a base64 draft transaction',
+      batchId !== undefined && typeof batchId !== 'string' && 'batchId must be a string',
+    ].find(Boolean);
+    if (invalidField) {
+      return res.status(400).json({ error: invalidField, code: 'INVALID_INPUT' });
+    }
+
+    if (!Object.hasOwn(SPEED_TIERS, speed)) {
+      return res.status(400).json({
+        error: `Invalid speed. Use one of: ${Object.keys(SPEED_TIERS).join(', ')}`,
+        code: 'INVALID_SPEED',
+      });
+    }
+
+    if (batchId && transaction) {
+      return res.status(400).json({
+        error: 'A batch price is for a fixed compute budget — omit transaction with batchId',
+        code: 'INVALID_INPUT',
+      });
+    }
+
+    if (signed && !quoteSigner.isEnabled()) {
+      return res.status(400).json({
+        error: 'Signed quotes are not enabled on this instance',
+        code: 'SIGNED_QUOTES_DISABLED',
+      });
+    }
+
     // =========================================================================
     // 2. Token gate check
     // =========================================================================
     const tokenCheck = tokenGate.isTokenAccepted(paymentToken);
     if (!tokenCheck.accepted) {
       return res.status(400).json({
-        error: 'Payment token not accepted. Use USDC, USDT, or $ASDF.',
+        error:
+          tokenCheck.reason === 'paused'
+            ? 'Payment token is temporarily paused. See GET /v1/tokens for accepted tokens.'
+            : 'Payment token not accepted. See GET /v1/tokens for accepted tokens.',
         code: 'TOKEN_NOT_ACCEPTED',
         reason: tokenCheck.reason,
       });
     }
 
     // =========================================================================
-    // 3. Circuit breaker
+    // 3. Circuit breaker (all payers down)
     // =========================================================================
-    if (feePayer.isCircuitOpen()) {
+    if (feePayerPool.isCircuitOpen()) {
       return res.status(503).json({
         error: 'Service temporarily unavailable — fee payer capacity exceeded',
         code: 'CIRCUIT_BREAKER_OPEN',
@@ -62,80 +133,196 @@ router.post('/', async (req, res) => {
     }
 
     // =========================================================================
-    // 5. Priority fee from Helius
+    // 5. Durable nonce: long-lived quote (authority must not be a fee payer)
     // =========================================================================
-    const computeUnits = Math.min(Math.max(estimatedComputeUnits, 1), 1_400_000);
-    const priorityFeeData = await helius.calculatePriorityFee(computeUnits);
-    const priorityFeeLamports = priorityFeeData.priorityFeeLamports;
+    let nonce = null;
+    if (nonceAccount) {
+      nonce = await durableNonce.validateNonceAccount(nonceAccount);
+      if (!nonce.valid) {
+        return res.status(400).json({
+          error: nonce.error,
+          code: 'INVALID_NONCE_ACCOUNT',
+        });
+      }
+    }
+    const ttlSeconds = nonce ? config.NONCE_QUOTE_TTL_SECONDS : config.QUOTE_TTL_SECONDS;
 
     // =========================================================================
-    // 6. Total fee
+    // 6. Payment mint and treasury ATA (SOL is paid to the treasury address
+    //    itself; Token-2022 ATAs are derived with their own program)
     // =========================================================================
-    const totalFee = config.BASE_FEE_LAMPORTS + priorityFeeLamports;
+    const treasuryPubkey = config.TREASURY_ADDRESS
+      ? new PublicKey(config.TREASURY_ADDRESS)
+      : feePayer.getPublicKey();
+    const isNativeSol = paymentToken === config.WSOL_MINT;
+    const mint = isNativeSol ? null : await mintInfo.getMintInfo(paymentToken);
+    if (mint?.unsupportedExtensions.length) {
+      return res.status(400).json({
+        error: 'Payment token has Token-2022 extensions that prevent fee payment',
+        code: 'UNSUPPORTED_TOKEN_EXTENSION',
+        details: { extensions: mint.unsupportedExtensions },
+      });
+    }
+    const transferFee = mint?.transferFee ?? null;
+    const treasuryAta = isNativeSol
+      ? null
+      : await getAssociatedTokenAddress(
+          new PublicKey(paymentToken),
+          treasuryPubkey,
+          false,
+          mint.programId
+        );
 
     // =========================================================================
-    // 7. Holder discount
+    // 7. Draft transaction: simulated CUs, writable accounts, final size
     // =========================================================================
-    const txCost = config.NETWORK_FEE_LAMPORTS + priorityFeeLamports;
-    const tierInfo = await holderDiscount.calculateDiscountedFee(userPubkey, totalFee, txCost);
-    const discountedFeeLamports = tierInfo.discountedFee;
+    let draft = null;
+    if (transaction) {
+      draft = await draftTransaction.analyzeDraft(transaction, {
+        feePayers: feePayerPool.getAllFeePayerPublicKeys(),
+        userPubkey,
+        paymentToken,
+        treasuryAddress: treasuryPubkey.toBase58(),
+        treasuryAta: (treasuryAta || treasuryPubkey).toBase58(),
+      });
+      if (!draft.valid) {
+        return res.status(400).json({
+          error: draft.error,
+          code: draft.code,
+          details: draft.details,
+        });
+      }
+    }
 
     // =========================================================================
-    // 8. Convert to payment token via Jupiter
+    // 8. Price: the locked batch price, or priority fee for the chosen speed
+    //    (per-account when a draft is given), Jito tip, holder discount,
+    //    conversion via Jupiter
     // =========================================================================
-    const feeInToken = await jupiter.getFeeInToken(paymentToken, discountedFeeLamports);
+    let batch = null;
+    if (batchId) {
+      batch = await redis.getQuoteBatch(batchId);
+      if (!batch || batch.expiresAt <= Date.now() || batch.userPubkey !== userPubkey) {
+        return res.status(404).json({
+          error: 'Batch quote not found or expired',
+          code: 'BATCH_NOT_FOUND',
+        });
+      }
+      if (!batch.prices[paymentToken]) {
+        return res.status(400).json({
+          error: 'Payment token was not priced in this batch',
+          code: 'TOKEN_NOT_IN_BATCH',
+        });
+      }
+    }
+
+    const quoteSpeed = batch ? batch.speed : speed;
+    const computeUnits = batch
+      ? batch.computeUnits
+      : draft
+        ? draft.computeUnits
+        : Math.min(Math.max(estimatedComputeUnits, 1), 1_400_000);
+    const priorityLevel = SPEED_TIERS[quoteSpeed];
+    const {
+      priorityFeeData,
+      priorityFeeLamports,
+      computeUnitPrice,
+      jitoTipLamports,
+      txCost,
+      tierInfo,
+      feeInToken: netFeeInToken,
+    } = batch
+      ? { ...batch, feeInToken: batch.prices[paymentToken] }
+      : await priceQuote({
+          paymentToken,
+          userPubkey,
+          computeUnits,
+          priorityLevel,
+          accountKeys: draft ? draft.writableAccounts : [],
+        });
+    const feeInToken = withTransferFee(netFeeInToken, transferFee);
+    const discountedFeeLamports = tierInfo.discountedFee;
 
     // =========================================================================
-    // 9. Treasury ATA
+    // 9. Pick a fee payer and reserve the tx cost against it
     // =========================================================================
-    const treasuryPubkey = config.TREASURY_ADDRESS
-      ? new PublicKey(config.TREASURY_ADDRESS)
-      : feePayer.getPublicKey();
-    const mintPubkey = new PublicKey(paymentToken);
-    const treasuryAta = await getAssociatedTokenAddress(mintPubkey, treasuryPubkey);
+    const quoteId = uuidv4();
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+
+    const selectedFeePayer = await feePayerPool.reserveBalance(quoteId, txCost, ttlSeconds);
+    if (!selectedFeePayer) {
+      return res.status(503).json({
+        error: 'Service temporarily unavailable — fee payer capacity exceeded',
+        code: 'CIRCUIT_BREAKER_OPEN',
+      });
+    }
 
     // =========================================================================
     // 10. Store quote in Redis
     // =========================================================================
-    const quoteId = uuidv4();
-    const expiresAt = Date.now() + config.QUOTE_TTL_SECONDS * 1000;
-
-    await redis.setQuote(quoteId, {
+    const quoteData = {
       paymentToken,
       userPubkey,
-      feePayer: feePayer.getPublicKey().toBase58(),
+      feePayer: selectedFeePayer,
       treasuryAddress: treasuryPubkey.toBase58(),
-      treasuryAta: treasuryAta.toBase58(),
+      treasuryAta: treasuryAta?.toBase58() ?? null,
       feeAmount: feeInToken.inputAmount.toString(),
       feeAmountLamports: discountedFeeLamports,
       feeAmountToken: feeInToken.inputAmount,
+      // Token-2022: feeAmount is grossed up so the treasury nets netFeeAmount
+      ...(transferFee && { transferFee, netFeeAmount: netFeeInToken.inputAmount.toString() }),
       estimatedComputeUnits: computeUnits,
+      priorityFeeLamports,
+      speed: quoteSpeed,
+      priorityLevel,
+      computeUnitPrice,
+      ...(jitoTipLamports && { jitoTipLamports }),
+      ...(nonce && { nonceAccount, nonceAuthority: nonce.authority }),
+      // Re-priced against the same accounts on refresh
+      ...(draft && { priorityAccounts: draft.writableAccounts }),
       expiresAt,
       createdAt: Date.now(),
-    }, config.QUOTE_TTL_SECONDS);
+    };
+    // Kept past expiry so it can still be refreshed
+    await redis.setQuote(quoteId, quoteData, ttlSeconds + config.QUOTE_REFRESH_GRACE_SECONDS);
+    // A batch locks into one quote only
+    if (batch) {
+      await redis.deleteQuoteBatch(batchId);
+    }
 
     logger.info('QUOTE', 'Quote generated', {
       quoteId,
       paymentToken: paymentToken.slice(0, 8),
       userPubkey: userPubkey.slice(0, 8),
       feeAmountLamports: discountedFeeLamports,
+      feePayer: selectedFeePayer.slice(0, 8),
+      speed: quoteSpeed,
+      durableNonce: !!nonce,
+      draft: !!draft,
+      batch: !!batch,
     });
 
     // =========================================================================
     // 11. Response
     // =========================================================================
     const decimals = feeInToken.decimals || 6;
-    const feeFormatted = `${(feeInToken.inputAmount / Math.pow(10, decimals)).toFixed(decimals > 2 ? 4 : 2)} ${feeInToken.symbol || 'tokens'}`;
 
     res.json({
       quoteId,
-      feePayer: feePayer.getPublicKey().toBase58(),
+      feePayer: selectedFeePayer,
       treasury: {
         address: treasuryPubkey.toBase58(),
-        ata: treasuryAta.toBase58(),
+        // null for SOL: pay with a System transfer to `address`
+        ata: treasuryAta?.toBase58() ?? null,
       },
       feeAmount: feeInToken.inputAmount.toString(),
-      feeFormatted,
+      feeFormatted: formatFee(feeInToken),
+      // Token-2022 transfer fee withheld from feeAmount (null when none)
+      transferFee: transferFee && {
+        basisPoints: transferFee.basisPoints,
+        amount: (feeInToken.inputAmount - netFeeInToken.inputAmount).toString(),
+        netAmount: netFeeInToken.inputAmount.toString(),
+      },
       paymentToken: {
         mint: paymentToken,
         symbol: feeInToken.symbol || 'UNKNOWN',
@@ -145,8 +332,39 @@ router.post('/', async (req, res) => {
         tier: tierInfo.tier,
         discountPercent: tierInfo.discountPercent,
       },
+      // Set exactly this SetComputeUnitPrice — /v1/submit rejects anything else
+      speed: quoteSpeed,
+      priorityFee: {
+        priorityLevel,
+        computeUnitPrice,
+        computeUnitLimit: computeUnits,
+        lamports: priorityFeeLamports,
+      },
+      // Priority fee at every speed, to offer a choice (re-quote with `speed` to pick one)
+      feeOptions: buildFeeOptions(priorityFeeData),
+      // Paid by the fee payer in a Jito bundle with your transaction (null off mainnet)
+      jitoTipLamports: jitoTipLamports || null,
+      ...(draft && {
+        draft: {
+          computeUnits,
+          unitsConsumed: draft.unitsConsumed,
+          size: draft.size,
+          maxSize: draft.maxSize,
+          writableAccounts: draft.writableAccounts.length,
+        },
+      }),
+      // Compile v0 messages against this table to stay under 1232 bytes
+      addressLookupTable: alt.getAltAddress()?.toBase58() ?? null,
       expiresAt,
-      ttl: config.QUOTE_TTL_SECONDS,
+      ttl: ttlSeconds,
+      ...(nonce && {
+        durableNonce: {
+          account: nonceAccount,
+          authority: nonce.authority,
+          nonce: nonce.nonce,
+        },
+      }),
+      ...(signed && { signedQuote: quoteSigner.signQuote({ quoteId, ...quoteData }) }),
     });
   } catch (error) {
     logger.error('QUOTE', 'Failed to generate quote', { error: error.message });
@@ -157,4 +375,530 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST /v1/quote/:id/refresh
+router.post('/:id/refresh', async (req, res) => {
+  try {
+    const quoteId = req.params.id;
+    const { signed = false } = req.body || {};
+
+    if (typeof signed !== 'boolean') {
+      return res.status(400).json({ error: 'signed must be a boolean', code: 'INVALID_INPUT' });
+    }
+    if (signed && !quoteSigner.isEnabled()) {
+      return res.status(400).json({
+        error: 'Signed quotes are not enabled on this instance',
+        code: 'SIGNED_QUOTES_DISABLED',
+      });
+    }
+
+    // =========================================================================
+    // 1. Get quote (still stored for QUOTE_REFRESH_GRACE_SECONDS after expiry)
+    // =========================================================================
+    const quote = await redis.getQuote(quoteId);
+    if (!quote) {
+      return res.status(404).json({
+        error: 'Quote not found, already used, or past its refresh window',
+        code: 'QUOTE_NOT_FOUND',
+      });
+    }
+    // Submit and prepare would reject the refreshed quote anyway
+    if (tokenRegistry.getToken(quote.paymentToken)?.enabled === false) {
+      return res.status(400).json({
+        error: 'Payment token is temporarily paused — request a quote in another token',
+        code: 'TOKEN_PAUSED',
+      });
+    }
+    if (quote.feePayer && (await feePayerPool.isKeyRetired(quote.feePayer))) {
+      return res.status(503).json({
+        error: 'Fee payer for this quote was retired — request a new quote',
+        code: 'FEE_PAYER_RETIRED',
+      });
+    }
+
+    // =========================================================================
+    // 2. Wallet rate limit (refreshes count as quotes)
+    // =========================================================================
+    const rateCount = await redis.incrWalletRateLimit(quote.userPubkey, 'quote');
+    if (rateCount > config.WALLET_QUOTE_LIMIT) {
+      return res.status(429).json({
+        error: 'Quote rate limit exceeded',
+        code: 'RATE_LIMIT',
+      });
+    }
+
+    // =========================================================================
+    // 3. Re-price: same token, compute units, speed and accounts
+    // =========================================================================
+    const priorityLevel = quote.priorityLevel || SPEED_TIERS[DEFAULT_SPEED];
+    const pricing = await priceQuote({
+      paymentToken: quote.paymentToken,
+      userPubkey: quote.userPubkey,
+      computeUnits: quote.estimatedComputeUnits,
+      priorityLevel,
+      accountKeys: quote.priorityAccounts || [],
+    });
+
+    // =========================================================================
+    // 4. Tolerance band: within it, the old price stands and a payment (and
+    //    compute budget) built for it stays valid; beyond it, the quote moves
+    //    to the new price and the transaction must be rebuilt
+    // =========================================================================
+    const feeInToken = withTransferFee(pricing.feeInToken, quote.transferFee);
+    const previousFeeAmount = BigInt(quote.feeAmount);
+    const newFeeAmount = BigInt(feeInToken.inputAmount);
+    const toleranceBps = BigInt(Math.round(config.QUOTE_REFRESH_TOLERANCE_PERCENT * 100));
+    const paymentSatisfied = newFeeAmount * 10_000n <= previousFeeAmount * (10_000n + toleranceBps);
+
+    const ttlSeconds = quote.nonceAccount
+      ? config.NONCE_QUOTE_TTL_SECONDS
+      : config.QUOTE_TTL_SECONDS;
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+    const repriced = paymentSatisfied
+      ? {}
+      : {
+          feeAmount: newFeeAmount.toString(),
+          feeAmountLamports: pricing.tierInfo.discountedFee,
+          feeAmountToken: feeInToken.inputAmount,
+          ...(quote.transferFee && { netFeeAmount: pricing.feeInToken.inputAmount.toString() }),
+          priorityFeeLamports: pricing.priorityFeeLamports,
+          priorityLevel,
+          computeUnitPrice: pricing.computeUnitPrice,
+          jitoTipLamports: pricing.jitoTipLamports || undefined,
+        };
+    const quoteData = {
+      ...quote,
+      ...repriced,
+      expiresAt,
+      refreshedAt: Date.now(),
+    };
+
+    // =========================================================================
+    // 5. Renew the reservation on the same fee payer
+    // =========================================================================
+    const txCost = paymentSatisfied
+      ? config.NETWORK_FEE_LAMPORTS +
+        quote.priorityFeeLamports +
+        (quote.jitoTipLamports ? quote.jitoTipLamports + config.NETWORK_FEE_LAMPORTS : 0)
+      : pricing.txCost;
+    const renewed = await feePayerPool.renewReservation(
+      quoteId,
+      quote.feePayer,
+      txCost,
+      ttlSeconds
+    );
+    if (!renewed) {
+      return res.status(503).json({
+        error: 'Fee payer for this quote is unavailable — request a new quote',
+        code: 'CIRCUIT_BREAKER_OPEN',
+      });
+    }
+
+    // =========================================================================
+    // 6. Store — unless a concurrent submit claimed the quote since step 1
+    // =========================================================================
+    const { stored } = await redis.storeRefreshedQuote(
+      quoteId,
+      quoteData,
+      ttlSeconds + config.QUOTE_REFRESH_GRACE_SECONDS
+    );
+    if (!stored) {
+      await feePayerPool.releaseReservation(quoteId);
+      return res.status(409).json({
+        error: 'Quote already used',
+        code: 'QUOTE_ALREADY_USED',
+      });
+    }
+
+    logger.info('QUOTE', 'Quote refreshed', {
+      quoteId,
+      userPubkey: quote.userPubkey.slice(0, 8),
+      previousFeeAmount: quote.feeAmount,
+      newFeeAmount: newFeeAmount.toString(),
+      paymentSatisfied,
+    });
+
+    // =========================================================================
+    // 7. Response
+    // =========================================================================
+    res.json({
+      quoteId,
+      // true: submit the transaction you already built; false: rebuild it
+      // with the new feeAmount and priorityFee.computeUnitPrice
+      paymentSatisfied,
+      feeAmount: quoteData.feeAmount,
+      previousFeeAmount: quote.feeAmount,
+      currentFeeAmount: newFeeAmount.toString(),
+      feePayer: quoteData.feePayer,
+      speed: quoteData.speed || DEFAULT_SPEED,
+      priorityFee: {
+        priorityLevel: quoteData.priorityLevel || priorityLevel,
+        computeUnitPrice: quoteData.computeUnitPrice ?? null,
+        computeUnitLimit: quoteData.estimatedComputeUnits,
+        lamports: quoteData.priorityFeeLamports,
+      },
+      jitoTipLamports: quoteData.jitoTipLamports || null,
+      expiresAt,
+      ttl: ttlSeconds,
+      ...(signed && { signedQuote: quoteSigner.signQuote({ quoteId, ...quoteData }) }),
+    });
+  } catch (error) {
+    logger.error('QUOTE', 'Failed to refresh quote', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to refresh quote',
+      code: 'QUOTE_REFRESH_FAILED',
+    });
+  }
+});
+
+// POST /v1/quote/batch — indicative fee in several tokens from one lookup
+router.post('/batch', async (req, res) => {
+  try {
+    const {
+      paymentTokens,
+      userPubkey,
+      estimatedComputeUnits = 200000,
+      speed = DEFAULT_SPEED,
+    } = req.body;
+
+    // =========================================================================
+    // 1. Validate input
+    // =========================================================================
+    if (!userPubkey || !Array.isArray(paymentTokens) || paymentTokens.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required fields: paymentTokens (non-empty array), userPubkey',
+        code: 'INVALID_INPUT',
+      });
+    }
+
+    const mints = [...new Set(paymentTokens)];
+    if (mints.length > MAX_BATCH_QUOTE_TOKENS || mints.some((m) => typeof m !== 'string')) {
+      return res.status(400).json({
+        error: `paymentTokens must be at most ${MAX_BATCH_QUOTE_TOKENS} mint addresses`,
+        code: 'INVALID_INPUT',
+      });
+    }
+
+    const invalidField = [
+      !isValidSolanaAddress(userPubkey) && 'userPubkey must be a valid Solana address',
+      !isValidComputeUnits(estimatedComputeUnits) &&
+        'estimatedComputeUnits must be an integer between 1 and 1,400,000',
+    ].find(Boolean);
+    if (invalidField) {
+      return res.status(400).json({ error: invalidField, code: 'INVALID_INPUT' });
+    }
+
+    if (!Object.hasOwn(SPEED_TIERS, speed)) {
+      return res.status(400).json({
+        error: `Invalid speed. Use one of: ${Object.keys(SPEED_TIERS).join(', ')}`,
+        code: 'INVALID_SPEED',
+      });
+    }
+
+    // =========================================================================
+    // 2. Circuit breaker (all payers down)
+    // =========================================================================
+    if (feePayerPool.isCircuitOpen()) {
+      return res.status(503).json({
+        error: 'Service temporarily unavailable — fee payer capacity exceeded',
+        code: 'CIRCUIT_BREAKER_OPEN',
+      });
+    }
+
+    // =========================================================================
+    // 3. Wallet rate limit (the whole batch counts as one quote)
+    // =========================================================================
+    const rateCount = await redis.incrWalletRateLimit(userPubkey, 'quote');
+    if (rateCount > config.WALLET_QUOTE_LIMIT) {
+      return res.status(429).json({
+        error: 'Quote rate limit exceeded',
+        code: 'RATE_LIMIT',
+      });
+    }
+
+    // =========================================================================
+    // 4. Price once: priority fee, Jito tip, holder discount
+    // =========================================================================
+    const computeUnits = Math.min(Math.max(estimatedComputeUnits, 1), 1_400_000);
+    const priorityLevel = SPEED_TIERS[speed];
+    const pricing = await priceInLamports({
+      userPubkey,
+      computeUnits,
+      priorityLevel,
+      accountKeys: [],
+    });
+
+    // =========================================================================
+    // 5. Convert into each token — a rejected token or failed conversion is
+    //    reported in its entry, not for the whole batch
+    // =========================================================================
+    const prices = await Promise.all(
+      mints.map(async (mint) => {
+        if (!tokenGate.isTokenAccepted(mint).accepted) {
+          return {
+            paymentToken: mint,
+            error: 'Payment token not accepted',
+            code: 'TOKEN_NOT_ACCEPTED',
+          };
+        }
+        try {
+          const info = await mintInfo.getMintInfo(mint);
+          if (info.unsupportedExtensions.length) {
+            return {
+              paymentToken: mint,
+              error: 'Payment token has Token-2022 extensions that prevent fee payment',
+              code: 'UNSUPPORTED_TOKEN_EXTENSION',
+            };
+          }
+          const feeInToken = await convertFee(mint, pricing.tierInfo.discountedFee);
+          return { paymentToken: mint, feeInToken, transferFee: info.transferFee };
+        } catch (err) {
+          logger.warn('QUOTE', 'Batch price conversion failed', {
+            paymentToken: mint.slice(0, 8),
+            error: err.message,
+          });
+          return { paymentToken: mint, error: 'Price unavailable', code: 'PRICE_UNAVAILABLE' };
+        }
+      })
+    );
+
+    // =========================================================================
+    // 6. Store, so one price can be locked with POST /v1/quote { batchId }
+    // =========================================================================
+    const batchId = uuidv4();
+    const ttlSeconds = config.QUOTE_BATCH_TTL_SECONDS;
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+    const priced = prices.filter((p) => p.feeInToken);
+
+    await redis.setQuoteBatch(
+      batchId,
+      {
+        userPubkey,
+        speed,
+        computeUnits,
+        priorityFeeData: pricing.priorityFeeData,
+        priorityFeeLamports: pricing.priorityFeeLamports,
+        computeUnitPrice: pricing.computeUnitPrice,
+        jitoTipLamports: pricing.jitoTipLamports,
+        txCost: pricing.txCost,
+        tierInfo: pricing.tierInfo,
+        prices: Object.fromEntries(
+          priced.map(({ paymentToken, feeInToken }) => [
+            paymentToken,
+            {
+              inputAmount: feeInToken.inputAmount,
+              symbol: feeInToken.symbol,
+              decimals: feeInToken.decimals,
+            },
+          ])
+        ),
+        expiresAt,
+      },
+      ttlSeconds
+    );
+
+    logger.info('QUOTE', 'Batch quote generated', {
+      batchId,
+      userPubkey: userPubkey.slice(0, 8),
+      tokens: mints.length,
+      priced: priced.length,
+      speed,
+    });
+
+    // =========================================================================
+    // 7. Response
+    // =========================================================================
+    res.json({
+      batchId,
+      // Not payable as-is — lock one price into a quoteId before building the tx
+      indicative: true,
+      // Amounts to transfer: Token-2022 transfer fees included, as in the locked quote
+      prices: prices.map(({ paymentToken, feeInToken, transferFee, error, code }) => {
+        if (!feeInToken) return { paymentToken, error, code };
+        const gross = withTransferFee(feeInToken, transferFee);
+        return {
+          paymentToken,
+          symbol: feeInToken.symbol || 'UNKNOWN',
+          decimals: feeInToken.decimals || 6,
+          feeAmount: gross.inputAmount.toString(),
+          feeFormatted: formatFee(gross),
+        };
+      }),
+      holderTier: {
+        tier: pricing.tierInfo.tier,
+        discountPercent: pricing.tierInfo.discountPercent,
+      },
+      speed,
+      priorityFee: {
+        priorityLevel,
+        computeUnitPrice: pricing.computeUnitPrice,
+        computeUnitLimit: computeUnits,
+        lamports: pricing.priorityFeeLamports,
+      },
+      feeOptions: buildFeeOptions(pricing.priorityFeeData),
+      expiresAt,
+      ttl: ttlSeconds,
+    });
+  } catch (error) {
+    logger.error('QUOTE', 'Failed to generate batch quote', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to generate batch quote',
+      code: 'QUOTE_BATCH_FAILED',
+    });
+  }
+});
+
+// GET /v1/quote/:id — lifecycle status
+router.get('/:id', async (req, res) => {
+  try {
+    const quoteId = req.params.id;
+
+    // =========================================================================
+    // 1. Used quotes: the lifecycle record written by /v1/submit
+    //    (kept QUOTE_LIFECYCLE_RETENTION_SECONDS after the quote is deleted)
+    // =========================================================================
+    const lifecycle = await redis.getQuoteLifecycle(quoteId);
+    if (lifecycle) {
+      return res.json({
+        quoteId,
+        status: lifecycle.status,
+        signature: lifecycle.signature || null,
+        ...(lifecycle.signature && { explorer: `${EXPLORER_BASE}/tx/${lifecycle.signature}` }),
+        ...(lifecycle.bundleId && { bundleId: lifecycle.bundleId }),
+        ...(lifecycle.error && { error: lifecycle.error }),
+        userPubkey: lifecycle.userPubkey,
+        paymentToken: lifecycle.paymentToken,
+        feeAmount: lifecycle.feeAmount,
+        feePayer: lifecycle.feePayer,
+        createdAt: lifecycle.createdAt,
+        expiresAt: lifecycle.expiresAt,
+        consumedAt: lifecycle.consumedAt,
+        submittedAt: lifecycle.submittedAt || null,
+        confirmedAt: lifecycle.confirmedAt || null,
+        updatedAt: lifecycle.updatedAt,
+        ttl: 0,
+      });
+    }
+
+    // =========================================================================
+    // 2. Unused quotes: active, or expired but still refreshable
+    // =========================================================================
+    const quote = await redis.getQuote(quoteId);
+    if (!quote) {
+      return res.status(404).json({
+        error: 'Quote not found or past its retention window',
+        code: 'QUOTE_NOT_FOUND',
+      });
+    }
+
+    const now = Date.now();
+    const expired = quote.expiresAt <= now;
+    res.json({
+      quoteId,
+      status: expired ? QUOTE_STATUS.EXPIRED : QUOTE_STATUS.ACTIVE,
+      signature: null,
+      userPubkey: quote.userPubkey,
+      paymentToken: quote.paymentToken,
+      feeAmount: quote.feeAmount,
+      feePayer: quote.feePayer,
+      speed: quote.speed || DEFAULT_SPEED,
+      createdAt: quote.createdAt,
+      expiresAt: quote.expiresAt,
+      ttl: expired ? 0 : Math.ceil((quote.expiresAt - now) / 1000),
+      ...(expired && {
+        refreshableUntil: quote.expiresAt + config.QUOTE_REFRESH_GRACE_SECONDS * 1000,
+      }),
+    });
+  } catch (error) {
+    logger.error('QUOTE', 'Failed to get quote status', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get quote status',
+      code: 'QUOTE_STATUS_FAILED',
+    });
+  }
+});
+
+/**
+ * Price a quote: the lamport price, then conversion to the payment token via
+ * Jupiter. Shared by new quotes and refreshes.
+ */
+async function priceQuote({ paymentToken, ...params }) {
+  const pricing = await priceInLamports(params);
+  const feeInToken = await convertFee(paymentToken, pricing.tierInfo.discountedFee);
+  return { ...pricing, feeInToken };
+}
+
+/**
+ * Lamport fee in the payment token at market price (Jupiter), plus the
+ * token's registry policy: slippage buffer and minimum fee.
+ */
+async function convertFee(paymentToken, lamports) {
+  const feeInToken = await jupiter.getFeeInToken(paymentToken, lamports);
+  return {
+    ...feeInToken,
+    inputAmount: tokenRegistry.applyFeePolicy(paymentToken, feeInToken.inputAmount),
+  };
+}
+
+/**
+ * Lamport price for a wallet, independent of the payment token: Helius
+ * priority fee for the speed tier (all tiers come back in the same call),
+ * Jito tip and tip tx signature on mainnet, holder discount.
+ * Batch quotes compute it once for every token.
+ */
+async function priceInLamports({ userPubkey, computeUnits, priorityLevel, accountKeys }) {
+  const priorityFeeData = await helius.calculatePriorityFee(computeUnits, {
+    accountKeys,
+    priorityLevel,
+  });
+  const priorityFeeLamports = priorityFeeData.priorityFeeLamports;
+
+  const jitoTipLamports = jito.isEnabled() ? await jito.getTipLamports() : 0;
+  const jitoCostLamports = jitoTipLamports && jitoTipLamports + config.NETWORK_FEE_LAMPORTS;
+  const totalFee = config.BASE_FEE_LAMPORTS + priorityFeeLamports + jitoCostLamports;
+
+  const txCost = config.NETWORK_FEE_LAMPORTS + priorityFeeLamports + jitoCostLamports;
+  const tierInfo = await holderDiscount.calculateDiscountedFee(userPubkey, totalFee, txCost);
+
+  return {
+    priorityFeeData,
+    priorityFeeLamports,
+    computeUnitPrice: priorityFeeData.microLamportsPerCU,
+    jitoTipLamports,
+    txCost,
+    tierInfo,
+  };
+}
+
+/**
+ * Fee the user must transfer so the treasury still nets `feeInToken` after
+ * a Token-2022 transfer fee. Unchanged for mints without one.
+ */
+function withTransferFee(feeInToken, transferFee) {
+  if (!transferFee) return feeInToken;
+  const gross = mintInfo.grossAmountForNet(feeInToken.inputAmount, transferFee);
+  return { ...feeInToken, inputAmount: Number(gross) };
+}
+
+/** "0.0123 USDC" — 4 decimals for tokens with more than 2. */
+function formatFee(feeInToken) {
+  const decimals = feeInToken.decimals || 6;
+  return `${(feeInToken.inputAmount / Math.pow(10, decimals)).toFixed(decimals > 2 ? 4 : 2)} ${feeInToken.symbol || 'tokens'}`;
+}
+
+/**
+ * Priority fee at every speed tier, from one Helius estimate.
+ */
+function buildFeeOptions(priorityFeeData) {
+  return Object.fromEntries(
+    Object.entries(SPEED_TIERS).map(([tier, level]) => [
+      tier,
+      {
+        priorityLevel: level,
+        computeUnitPrice: priorityFeeData.levels[level].microLamportsPerCU,
+        lamports: priorityFeeData.levels[level].priorityFeeLamports,
+      },
+    ])
+  );
+}
+
 module.exports = router;
@@ -1,19 +1,42 @@
 const express = require('express');
-const { VersionedTransaction } = require('@solana/web3.js');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
 const redis = require('../utils/redis');
 const feePayer = require('../services/fee-payer');
+const feePayerPool = require('../services/fee-payer-pool');
 const helius = require('../services/helius');
 const validator = require('../services/validator');
-const { EXPLORER_BASE } = require('../constants');
+const simulation = require('../services/simulation');
+const quoteSigner = require('../services/quote-signer');
+const replayProtection = require('../services/replay-protection');
+const jito = require('../services/jito');
+const tokenRegistry = require('../services/token-registry');
+const { isValidBase64 } = require('../middleware/validation');
+const { EXPLORER_BASE, QUOTE_STATUS } = require('../constants');
 
 const router = express.Router();
 
+/**
+ * Mark a claimed quote as failed in its lifecycle record (GET /v1/quote/:id).
+ * Never throws — the original error is what the caller must report.
+ */
+async function markQuoteFailed(quoteId, code, message) {
+  try {
+    await redis.updateQuoteLifecycle(quoteId, {
+      status: QUOTE_STATUS.FAILED,
+      error: { code, message },
+      failedAt: Date.now(),
+    });
+  } catch (err) {
+    logger.warn('SUBMIT', 'Failed to record quote failure', { quoteId, error: err.message });
+  }
+}
+
 // POST /v1/submit
 router.post('/', async (req, res) => {
+  let claimedQuoteId = null;
   try {
-    const { quoteId, transaction } = req.body;
+    const { quoteId, transaction, signedQuote } = req.body;
 
     // =========================================================================
     // 1. Validate input
@@ -24,85 +47,254 @@ router.post('/', async (req, res) => {
         code: 'INVALID_INPUT',
       });
     }
+    const invalidField = [
+      typeof quoteId !== 'string' && 'quoteId must be a string',
+      !isValidBase64(transaction) && 'transaction must be valid base64',
+    ].find(Boolean);
+    if (invalidField) {
+      return res.status(400).json({ error: invalidField, code: 'INVALID_INPUT' });
+    }
 
     // =========================================================================
-    // 2. Get quote from Redis
+    // 2. Get quote from Redis, or verify the signed envelope if it's gone
     // =========================================================================
-    const quote = await redis.getQuote(quoteId);
+    let quote = await redis.getQuote(quoteId);
+    if (!quote && signedQuote) {
+      const verification = quoteSigner.verifySignedQuote(signedQuote, quoteId);
+      if (!verification.valid) {
+        return res.status(400).json({
+          error: 'Signed quote rejected',
+          code: 'INVALID_SIGNED_QUOTE',
+          details: verification.error,
+        });
+      }
+      quote = verification.quote;
+    }
     if (!quote) {
       return res.status(404).json({
         error: 'Quote not found or expired',
         code: 'QUOTE_NOT_FOUND',
       });
     }
+    // Expired quotes are kept a while so they can be refreshed, not used
+    if (quote.expiresAt <= Date.now()) {
+      return res.status(400).json({
+        error: 'Quote expired — refresh it with POST /v1/quote/:id/refresh',
+        code: 'QUOTE_EXPIRED',
+        quoteId,
+      });
+    }
+    // Operators pause a token (e.g. a depegging stablecoin) for open quotes too
+    if (tokenRegistry.getToken(quote.paymentToken)?.enabled === false) {
+      return res.status(400).json({
+        error: 'Payment token is temporarily paused — request a quote in another token',
+        code: 'TOKEN_PAUSED',
+      });
+    }
+    // An emergency-retired fee payer never co-signs again
+    if (quote.feePayer && (await feePayerPool.isKeyRetired(quote.feePayer))) {
+      return res.status(503).json({
+        error: 'Fee payer for this quote was retired — request a new quote',
+        code: 'FEE_PAYER_RETIRED',
+      });
+    }
 
     // =========================================================================
-    // 3. Delete quote immediately (single use)
+    // 3. Single use: claim quote, delete it (lifecycle record takes over),
+    //    free its payer reservation. The claim outlives the quote's refresh
+    //    window, so a concurrent refresh can't revive it.
     // =========================================================================
+    const quoteTtlSeconds = Math.max(
+      Math.ceil((quote.expiresAt - Date.now()) / 1000),
+      quote.nonceAccount ? config.NONCE_QUOTE_TTL_SECONDS : config.QUOTE_TTL_SECONDS
+    );
+    const { claimed: quoteClaimed } = await redis.claimQuote(
+      quoteId,
+      quoteTtlSeconds + config.QUOTE_REFRESH_GRACE_SECONDS
+    );
+    if (!quoteClaimed) {
+      return res.status(409).json({
+        error: 'Quote already used',
+        code: 'QUOTE_ALREADY_USED',
+      });
+    }
+    claimedQuoteId = quoteId;
     await redis.deleteQuote(quoteId);
+    await feePayerPool.releaseReservation(quoteId);
+    const quoteFeePayer = quote.feePayer || feePayer.getPublicKey().toBase58();
+    await redis.updateQuoteLifecycle(quoteId, {
+      status: QUOTE_STATUS.CONSUMED,
+      userPubkey: quote.userPubkey,
+      paymentToken: quote.paymentToken,
+      feeAmount: quote.feeAmount,
+      feePayer: quoteFeePayer,
+      createdAt: quote.createdAt,
+      expiresAt: quote.expiresAt,
+      consumedAt: Date.now(),
+    });
 
     // =========================================================================
-    // 4. Anti-replay: claim transaction slot
+    // 4. Validate transaction
     // =========================================================================
-    const txBuffer = Buffer.from(transaction, 'base64');
-    const txHash = Buffer.from(txBuffer).toString('hex').slice(0, 64);
-    const { claimed } = await redis.claimTransactionSlot(txHash);
-    if (!claimed) {
+    const validation = await validator.validateTransaction(transaction, quote);
+    if (!validation.valid) {
+      logger.warn('SUBMIT', 'Transaction validation failed', {
+        quoteId,
+        codes: validation.errors.map((e) => e.code),
+      });
+      await markQuoteFailed(
+        quoteId,
+        'VALIDATION_FAILED',
+        validation.errors.map((e) => e.code).join(', ')
+      );
+      return res.status(400).json({
+        error: 'Transaction validation failed',
+        code: 'VALIDATION_FAILED',
+        details: validation.errors,
+      });
+    }
+
+    // =========================================================================
+    // 5. Anti-replay: claim message hash (+ durable nonce)
+    // =========================================================================
+    const replayClaim = await replayProtection.claim(validation.transaction);
+    if (!replayClaim.claimed) {
+      await markQuoteFailed(quoteId, 'REPLAY_DETECTED', replayClaim.reason);
       return res.status(409).json({
         error: 'Transaction already submitted',
         code: 'REPLAY_DETECTED',
+        details: replayClaim.reason,
       });
     }
 
     // =========================================================================
-    // 5. Validate transaction
+    // 6. Co-sign: add fee payer signature (legacy or v0)
     // =========================================================================
-    const validation = validator.validateTransaction(transaction, quote);
-    if (!validation.valid) {
-      await redis.releaseTransactionSlot(txHash);
+    const tx = feePayer.coSign(validation.transaction, quoteFeePayer);
+
+    // =========================================================================
+    // 7. Simulate: fee payer may only lose network + priority fee
+    // =========================================================================
+    const maxFeeLamports =
+      config.NETWORK_FEE_LAMPORTS * validator.getRequiredSignatureCount(tx) +
+      (quote.priorityFeeLamports || 0);
+    const simResult = await simulation.simulateWithBalanceCheck(tx, {
+      feePayer: quoteFeePayer,
+      maxFeeLamports,
+    });
+    if (!simResult.success) {
+      await replayProtection.release(replayClaim);
+      logger.warn('SUBMIT', 'Simulation rejected transaction', {
+        quoteId,
+        reason: simResult.reason,
+        feePayerDelta: simResult.feePayerDelta,
+      });
+      await markQuoteFailed(quoteId, 'SIMULATION_REJECTED', simResult.error);
       return res.status(400).json({
-        error: 'Transaction validation failed',
-        code: 'VALIDATION_FAILED',
-        details: validation.error,
+        error: simResult.error,
+        code: 'SIMULATION_REJECTED',
+        details: {
+          reason: simResult.reason,
+          feePayerDelta: simResult.feePayerDelta,
+          maxFeeLamports: simResult.maxFeeLamports,
+          tokenDeltas: simResult.tokenDeltas,
+          simulationError: simResult.simulationError || null,
+          logs: simResult.logs,
+        },
       });
     }
 
-    // =========================================================================
-    // 6. Co-sign: deserialize, add fee payer signature
-    // =========================================================================
-    const tx = VersionedTransaction.deserialize(txBuffer);
-    tx.sign([feePayer.getFeePayer()]);
     const serialized = tx.serialize();
+    await redis.updateQuoteLifecycle(quoteId, {
+      status: QUOTE_STATUS.SUBMITTED,
+      signature: validator.getTransactionSignature(tx),
+      submittedAt: Date.now(),
+    });
 
     // =========================================================================
-    // 7. Submit via Helius — NEVER raw connection.sendTransaction()
+    // 8. Submit: Jito bundle + fee payer tip (mainnet), else / fallback Helius
+    //    NEVER raw connection.sendTransaction()
     // =========================================================================
-    const result = await helius.sendAndConfirmTransaction(serialized, {
-      skipPreflight: true,
-    });
+    let result = null;
+    try {
+      if (quote.jitoTipLamports && jito.isEnabled()) {
+        const { blockhash } = await helius.getConnection().getLatestBlockhash('confirmed');
+        const bundle = await jito.sendBundleWithTip(tx, {
+          tipPayer: feePayer.getFeePayer(quoteFeePayer),
+          tipLamports: quote.jitoTipLamports,
+          recentBlockhash: blockhash,
+        });
+        if (bundle.landed) {
+          result = { signature: bundle.signature, bundleId: bundle.bundleId };
+        } else {
+          logger.warn('SUBMIT', 'Jito bundle not landed, falling back to Helius', {
+            quoteId,
+            bundleId: bundle.bundleId,
+            error: bundle.error,
+          });
+        }
+      }
+
+      // Preflight skipped — already simulated above
+      if (!result) {
+        const nonceInfo = validator.detectDurableNonce(tx);
+        result = await helius.sendAndConfirmTransaction(serialized, {
+          skipPreflight: true,
+          ...(nonceInfo.isDurableNonce && {
+            durableNonce: {
+              nonceAccount: nonceInfo.nonceAccount,
+              nonceValue: validator.getTransactionBlockhash(tx),
+            },
+          }),
+        });
+      }
+    } catch (err) {
+      feePayerPool.recordFailure(quoteFeePayer);
+      throw err;
+    }
+    feePayerPool.recordSuccess(quoteFeePayer);
 
     // =========================================================================
-    // 8. Record velocity + stats
+    // 9. Record lifecycle, velocity + stats
     // =========================================================================
+    await redis.updateQuoteLifecycle(quoteId, {
+      status: QUOTE_STATUS.CONFIRMED,
+      signature: result.signature,
+      ...(result.bundleId && { bundleId: result.bundleId }),
+      confirmedAt: Date.now(),
+    });
     await redis.recordTransactionVelocity(quote.feeAmountLamports);
     await redis.incrTxCount();
+    // SOL fees land in the treasury's own balance — the burn worker swaps them to
+    // $ASDF, but only when the treasury is the fee payer whose key it signs with
+    if (
+      quote.paymentToken === config.WSOL_MINT &&
+      quote.treasuryAddress === feePayer.getPublicKey().toBase58()
+    ) {
+      await redis.addPendingSwap(parseInt(quote.feeAmount));
+    }
 
     logger.info('SUBMIT', 'Transaction submitted', {
       quoteId,
       signature: result.signature,
+      bundleId: result.bundleId || null,
       userPubkey: quote.userPubkey ? quote.userPubkey.slice(0, 8) : 'unknown',
     });
 
     // =========================================================================
-    // 9. Response — ALWAYS orbmarkets.io explorer links
+    // 10. Response — ALWAYS orbmarkets.io explorer links
     // =========================================================================
     res.json({
       signature: result.signature,
       explorer: `${EXPLORER_BASE}/tx/${result.signature}`,
       confirmed: true,
+      ...(result.bundleId && { bundleId: result.bundleId }),
     });
   } catch (error) {
     logger.error('SUBMIT', 'Failed to submit transaction', { error: error.message });
+    if (claimedQuoteId) {
+      await markQuoteFailed(claimedQuoteId, 'SUBMIT_FAILED', error.message);
+    }
     res.status(500).json({
       error: 'Failed to submit transaction',
       code: 'SUBMIT_FAILED',
@@ -0,0 +1,104 @@
+/**
+ * Burn Policy — when and how much the burn worker swaps
+ *
+ * - Thresholds: a fee balance is swapped once worth BURN_THRESHOLD_LAMPORTS,
+ *   or the token's own burnThresholdAmount from the registry (raw units)
+ * - Schedule: BURN_SCHEDULE batches runs (continuous, hourly, daily)
+ * - Slippage: swaps are halved until Jupiter's price impact is within
+ *   BURN_MAX_PRICE_IMPACT_PCT, and capped at BURN_MAX_SWAP_LAMPORTS. One chunk
+ *   per token per run; the remainder keeps the worker running every cycle
+ *   until it's gone (TWAP), whatever the schedule.
+ */
+
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+const jupiter = require('./jupiter');
+const tokenRegistry = require('./token-registry');
+
+const SCHEDULE_PERIODS_MS = {
+  continuous: 0,
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+};
+
+// Halvings before giving up on a swap too big for the pool (1/32 of the balance)
+const MAX_CHUNK_HALVINGS = 5;
+
+/**
+ * @returns {Promise<boolean>} Whether the schedule allows a burn run now
+ */
+async function isBurnDue() {
+  const period = SCHEDULE_PERIODS_MS[config.BURN_SCHEDULE] ?? 0;
+  if (period === 0) return true;
+  return Date.now() - (await redis.getLastBurnRun()) >= period;
+}
+
+/** Record a completed run: the next one waits for the schedule. */
+async function markBurnRun() {
+  await redis.setLastBurnRun(Date.now());
+}
+
+/**
+ * Value of `lamports` in raw units of a token (Jupiter price).
+ * @returns {Promise<number>}
+ */
+async function solValueInToken(mint, lamports) {
+  if (mint === config.WSOL_MINT) return lamports;
+  const { inputAmount } = await jupiter.getFeeInToken(mint, lamports);
+  return inputAmount;
+}
+
+/**
+ * Balance a token must reach before it is swapped and burned.
+ * @param {string} mint
+ * @returns {Promise<number>} Raw token units
+ */
+async function getBurnThreshold(mint) {
+  const override = tokenRegistry.getToken(mint)?.burnThresholdAmount;
+  if (override !== null && override !== undefined) {
+    return Number(override);
+  }
+  return solValueInToken(mint, config.BURN_THRESHOLD_LAMPORTS);
+}
+
+/**
+ * Size the next swap of a fee balance: capped at BURN_MAX_SWAP_LAMPORTS of
+ * value, then halved until the quote's price impact is acceptable.
+ * @param {string} mint - Token being swapped
+ * @param {number} balance - Raw units available
+ * @param {number} minAmount - Smallest chunk worth swapping (the burn threshold)
+ * @param {(amount: number) => Promise<Object>} quoteFor - Jupiter quote for an amount
+ * @returns {Promise<{amount: number, quote: Object, priceImpactPct: number}|null>}
+ *   null if no chunk of at least minAmount is within the price impact limit
+ */
+async function planSwap(mint, balance, minAmount, quoteFor) {
+  let amount = balance;
+  if (config.BURN_MAX_SWAP_LAMPORTS > 0) {
+    amount = Math.min(amount, await solValueInToken(mint, config.BURN_MAX_SWAP_LAMPORTS));
+  }
+
+  for (let i = 0; i <= MAX_CHUNK_HALVINGS && amount >= minAmount; i++) {
+    const quote = await quoteFor(amount);
+    // Jupiter reports price impact as a fraction (0.01 = 1%)
+    const priceImpactPct = (parseFloat(quote.priceImpactPct) || 0) * 100;
+    if (priceImpactPct <= config.BURN_MAX_PRICE_IMPACT_PCT) {
+      return { amount, quote, priceImpactPct };
+    }
+    amount = Math.floor(amount / 2);
+  }
+
+  logger.warn('BURN_POLICY', 'No swap within the price impact limit, waiting', {
+    mint: mint.slice(0, 8),
+    balance,
+    maxPriceImpactPct: config.BURN_MAX_PRICE_IMPACT_PCT,
+  });
+  return null;
+}
+
+module.exports = {
+  isBurnDue,
+  markBurnRun,
+  getBurnThreshold,
+  planSwap,
+};
@@ -0,0 +1,92 @@
+/**
+ * Burn Verifier — cross-checks a recorded burn proof against the chain
+ *
+ * Re-fetches the burn transaction from RPC and looks for a BurnChecked of the
+ * $ASDF mint for exactly the recorded amount, so a burn receipt never has to
+ * be taken on our word.
+ */
+
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
+const bs58 = require('bs58').default;
+const { MINTS } = require('../constants');
+const helius = require('./helius');
+
+// Token program instruction index (spl-token TokenInstruction.BurnChecked)
+const BURN_CHECKED = 15;
+const ASDF_DECIMALS = 6;
+
+/**
+ * Decode the BurnChecked instructions of a transaction (top-level and inner).
+ * Accounts: [token account, mint, owner]; data: u8 index, u64 amount, u8 decimals.
+ * @returns {Array<{mint: string, amount: bigint, decimals: number}>}
+ */
+function findBurnChecked(tx) {
+  const { message } = tx.transaction;
+  const accountKeys = message.getAccountKeys({ accountKeysFromLookups: tx.meta.loadedAddresses });
+  const tokenPrograms = [TOKEN_PROGRAM_ID.toBase58(), TOKEN_2022_PROGRAM_ID.toBase58()];
+
+  const instructions = [
+    ...message.compiledInstructions.map((ix) => ({ ...ix, data: Buffer.from(ix.data) })),
+    ...(tx.meta.innerInstructions || []).flatMap(({ instructions: inner }) =>
+      inner.map((ix) => ({
+        programIdIndex: ix.programIdIndex,
+        accountKeyIndexes: ix.accounts,
+        data: Buffer.from(bs58.decode(ix.data)),
+      }))
+    ),
+  ];
+
+  return instructions
+    .filter(
+      (ix) =>
+        tokenPrograms.includes(accountKeys.get(ix.programIdIndex)?.toBase58()) &&
+        ix.data.length === 10 &&
+        ix.data[0] === BURN_CHECKED
+    )
+    .map((ix) => ({
+      mint: accountKeys.get(ix.accountKeyIndexes[1]).toBase58(),
+      amount: ix.data.readBigUInt64LE(1),
+      decimals: ix.data[9],
+    }));
+}
+
+/**
+ * @param {{ burnSignature: string, amountBurned: number }} proof - Recorded burn proof
+ * @returns {Promise<{verified: boolean, reason: string|null, onChain: {slot: number, blockTime: number|null, success: boolean, amountBurned: number}|null}>}
+ *   amountBurned is the $ASDF burned in the transaction (UI units)
+ */
+async function verifyBurn(proof) {
+  const tx = await helius.getConnection().getTransaction(proof.burnSignature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0,
+  });
+  if (!tx?.meta) {
+    return { verified: false, reason: 'Transaction not found on-chain', onChain: null };
+  }
+
+  const asdfBurns = findBurnChecked(tx).filter(
+    (burn) => burn.mint === MINTS.ASDF && burn.decimals === ASDF_DECIMALS
+  );
+  const burned = asdfBurns.reduce((sum, burn) => sum + burn.amount, 0n);
+  const expected = BigInt(Math.round(proof.amountBurned * 10 ** ASDF_DECIMALS));
+
+  const onChain = {
+    slot: tx.slot,
+    blockTime: tx.blockTime ?? null,
+    success: tx.meta.err === null,
+    amountBurned: Number(burned) / 10 ** ASDF_DECIMALS,
+  };
+
+  let reason = null;
+  if (!onChain.success) {
+    reason = 'Transaction failed on-chain';
+  } else if (asdfBurns.length === 0) {
+    reason = 'No BurnChecked of the $ASDF mint';
+  } else if (burned !== expected) {
+    reason = 'Burned amount does not match the recorded amount';
+  }
+
+  return { verified: reason === null, reason, onChain };
+}
+
+module.exports = { verifyBurn, findBurnChecked };
@@ -1,12 +1,25 @@
-const { PublicKey } = require('@solana/web3.js');
-const { createBurnCheckedInstruction, getAssociatedTokenAddress, getAccount } = require('@solana/spl-token');
+const { PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const {
+  createBurnCheckedInstruction,
+  getAssociatedTokenAddress,
+  getAccount,
+} = require('@solana/spl-token');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
 const redis = require('../utils/redis');
-const { MINTS, GOLDEN_BURN_RATIO, GOLDEN_TREASURY_RATIO } = require('../constants');
+const { MINTS } = require('../constants');
 const helius = require('./helius');
 const feePayer = require('./fee-payer');
+const feePayerPool = require('./fee-payer-pool');
 const jupiter = require('./jupiter');
+const mintInfo = require('./mint-info');
+const burnPolicy = require('./burn-policy');
+const tokenRegistry = require('./token-registry');
+
+// Burns and refills both swap treasury stablecoins: one lock keeps a burn on
+// one replica from swapping what a refill on another is about to spend
+const TREASURY_LOCK = 'treasury-swaps';
 
 let burnInterval = null;
 
@@ -22,92 +35,110 @@ function stopBurnWorker() {
 }
 
 async function runBurnCycle() {
-  // Use distributed lock to prevent concurrent burns
-  const result = await redis.withLock('burn-worker', async () => {
-    const kp = feePayer.getFeePayer();
-    const connection = helius.getConnection();
-    const treasuryPubkey = kp.publicKey;
-
-    // Check each whitelisted stablecoin balance in treasury
-    // For USDC/USDT/PYUSD: swap to $ASDF via Jupiter, then burn
-    // For $ASDF: burn directly (keep small fraction for SOL refill)
+  // Use distributed lock to prevent concurrent burns (and refills)
+  const result = await redis.withLock(
+    TREASURY_LOCK,
+    async () => {
+      // Hourly/daily schedules batch fees into fewer, larger runs
+      if (!(await burnPolicy.isBurnDue())) {
+        return { skipped: 'schedule' };
+      }
 
-    // 1. Check $ASDF balance first (direct burn path)
-    const asdfAta = await getAssociatedTokenAddress(
-      new PublicKey(MINTS.ASDF),
-      treasuryPubkey
-    );
+      const kp = feePayer.getFeePayer();
+      const connection = helius.getConnection();
+      const treasuryPubkey = kp.publicKey;
+      let unfinished = false;
 
-    try {
-      const asdfAccount = await getAccount(connection, asdfAta);
-      const asdfBalance = Number(asdfAccount.amount);
-
-      if (asdfBalance > 0) {
-        // Burn the $ASDF directly
-        const burnIx = createBurnCheckedInstruction(
-          asdfAta,
-          new PublicKey(MINTS.ASDF),
-          treasuryPubkey,
-          asdfBalance,
-          6 // decimals
-        );
+      // Dual burn channel (ARCHITECTURE.md):
+      // - $ASDF paid as fees: 100% burned, zero treasury cut
+      // - USDC/USDT/PYUSD/SOL fees: swapped to $ASDF via Jupiter, then split
+      //   BURN_RATIO (76.4%) burned / the rest (23.6%) retained
 
-        const signature = await helius.sendSmartTransaction([burnIx], [kp]);
-
-        const burnedAmount = asdfBalance / 1e6;
-        await redis.incrBurnTotal(burnedAmount);
-        await redis.recordBurnProof({
-          burnSignature: signature,
-          amountBurned: burnedAmount,
-          method: 'direct',
-          network: config.USE_MAINNET ? 'mainnet-beta' : 'devnet',
-        });
-
-        logger.info('BURN_WORKER', 'Burned $ASDF', {
-          amount: burnedAmount,
-          signature,
-          explorer: `https://orbmarkets.io/tx/${signature}`,
-        });
-      }
-    } catch (err) {
-      // ATA might not exist yet, that's fine
-      if (!err.message?.includes('could not find account')) {
-        logger.warn('BURN_WORKER', 'ASDF burn check failed', { error: err.message });
-      }
-    }
+      // 1. Direct burn: the $ASDF ATA minus the treasury share retained there,
+      //    once worth the $ASDF burn threshold (like every other channel)
+      const asdfAta = await getAssociatedTokenAddress(new PublicKey(MINTS.ASDF), treasuryPubkey);
 
-    // 2. Check stablecoin balances (USDC, USDT, PYUSD)
-    const stablecoins = [MINTS.USDC, MINTS.USDT, MINTS.PYUSD];
-    for (const mint of stablecoins) {
       try {
-        const ata = await getAssociatedTokenAddress(new PublicKey(mint), treasuryPubkey);
-        const account = await getAccount(connection, ata);
-        const balance = Number(account.amount);
-
-        // Minimum $0.50 threshold (500000 for 6-decimal tokens)
-        if (balance < 500_000) continue;
+        const asdfAccount = await getAccount(connection, asdfAta);
+        const retained = await reconcileRetainedAsdf(asdfAccount.amount);
+        const burnable = asdfAccount.amount - retained;
+        const threshold = BigInt(Math.ceil(await burnPolicy.getBurnThreshold(MINTS.ASDF)));
+        const due = burnable > 0n && burnable >= threshold;
 
-        // Swap stablecoin -> $ASDF via Jupiter
-        const quote = await jupiter.getTokenToAsdfQuote(mint, balance);
-        if (quote.noSwapNeeded) continue;
+        if (due && config.BURN_DRY_RUN) {
+          logger.info('BURN_WORKER', 'Dry run: would burn $ASDF', {
+            amount: Number(burnable) / 1e6,
+          });
+        } else if (due) {
+          const signature = await burnAsdf(kp, burnable);
 
-        const swapTx = await jupiter.getSwapTransaction(quote, treasuryPubkey.toBase58());
-        // Execute the swap... (Jupiter returns serialized tx)
-        // Then burn the received $ASDF
+          const burnedAmount = Number(burnable) / 1e6;
+          await redis.incrBurnTotal(burnedAmount);
+          await redis.recordBurnProof({
+            burnSignature: signature,
+            amountBurned: burnedAmount,
+            treasuryAmount: 0,
+            method: 'direct',
+            network: config.USE_MAINNET ? 'mainnet-beta' : 'devnet',
+          });
+          await redis.recordTreasuryEvent({
+            type: 'burn',
+            channel: 'direct',
+            burnAmount: burnedAmount,
+            treasuryAmount: 0,
+            burnSignature: signature,
+          });
 
-        logger.info('BURN_WORKER', 'Stablecoin swap initiated', {
-          mint: mint.slice(0, 8),
-          balance: balance / 1e6,
-        });
+          logger.info('BURN_WORKER', 'Burned $ASDF', {
+            amount: burnedAmount,
+            signature,
+            explorer: `https://orbmarkets.io/tx/${signature}`,
+          });
+        }
       } catch (err) {
+        // ATA might not exist yet, that's fine
         if (!err.message?.includes('could not find account')) {
-          logger.warn('BURN_WORKER', 'Stablecoin check failed', { mint: mint.slice(0, 8), error: err.message });
+          logger.warn('BURN_WORKER', 'ASDF burn check failed', { error: err.message });
         }
       }
-    }
 
-    return { success: true };
-  }, 120); // 120s lock TTL
+      // Gas comes first: while a fee payer runs low, stablecoin and SOL fees are
+      // left to the refill worker
+      const refillPending =
+        !config.REFILL_DISABLED && feePayerPool.getPayersNeedingRefill().length > 0;
+      if (refillPending) {
+        logger.info('BURN_WORKER', 'Fee payer refill pending, keeping stablecoin and SOL fees');
+      }
+
+      // 2. Token fees (every registry token but $ASDF and WSOL): swap to $ASDF,
+      // split what was received
+      if (!refillPending) {
+        for (const mint of tokenRegistry.listSwappableMints()) {
+          try {
+            if ((await swapAndBurnStablecoin(kp, mint)) > 0) unfinished = true;
+          } catch (err) {
+            if (!err.message?.includes('could not find account')) {
+              logger.warn('BURN_WORKER', 'Stablecoin swap-and-burn failed', {
+                mint: mint.slice(0, 8),
+                error: err.message,
+              });
+            }
+          }
+        }
+      }
+
+      // 3. SOL fees: swap the accumulated amount to $ASDF, split what was received
+      if (!refillPending && (await swapSolFees(kp)) > 0) unfinished = true;
+
+      // A chunked swap goes on next cycle (TWAP); otherwise wait for the schedule
+      if (!unfinished && !config.BURN_DRY_RUN) {
+        await burnPolicy.markBurnRun();
+      }
+
+      return { success: true };
+    },
+    120
+  ); // 120s lock TTL
 
   if (!result.success && result.error === 'LOCK_HELD') {
     logger.debug('BURN_WORKER', 'Skipping — lock held by another instance');
@@ -116,4 +147,393 @@ async function runBurnCycle() {
   }
 }
 
-module.exports = { startBurnWorker, stopBurnWorker };
+/**
+ * The treasury's retained $ASDF, capped by what the ATA actually holds (an
+ * operator may have moved some out). Before it was tracked, the cumulative
+ * treasury total stands in for it.
+ * @param {bigint} ataAmount - $ASDF in the treasury ATA (raw units)
+ * @returns {Promise<bigint>} Retained $ASDF (raw units)
+ */
+async function reconcileRetainedAsdf(ataAmount) {
+  const tracked = await redis.getRetainedAsdf();
+  const retained =
+    tracked !== null
+      ? BigInt(tracked)
+      : BigInt(Math.round((await redis.getTreasuryBalance()) * 1e6));
+  const balance = retained < ataAmount ? retained : ataAmount;
+
+  if (tracked === null || balance !== retained) {
+    await redis.setRetainedAsdf(Number(balance));
+    if (tracked !== null) {
+      logger.info('BURN_WORKER', 'Retained $ASDF left the treasury ATA, balance adjusted', {
+        from: Number(retained) / 1e6,
+        to: Number(balance) / 1e6,
+      });
+    }
+  }
+  return balance;
+}
+
+/**
+ * Swap the treasury's balance of a stablecoin to $ASDF (one chunk, see
+ * burn-policy.js), then split exactly the $ASDF the swap delivered. If the
+ * burn fails, the $ASDF stays in the treasury ATA and step 1 burns it next
+ * cycle (without the swap link).
+ * @param {import('@solana/web3.js').Keypair} kp - Treasury
+ * @param {string} mint
+ * @returns {Promise<number>} Balance left for the next chunk (raw units)
+ */
+async function swapAndBurnStablecoin(kp, mint) {
+  const connection = helius.getConnection();
+  const treasuryPubkey = kp.publicKey;
+
+  // PYUSD is a Token-2022 mint
+  const { programId } = await mintInfo.getMintInfo(mint);
+  const ata = await getAssociatedTokenAddress(
+    new PublicKey(mint),
+    treasuryPubkey,
+    false,
+    programId
+  );
+  const account = await getAccount(connection, ata, 'confirmed', programId);
+  const balance = Number(account.amount);
+
+  const threshold = await burnPolicy.getBurnThreshold(mint);
+  if (balance < threshold) return 0;
+
+  const plan = await burnPolicy.planSwap(mint, balance, threshold, (amount) =>
+    jupiter.getTokenToAsdfQuote(mint, amount)
+  );
+  if (!plan || plan.quote.noSwapNeeded) return 0;
+  const { amount, quote } = plan;
+
+  if (config.BURN_DRY_RUN) {
+    logDryRun(mint, amount, plan);
+    return balance - amount;
+  }
+
+  const swapSignature = await executeSwap(kp, quote);
+  const received = await getTokenBalanceChange(
+    connection,
+    swapSignature,
+    MINTS.ASDF,
+    treasuryPubkey.toBase58()
+  );
+  if (received <= 0n) {
+    throw new Error(`Swap ${swapSignature} delivered no $ASDF`);
+  }
+
+  const { burnSignature, burnAmount } = await splitAndBurn(kp, received, {
+    swapSignature,
+    inputMint: mint,
+    inputAmount: amount,
+  });
+
+  logger.info('BURN_WORKER', 'Swapped stablecoin fees to $ASDF and burned', {
+    mint: mint.slice(0, 8),
+    swapped: amount / 1e6,
+    remaining: (balance - amount) / 1e6,
+    burned: burnAmount,
+    swapSignature,
+    burnSignature,
+    explorer: `https://orbmarkets.io/tx/${burnSignature}`,
+  });
+  return balance - amount;
+}
+
+/**
+ * Log what a swap would burn, from the quote's expected output.
+ */
+function logDryRun(inputMint, inputAmount, { quote, priceImpactPct }) {
+  const { burnRaw, treasuryRaw } = splitAmounts(BigInt(quote.outAmount));
+  logger.info('BURN_WORKER', 'Dry run: would swap to $ASDF and burn', {
+    mint: inputMint.slice(0, 8),
+    inputAmount,
+    priceImpactPct,
+    expectedAsdf: Number(quote.outAmount) / 1e6,
+    burn: Number(burnRaw) / 1e6,
+    treasury: Number(treasuryRaw) / 1e6,
+  });
+}
+
+/**
+ * Golden-ratio split of swapped fees: burn BURN_RATIO (76.4%) of the $ASDF a
+ * swap delivered, retain the rest for operations. The retained share stays
+ * in the $ASDF ATA (tracked as the retained balance, so step 1 leaves it alone)
+ * or, with TREASURY_SHARE_TO_SOL, is swapped to SOL for fee payer gas.
+ * @param {import('@solana/web3.js').Keypair} kp - Treasury
+ * @param {bigint} amount - $ASDF received (raw units)
+ * @param {{ swapSignature: string, inputMint: string, inputAmount: number }} source
+ * @returns {Promise<{ burnSignature: string, burnAmount: number, treasuryAmount: number }>}
+ */
+async function splitAndBurn(kp, amount, { swapSignature, inputMint, inputAmount }) {
+  const { burnRaw, treasuryRaw } = splitAmounts(amount);
+
+  const burnSignature = await burnAsdf(kp, burnRaw);
+  const burnAmount = Number(burnRaw) / 1e6;
+  const treasuryAmount = Number(treasuryRaw) / 1e6;
+
+  await redis.incrBurnTotal(burnAmount);
+  await redis.recordBurnProof({
+    burnSignature,
+    swapSignature,
+    amountBurned: burnAmount,
+    treasuryAmount,
+    inputMint,
+    inputAmount,
+    method: 'jupiter',
+    network: config.USE_MAINNET ? 'mainnet-beta' : 'devnet',
+  });
+
+  const retained = await retainTreasuryShare(kp, treasuryRaw);
+  await redis.recordTreasuryEvent({
+    type: 'burn',
+    channel: 'swap',
+    inputMint,
+    burnAmount,
+    treasuryAmount,
+    burnSignature,
+    swapSignature,
+    ...retained,
+  });
+
+  return { burnSignature, burnAmount, treasuryAmount };
+}
+
+/**
+ * @param {bigint} amount - $ASDF (raw units)
+ * @returns {{ burnRaw: bigint, treasuryRaw: bigint }}
+ */
+function splitAmounts(amount) {
+  const burnRaw = (amount * BigInt(Math.round(config.BURN_RATIO * 10_000))) / 10_000n;
+  return { burnRaw, treasuryRaw: amount - burnRaw };
+}
+
+/**
+ * Keep the treasury share as $ASDF, or swap it to SOL when
+ * TREASURY_SHARE_TO_SOL is set. A failed SOL swap falls back to keeping $ASDF.
+ * @returns {Promise<{ retainedAs: string, refillSignature?: string, solAmount?: number }>}
+ */
+async function retainTreasuryShare(kp, amount) {
+  if (amount <= 0n) return { retainedAs: 'ASDF' };
+
+  if (config.TREASURY_SHARE_TO_SOL) {
+    try {
+      const quote = await jupiter.getTokenToSolQuote(MINTS.ASDF, Number(amount));
+      const refillSignature = await executeSwap(kp, quote);
+      return { retainedAs: 'SOL', refillSignature, solAmount: Number(quote.outAmount) / 1e9 };
+    } catch (err) {
+      logger.warn('BURN_WORKER', 'Treasury share SOL swap failed, keeping $ASDF', {
+        error: err.message,
+      });
+    }
+  }
+
+  await redis.incrTreasuryTotal(Number(amount) / 1e6);
+  await redis.incrRetainedAsdf(Number(amount));
+  return { retainedAs: 'ASDF' };
+}
+
+/**
+ * Burn $ASDF from the treasury ATA.
+ * @param {import('@solana/web3.js').Keypair} kp - Treasury
+ * @param {bigint} amount - Raw units
+ * @returns {Promise<string>} Burn signature
+ */
+async function burnAsdf(kp, amount) {
+  const asdfAta = await getAssociatedTokenAddress(new PublicKey(MINTS.ASDF), kp.publicKey);
+  const burnIx = createBurnCheckedInstruction(
+    asdfAta,
+    new PublicKey(MINTS.ASDF),
+    kp.publicKey,
+    amount,
+    6 // decimals
+  );
+  return helius.sendSmartTransaction([burnIx], [kp]);
+}
+
+/**
+ * Build a Jupiter swap and sign it with the treasury key (not sent).
+ * @returns {Promise<{serialized: Uint8Array, signature: string, blockhash: string}>}
+ */
+async function signSwap(kp, quote) {
+  const { swapTransaction } = await jupiter.getSwapTransaction(quote, kp.publicKey.toBase58());
+  const swapTx = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+  swapTx.sign([kp]);
+  return {
+    serialized: swapTx.serialize(),
+    signature: bs58.encode(swapTx.signatures[0]),
+    blockhash: swapTx.message.recentBlockhash,
+  };
+}
+
+/**
+ * Sign a Jupiter swap with the treasury key, send it and wait for confirmation.
+ * @returns {Promise<string>} Swap signature
+ */
+async function executeSwap(kp, quote) {
+  const { serialized } = await signSwap(kp, quote);
+  const { signature } = await helius.sendAndConfirmTransaction(serialized);
+  return signature;
+}
+
+/**
+ * Whether a transaction whose send or confirmation failed is known not to
+ * have landed: it failed on-chain, or it was never seen and its blockhash has
+ * expired. Unknown (RPC errors, still landable) counts as landed.
+ * @returns {Promise<boolean>}
+ */
+async function isKnownNotLanded(signature, blockhash) {
+  try {
+    const connection = helius.getConnection();
+    const { value: status } = await connection.getSignatureStatus(signature, {
+      searchTransactionHistory: true,
+    });
+    if (status) return !!status.err;
+
+    const { value: blockhashValid } = await connection.isBlockhashValid(blockhash, {
+      commitment: 'confirmed',
+    });
+    return !blockhashValid;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * How much of `mint` an owner's token accounts gained in a confirmed
+ * transaction, from its pre/post token balances (raw units).
+ * @returns {Promise<bigint>}
+ */
+async function getTokenBalanceChange(connection, signature, mint, owner) {
+  const tx = await connection.getTransaction(signature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0,
+  });
+  if (!tx?.meta) {
+    throw new Error(`Transaction not found: ${signature}`);
+  }
+
+  const total = (balances = []) =>
+    balances
+      .filter((b) => b.mint === mint && b.owner === owner)
+      .reduce((sum, b) => sum + BigInt(b.uiTokenAmount.amount), 0n);
+  return total(tx.meta.postTokenBalances) - total(tx.meta.preTokenBalances);
+}
+
+/**
+ * How many lamports an account gained in a confirmed transaction, net of the
+ * transaction fee when it paid it.
+ * @returns {Promise<number>}
+ */
+async function getSolBalanceChange(connection, signature, owner) {
+  const tx = await connection.getTransaction(signature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0,
+  });
+  if (!tx?.meta) {
+    throw new Error(`Transaction not found: ${signature}`);
+  }
+
+  const index = tx.transaction.message
+    .getAccountKeys({ accountKeysFromLookups: tx.meta.loadedAddresses })
+    .keySegments()
+    .flat()
+    .findIndex((key) => key.toBase58() === owner);
+  if (index === -1) return 0;
+  return tx.meta.postBalances[index] - tx.meta.preBalances[index];
+}
+
+/**
+ * Swap SOL fees to $ASDF (one chunk, see burn-policy.js) and split them. They
+ * sit in the treasury's own SOL balance (next to what it spends on gas), so
+ * only the amount tracked by /v1/submit is swapped. With a separate
+ * TREASURY_ADDRESS the fees never reach this key: nothing is swapped.
+ * @param {import('@solana/web3.js').Keypair} kp - Treasury
+ * @returns {Promise<number>} Lamports left for the next chunk
+ */
+async function swapSolFees(kp) {
+  if (config.TREASURY_ADDRESS && config.TREASURY_ADDRESS !== kp.publicKey.toBase58()) {
+    return 0;
+  }
+
+  try {
+    const pendingLamports = Math.floor(await redis.getPendingSwapAmount());
+
+    const threshold = await burnPolicy.getBurnThreshold(config.WSOL_MINT);
+    if (pendingLamports < threshold) return 0;
+
+    const plan = await burnPolicy.planSwap(config.WSOL_MINT, pendingLamports, threshold, (amount) =>
+      jupiter.swapToAsdf(amount)
+    );
+    if (!plan) return 0;
+    const { amount, quote } = plan;
+
+    if (config.BURN_DRY_RUN) {
+      logDryRun(config.WSOL_MINT, amount, plan);
+      return pendingLamports - amount;
+    }
+
+    // Decrement before sending (rather than reset: fees may arrive during the
+    // swap). A swap that lands after a confirmation error must not be counted
+    // again, so the amount only goes back once the swap is known not to land.
+    const swap = await signSwap(kp, quote);
+    await redis.addPendingSwap(-amount);
+    let swapSignature;
+    try {
+      ({ signature: swapSignature } = await helius.sendAndConfirmTransaction(swap.serialized));
+    } catch (err) {
+      if (await isKnownNotLanded(swap.signature, swap.blockhash)) {
+        await redis.addPendingSwap(amount);
+      } else {
+        logger.error(
+          'BURN_WORKER',
+          'SOL fee swap confirmation failed but it may have landed, not re-queued',
+          {
+            sol: amount / 1e9,
+            swapSignature: swap.signature,
+          }
+        );
+      }
+      throw err;
+    }
+
+    const received = await getTokenBalanceChange(
+      helius.getConnection(),
+      swapSignature,
+      MINTS.ASDF,
+      kp.publicKey.toBase58()
+    );
+    if (received <= 0n) {
+      throw new Error(`Swap ${swapSignature} delivered no $ASDF`);
+    }
+
+    const { burnSignature, burnAmount } = await splitAndBurn(kp, received, {
+      swapSignature,
+      inputMint: config.WSOL_MINT,
+      inputAmount: amount,
+    });
+
+    logger.info('BURN_WORKER', 'Swapped SOL fees to $ASDF and burned', {
+      sol: amount / 1e9,
+      remaining: (pendingLamports - amount) / 1e9,
+      burned: burnAmount,
+      swapSignature,
+      burnSignature,
+      explorer: `https://orbmarkets.io/tx/${burnSignature}`,
+    });
+    return pendingLamports - amount;
+  } catch (err) {
+    logger.warn('BURN_WORKER', 'SOL fee swap failed', { error: err.message });
+    return 0;
+  }
+}
+
+module.exports = {
+  startBurnWorker,
+  stopBurnWorker,
+  runBurnCycle,
+  executeSwap,
+  getSolBalanceChange,
+  TREASURY_LOCK,
+};
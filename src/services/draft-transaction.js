@@ -0,0 +1,210 @@
+/**
+ * Draft Transactions — transaction-aware quoting
+ *
+ * Clients may post the unsigned transaction they are about to send with
+ * /v1/quote. We simulate it for real compute units, hand its writable
+ * accounts to the Helius priority fee estimate (hot accounts cost more), and
+ * measure the size it will have once /v1/prepare adds our fee payer, compute
+ * budget and fee payment — before the user signs anything.
+ */
+
+const {
+  ComputeBudgetProgram,
+  PublicKey,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const validator = require('./validator');
+const simulation = require('./simulation');
+const feePayer = require('./fee-payer');
+const txBuilder = require('./tx-builder');
+const alt = require('../utils/alt');
+const { MAX_TX_SIZE } = require('../constants');
+
+// SPL TransferChecked costs ~6.2k CU; a draft usually doesn't carry the payment yet
+const FEE_PAYMENT_COMPUTE_UNITS = 6_500;
+// Headroom over simulated usage — state may change before the tx lands
+const COMPUTE_UNIT_MARGIN = 1.1;
+const MAX_COMPUTE_UNITS = 1_400_000;
+const SET_COMPUTE_UNIT_LIMIT_DISCRIMINATOR = 2; // u32 units
+
+/**
+ * Analyze a draft transaction for a quote.
+ *
+ * @param {string} txBase64 - Unsigned (or partially signed) draft, base64
+ * @param {Object} context
+ * @param {string[]} context.feePayers - Pool payers the quote may be issued with (one replaces the draft's payer)
+ * @param {string} context.userPubkey
+ * @param {string} context.paymentToken - Fee token mint
+ * @param {string} context.treasuryAddress
+ * @param {string} context.treasuryAta - Fee destination (treasury address for SOL); if present the draft already pays
+ * @returns {Promise<{ valid: boolean, code?: string, error?: string, details?: Object, computeUnits?: number, unitsConsumed?: number, writableAccounts?: string[], size?: number, maxSize: number }>}
+ */
+async function analyzeDraft(txBase64, context) {
+  let transaction;
+  try {
+    transaction = validator.deserializeTransaction(txBase64);
+  } catch (err) {
+    return {
+      valid: false,
+      code: 'INVALID_DRAFT_TRANSACTION',
+      error: `Failed to deserialize draft transaction: ${err.message}`,
+      maxSize: MAX_TX_SIZE,
+    };
+  }
+
+  // --- Accounts (lookup tables resolved) -----------------------------------
+  const resolved = await validator.resolveAccountKeys(transaction);
+  if (resolved.error) {
+    return {
+      valid: false,
+      code: 'LOOKUP_TABLE_UNRESOLVED',
+      error: resolved.error,
+      maxSize: MAX_TX_SIZE,
+    };
+  }
+
+  const message = getMessage(transaction);
+  const { accountKeys, lookupTables } = resolved;
+  const decompiled = TransactionMessage.decompile(message, {
+    addressLookupTableAccounts: lookupTables,
+  });
+  const hasPayment = accountKeys.includes(context.treasuryAta);
+
+  // Our fee payers are written by every GASdf tx — don't let them skew the estimate
+  const writableAccounts = accountKeys.filter(
+    (key, i) => message.isAccountWritable(i) && !feePayer.isFeePayer(key)
+  );
+
+  // --- Final size: the transaction /v1/prepare will build ------------------
+  const size = await measureFinalSize(decompiled, lookupTables, context, hasPayment);
+  if (size > MAX_TX_SIZE) {
+    const measured = Number.isFinite(size) ? size : null;
+    return {
+      valid: false,
+      code: 'TX_TOO_LARGE',
+      error: measured
+        ? `Transaction would be ${measured} bytes with the fee payment, exceeding Solana limit of ${MAX_TX_SIZE} bytes`
+        : `Transaction would exceed Solana limit of ${MAX_TX_SIZE} bytes with the fee payment`,
+      details: { size: measured, maxSize: MAX_TX_SIZE },
+      size: measured,
+      maxSize: MAX_TX_SIZE,
+    };
+  }
+
+  // --- Simulate for compute units ------------------------------------------
+  const { isDurableNonce } = validator.detectDurableNonce(transaction);
+  const sim = await simulation.simulateDraft(toVersioned(transaction), {
+    durableNonce: isDurableNonce,
+  });
+  if (!sim.success) {
+    return {
+      valid: false,
+      code: 'DRAFT_SIMULATION_FAILED',
+      error: sim.error,
+      details: { simulationError: sim.simulationError, logs: sim.logs },
+      size,
+      maxSize: MAX_TX_SIZE,
+    };
+  }
+
+  // Priority fees are charged on the requested limit, so an explicit limit wins
+  const computeUnits =
+    getComputeUnitLimit(decompiled.instructions) ??
+    Math.min(
+      MAX_COMPUTE_UNITS,
+      Math.ceil(
+        (sim.unitsConsumed + (hasPayment ? 0 : FEE_PAYMENT_COMPUTE_UNITS)) * COMPUTE_UNIT_MARGIN
+      )
+    );
+
+  return {
+    valid: true,
+    computeUnits,
+    unitsConsumed: sim.unitsConsumed,
+    writableAccounts,
+    size,
+    maxSize: MAX_TX_SIZE,
+  };
+}
+
+/**
+ * Serialized size of the transaction /v1/prepare builds from this draft
+ * (tx-builder layout: compute budget, treasury ATA creation if missing, draft
+ * instructions, TransferChecked/System payment; v0 with the GASdf table).
+ * The payer is picked after pricing, so the largest size over the pool is
+ * used. Amounts are placeholders — their encodings are fixed-width.
+ * Signatures are counted as empty slots — same length as real ones.
+ * @returns {Promise<number>} Bytes (Infinity if web3.js can't even serialize it)
+ */
+async function measureFinalSize(decompiled, lookupTables, context, hasPayment) {
+  const quote = {
+    paymentToken: context.paymentToken,
+    userPubkey: context.userPubkey,
+    treasuryAddress: context.treasuryAddress,
+    treasuryAta: context.treasuryAta,
+    feeAmount: '0',
+    estimatedComputeUnits: MAX_COMPUTE_UNITS,
+    computeUnitPrice: 0,
+  };
+  const payment = hasPayment
+    ? { instructions: [] }
+    : await txBuilder.buildFeePaymentInstructions(quote);
+  const instructions = [
+    ...txBuilder.buildComputeBudgetInstructions(quote),
+    ...payment.instructions.slice(0, -1),
+    ...decompiled.instructions.filter((ix) => !ix.programId.equals(ComputeBudgetProgram.programId)),
+    ...payment.instructions.slice(-1),
+  ];
+
+  const gasdfTable = await alt.getGasdfLookupTable().catch(() => null);
+  const tables = gasdfTable ? [gasdfTable, ...lookupTables] : lookupTables;
+
+  const sizes = context.feePayers.map((payer) => {
+    const message = new TransactionMessage({
+      payerKey: new PublicKey(payer),
+      recentBlockhash: decompiled.recentBlockhash,
+      instructions,
+    }).compileToV0Message(tables);
+    try {
+      return new VersionedTransaction(message).serialize().length;
+    } catch (err) {
+      if (!(err instanceof RangeError)) throw err;
+      return Infinity;
+    }
+  });
+  return Math.max(...sizes);
+}
+
+/**
+ * Reads the discriminator byte directly (like validator.parseComputeBudget):
+ * web3.js throws on compute budget instructions it doesn't know.
+ * @param {import('@solana/web3.js').TransactionInstruction[]} instructions
+ * @returns {number|null} SetComputeUnitLimit value, if the draft sets one
+ */
+function getComputeUnitLimit(instructions) {
+  for (const ix of instructions) {
+    if (!ix.programId.equals(ComputeBudgetProgram.programId)) continue;
+    if (ix.data[0] === SET_COMPUTE_UNIT_LIMIT_DISCRIMINATOR && ix.data.length >= 5) {
+      return ix.data.readUInt32LE(1);
+    }
+  }
+  return null;
+}
+
+function getMessage(transaction) {
+  return transaction instanceof VersionedTransaction
+    ? transaction.message
+    : transaction.compileMessage();
+}
+
+function toVersioned(transaction) {
+  return transaction instanceof VersionedTransaction
+    ? transaction
+    : new VersionedTransaction(transaction.compileMessage());
+}
+
+module.exports = {
+  analyzeDraft,
+  FEE_PAYMENT_COMPUTE_UNITS,
+};
@@ -0,0 +1,48 @@
+/**
+ * Durable Nonce — long-lived quotes
+ *
+ * A transaction built on a durable nonce (AdvanceNonceAccount as first
+ * instruction) stays valid until the nonce advances, so multisig/offline
+ * signing flows can hold a quote for hours instead of QUOTE_TTL_SECONDS.
+ *
+ * The nonce authority must never be a fee payer: our co-signature would
+ * then authorize advancing (or withdrawing from) the nonce account.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const helius = require('./helius');
+const feePayer = require('./fee-payer');
+const logger = require('../utils/logger');
+
+/**
+ * Load and check a nonce account for a long-lived quote.
+ * @param {string} nonceAccount - Nonce account (base58)
+ * @returns {Promise<{ valid: boolean, authority?: string, nonce?: string, error?: string }>}
+ */
+async function validateNonceAccount(nonceAccount) {
+  let nonceInfo;
+  try {
+    nonceInfo = await helius.getConnection().getNonce(new PublicKey(nonceAccount), 'confirmed');
+  } catch (err) {
+    logger.warn('DURABLE_NONCE', 'Nonce account lookup failed', {
+      nonceAccount: nonceAccount.slice(0, 8),
+      error: err.message,
+    });
+    return { valid: false, error: 'Nonce account is not a valid durable nonce account' };
+  }
+
+  if (!nonceInfo) {
+    return { valid: false, error: 'Nonce account not found' };
+  }
+
+  const authority = nonceInfo.authorizedPubkey.toBase58();
+  if (feePayer.isFeePayer(authority)) {
+    return { valid: false, error: 'Nonce authority must not be a GASdf fee payer' };
+  }
+
+  return { valid: true, authority, nonce: nonceInfo.nonce };
+}
+
+module.exports = {
+  validateNonceAccount,
+};
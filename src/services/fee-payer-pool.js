@@ -0,0 +1,588 @@
+/**
+ * Fee Payer Pool — Per-quote payer selection, circuit breakers, key rotation
+ *
+ * Selection: least-recently-used healthy ACTIVE payer, highest available balance on ties.
+ * Reservations: estimated lamports held in Redis until the quote expires or is submitted
+ * (mirrored in-process for the quotes this instance issued).
+ * Circuit breakers: one per payer (low balance or repeated send failures), plus a
+ * pool-wide breaker for failures spread across payers (RPC outage), so a single
+ * drained wallet no longer takes the whole service down.
+ * Key rotation: ACTIVE → RETIRING (no new quotes, open ones complete) → RETIRED.
+ * Statuses are persisted in Redis so every instance honours a retirement.
+ */
+
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const feePayer = require('./fee-payer');
+const config = require('../utils/config');
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+
+// Absolute per-payer floor (0.05 SOL) — breaker opens below this
+const CRITICAL_BALANCE = 50_000_000;
+// A drained payer's breaker only closes again once it is back above 0.1 SOL
+const MIN_HEALTHY_BALANCE = 100_000_000;
+// Below 0.2 SOL a payer is flagged for top-up
+const WARNING_BALANCE = 200_000_000;
+// Max concurrent quotes held against a single payer
+const MAX_RESERVATIONS_PER_PAYER = 200;
+// Consecutive send failures before a payer is taken out of rotation
+const FAILURE_THRESHOLD = 3;
+// Consecutive send failures across all payers before the whole pool stops quoting
+const POOL_FAILURE_THRESHOLD = 5;
+const FAILURE_COOLDOWN_MS = 60_000;
+
+const KEY_STATUS = {
+  ACTIVE: 'active',
+  RETIRING: 'retiring',
+  RETIRED: 'retired',
+};
+
+const pool = {
+  payers: [], // pubkeys (base58), primary first
+  balances: new Map(), // pubkey -> lamports
+  thresholds: new Map(), // pubkey -> lamports
+  lastUsed: new Map(), // pubkey -> timestamp
+  breakers: new Map(), // pubkey -> { lowBalance, failures }
+  unhealthyUntil: new Map(), // pubkey -> failure cooldown end (timestamp)
+  keyStatus: new Map(), // pubkey -> { status, reason, since, emergency }
+  reservations: new Map(), // quoteId -> { pubkey, amount, expiresAt }
+  reservationsByPayer: new Map(), // pubkey -> Set<quoteId>
+  circuitOpen: false,
+  circuitOpenUntil: 0,
+  consecutiveFailures: 0,
+};
+
+/**
+ * @returns {string[]} Every configured fee payer (base58), primary first
+ */
+function getAllFeePayerPublicKeys() {
+  if (pool.payers.length === 0) {
+    pool.payers = feePayer.getAllPublicKeys();
+  }
+  return pool.payers;
+}
+
+function getBreaker(pubkey) {
+  if (!pool.breakers.has(pubkey)) {
+    pool.breakers.set(pubkey, { lowBalance: false, failures: 0 });
+  }
+  return pool.breakers.get(pubkey);
+}
+
+/**
+ * @param {string} pubkey
+ * @returns {string} KEY_STATUS value
+ */
+function getKeyStatus(pubkey) {
+  return pool.keyStatus.get(pubkey)?.status ?? KEY_STATUS.ACTIVE;
+}
+
+/**
+ * Reload key statuses from Redis (another instance may have rotated a key).
+ * Keeps the last known statuses if Redis is unavailable.
+ */
+async function syncKeyStatuses() {
+  try {
+    const statuses = await redis.getPayerKeyStatuses();
+    pool.keyStatus = new Map(Object.entries(statuses || {}));
+  } catch (err) {
+    logger.warn('FEE_PAYER_POOL', 'Key status sync failed, using cached statuses', {
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * @param {string} pubkey
+ * @returns {Promise<boolean>} Whether the key was retired (it must not sign anymore)
+ */
+async function isKeyRetired(pubkey) {
+  await syncKeyStatuses();
+  return getKeyStatus(pubkey) === KEY_STATUS.RETIRED;
+}
+
+/**
+ * @param {string} pubkey - Fee payer (base58)
+ * @returns {boolean} Whether this payer's circuit breaker is open
+ */
+function isPayerCircuitOpen(pubkey) {
+  return getBreaker(pubkey).lowBalance || (pool.unhealthyUntil.get(pubkey) ?? 0) > Date.now();
+}
+
+/**
+ * Pool-wide circuit: open after repeated failures across payers (auto-closes
+ * after the cooldown), or when no active payer is left in rotation.
+ * @returns {boolean}
+ */
+function isCircuitOpen() {
+  if (pool.circuitOpen && pool.circuitOpenUntil <= Date.now()) {
+    pool.circuitOpen = false;
+    pool.consecutiveFailures = 0;
+  }
+  if (pool.circuitOpen) return true;
+
+  return getAllFeePayerPublicKeys()
+    .filter((pubkey) => getKeyStatus(pubkey) === KEY_STATUS.ACTIVE)
+    .every(isPayerCircuitOpen);
+}
+
+/**
+ * @returns {{open: boolean, closesAt: number|null, consecutiveFailures: number}}
+ */
+function getCircuitState() {
+  const open = isCircuitOpen();
+  return {
+    open,
+    closesAt: pool.circuitOpen ? pool.circuitOpenUntil : null,
+    consecutiveFailures: pool.consecutiveFailures,
+  };
+}
+
+/** Close the pool circuit and clear every payer's failure cooldown (manual reset). */
+function closeCircuit() {
+  pool.circuitOpen = false;
+  pool.circuitOpenUntil = 0;
+  pool.consecutiveFailures = 0;
+  pool.unhealthyUntil.clear();
+  for (const breaker of pool.breakers.values()) {
+    breaker.failures = 0;
+  }
+}
+
+/**
+ * Refresh all payer balances and low-balance breakers.
+ * Per-payer threshold = velocity-based buffer split across the pool (min 0.05 SOL).
+ * @returns {Promise<ReturnType<typeof getStatus>>}
+ */
+async function checkBalances() {
+  const pubkeys = getAllFeePayerPublicKeys();
+  pruneExpiredReservations();
+  await syncKeyStatuses();
+
+  let required = CRITICAL_BALANCE;
+  try {
+    const velocityResult = await redis.calculateVelocityBasedBuffer();
+    if (velocityResult && typeof velocityResult.required === 'number') {
+      required = velocityResult.required;
+    }
+  } catch (err) {
+    logger.warn('FEE_PAYER_POOL', 'Velocity buffer unavailable, using default', {
+      error: err.message,
+    });
+  }
+  const threshold = Math.max(CRITICAL_BALANCE, Math.ceil(required / pubkeys.length));
+
+  try {
+    const infos = await feePayer
+      .getConnection()
+      .getMultipleAccountsInfo(pubkeys.map((p) => new PublicKey(p)));
+
+    pubkeys.forEach((pubkey, i) => {
+      const balance = infos[i]?.lamports ?? 0;
+      const breaker = getBreaker(pubkey);
+      // Hysteresis: a drained payer needs MIN_HEALTHY_BALANCE before it's used again
+      const lowBalance = breaker.lowBalance
+        ? balance < Math.max(threshold, MIN_HEALTHY_BALANCE)
+        : balance < threshold;
+
+      if (lowBalance !== breaker.lowBalance) {
+        logger[lowBalance ? 'warn' : 'info']('FEE_PAYER_POOL', 'Low-balance breaker changed', {
+          pubkey: pubkey.slice(0, 8),
+          circuitOpen: lowBalance,
+          balance,
+          threshold,
+        });
+      } else if (
+        balance < WARNING_BALANCE &&
+        (pool.balances.get(pubkey) ?? Infinity) >= WARNING_BALANCE
+      ) {
+        logger.warn('FEE_PAYER_POOL', 'Fee payer balance below warning level', {
+          pubkey: pubkey.slice(0, 8),
+          balance,
+        });
+      }
+
+      breaker.lowBalance = lowBalance;
+      pool.balances.set(pubkey, balance);
+      pool.thresholds.set(pubkey, threshold);
+    });
+  } catch (err) {
+    logger.error('FEE_PAYER_POOL', 'Balance check failed', { error: err.message });
+  }
+
+  return getStatus();
+}
+
+/** Mirror a reservation in-process (rotation status, emergency retirement). */
+function trackReservation(quoteId, pubkey, amount, ttlSeconds) {
+  untrackReservation(quoteId);
+  pool.reservations.set(quoteId, { pubkey, amount, expiresAt: Date.now() + ttlSeconds * 1000 });
+  if (!pool.reservationsByPayer.has(pubkey)) {
+    pool.reservationsByPayer.set(pubkey, new Set());
+  }
+  pool.reservationsByPayer.get(pubkey).add(quoteId);
+}
+
+function untrackReservation(quoteId) {
+  const reservation = pool.reservations.get(quoteId);
+  if (!reservation) return undefined;
+  pool.reservations.delete(quoteId);
+  pool.reservationsByPayer.get(reservation.pubkey)?.delete(quoteId);
+  return reservation;
+}
+
+/** Drop mirrored reservations whose quotes expired without being submitted. */
+function pruneExpiredReservations() {
+  const now = Date.now();
+  for (const [quoteId, reservation] of pool.reservations) {
+    if (reservation.expiresAt <= now) untrackReservation(quoteId);
+  }
+}
+
+/**
+ * Reservation this instance holds for a quote.
+ * @param {string} quoteId
+ * @returns {{pubkey: string, amount: number, expiresAt: number}|undefined}
+ */
+function getReservation(quoteId) {
+  const reservation = pool.reservations.get(quoteId);
+  if (reservation && reservation.expiresAt <= Date.now()) {
+    untrackReservation(quoteId);
+    return undefined;
+  }
+  return reservation;
+}
+
+/**
+ * Limits a new reservation on this payer must fit into (checked atomically in Redis).
+ * @param {string} pubkey
+ * @returns {{limit: number, maxCount: number}}
+ */
+function getReservationCapacity(pubkey) {
+  return {
+    limit: (pool.balances.get(pubkey) ?? 0) - (pool.thresholds.get(pubkey) ?? CRITICAL_BALANCE),
+    maxCount: MAX_RESERVATIONS_PER_PAYER,
+  };
+}
+
+/**
+ * Pick a payer for a quote and reserve the estimated lamports against it.
+ * @param {string} quoteId
+ * @param {number} amount - Lamports the fee payer will spend (network + priority fee)
+ * @param {number} [ttlSeconds] - Reservation lifetime (quote TTL)
+ * @returns {Promise<string|null>} Selected payer (base58), or null if no payer has capacity
+ */
+async function reserveBalance(quoteId, amount, ttlSeconds = config.QUOTE_TTL_SECONDS) {
+  if (!quoteId || isCircuitOpen()) {
+    return null;
+  }
+  if (pool.balances.size === 0) {
+    await checkBalances();
+  } else {
+    await syncKeyStatuses();
+  }
+
+  const candidates = [];
+  for (const pubkey of getAllFeePayerPublicKeys()) {
+    if (getKeyStatus(pubkey) !== KEY_STATUS.ACTIVE || isPayerCircuitOpen(pubkey)) continue;
+
+    const reserved = await redis.getPayerReservedTotal(pubkey);
+    if (reserved.count >= MAX_RESERVATIONS_PER_PAYER) continue;
+
+    const available =
+      (pool.balances.get(pubkey) ?? 0) -
+      (pool.thresholds.get(pubkey) ?? CRITICAL_BALANCE) -
+      reserved.total;
+    if (available < amount) continue;
+
+    candidates.push({ pubkey, available, lastUsed: pool.lastUsed.get(pubkey) ?? 0 });
+  }
+
+  candidates.sort((a, b) => a.lastUsed - b.lastUsed || b.available - a.available);
+
+  // The totals above are a snapshot: the reservation itself re-checks capacity
+  // atomically, and another instance may have taken the headroom in between
+  for (const { pubkey } of candidates) {
+    const reserved = await redis.reservePayerBalance(
+      pubkey,
+      quoteId,
+      amount,
+      ttlSeconds,
+      getReservationCapacity(pubkey)
+    );
+    if (!reserved) continue;
+
+    trackReservation(quoteId, pubkey, amount, ttlSeconds);
+    pool.lastUsed.set(pubkey, Date.now());
+    return pubkey;
+  }
+
+  logger.warn('FEE_PAYER_POOL', 'No fee payer with capacity', { quoteId, amount });
+  return null;
+}
+
+/**
+ * Renew a quote's reservation on the payer it was issued with (quote refresh).
+ * The payer can't change — transactions are already built around it.
+ * @param {string} quoteId
+ * @param {string} pubkey - The quote's fee payer
+ * @param {number} amount - Lamports to hold
+ * @param {number} ttlSeconds
+ * @returns {Promise<string|null>} The payer, or null if it is down, retired or out of capacity
+ */
+async function renewReservation(quoteId, pubkey, amount, ttlSeconds) {
+  if (pool.balances.size === 0) {
+    await checkBalances();
+  }
+  if ((await isKeyRetired(pubkey)) || isPayerCircuitOpen(pubkey)) {
+    return null;
+  }
+
+  // The quote's own (possibly expired) reservation doesn't count against it
+  const reserved = await redis.reservePayerBalance(
+    pubkey,
+    quoteId,
+    amount,
+    ttlSeconds,
+    getReservationCapacity(pubkey)
+  );
+  if (!reserved) {
+    logger.warn('FEE_PAYER_POOL', 'Fee payer has no capacity to renew reservation', {
+      quoteId,
+      pubkey: pubkey.slice(0, 8),
+      amount,
+    });
+    return null;
+  }
+
+  trackReservation(quoteId, pubkey, amount, ttlSeconds);
+  return pubkey;
+}
+
+/**
+ * Release a quote's reservation (quote consumed at submit).
+ * The in-process entry is dropped immediately; the Redis one by the returned promise.
+ * @param {string} quoteId
+ * @returns {Promise<{pubkey: string, amount: number, expiresAt: number}|null>}
+ */
+function releaseReservation(quoteId) {
+  untrackReservation(quoteId);
+  return redis.releasePayerReservation(quoteId);
+}
+
+/** Record a successful send — resets the payer's and the pool's failure counts. */
+function recordSuccess(pubkey) {
+  getBreaker(pubkey).failures = 0;
+  pool.consecutiveFailures = 0;
+}
+
+/**
+ * Record a failed send — opens the payer's breaker after FAILURE_THRESHOLD in a row,
+ * and the pool's after POOL_FAILURE_THRESHOLD in a row across payers.
+ */
+function recordFailure(pubkey) {
+  const breaker = getBreaker(pubkey);
+  breaker.failures++;
+
+  if (breaker.failures >= FAILURE_THRESHOLD) {
+    pool.unhealthyUntil.set(pubkey, Date.now() + FAILURE_COOLDOWN_MS);
+    breaker.failures = 0;
+    logger.warn('FEE_PAYER_POOL', 'Payer breaker opened after repeated failures', {
+      pubkey: pubkey.slice(0, 8),
+      cooldownMs: FAILURE_COOLDOWN_MS,
+    });
+  }
+
+  pool.consecutiveFailures++;
+  if (pool.consecutiveFailures >= POOL_FAILURE_THRESHOLD && !pool.circuitOpen) {
+    pool.circuitOpen = true;
+    pool.circuitOpenUntil = Date.now() + FAILURE_COOLDOWN_MS;
+    logger.error('FEE_PAYER_POOL', 'Pool circuit opened after repeated failures', {
+      consecutiveFailures: pool.consecutiveFailures,
+      cooldownMs: FAILURE_COOLDOWN_MS,
+    });
+  }
+}
+
+// =============================================================================
+// Key Rotation
+// =============================================================================
+
+async function setKeyStatus(pubkey, status, reason, emergency = false) {
+  if (!getAllFeePayerPublicKeys().includes(pubkey)) {
+    throw new Error(`Unknown fee payer: ${pubkey}`);
+  }
+  const entry = { status, reason, since: Date.now(), emergency };
+  await redis.setPayerKeyStatus(pubkey, entry);
+  pool.keyStatus.set(pubkey, entry);
+  logger.info('FEE_PAYER_POOL', 'Key status changed', {
+    pubkey: pubkey.slice(0, 8),
+    status,
+    reason,
+  });
+}
+
+/**
+ * Begin retiring a key: it gets no new quotes, open ones still complete.
+ * @param {string} pubkey
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+async function startKeyRetirement(pubkey, reason) {
+  await setKeyStatus(pubkey, KEY_STATUS.RETIRING, reason);
+}
+
+/**
+ * Finish retiring a key once its reservations have cleared.
+ * @param {string} pubkey
+ * @returns {Promise<boolean>} false while quotes are still reserved against it
+ */
+async function completeKeyRetirement(pubkey) {
+  const { count } = await redis.getPayerReservedTotal(pubkey);
+  if (count > 0) return false;
+
+  await syncKeyStatuses();
+  await setKeyStatus(pubkey, KEY_STATUS.RETIRED, pool.keyStatus.get(pubkey)?.reason);
+  return true;
+}
+
+/**
+ * Retire a key immediately (e.g. compromised) and cancel its reservations:
+ * quotes issued with it can no longer be submitted.
+ * @param {string} pubkey
+ * @param {string} reason
+ * @returns {Promise<number>} Reservations cancelled on this instance
+ */
+async function emergencyRetireKey(pubkey, reason) {
+  await setKeyStatus(pubkey, KEY_STATUS.RETIRED, reason, true);
+
+  const quoteIds = [...(pool.reservationsByPayer.get(pubkey) ?? [])];
+  await Promise.all(quoteIds.map(releaseReservation));
+  return quoteIds.length;
+}
+
+/**
+ * Put a retiring or retired key back into rotation (not after an emergency retirement).
+ * @param {string} pubkey
+ * @returns {Promise<boolean>}
+ */
+async function reactivateKey(pubkey) {
+  await syncKeyStatuses();
+  if (pool.keyStatus.get(pubkey)?.emergency) return false;
+
+  await redis.setPayerKeyStatus(pubkey, null);
+  pool.keyStatus.delete(pubkey);
+  logger.info('FEE_PAYER_POOL', 'Key reactivated', { pubkey: pubkey.slice(0, 8) });
+  return true;
+}
+
+/**
+ * @returns {{keys: Array<{pubkey: string, status: string, reason: string|null, since: number|null, reservations: number}>, active: number, retiring: number, retired: number}}
+ */
+function getRotationStatus() {
+  const keys = getAllFeePayerPublicKeys().map((pubkey) => {
+    const entry = pool.keyStatus.get(pubkey);
+    return {
+      pubkey,
+      status: entry?.status ?? KEY_STATUS.ACTIVE,
+      reason: entry?.reason ?? null,
+      since: entry?.since ?? null,
+      reservations: pool.reservationsByPayer.get(pubkey)?.size ?? 0,
+    };
+  });
+
+  const count = (status) => keys.filter((k) => k.status === status).length;
+  return {
+    keys,
+    active: count(KEY_STATUS.ACTIVE),
+    retiring: count(KEY_STATUS.RETIRING),
+    retired: count(KEY_STATUS.RETIRED),
+  };
+}
+
+/**
+ * Pool status for /health.
+ * @returns {{circuitOpen: boolean, totalSolBalance: number, payers: Array<{pubkey: string, balance: number, solBalance: number, threshold: number, circuitOpen: boolean, warning: boolean, status: string}>}}
+ */
+function getStatus() {
+  const payers = getAllFeePayerPublicKeys().map((pubkey) => {
+    const balance = pool.balances.get(pubkey) ?? 0;
+    return {
+      pubkey,
+      balance,
+      solBalance: balance / LAMPORTS_PER_SOL,
+      threshold: pool.thresholds.get(pubkey) ?? CRITICAL_BALANCE,
+      circuitOpen: isPayerCircuitOpen(pubkey),
+      warning: balance < WARNING_BALANCE,
+      status: getKeyStatus(pubkey),
+    };
+  });
+
+  return {
+    circuitOpen: isCircuitOpen(),
+    totalSolBalance: payers.reduce((sum, p) => sum + p.solBalance, 0),
+    payers,
+  };
+}
+
+/**
+ * Payers close enough to their low-balance threshold to need a refill
+ * (below REFILL_TRIGGER_RATIO × threshold). Empty until balances are known.
+ * Retired keys are not refilled.
+ * @returns {ReturnType<typeof getStatus>['payers']}
+ */
+function getPayersNeedingRefill() {
+  if (pool.balances.size === 0) return [];
+  return getStatus().payers.filter(
+    (p) => p.status !== KEY_STATUS.RETIRED && p.balance < p.threshold * config.REFILL_TRIGGER_RATIO
+  );
+}
+
+let balanceInterval = null;
+
+/** Start periodic balance check (every 30s). */
+function startBalanceMonitor() {
+  checkBalances();
+  balanceInterval = setInterval(checkBalances, 30_000);
+}
+
+/** Stop the periodic balance monitor. */
+function stopBalanceMonitor() {
+  if (balanceInterval) {
+    clearInterval(balanceInterval);
+    balanceInterval = null;
+  }
+}
+
+module.exports = {
+  checkBalances,
+  reserveBalance,
+  renewReservation,
+  releaseReservation,
+  getReservation,
+  recordSuccess,
+  recordFailure,
+  isCircuitOpen,
+  isPayerCircuitOpen,
+  getCircuitState,
+  closeCircuit,
+  getAllFeePayerPublicKeys,
+  getKeyStatus,
+  isKeyRetired,
+  startKeyRetirement,
+  completeKeyRetirement,
+  emergencyRetireKey,
+  reactivateKey,
+  getRotationStatus,
+  getStatus,
+  getPayersNeedingRefill,
+  startBalanceMonitor,
+  stopBalanceMonitor,
+  CRITICAL_BALANCE,
+  MIN_HEALTHY_BALANCE,
+  WARNING_BALANCE,
+  MAX_RESERVATIONS_PER_PAYER,
+  FAILURE_THRESHOLD,
+  KEY_STATUS,
+  pool,
+};
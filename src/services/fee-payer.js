@@ -1,31 +1,58 @@
 /**
- * Fee Payer — Single keypair + circuit breaker
- * Phase 0: one wallet. Phase 2: multi-wallet pool.
+ * Fee Payer — Keypair loading + co-signing
+ * Primary wallet (FEE_PAYER_PRIVATE_KEY) + optional extra wallets (FEE_PAYER_PRIVATE_KEYS).
+ * Per-quote selection, reservations and circuit breakers live in fee-payer-pool.js.
  */
 
-const { Keypair, Connection, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { Keypair, Connection, VersionedTransaction } = require('@solana/web3.js');
 const bs58 = require('bs58').default;
 const config = require('../utils/config');
 const logger = require('../utils/logger');
 
-let keypair = null;
+let keypairs = null;
 let connection = null;
-let circuitOpen = false;
 
 /**
- * Initialize keypair from env (lazy singleton).
- * @returns {Keypair}
+ * Load all fee payer keypairs from env (lazy singleton).
+ * The primary key is always first; duplicates are ignored.
+ * @returns {Keypair[]}
  */
-function getFeePayer() {
-  if (!keypair) {
+function getFeePayers() {
+  if (!keypairs) {
     if (!config.FEE_PAYER_PRIVATE_KEY) {
       throw new Error('FEE_PAYER_PRIVATE_KEY not configured');
     }
-    const secretKey = bs58.decode(config.FEE_PAYER_PRIVATE_KEY);
-    keypair = Keypair.fromSecretKey(secretKey);
-    logger.info('FEE_PAYER', 'Initialized', { pubkey: keypair.publicKey.toBase58() });
+
+    const secrets = [config.FEE_PAYER_PRIVATE_KEY, ...config.FEE_PAYER_PRIVATE_KEYS];
+    const loaded = new Map();
+    for (const secret of secrets) {
+      const kp = Keypair.fromSecretKey(bs58.decode(secret));
+      loaded.set(kp.publicKey.toBase58(), kp);
+    }
+
+    keypairs = [...loaded.values()];
+    logger.info('FEE_PAYER', 'Initialized', {
+      count: keypairs.length,
+      primary: keypairs[0].publicKey.toBase58(),
+    });
+  }
+  return keypairs;
+}
+
+/**
+ * Get a fee payer keypair.
+ * @param {string} [pubkey] - Specific payer (base58). Defaults to the primary wallet.
+ * @returns {Keypair}
+ */
+function getFeePayer(pubkey) {
+  const payers = getFeePayers();
+  if (!pubkey) return payers[0];
+
+  const kp = payers.find((p) => p.publicKey.toBase58() === pubkey);
+  if (!kp) {
+    throw new Error(`Unknown fee payer: ${pubkey}`);
   }
-  return keypair;
+  return kp;
 }
 
 /**
@@ -40,7 +67,7 @@ function getConnection() {
 }
 
 /**
- * Get the fee payer public key.
+ * Get the primary fee payer public key.
  * @returns {import('@solana/web3.js').PublicKey}
  */
 function getPublicKey() {
@@ -48,63 +75,45 @@ function getPublicKey() {
 }
 
 /**
- * Circuit breaker: check SOL balance against velocity-based threshold.
- * @returns {Promise<{balance: number, threshold: number, circuitOpen: boolean, solBalance: number}>}
+ * Get all fee payer public keys (base58).
+ * @returns {string[]}
  */
-async function checkBalance() {
-  try {
-    const conn = getConnection();
-    const balance = await conn.getBalance(getPublicKey());
-
-    let threshold = 0.1 * LAMPORTS_PER_SOL; // default 0.1 SOL
-    try {
-      const redis = require('../utils/redis');
-      const velocityResult = await redis.calculateVelocityBasedBuffer();
-      if (velocityResult && typeof velocityResult.required === 'number') {
-        threshold = velocityResult.required;
-      }
-    } catch (err) {
-      logger.warn('FEE_PAYER', 'Velocity buffer unavailable, using default', {
-        error: err.message,
-      });
-    }
-
-    circuitOpen = balance < threshold;
-
-    return { balance, threshold, circuitOpen, solBalance: balance / LAMPORTS_PER_SOL };
-  } catch (err) {
-    logger.error('FEE_PAYER', 'Balance check failed', { error: err.message });
-    return { balance: 0, threshold: 0, circuitOpen, solBalance: 0 };
-  }
-}
-
-/** @returns {boolean} Whether circuit breaker is open (balance too low). */
-function isCircuitOpen() {
-  return circuitOpen;
+function getAllPublicKeys() {
+  return getFeePayers().map((kp) => kp.publicKey.toBase58());
 }
 
-let balanceInterval = null;
-
-/** Start periodic balance check (every 30s). */
-function startBalanceMonitor() {
-  checkBalance();
-  balanceInterval = setInterval(checkBalance, 30_000);
+/**
+ * Check whether a pubkey belongs to one of our fee payers.
+ * @param {string} pubkey
+ * @returns {boolean}
+ */
+function isFeePayer(pubkey) {
+  return getAllPublicKeys().includes(pubkey);
 }
 
-/** Stop the periodic balance monitor. */
-function stopBalanceMonitor() {
-  if (balanceInterval) {
-    clearInterval(balanceInterval);
-    balanceInterval = null;
+/**
+ * Add a fee payer signature to a user-signed transaction, keeping the user's signatures.
+ * Legacy: partialSign. v0: sign() writes into the payer's signature slot.
+ * @param {Transaction|VersionedTransaction} transaction
+ * @param {string} [pubkey] - Fee payer to sign with (base58). Defaults to the primary wallet.
+ * @returns {Transaction|VersionedTransaction} The same transaction, co-signed
+ */
+function coSign(transaction, pubkey) {
+  const kp = getFeePayer(pubkey);
+  if (transaction instanceof VersionedTransaction) {
+    transaction.sign([kp]);
+  } else {
+    transaction.partialSign(kp);
   }
+  return transaction;
 }
 
 module.exports = {
+  getFeePayers,
   getFeePayer,
+  coSign,
   getConnection,
   getPublicKey,
-  checkBalance,
-  isCircuitOpen,
-  startBalanceMonitor,
-  stopBalanceMonitor,
+  getAllPublicKeys,
+  isFeePayer,
 };
@@ -7,7 +7,7 @@
  */
 
 const { createHelius } = require('helius-sdk');
-const { Connection } = require('@solana/web3.js');
+const { Connection, PublicKey } = require('@solana/web3.js');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
 
@@ -24,55 +24,109 @@ function getHelius() {
   return helius;
 }
 
-// Cache for priority fees (5s TTL)
-let priorityFeeCache = { estimate: null, timestamp: 0, ttl: 5000 };
+// Cache for priority fees (5s TTL) — all levels, so every speed tier shares it
+let priorityFeeCache = { levels: null, timestamp: 0, ttl: 5000 };
+
+// µlamports/CU per level when Helius is unavailable
+const FALLBACK_PRIORITY_FEES = {
+  Min: 0,
+  Low: 500,
+  Medium: 1000,
+  High: 5000,
+  VeryHigh: 20000,
+  UnsafeMax: 50000,
+};
+
+/**
+ * Helius returns levels camelCased: 'VeryHigh' → 'veryHigh'.
+ */
+function toLevelKey(priorityLevel) {
+  return priorityLevel.charAt(0).toLowerCase() + priorityLevel.slice(1);
+}
 
 /**
  * Get priority fee estimate from Helius.
+ * All levels are fetched in one call (includeAllPriorityFeeLevels) and returned
+ * as `levels`, keyed by Helius level name (Low, Medium, High, VeryHigh, ...).
+ * @param {Object} [options]
+ * @param {string[]} [options.accountKeys] - Writable accounts for a per-account estimate
+ * @param {string} [options.priorityLevel='Medium'] - Level picked for `priorityFee`
+ * @returns {Promise<{ priorityFee: number, priorityLevel: string, levels: Object<string, number>, cached: boolean, fallback?: boolean }>}
  */
 async function getPriorityFeeEstimate(options = {}) {
   const { accountKeys = [], priorityLevel = 'Medium' } = options;
 
+  const pick = (levels, extra) => ({
+    priorityFee: levels[priorityLevel] ?? levels.Medium,
+    priorityLevel,
+    levels,
+    ...extra,
+  });
+
   const h = getHelius();
   if (!h) {
-    return { priorityFee: 1000, priorityLevel: 'fallback', cached: false };
+    return pick(FALLBACK_PRIORITY_FEES, { cached: false, fallback: true });
   }
 
   const now = Date.now();
-  if (accountKeys.length === 0 && priorityFeeCache.estimate && now - priorityFeeCache.timestamp < priorityFeeCache.ttl) {
-    return { ...priorityFeeCache.estimate, cached: true };
+  if (
+    accountKeys.length === 0 &&
+    priorityFeeCache.levels &&
+    now - priorityFeeCache.timestamp < priorityFeeCache.ttl
+  ) {
+    return pick(priorityFeeCache.levels, { cached: true });
   }
 
   try {
     const response = await h.getPriorityFeeEstimate({
       accountKeys: accountKeys.length > 0 ? accountKeys : undefined,
-      options: { priorityLevel, includeAllPriorityFeeLevels: false, lookbackSlots: 150 },
+      options: { includeAllPriorityFeeLevels: true, lookbackSlots: 150 },
     });
 
-    const estimate = {
-      priorityFee: Math.ceil(response.priorityFeeEstimate || 1000),
-      priorityLevel,
-      cached: false,
-    };
+    const levels = {};
+    for (const [level, fallback] of Object.entries(FALLBACK_PRIORITY_FEES)) {
+      const value = response.priorityFeeLevels?.[toLevelKey(level)];
+      levels[level] = value == null ? fallback : Math.ceil(value);
+    }
 
     if (accountKeys.length === 0) {
-      priorityFeeCache = { estimate, timestamp: now, ttl: priorityFeeCache.ttl };
+      priorityFeeCache = { levels, timestamp: now, ttl: priorityFeeCache.ttl };
     }
 
-    return estimate;
+    return pick(levels, { cached: false });
   } catch (error) {
     logger.warn('HELIUS', 'Priority fee estimate failed', { error: error.message });
-    return { priorityFee: 1000, priorityLevel: 'fallback', cached: false };
+    return pick(FALLBACK_PRIORITY_FEES, { cached: false, fallback: true });
   }
 }
 
 /**
- * Calculate total priority fee in lamports.
+ * Calculate total priority fee in lamports, for the requested level and every level.
+ * @param {number} computeUnits
+ * @param {Object} [options] - See getPriorityFeeEstimate
+ * @returns {Promise<{ priorityFeeLamports: number, microLamportsPerCU: number, computeUnits: number, priorityLevel: string, levels: Object<string, { microLamportsPerCU: number, priorityFeeLamports: number }> }>}
  */
 async function calculatePriorityFee(computeUnits, options = {}) {
-  const { priorityFee: microLamportsPerCU } = await getPriorityFeeEstimate(options);
-  const priorityFeeLamports = Math.ceil((microLamportsPerCU * computeUnits) / 1_000_000);
-  return { priorityFeeLamports, microLamportsPerCU, computeUnits };
+  const estimate = await getPriorityFeeEstimate(options);
+  const toLamports = (microLamportsPerCU) =>
+    Math.ceil((microLamportsPerCU * computeUnits) / 1_000_000);
+
+  const levels = {};
+  for (const [level, microLamportsPerCU] of Object.entries(estimate.levels)) {
+    levels[level] = { microLamportsPerCU, priorityFeeLamports: toLamports(microLamportsPerCU) };
+  }
+
+  return {
+    priorityFeeLamports: toLamports(estimate.priorityFee),
+    microLamportsPerCU: estimate.priorityFee,
+    computeUnits,
+    priorityLevel: estimate.priorityLevel,
+    levels,
+  };
+}
+
+function clearPriorityFeeCache() {
+  priorityFeeCache = { levels: null, timestamp: 0, ttl: priorityFeeCache.ttl };
 }
 
 /**
@@ -91,26 +145,39 @@ function getConnection() {
  * Send and confirm a pre-built serialized transaction via Helius RPC.
  * Used for the main relay flow (user's pre-signed tx).
  * @param {Buffer} serializedTx
- * @param {Object} options
+ * @param {Object} options - sendRawTransaction options
+ * @param {{nonceAccount: string, nonceValue: string}} [options.durableNonce] - Confirm against the
+ *   nonce instead of blockhash expiry (durable-nonce transactions)
  * @returns {Promise<{signature: string, confirmation: Object}>}
  */
 async function sendAndConfirmTransaction(serializedTx, options = {}) {
   const conn = getConnection();
+  const { durableNonce, ...sendOptions } = options;
+
+  const minContextSlot = durableNonce ? await conn.getSlot('confirmed') : undefined;
 
   const signature = await conn.sendRawTransaction(serializedTx, {
     skipPreflight: true,
-    ...options,
+    ...sendOptions,
   });
 
-  const latestBlockhash = await conn.getLatestBlockhash('confirmed');
-  const confirmation = await conn.confirmTransaction(
-    {
+  let strategy;
+  if (durableNonce) {
+    strategy = {
+      signature,
+      minContextSlot,
+      nonceAccountPubkey: new PublicKey(durableNonce.nonceAccount),
+      nonceValue: durableNonce.nonceValue,
+    };
+  } else {
+    const latestBlockhash = await conn.getLatestBlockhash('confirmed');
+    strategy = {
       signature,
       blockhash: latestBlockhash.blockhash,
       lastValidBlockHeight: latestBlockhash.lastValidBlockHeight,
-    },
-    'confirmed'
-  );
+    };
+  }
+  const confirmation = await conn.confirmTransaction(strategy, 'confirmed');
 
   if (confirmation.value.err) {
     throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
@@ -150,6 +217,7 @@ function isAvailable() {
 module.exports = {
   getPriorityFeeEstimate,
   calculatePriorityFee,
+  clearPriorityFeeCache,
   sendAndConfirmTransaction,
   sendSmartTransaction,
   getConnection,
@@ -0,0 +1,377 @@
+/**
+ * Jito Block Engine — bundle submission
+ *
+ * The user's co-signed transaction is bundled with a fee-payer tip transaction
+ * (DESIGN: TOUJOURS Jito tip minimum 0.0002 SOL). Bundles are atomic and
+ * skip the public mempool, so MEV-sensitive swaps can't be sandwiched.
+ * Mainnet only — callers fall back to Helius RPC when a bundle doesn't land.
+ */
+
+const {
+  PublicKey,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { JITO_TIP_LAMPORTS } = require('../constants');
+
+const DEFAULT_BLOCK_ENGINE_URL = 'https://mainnet.block-engine.jito.wtf';
+const TIP_FLOOR_URL = 'https://bundles.jito.wtf/api/v1/bundles/tip_floor';
+const FETCH_TIMEOUT = 10_000; // 10s
+const TIP_FLOOR_CACHE_TTL = 10_000; // 10s
+const BUNDLE_POLL_INTERVAL = 1_000; // 1s
+const DEFAULT_BUNDLE_TIMEOUT = 30_000; // 30s
+const MAX_BUNDLE_SIZE = 5;
+const LAMPORTS_PER_SOL = 1_000_000_000;
+
+const MIN_TIP_LAMPORTS = JITO_TIP_LAMPORTS;
+const DEFAULT_TIP_LAMPORTS = JITO_TIP_LAMPORTS;
+
+// Any account with this prefix makes the block engine reject bundles that
+// front-run the transaction holding it (read-only, never signs)
+const SANDWICH_PROTECTION_ACCOUNT = 'jitodontfront111111111111111111111111111111';
+
+// Official Jito tip accounts (mainnet)
+const TIP_ACCOUNTS = [
+  '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+  'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+  'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+  'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+  'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+  'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+  'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+  '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT',
+];
+
+const stats = {
+  bundlesSent: 0,
+  bundlesLanded: 0,
+  bundlesFailed: 0,
+  transactionsSent: 0,
+};
+
+let tipFloorCache = { value: null, timestamp: 0 };
+
+function getEndpoint() {
+  return config.JITO_BLOCK_ENGINE_URL || DEFAULT_BLOCK_ENGINE_URL;
+}
+
+/** @returns {boolean} Whether bundles are sent (mainnet, not disabled). */
+function isEnabled() {
+  return !config.JITO_DISABLED && String(config.NETWORK).startsWith('mainnet');
+}
+
+/** @returns {PublicKey} A random tip account (spreads write locks). */
+function getRandomTipAccount() {
+  const account = TIP_ACCOUNTS[Math.floor(Math.random() * TIP_ACCOUNTS.length)];
+  return new PublicKey(account);
+}
+
+/**
+ * Tip transfer to a random tip account (never below MIN_TIP_LAMPORTS).
+ * @param {PublicKey} payer
+ * @param {number} [lamports]
+ * @returns {import('@solana/web3.js').TransactionInstruction}
+ */
+function createTipInstruction(payer, lamports = DEFAULT_TIP_LAMPORTS) {
+  return SystemProgram.transfer({
+    fromPubkey: payer,
+    toPubkey: getRandomTipAccount(),
+    lamports: Math.max(MIN_TIP_LAMPORTS, lamports),
+  });
+}
+
+/**
+ * Fee-payer-signed tip transaction, bundled after the user's transaction.
+ * @param {import('@solana/web3.js').Keypair} payer
+ * @param {number} lamports
+ * @param {string} recentBlockhash
+ * @returns {VersionedTransaction}
+ */
+function buildTipTransaction(payer, lamports, recentBlockhash) {
+  const message = new TransactionMessage({
+    payerKey: payer.publicKey,
+    recentBlockhash,
+    instructions: [createTipInstruction(payer.publicKey, lamports)],
+  }).compileToV0Message();
+
+  const tx = new VersionedTransaction(message);
+  tx.sign([payer]);
+  return tx;
+}
+
+/**
+ * Read-only account that opts a transaction into Jito's anti-sandwich check.
+ * @returns {{ pubkey: PublicKey, isSigner: false, isWritable: false }}
+ */
+function createSandwichProtection() {
+  return {
+    pubkey: new PublicKey(SANDWICH_PROTECTION_ACCOUNT),
+    isSigner: false,
+    isWritable: false,
+  };
+}
+
+async function jitoRpc(path, method, params) {
+  const response = await fetch(`${getEndpoint()}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    signal: AbortSignal.timeout(FETCH_TIMEOUT),
+  });
+  const body = await response.json();
+  if (body.error) {
+    throw new Error(body.error.message || JSON.stringify(body.error));
+  }
+  return body.result;
+}
+
+function encodeTransaction(tx) {
+  return Buffer.from(tx.serialize()).toString('base64');
+}
+
+/**
+ * Submit an atomic bundle (max 5 transactions, tip included by the caller).
+ * @param {Array<VersionedTransaction|import('@solana/web3.js').Transaction>} transactions
+ * @returns {Promise<{ success: boolean, bundleId?: string, error?: string, fallback?: boolean }>}
+ */
+async function sendBundle(transactions) {
+  if (!transactions || transactions.length === 0) {
+    throw new Error('No transactions provided');
+  }
+  if (transactions.length > MAX_BUNDLE_SIZE) {
+    throw new Error(`Bundle cannot exceed ${MAX_BUNDLE_SIZE} transactions`);
+  }
+
+  if (!isEnabled()) {
+    return { success: false, fallback: true, error: 'Jito disabled on this network' };
+  }
+
+  try {
+    const bundleId = await jitoRpc('/api/v1/bundles', 'sendBundle', [
+      transactions.map(encodeTransaction),
+      { encoding: 'base64' },
+    ]);
+    stats.bundlesSent++;
+    logger.info('JITO', 'Bundle sent', { bundleId, size: transactions.length });
+    return { success: true, bundleId };
+  } catch (error) {
+    stats.bundlesFailed++;
+    logger.warn('JITO', 'Bundle rejected', { error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send a single transaction through the block engine.
+ * @param {VersionedTransaction|import('@solana/web3.js').Transaction} transaction
+ * @param {{ bundleOnly?: boolean }} [options] - bundleOnly: revert protection (must carry a tip)
+ * @returns {Promise<{ success: boolean, signature?: string, error?: string, fallback?: boolean }>}
+ */
+async function sendTransaction(transaction, { bundleOnly = true } = {}) {
+  if (!isEnabled()) {
+    return { success: false, fallback: true, error: 'Jito disabled on this network' };
+  }
+
+  try {
+    const signature = await jitoRpc(
+      `/api/v1/transactions?bundleOnly=${bundleOnly}`,
+      'sendTransaction',
+      [encodeTransaction(transaction), { encoding: 'base64' }]
+    );
+    stats.transactionsSent++;
+    return { success: true, signature };
+  } catch (error) {
+    logger.warn('JITO', 'Transaction rejected', { error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Landed status of a bundle. Bundles that haven't landed report not_found.
+ * @param {string} bundleId
+ * @returns {Promise<{ status: string, bundleId?: string, slot?: number, transactions?: string[], error?: string }>}
+ */
+async function getBundleStatus(bundleId) {
+  if (!bundleId) {
+    return { status: 'unknown', error: 'No bundle ID' };
+  }
+
+  try {
+    const result = await jitoRpc('/api/v1/bundles', 'getBundleStatuses', [[bundleId]]);
+    const entry = result?.value?.[0];
+    if (!entry) {
+      return { status: 'not_found', bundleId };
+    }
+    // err is { Ok: null } for a bundle whose transactions all succeeded
+    const failed = entry.err && !('Ok' in entry.err);
+    return {
+      status: failed ? 'failed' : entry.confirmation_status,
+      bundleId: entry.bundle_id,
+      slot: entry.slot,
+      transactions: entry.transactions,
+    };
+  } catch (error) {
+    return { status: 'unknown', bundleId, error: error.message };
+  }
+}
+
+/**
+ * Poll until the bundle lands or the timeout expires.
+ * @param {string} bundleId
+ * @param {number} [timeoutMs]
+ * @returns {Promise<{ landed: boolean, status: string, slot?: number }>}
+ */
+async function waitForBundle(bundleId, timeoutMs = DEFAULT_BUNDLE_TIMEOUT) {
+  const deadline = Date.now() + timeoutMs;
+  let last = { status: 'unknown' };
+
+  while (Date.now() < deadline) {
+    last = await getBundleStatus(bundleId);
+    if (last.status === 'confirmed' || last.status === 'finalized') {
+      stats.bundlesLanded++;
+      return { landed: true, status: last.status, slot: last.slot };
+    }
+    if (last.status === 'failed') break;
+    await new Promise((resolve) => setTimeout(resolve, BUNDLE_POLL_INTERVAL));
+  }
+
+  stats.bundlesFailed++;
+  return { landed: false, status: last.status };
+}
+
+/**
+ * Landed-tip percentiles in lamports (10s cache, DEFAULT_TIP_LAMPORTS on error).
+ * @returns {Promise<{ p50: number, p75: number, p95: number, error?: string }>}
+ */
+async function getTipFloor() {
+  const now = Date.now();
+  if (tipFloorCache.value && now - tipFloorCache.timestamp < TIP_FLOOR_CACHE_TTL) {
+    return tipFloorCache.value;
+  }
+
+  try {
+    const response = await fetch(TIP_FLOOR_URL, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+    const [floor] = await response.json();
+    const toLamports = (sol) => Math.round(sol * LAMPORTS_PER_SOL);
+
+    const value = {
+      p50: toLamports(floor.landed_tips_50th_percentile),
+      p75: toLamports(floor.landed_tips_75th_percentile),
+      p95: toLamports(floor.landed_tips_95th_percentile),
+    };
+    tipFloorCache = { value, timestamp: now };
+    return value;
+  } catch (error) {
+    logger.warn('JITO', 'Tip floor unavailable', { error: error.message });
+    return {
+      p50: DEFAULT_TIP_LAMPORTS,
+      p75: DEFAULT_TIP_LAMPORTS,
+      p95: DEFAULT_TIP_LAMPORTS,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Market tip for a priority level (raw percentile, may be below the minimum).
+ * @param {'low'|'medium'|'high'} [priority]
+ * @returns {Promise<number>} lamports
+ */
+async function getRecommendedTip(priority = 'medium') {
+  const floor = await getTipFloor();
+  const byPriority = { low: floor.p50, medium: floor.p75, high: floor.p95 };
+  return byPriority[priority] ?? floor.p75;
+}
+
+/**
+ * Tip to price into a quote: market tip, never below MIN_TIP_LAMPORTS.
+ * @param {'low'|'medium'|'high'} [priority]
+ * @returns {Promise<number>} lamports
+ */
+async function getTipLamports(priority = 'medium') {
+  return Math.max(MIN_TIP_LAMPORTS, await getRecommendedTip(priority));
+}
+
+/**
+ * Bundle the user's co-signed transaction with a fee-payer tip and wait for it to land.
+ * @param {VersionedTransaction|import('@solana/web3.js').Transaction} transaction - Fully signed
+ * @param {Object} options
+ * @param {import('@solana/web3.js').Keypair} options.tipPayer - Fee payer that pays the tip
+ * @param {number} options.tipLamports
+ * @param {string} options.recentBlockhash - For the tip transaction
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{ landed: boolean, signature: string, bundleId?: string, slot?: number, error?: string }>}
+ */
+async function sendBundleWithTip(transaction, options) {
+  const {
+    tipPayer,
+    tipLamports,
+    recentBlockhash,
+    timeoutMs = config.JITO_BUNDLE_TIMEOUT_MS,
+  } = options;
+  const signature = getSignature(transaction);
+
+  const tipTx = buildTipTransaction(tipPayer, tipLamports, recentBlockhash);
+  const bundle = await sendBundle([transaction, tipTx]);
+  if (!bundle.success) {
+    return { landed: false, signature, error: bundle.error };
+  }
+
+  const result = await waitForBundle(bundle.bundleId, timeoutMs);
+  if (!result.landed) {
+    logger.warn('JITO', 'Bundle did not land', {
+      bundleId: bundle.bundleId,
+      status: result.status,
+    });
+    return {
+      landed: false,
+      signature,
+      bundleId: bundle.bundleId,
+      error: `Bundle ${result.status}`,
+    };
+  }
+
+  return { landed: true, signature, bundleId: bundle.bundleId, slot: result.slot };
+}
+
+function getSignature(transaction) {
+  const sig =
+    transaction instanceof VersionedTransaction ? transaction.signatures[0] : transaction.signature;
+  return bs58.encode(sig);
+}
+
+/** Service status for /health. */
+function getStatus() {
+  return {
+    enabled: isEnabled(),
+    network: config.NETWORK,
+    endpoint: getEndpoint(),
+    tipAccounts: TIP_ACCOUNTS.length,
+    minTipLamports: MIN_TIP_LAMPORTS,
+    stats: { ...stats },
+  };
+}
+
+module.exports = {
+  isEnabled,
+  getRandomTipAccount,
+  createTipInstruction,
+  buildTipTransaction,
+  createSandwichProtection,
+  sendBundle,
+  sendTransaction,
+  getBundleStatus,
+  waitForBundle,
+  getTipFloor,
+  getRecommendedTip,
+  getTipLamports,
+  sendBundleWithTip,
+  getStatus,
+  TIP_ACCOUNTS,
+  MIN_TIP_LAMPORTS,
+  DEFAULT_TIP_LAMPORTS,
+};
@@ -6,10 +6,14 @@
 const config = require('../utils/config');
 const redis = require('../utils/redis');
 const logger = require('../utils/logger');
+const alt = require('../utils/alt');
 const { TOKEN_INFO } = require('../constants');
+const tokenRegistry = require('./token-registry');
 
 const JUPITER_API = 'https://api.jup.ag/swap/v1';
 const FETCH_TIMEOUT = 10_000; // 10s
+// Multi-hop routes allowed once accounts resolve through the GASdf lookup table
+const ALT_MAX_ACCOUNTS = 40;
 
 if (!config.JUPITER_API_KEY && !config.IS_DEV) {
   logger.error('JUPITER', 'JUPITER_API_KEY not configured — quotes will fail');
@@ -39,13 +43,17 @@ async function getQuote(inputMint, outputMint, amount, slippageBps = 50) {
   }
   cacheMisses++;
 
+  // Without our lookup table, routes must stay small enough to fit next to the fee transfer
+  const routeLimits = alt.isAltConfigured()
+    ? { maxAccounts: String(ALT_MAX_ACCOUNTS) }
+    : { maxAccounts: '15', onlyDirectRoutes: 'true' };
+
   const params = new URLSearchParams({
     inputMint,
     outputMint,
     amount: amount.toString(),
     slippageBps: slippageBps.toString(),
-    maxAccounts: '15',
-    onlyDirectRoutes: 'true',
+    ...routeLimits,
   });
 
   const response = await fetch(`${JUPITER_API}/quote?${params}`, {
@@ -86,7 +94,7 @@ async function getSwapTransaction(quoteResponse, userPublicKey) {
  * Jupiter is the sole price source (Phase 0).
  */
 async function getFeeInToken(inputMint, solAmountLamports) {
-  const tokenInfo = TOKEN_INFO[inputMint] || { symbol: 'UNKNOWN', decimals: 6 };
+  const tokenInfo = tokenRegistry.getToken(inputMint) || { symbol: 'UNKNOWN', decimals: 6 };
 
   if (inputMint === config.WSOL_MINT) {
     return {
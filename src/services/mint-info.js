@@ -0,0 +1,176 @@
+/**
+ * Mint Info — token program and Token-2022 extensions of payment mints
+ *
+ * Token-2022 mints (PYUSD on mainnet) need ATAs derived with their own
+ * program id, and some extensions change what a fee transfer does:
+ *   - TransferFeeConfig: the treasury receives amount − fee, so quotes gross up
+ *   - TransferHook: runs arbitrary code on every transfer — even an
+ *     uninitialized hook can be pointed at a program by its authority
+ *   - NonTransferable: can't be paid at all
+ *   - ConfidentialTransfer*: balances move where simulation can't see them
+ * A reviewed mint may keep some of these via EXTENSION_ALLOWLIST.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const {
+  ExtensionType,
+  TOKEN_2022_PROGRAM_ID,
+  calculateFee,
+  getExtensionTypes,
+  getTransferFeeConfig,
+  getTransferHook,
+  unpackMint,
+} = require('@solana/spl-token');
+const helius = require('./helius');
+const { MINTS } = require('../constants');
+
+// Fee config can be changed by its authority — don't cache forever
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const mintInfoCache = new Map();
+
+// Not named by @solana/spl-token's ExtensionType
+const CONFIDENTIAL_TRANSFER_FEE_CONFIG = 16;
+
+const UNSUPPORTED_EXTENSIONS = [
+  'NonTransferable',
+  'TransferHook',
+  'ConfidentialTransferMint',
+  'ConfidentialTransferFeeConfig',
+];
+
+// Reviewed mints and the extensions they may carry. PYUSD ships confidential
+// transfers and a hook with no program; a hook that gets a program is
+// rejected even here.
+const EXTENSION_ALLOWLIST = {
+  [MINTS.PYUSD]: ['ConfidentialTransferMint', 'ConfidentialTransferFeeConfig', 'TransferHook'],
+};
+
+/**
+ * @typedef {Object} TransferFee
+ * @property {number} basisPoints
+ * @property {string} maximumFee - Raw token units
+ */
+
+/**
+ * Token program, decimals and relevant extensions of a mint (cached).
+ * @param {string} mint
+ * @returns {Promise<{ programId: PublicKey, decimals: number, isToken2022: boolean, transferFee: TransferFee|null, unsupportedExtensions: string[] }>}
+ * @throws {Error} If the mint account doesn't exist or isn't a mint
+ */
+async function getMintInfo(mint) {
+  const cached = mintInfoCache.get(mint);
+  if (cached && cached.expiresAt > Date.now()) return cached.info;
+
+  const mintPubkey = new PublicKey(mint);
+  const account = await helius.getConnection().getAccountInfo(mintPubkey, 'confirmed');
+  if (!account) {
+    throw new Error(`Mint not found: ${mint}`);
+  }
+
+  const unpacked = unpackMint(mintPubkey, account, account.owner);
+  const isToken2022 = account.owner.equals(TOKEN_2022_PROGRAM_ID);
+  const info = {
+    programId: account.owner,
+    decimals: unpacked.decimals,
+    isToken2022,
+    transferFee: isToken2022 ? parseTransferFee(unpacked) : null,
+    unsupportedExtensions: isToken2022 ? findUnsupportedExtensions(unpacked, mint) : [],
+  };
+
+  mintInfoCache.set(mint, { info, expiresAt: Date.now() + CACHE_TTL_MS });
+  return info;
+}
+
+/**
+ * The higher of the current and scheduled transfer fee — a change can take
+ * effect at the next epoch, while the quote is still live.
+ * @returns {TransferFee|null} null when the mint charges no transfer fee
+ */
+function parseTransferFee(unpacked) {
+  const config = getTransferFeeConfig(unpacked);
+  if (!config) return null;
+
+  const { olderTransferFee: older, newerTransferFee: newer } = config;
+  const basisPoints = Math.max(older.transferFeeBasisPoints, newer.transferFeeBasisPoints);
+  const maximumFee = older.maximumFee > newer.maximumFee ? older.maximumFee : newer.maximumFee;
+  if (basisPoints === 0 || maximumFee === 0n) return null;
+
+  return { basisPoints, maximumFee: maximumFee.toString() };
+}
+
+function findUnsupportedExtensions(unpacked, mint) {
+  const allowed = EXTENSION_ALLOWLIST[mint] || [];
+  const unsupported = [];
+  for (const type of getExtensionTypes(unpacked.tlvData)) {
+    const name =
+      type === CONFIDENTIAL_TRANSFER_FEE_CONFIG
+        ? 'ConfidentialTransferFeeConfig'
+        : ExtensionType[type];
+    if (!UNSUPPORTED_EXTENSIONS.includes(name)) continue;
+    if (
+      !allowed.includes(name) ||
+      (type === ExtensionType.TransferHook && hasHookProgram(unpacked))
+    ) {
+      unsupported.push(name);
+    }
+  }
+  return unsupported;
+}
+
+function hasHookProgram(unpacked) {
+  const hook = getTransferHook(unpacked);
+  return Boolean(hook && !hook.programId.equals(PublicKey.default));
+}
+
+function toSplTransferFee(transferFee) {
+  return {
+    transferFeeBasisPoints: transferFee.basisPoints,
+    maximumFee: BigInt(transferFee.maximumFee),
+  };
+}
+
+/**
+ * What the treasury receives from a transfer of `grossAmount`.
+ * @param {bigint|number|string} grossAmount
+ * @param {TransferFee|null} transferFee
+ * @returns {bigint}
+ */
+function netAmountAfterFee(grossAmount, transferFee) {
+  const gross = BigInt(grossAmount);
+  if (!transferFee) return gross;
+  return gross - calculateFee(toSplTransferFee(transferFee), gross);
+}
+
+/**
+ * Smallest transfer that leaves the treasury at least `netAmount` after the fee.
+ * @param {bigint|number|string} netAmount
+ * @param {TransferFee|null} transferFee
+ * @returns {bigint}
+ */
+function grossAmountForNet(netAmount, transferFee) {
+  const net = BigInt(netAmount);
+  if (!transferFee || net === 0n) return net;
+
+  const maxGross = net + BigInt(transferFee.maximumFee);
+  if (transferFee.basisPoints >= 10_000) return maxGross;
+
+  // Uncapped fee rounds up, so the estimate can be 1 short
+  let gross =
+    (net * 10_000n + BigInt(10_000 - transferFee.basisPoints) - 1n) /
+    BigInt(10_000 - transferFee.basisPoints);
+  while (gross < maxGross && netAmountAfterFee(gross, transferFee) < net) {
+    gross += 1n;
+  }
+  return gross < maxGross ? gross : maxGross;
+}
+
+function clearCache() {
+  mintInfoCache.clear();
+}
+
+module.exports = {
+  getMintInfo,
+  netAmountAfterFee,
+  grossAmountForNet,
+  clearCache,
+};
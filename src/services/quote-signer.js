@@ -0,0 +1,151 @@
+/**
+ * Quote Signer — Ed25519-signed quote envelopes
+ *
+ * Lets /v1/submit accept a quote whose Redis record is gone (restart, other
+ * replica) by verifying it was issued by us. Uses a dedicated signing key,
+ * never a fee payer key. Single use is still enforced via the replay store.
+ */
+
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const nacl = require('tweetnacl');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+
+// Envelope payload fields, in signing order
+const PAYLOAD_FIELDS = [
+  'quoteId',
+  'userPubkey',
+  'paymentToken',
+  'feeAmount',
+  'feeAmountLamports',
+  'treasuryAddress',
+  'treasuryAta',
+  'feePayer',
+  'priorityFeeLamports',
+  'estimatedComputeUnits',
+  'nonceAccount',
+  'jitoTipLamports',
+  'speed',
+  'computeUnitPrice',
+  'expiresAt',
+  // Read downstream: durable-nonce build (prepare) and Token-2022 net fee check (submit)
+  'nonceAuthority',
+  'transferFee',
+  'netFeeAmount',
+  'createdAt',
+];
+
+let signer = null;
+
+function getSigner() {
+  if (!signer && config.QUOTE_SIGNING_KEY) {
+    signer = Keypair.fromSecretKey(bs58.decode(config.QUOTE_SIGNING_KEY));
+    logger.info('QUOTE_SIGNER', 'Initialized', { pubkey: signer.publicKey.toBase58() });
+  }
+  return signer;
+}
+
+/** @returns {boolean} Whether signed quotes are available (QUOTE_SIGNING_KEY set). */
+function isEnabled() {
+  return !!config.QUOTE_SIGNING_KEY;
+}
+
+/** @returns {string|null} Quote-signing public key (base58). */
+function getSignerPublicKey() {
+  const kp = getSigner();
+  return kp ? kp.publicKey.toBase58() : null;
+}
+
+/**
+ * Canonical payload bytes: fixed field order, nothing else.
+ * @param {Object} quote
+ * @returns {Buffer}
+ */
+function encodePayload(quote) {
+  const payload = {};
+  for (const field of PAYLOAD_FIELDS) {
+    payload[field] = quote[field] ?? null;
+  }
+  return Buffer.from(JSON.stringify(payload));
+}
+
+/**
+ * Sign a quote.
+ * @param {Object} quote - Stored quote (must include quoteId)
+ * @returns {{payload: string, signature: string, signer: string}} Envelope (payload base64, signature base58)
+ */
+function signQuote(quote) {
+  const kp = getSigner();
+  if (!kp) {
+    throw new Error('QUOTE_SIGNING_KEY not configured');
+  }
+
+  const payloadBytes = encodePayload(quote);
+  const signature = nacl.sign.detached(payloadBytes, kp.secretKey);
+
+  return {
+    payload: payloadBytes.toString('base64'),
+    signature: bs58.encode(signature),
+    signer: kp.publicKey.toBase58(),
+  };
+}
+
+/**
+ * Verify a signed quote envelope.
+ * @param {{payload: string, signature: string, signer: string}} envelope
+ * @param {string} quoteId - quoteId the client is submitting against
+ * @returns {{valid: boolean, quote?: Object, error?: string}}
+ */
+function verifySignedQuote(envelope, quoteId) {
+  const kp = getSigner();
+  if (!kp) {
+    return { valid: false, error: 'Signed quotes are not enabled' };
+  }
+
+  if (!envelope || typeof envelope.payload !== 'string' || typeof envelope.signature !== 'string') {
+    return { valid: false, error: 'Malformed signed quote envelope' };
+  }
+
+  // Only our own key is trusted — the envelope's signer field is informational
+  if (envelope.signer && envelope.signer !== kp.publicKey.toBase58()) {
+    return { valid: false, error: 'Signed quote was not issued by this service' };
+  }
+
+  let quote;
+  let signatureBytes;
+  try {
+    const payloadBytes = Buffer.from(envelope.payload, 'base64');
+    signatureBytes = bs58.decode(envelope.signature);
+    quote = JSON.parse(payloadBytes.toString());
+
+    // Reject payloads that are not in canonical form (extra fields, reordering)
+    if (!encodePayload(quote).equals(payloadBytes)) {
+      return { valid: false, error: 'Signed quote payload is not canonical' };
+    }
+
+    if (!nacl.sign.detached.verify(payloadBytes, signatureBytes, kp.publicKey.toBytes())) {
+      return { valid: false, error: 'Signed quote signature verification failed' };
+    }
+  } catch (err) {
+    return { valid: false, error: `Signed quote decode error: ${err.message}` };
+  }
+
+  if (quote.quoteId !== quoteId) {
+    return { valid: false, error: 'Signed quote does not match quoteId' };
+  }
+
+  if (!quote.expiresAt || quote.expiresAt <= Date.now()) {
+    return { valid: false, error: 'Signed quote expired' };
+  }
+
+  return { valid: true, quote };
+}
+
+module.exports = {
+  isEnabled,
+  getSignerPublicKey,
+  signQuote,
+  verifySignedQuote,
+  PAYLOAD_FIELDS,
+};
@@ -0,0 +1,207 @@
+/**
+ * Refill Worker — tops fee payers up with SOL from treasury revenue
+ *
+ * When a payer nears its low-balance threshold (the velocity-based buffer
+ * split across the pool, see fee-payer-pool.js), treasury token fees are
+ * swapped to SOL via Jupiter and sent to it before its circuit breaker opens.
+ * One instance refills at a time (the treasury lock, shared with the burn
+ * worker), and at most REFILL_DAILY_CAP_LAMPORTS per UTC day across all payers.
+ */
+
+const { PublicKey, SystemProgram } = require('@solana/web3.js');
+const { getAssociatedTokenAddress, getAccount } = require('@solana/spl-token');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+const helius = require('./helius');
+const feePayer = require('./fee-payer');
+const feePayerPool = require('./fee-payer-pool');
+const jupiter = require('./jupiter');
+const mintInfo = require('./mint-info');
+const tokenRegistry = require('./token-registry');
+const { executeSwap, getSolBalanceChange, TREASURY_LOCK } = require('./burn-worker');
+
+// Below 0.01 SOL the swap fee isn't worth it
+const MIN_REFILL_LAMPORTS = 10_000_000;
+
+let refillInterval = null;
+
+function startRefillWorker() {
+  if (config.REFILL_DISABLED) {
+    logger.info('REFILL_WORKER', 'Disabled (REFILL_DISABLED=true)');
+    return;
+  }
+  logger.info('REFILL_WORKER', 'Starting refill worker (30s interval)');
+  // Run immediately then every 30s (same cadence as the balance monitor)
+  runRefillCycle();
+  refillInterval = setInterval(runRefillCycle, 30_000);
+}
+
+function stopRefillWorker() {
+  if (refillInterval) {
+    clearInterval(refillInterval);
+    refillInterval = null;
+  }
+}
+
+async function runRefillCycle() {
+  const result = await redis.withLock(
+    TREASURY_LOCK,
+    async () => {
+      await feePayerPool.checkBalances();
+      const payers = feePayerPool.getPayersNeedingRefill().sort((a, b) => a.balance - b.balance);
+      if (payers.length === 0) return { refilled: 0 };
+
+      let remaining = config.REFILL_DAILY_CAP_LAMPORTS - (await redis.getRefillTotal());
+      let refilled = 0;
+
+      for (const payer of payers) {
+        const wanted = Math.ceil(payer.threshold * config.REFILL_TARGET_RATIO) - payer.balance;
+        const amount = Math.min(wanted, remaining);
+
+        if (amount < MIN_REFILL_LAMPORTS) {
+          if (remaining < wanted) {
+            logger.warn('REFILL_WORKER', 'Daily refill cap reached', {
+              pubkey: payer.pubkey.slice(0, 8),
+              balance: payer.balance,
+              capLamports: config.REFILL_DAILY_CAP_LAMPORTS,
+            });
+          }
+          continue;
+        }
+
+        try {
+          const swapped = await refillPayer(payer.pubkey, amount);
+          remaining -= swapped;
+          refilled += swapped;
+        } catch (err) {
+          logger.error('REFILL_WORKER', 'Refill failed', {
+            pubkey: payer.pubkey.slice(0, 8),
+            error: err.message,
+          });
+        }
+      }
+
+      // Close the low-balance breakers right away rather than in up to 30s
+      if (refilled > 0) {
+        await feePayerPool.checkBalances();
+      }
+      return { refilled };
+    },
+    120
+  ); // 120s lock TTL
+
+  if (!result.success && result.error === 'LOCK_HELD') {
+    logger.debug('REFILL_WORKER', 'Skipping — lock held by another instance');
+  } else if (!result.success) {
+    logger.error('REFILL_WORKER', 'Refill cycle failed', { error: result.message });
+  }
+  return result;
+}
+
+/**
+ * Swap treasury token fees (registry tokens) to about `lamports` SOL and send it to a payer.
+ * The treasury is the primary fee payer (Phase 0): refilling it needs no transfer.
+ * @param {string} pubkey - Fee payer (base58)
+ * @param {number} lamports
+ * @returns {Promise<number>} Lamports swapped (counted against the daily cap)
+ */
+async function refillPayer(pubkey, lamports) {
+  const kp = feePayer.getFeePayer();
+
+  const swaps = [];
+  let swapped = 0;
+  for (const mint of tokenRegistry.listSwappableMints()) {
+    if (lamports - swapped < MIN_REFILL_LAMPORTS) break;
+
+    const swap = await swapStablecoinToSol(kp, mint, lamports - swapped);
+    if (swap) {
+      swaps.push(swap);
+      swapped += swap.lamports;
+    }
+  }
+
+  if (swapped === 0) {
+    logger.warn('REFILL_WORKER', 'No treasury tokens to refill from', {
+      pubkey: pubkey.slice(0, 8),
+      lamports,
+    });
+    return 0;
+  }
+
+  // The swaps happened: they count against the cap even if the transfer fails
+  await redis.incrRefillTotal(swapped);
+
+  let transferSignature = null;
+  if (pubkey !== kp.publicKey.toBase58()) {
+    const transferIx = SystemProgram.transfer({
+      fromPubkey: kp.publicKey,
+      toPubkey: new PublicKey(pubkey),
+      lamports: swapped,
+    });
+    transferSignature = await helius.sendSmartTransaction([transferIx], [kp]);
+  }
+
+  await redis.recordTreasuryEvent({
+    type: 'refill',
+    payer: pubkey,
+    solAmount: swapped / 1e9,
+    swaps,
+    transferSignature,
+  });
+
+  logger.info('REFILL_WORKER', 'Fee payer refilled from treasury', {
+    pubkey: pubkey.slice(0, 8),
+    sol: swapped / 1e9,
+    swaps: swaps.length,
+    transferSignature,
+  });
+  return swapped;
+}
+
+/**
+ * Swap enough of one treasury token for about `lamports` SOL (all of it
+ * if that's not enough).
+ * @returns {Promise<{inputMint: string, inputAmount: number, lamports: number, swapSignature: string}|null>}
+ *   `lamports` received, or null if the treasury holds only dust of the token
+ */
+async function swapStablecoinToSol(kp, mint, lamports) {
+  // PYUSD is a Token-2022 mint
+  const { programId } = await mintInfo.getMintInfo(mint);
+  const ata = await getAssociatedTokenAddress(new PublicKey(mint), kp.publicKey, false, programId);
+  const account = await getAccount(helius.getConnection(), ata, 'confirmed', programId).catch(
+    () => null
+  );
+  const balance = Number(account?.amount ?? 0);
+  if (balance === 0) return null;
+
+  // Registry tokens have any decimals: dust is measured in SOL, not raw units
+  const { inputAmount } = await jupiter.getFeeInToken(mint, lamports);
+  if ((balance * lamports) / inputAmount < MIN_REFILL_LAMPORTS) return null;
+  const amount = Math.min(inputAmount, balance);
+
+  const quote = await jupiter.getTokenToSolQuote(mint, amount);
+  const swapSignature = await executeSwap(kp, quote);
+
+  // The quote is an estimate: count what actually arrived, net of the swap fee
+  const received = await getSolBalanceChange(
+    helius.getConnection(),
+    swapSignature,
+    kp.publicKey.toBase58()
+  );
+  if (received <= 0) {
+    logger.warn('REFILL_WORKER', 'Swap delivered no SOL', {
+      mint: mint.slice(0, 8),
+      swapSignature,
+    });
+  }
+
+  return {
+    inputMint: mint,
+    inputAmount: amount,
+    lamports: Math.max(received, 0),
+    swapSignature,
+  };
+}
+
+module.exports = { startRefillWorker, stopRefillWorker, runRefillCycle };
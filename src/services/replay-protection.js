@@ -0,0 +1,78 @@
+/**
+ * Replay Protection — one submit per transaction message
+ *
+ * Keyed on the SHA-256 of the message, not the signatures: a client that
+ * re-signs the same message gets a deterministic REPLAY_DETECTED instead of
+ * a second co-sign. TTL follows how long the message can still land:
+ * - recent blockhash: ~150 slots
+ * - durable nonce: until the nonce is advanced (nonce key claimed too)
+ */
+
+const validator = require('./validator');
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+
+// Blockhash validity: 150 slots × ~400ms = 60s, +50% for slot time variance (90s)
+const BLOCKHASH_VALIDITY_SLOTS = 150;
+const SLOT_TIME_MS = 400;
+const BLOCKHASH_TTL_SECONDS = Math.ceil((BLOCKHASH_VALIDITY_SLOTS * SLOT_TIME_MS * 1.5) / 1000);
+// Durable nonce messages stay valid until the nonce advances
+const NONCE_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Claim a transaction for submission.
+ * @param {import('@solana/web3.js').Transaction|import('@solana/web3.js').VersionedTransaction} transaction
+ * @returns {Promise<{ claimed: boolean, messageHash: string, replayKey: string, ttlSeconds: number, reason?: string }>}
+ */
+async function claim(transaction) {
+  const messageHash = validator.computeTransactionHash(transaction);
+  const replayKey = validator.getReplayProtectionKey(transaction);
+  const isNonce = replayKey.startsWith('nonce:');
+  const ttlSeconds = isNonce ? NONCE_TTL_SECONDS : BLOCKHASH_TTL_SECONDS;
+
+  const result = { messageHash, replayKey, ttlSeconds };
+
+  const { claimed } = await redis.claimTransactionSlot(messageHash, ttlSeconds);
+  if (!claimed) {
+    logger.warn('REPLAY', 'Duplicate message rejected', {
+      messageHash: messageHash.slice(0, 16),
+      replayKey,
+    });
+    return { ...result, claimed: false, reason: 'Transaction message already submitted' };
+  }
+
+  // A nonce value is single-use: reject a different message built on the same nonce
+  if (isNonce) {
+    const { claimed: nonceClaimed } = await redis.claimReplayKey(
+      replayKey,
+      ttlSeconds,
+      messageHash
+    );
+    if (!nonceClaimed) {
+      await redis.releaseTransactionSlot(messageHash);
+      logger.warn('REPLAY', 'Durable nonce already used', { replayKey });
+      return { ...result, claimed: false, reason: 'Durable nonce already used' };
+    }
+  }
+
+  return { ...result, claimed: true };
+}
+
+/**
+ * Release a claim (transaction rejected before it was sent).
+ * @param {{ messageHash: string, replayKey: string }} claimResult - From claim()
+ */
+async function release({ messageHash, replayKey }) {
+  await redis.releaseTransactionSlot(messageHash);
+  if (replayKey.startsWith('nonce:')) {
+    await redis.releaseReplayKey(replayKey);
+  }
+}
+
+module.exports = {
+  claim,
+  release,
+  BLOCKHASH_VALIDITY_SLOTS,
+  BLOCKHASH_TTL_SECONDS,
+  NONCE_TTL_SECONDS,
+};
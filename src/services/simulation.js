@@ -0,0 +1,200 @@
+/**
+ * Transaction Simulation — Fee payer balance-delta guard
+ *
+ * Primary defense from the validator security model: simulate the co-signed
+ * transaction and compare the fee payer's SOL (and token) balances before and
+ * after. Anything beyond the network + priority fee is a drain → reject.
+ */
+
+const { PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const { AccountLayout, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
+const helius = require('./helius');
+const logger = require('../utils/logger');
+
+// Cache for fee payer token accounts (1 min TTL)
+const tokenAccountsCache = new Map();
+const TOKEN_ACCOUNTS_CACHE_TTL = 60_000;
+
+/**
+ * List token accounts (classic + Token-2022) owned by a wallet.
+ * @param {PublicKey} owner
+ * @returns {Promise<string[]>} base58 token account addresses
+ */
+async function getOwnedTokenAccounts(owner) {
+  const key = owner.toBase58();
+  const cached = tokenAccountsCache.get(key);
+  if (cached && Date.now() - cached.timestamp < TOKEN_ACCOUNTS_CACHE_TTL) {
+    return cached.accounts;
+  }
+
+  const connection = helius.getConnection();
+  const results = await Promise.all(
+    [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map((programId) =>
+      connection.getTokenAccountsByOwner(owner, { programId })
+    )
+  );
+
+  const accounts = results.flatMap((r) => r.value.map((a) => a.pubkey.toBase58()));
+  tokenAccountsCache.set(key, { accounts, timestamp: Date.now() });
+  return accounts;
+}
+
+/**
+ * Read the u64 amount out of raw token account data.
+ * @param {Buffer|null} data
+ * @returns {bigint}
+ */
+function decodeTokenAmount(data) {
+  if (!data || data.length < AccountLayout.span) return 0n;
+  return AccountLayout.decode(data.subarray(0, AccountLayout.span)).amount;
+}
+
+/**
+ * Simulate a transaction and verify the fee payer balance delta.
+ *
+ * @param {Transaction|VersionedTransaction} transaction - Co-signed transaction
+ * @param {Object} options
+ * @param {PublicKey|string} options.feePayer - Fee payer public key
+ * @param {number} options.maxFeeLamports - Maximum SOL the fee payer may lose (network + priority fee)
+ * @returns {Promise<{ success: boolean, reason?: string, error?: string, feePayerDelta?: number, maxFeeLamports: number, tokenDeltas: Array<{account: string, delta: string}>, unitsConsumed?: number, simulationError?: any, logs: string[] }>}
+ */
+async function simulateWithBalanceCheck(transaction, { feePayer, maxFeeLamports }) {
+  const connection = helius.getConnection();
+  const feePayerPubkey = new PublicKey(feePayer);
+
+  // --- Pre-state: fee payer SOL + owned token accounts ---------------------
+  const tokenAccounts = await getOwnedTokenAccounts(feePayerPubkey);
+  const addresses = [feePayerPubkey.toBase58(), ...tokenAccounts];
+  const preInfos = await connection.getMultipleAccountsInfo(
+    addresses.map((a) => new PublicKey(a)),
+    'confirmed'
+  );
+
+  // --- Simulate -------------------------------------------------------------
+  let response;
+  if (transaction instanceof VersionedTransaction) {
+    response = await connection.simulateTransaction(transaction, {
+      sigVerify: false,
+      commitment: 'confirmed',
+      accounts: { encoding: 'base64', addresses },
+    });
+  } else {
+    response = await connection.simulateTransaction(
+      transaction,
+      undefined,
+      addresses.map((a) => new PublicKey(a))
+    );
+  }
+
+  const { err, logs, accounts: postInfos, unitsConsumed } = response.value;
+  const result = {
+    success: false,
+    maxFeeLamports,
+    tokenDeltas: [],
+    unitsConsumed,
+    logs: logs || [],
+  };
+
+  if (err) {
+    return {
+      ...result,
+      reason: 'SIMULATION_FAILED',
+      error: 'Transaction simulation failed',
+      simulationError: err,
+    };
+  }
+
+  if (!postInfos || postInfos.length !== addresses.length) {
+    return {
+      ...result,
+      reason: 'MISSING_ACCOUNT_STATE',
+      error: 'Simulation did not return fee payer account state',
+    };
+  }
+
+  // --- SOL delta ------------------------------------------------------------
+  const preLamports = preInfos[0]?.lamports ?? 0;
+  const postLamports = postInfos[0]?.lamports ?? 0;
+  const feePayerDelta = preLamports - postLamports;
+  result.feePayerDelta = feePayerDelta;
+
+  // --- Token deltas (fee payer must never lose tokens) ---------------------
+  for (let i = 1; i < addresses.length; i++) {
+    const preAmount = decodeTokenAmount(preInfos[i]?.data);
+    const postData = postInfos[i]?.data ? Buffer.from(postInfos[i].data[0], 'base64') : null;
+    const postAmount = decodeTokenAmount(postData);
+    if (postAmount < preAmount) {
+      result.tokenDeltas.push({
+        account: addresses[i],
+        delta: (postAmount - preAmount).toString(),
+      });
+    }
+  }
+
+  if (feePayerDelta > maxFeeLamports) {
+    logger.warn('SIMULATION', 'Fee payer SOL drain detected', {
+      feePayer: addresses[0].slice(0, 8),
+      feePayerDelta,
+      maxFeeLamports,
+    });
+    return {
+      ...result,
+      reason: 'FEE_PAYER_SOL_DRAIN',
+      error: `Fee payer balance delta ${feePayerDelta} exceeds allowed fee ${maxFeeLamports}`,
+    };
+  }
+
+  if (result.tokenDeltas.length > 0) {
+    logger.warn('SIMULATION', 'Fee payer token drain detected', {
+      feePayer: addresses[0].slice(0, 8),
+      tokenDeltas: result.tokenDeltas,
+    });
+    return {
+      ...result,
+      reason: 'FEE_PAYER_TOKEN_DRAIN',
+      error: 'Transaction decreases fee payer token balances',
+    };
+  }
+
+  return { ...result, success: true };
+}
+
+/**
+ * Simulate an unsigned draft transaction for its compute usage (quote time).
+ * Signatures are skipped; the blockhash is refreshed unless it is a durable nonce.
+ *
+ * @param {VersionedTransaction} transaction - Draft as posted to /v1/quote
+ * @param {{ durableNonce?: boolean }} [options]
+ * @returns {Promise<{ success: boolean, unitsConsumed?: number, error?: string, simulationError?: any, logs: string[] }>}
+ */
+async function simulateDraft(transaction, { durableNonce = false } = {}) {
+  const connection = helius.getConnection();
+  const { value } = await connection.simulateTransaction(transaction, {
+    sigVerify: false,
+    replaceRecentBlockhash: !durableNonce,
+    commitment: 'confirmed',
+  });
+
+  const logs = value.logs || [];
+  if (value.err) {
+    return {
+      success: false,
+      error: 'Draft transaction simulation failed',
+      simulationError: value.err,
+      logs,
+    };
+  }
+
+  return { success: true, unitsConsumed: value.unitsConsumed, logs };
+}
+
+function clearCache() {
+  tokenAccountsCache.clear();
+}
+
+module.exports = {
+  simulateWithBalanceCheck,
+  simulateDraft,
+  getOwnedTokenAccounts,
+  clearCache,
+};
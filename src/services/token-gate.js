@@ -1,30 +1,32 @@
 /**
  * Token Gating - Phase 0 Whitelist Model
  *
- * Accepted tokens: USDC, USDT, PYUSD, $ASDF
+ * Accepted tokens: the enabled entries of the token registry, seeded with
+ * USDC, USDT, PYUSD, $ASDF, SOL (see token-registry.js).
+ * SOL is paid natively — a System transfer to the treasury address — so a
+ * wallet holding SOL can sponsor fees for another that holds none.
  * HolDex K-score removed — single point of failure.
  */
 
-const { MINTS, TOKEN_INFO } = require('../constants');
 const logger = require('../utils/logger');
-
-const WHITELIST = new Map([
-  [MINTS.USDC, TOKEN_INFO[MINTS.USDC]],
-  [MINTS.USDT, TOKEN_INFO[MINTS.USDT]],
-  [MINTS.PYUSD, TOKEN_INFO[MINTS.PYUSD]],
-  [MINTS.ASDF, TOKEN_INFO[MINTS.ASDF]],
-]);
+const tokenRegistry = require('./token-registry');
 
 /**
  * Check if a token is accepted for payment.
  * @param {string} mint - Token mint address
- * @returns {{accepted: boolean, reason: string}}
+ * @returns {{accepted: boolean, reason: string}} reason is 'paused' for a disabled token
  */
 function isTokenAccepted(mint) {
-  if (WHITELIST.has(mint)) {
+  const entry = tokenRegistry.getToken(mint);
+  if (entry?.enabled) {
     return { accepted: true, reason: 'whitelisted' };
   }
 
+  if (entry) {
+    logger.info('TOKEN_GATE', 'Token rejected - paused', { mint: mint.slice(0, 8) });
+    return { accepted: false, reason: 'paused' };
+  }
+
   logger.info('TOKEN_GATE', 'Token rejected - not whitelisted', {
     mint: mint.slice(0, 8),
   });
@@ -34,27 +36,33 @@ function isTokenAccepted(mint) {
 
 /**
  * Get list of accepted tokens (for /tokens endpoint).
- * @returns {Array<{mint: string, symbol: string, name: string, decimals: number}>}
+ * @returns {Array<{mint: string, symbol: string, name: string, decimals: number, token2022: boolean, minFeeAmount: string, slippageBps: number}>}
  */
 function getAcceptedTokens() {
-  return [...WHITELIST.entries()].map(([mint, info]) => ({
-    mint,
-    ...info,
-  }));
+  return tokenRegistry
+    .listTokens()
+    .map(({ mint, symbol, name, decimals, token2022, minFeeAmount, slippageBps }) => ({
+      mint,
+      symbol,
+      name,
+      decimals,
+      token2022,
+      minFeeAmount,
+      slippageBps,
+    }));
 }
 
 /**
- * Check if a token is in the whitelist (sync).
+ * Check if a token is in the whitelist (sync), paused or not.
  * @param {string} mint
  * @returns {boolean}
  */
 function isWhitelisted(mint) {
-  return WHITELIST.has(mint);
+  return tokenRegistry.getToken(mint) !== null;
 }
 
 module.exports = {
   isTokenAccepted,
   getAcceptedTokens,
   isWhitelisted,
-  WHITELIST,
 };
@@ -0,0 +1,275 @@
+/**
+ * Token Registry — payment tokens managed at runtime
+ *
+ * Stored in Redis (seeded from constants once, ever) so operators can add,
+ * remove, tune or pause a token with scripts/tokens.js, without a redeploy.
+ * Every instance keeps an in-memory snapshot, reloaded every
+ * TOKEN_REGISTRY_SYNC_SECONDS, so the token gate stays synchronous.
+ *
+ * Entry: { mint, symbol, name, decimals, token2022, enabled,
+ *          minFeeAmount (raw token units), slippageBps,
+ *          burnThresholdAmount (raw token units, null = BURN_THRESHOLD_LAMPORTS
+ *          worth, see burn-policy.js), updatedAt }
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+const { MINTS, TOKEN_INFO } = require('../constants');
+const mintInfo = require('./mint-info');
+
+// Phase 0 whitelist — the registry's initial content
+const SEED_MINTS = [MINTS.USDC, MINTS.USDT, MINTS.PYUSD, MINTS.ASDF, MINTS.WSOL];
+
+const MAX_SLIPPAGE_BPS = 5000;
+
+let snapshot = new Map(SEED_MINTS.map((mint) => [mint, seedEntry(mint)]));
+let syncInterval = null;
+
+function seedEntry(mint) {
+  const { symbol, name, decimals, token2022 = false } = TOKEN_INFO[mint];
+  return {
+    mint,
+    symbol,
+    name,
+    decimals,
+    token2022,
+    enabled: true,
+    minFeeAmount: '0',
+    slippageBps: 0,
+    burnThresholdAmount: null,
+    updatedAt: 0,
+  };
+}
+
+/**
+ * Reload the snapshot from Redis, seeding the registry if it has never been
+ * seeded. Keeps the previous snapshot if Redis is unavailable.
+ */
+async function sync() {
+  try {
+    let registry = await redis.getTokenRegistry();
+    if (Object.keys(registry).length === 0 && (await redis.markTokenRegistrySeeded())) {
+      registry = Object.fromEntries(SEED_MINTS.map((mint) => [mint, seedEntry(mint)]));
+      await redis.setRegistryTokens(registry);
+      logger.info('TOKEN_REGISTRY', 'Registry seeded', { tokens: SEED_MINTS.length });
+    }
+    snapshot = new Map(Object.entries(registry));
+  } catch (err) {
+    logger.warn('TOKEN_REGISTRY', 'Sync failed, keeping last snapshot', { error: err.message });
+  }
+}
+
+/**
+ * Load the registry, then keep reloading it.
+ */
+async function startSync() {
+  await sync();
+  syncInterval = setInterval(sync, config.TOKEN_REGISTRY_SYNC_SECONDS * 1000);
+}
+
+/** Stop the periodic reload. */
+function stopSync() {
+  if (syncInterval) {
+    clearInterval(syncInterval);
+    syncInterval = null;
+  }
+}
+
+/**
+ * @param {string} mint
+ * @returns {Object|null} Registry entry, enabled or not
+ */
+function getToken(mint) {
+  return snapshot.get(mint) || null;
+}
+
+/**
+ * @param {{ includeDisabled?: boolean }} [options]
+ * @returns {Object[]}
+ */
+function listTokens({ includeDisabled = false } = {}) {
+  return [...snapshot.values()].filter((entry) => includeDisabled || entry.enabled);
+}
+
+/**
+ * Mints whose collected fees the treasury swaps (burn and refill workers):
+ * every registry token, paused ones included, except $ASDF (burned as is)
+ * and WSOL (counted with the SOL fees).
+ * @returns {string[]}
+ */
+function listSwappableMints() {
+  return listTokens({ includeDisabled: true })
+    .map((entry) => entry.mint)
+    .filter((mint) => mint !== MINTS.ASDF && mint !== MINTS.WSOL);
+}
+
+/**
+ * Fee in token units after the token's slippage buffer and minimum fee.
+ * @param {string} mint
+ * @param {number} inputAmount - Market-price fee in raw token units
+ * @returns {number}
+ */
+function applyFeePolicy(mint, inputAmount) {
+  const entry = getToken(mint);
+  if (!entry) return inputAmount;
+
+  const buffered = Math.ceil((inputAmount * (10_000 + entry.slippageBps)) / 10_000);
+  return Math.max(buffered, Number(entry.minFeeAmount));
+}
+
+function validatePolicy({ minFeeAmount, slippageBps, burnThresholdAmount }) {
+  if (minFeeAmount !== undefined && !/^\d+$/.test(String(minFeeAmount))) {
+    throw new Error('minFeeAmount must be a non-negative integer (raw token units)');
+  }
+  if (
+    burnThresholdAmount !== undefined &&
+    burnThresholdAmount !== null &&
+    !/^\d+$/.test(String(burnThresholdAmount))
+  ) {
+    throw new Error('burnThresholdAmount must be a non-negative integer (raw token units) or null');
+  }
+  if (
+    slippageBps !== undefined &&
+    (!Number.isInteger(slippageBps) || slippageBps < 0 || slippageBps > MAX_SLIPPAGE_BPS)
+  ) {
+    throw new Error(`slippageBps must be an integer between 0 and ${MAX_SLIPPAGE_BPS}`);
+  }
+}
+
+function toThreshold(amount) {
+  return amount === null || amount === undefined ? null : String(amount);
+}
+
+async function save(entry) {
+  const saved = { ...entry, updatedAt: Date.now() };
+  await redis.setRegistryTokens({ [entry.mint]: saved });
+  snapshot.set(entry.mint, saved);
+  return saved;
+}
+
+/**
+ * Register a payment token. Decimals and token program come from the mint.
+ * @param {string} mint
+ * @param {{ symbol?: string, name?: string, minFeeAmount?: string, slippageBps?: number, burnThresholdAmount?: string|null, enabled?: boolean }} [options]
+ * @returns {Promise<Object>} The saved entry
+ * @throws {Error} Invalid mint or options, or a mint that can't pay fees
+ */
+async function addToken(mint, options = {}) {
+  new PublicKey(mint); // throws on an invalid address
+  validatePolicy(options);
+  await sync();
+
+  const existing = getToken(mint);
+  let decimals = 9;
+  let token2022 = false;
+  if (mint !== config.WSOL_MINT) {
+    const info = await mintInfo.getMintInfo(mint);
+    if (info.unsupportedExtensions.length) {
+      throw new Error(
+        `Unsupported Token-2022 extensions: ${info.unsupportedExtensions.join(', ')}`
+      );
+    }
+    decimals = info.decimals;
+    token2022 = info.programId.equals(TOKEN_2022_PROGRAM_ID);
+  }
+
+  const entry = await save({
+    mint,
+    symbol: options.symbol || existing?.symbol || 'UNKNOWN',
+    name: options.name || existing?.name || options.symbol || 'Unknown token',
+    decimals,
+    token2022,
+    enabled: options.enabled ?? existing?.enabled ?? true,
+    minFeeAmount: String(options.minFeeAmount ?? existing?.minFeeAmount ?? '0'),
+    slippageBps: options.slippageBps ?? existing?.slippageBps ?? 0,
+    burnThresholdAmount: toThreshold(
+      options.burnThresholdAmount !== undefined
+        ? options.burnThresholdAmount
+        : existing?.burnThresholdAmount
+    ),
+  });
+
+  logger.info('TOKEN_REGISTRY', existing ? 'Token updated' : 'Token added', {
+    mint: mint.slice(0, 8),
+    symbol: entry.symbol,
+  });
+  return entry;
+}
+
+/**
+ * Change a registered token's fee policy, labels or enabled flag.
+ * @param {string} mint
+ * @param {{ symbol?: string, name?: string, minFeeAmount?: string, slippageBps?: number, burnThresholdAmount?: string|null, enabled?: boolean }} fields
+ * @returns {Promise<Object>} The saved entry
+ * @throws {Error} Unregistered mint or invalid fields
+ */
+async function updateToken(mint, fields) {
+  validatePolicy(fields);
+  await sync();
+
+  const existing = getToken(mint);
+  if (!existing) {
+    throw new Error(`Token not registered: ${mint}`);
+  }
+
+  const { symbol, name, minFeeAmount, slippageBps, burnThresholdAmount, enabled } = fields;
+  const entry = await save({
+    ...existing,
+    ...(symbol !== undefined && { symbol }),
+    ...(name !== undefined && { name }),
+    ...(minFeeAmount !== undefined && { minFeeAmount: String(minFeeAmount) }),
+    ...(slippageBps !== undefined && { slippageBps }),
+    ...(burnThresholdAmount !== undefined && {
+      burnThresholdAmount: toThreshold(burnThresholdAmount),
+    }),
+    ...(enabled !== undefined && { enabled }),
+  });
+
+  logger.info('TOKEN_REGISTRY', 'Token updated', {
+    mint: mint.slice(0, 8),
+    symbol: entry.symbol,
+    enabled: entry.enabled,
+  });
+  return entry;
+}
+
+/**
+ * Pause or resume a token: a paused token gets no new quotes and its open
+ * quotes can't be submitted.
+ */
+async function setEnabled(mint, enabled) {
+  return updateToken(mint, { enabled });
+}
+
+/**
+ * @returns {Promise<boolean>} false if the mint wasn't registered
+ */
+async function removeToken(mint) {
+  await sync();
+  // Registries seeded before the marker existed: an emptied one stays empty
+  await redis.markTokenRegistrySeeded();
+  const removed = await redis.removeRegistryToken(mint);
+  snapshot.delete(mint);
+
+  if (removed) {
+    logger.info('TOKEN_REGISTRY', 'Token removed', { mint: mint.slice(0, 8) });
+  }
+  return removed;
+}
+
+module.exports = {
+  sync,
+  startSync,
+  stopSync,
+  getToken,
+  listTokens,
+  listSwappableMints,
+  applyFeePolicy,
+  addToken,
+  updateToken,
+  setEnabled,
+  removeToken,
+};
@@ -0,0 +1,244 @@
+/**
+ * Transaction Builder — server-side assembly for /v1/prepare
+ *
+ * Integrators send their own instructions; we add everything GASdf needs so
+ * the result passes /v1/submit validation as-is:
+ *   [AdvanceNonce] → compute budget → treasury ATA (if missing) → user instructions → fee payment
+ * SOL fees are a System transfer to the treasury address (no ATA).
+ * The returned v0 transaction is unsigned — the wallet signs, then /v1/submit co-signs.
+ */
+
+const {
+  ComputeBudgetProgram,
+  PublicKey,
+  SystemInstruction,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const {
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  getAssociatedTokenAddressSync,
+} = require('@solana/spl-token');
+const helius = require('./helius');
+const validator = require('./validator');
+const mintInfo = require('./mint-info');
+const alt = require('../utils/alt');
+const { MINTS } = require('../constants');
+
+/**
+ * Parse JSON instructions: { programId, keys: [{ pubkey, isSigner, isWritable }], data (base64) }.
+ * @param {Array<Object>} rawInstructions
+ * @returns {TransactionInstruction[]}
+ * @throws {Error} On malformed instructions (message names the offending index)
+ */
+function parseInstructions(rawInstructions) {
+  if (!Array.isArray(rawInstructions) || rawInstructions.length === 0) {
+    throw new Error('instructions must be a non-empty array');
+  }
+
+  return rawInstructions.map((raw, index) => {
+    try {
+      return new TransactionInstruction({
+        programId: new PublicKey(raw.programId),
+        keys: (raw.keys || []).map((key) => ({
+          pubkey: new PublicKey(key.pubkey),
+          isSigner: !!key.isSigner,
+          isWritable: !!key.isWritable,
+        })),
+        data: Buffer.from(raw.data || '', 'base64'),
+      });
+    } catch (err) {
+      throw new Error(`Invalid instruction ${index}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Extract instructions from a draft transaction (legacy or v0, lookup tables resolved).
+ * Compute budget instructions are dropped — the quote decides them.
+ * @param {string} txBase64
+ * @returns {Promise<{ instructions: TransactionInstruction[], lookupTables: import('@solana/web3.js').AddressLookupTableAccount[] }>}
+ * @throws {Error} If the draft can't be decoded or its lookup tables resolved
+ */
+async function instructionsFromDraft(txBase64) {
+  const transaction = validator.deserializeTransaction(txBase64);
+  const resolved = await validator.resolveAccountKeys(transaction);
+  if (resolved.error) {
+    throw new Error(resolved.error);
+  }
+
+  const message =
+    transaction instanceof VersionedTransaction
+      ? transaction.message
+      : transaction.compileMessage();
+  const { instructions } = TransactionMessage.decompile(message, {
+    addressLookupTableAccounts: resolved.lookupTables,
+  });
+
+  return {
+    instructions: instructions.filter((ix) => !ix.programId.equals(ComputeBudgetProgram.programId)),
+    lookupTables: resolved.lookupTables,
+  };
+}
+
+/**
+ * SetComputeUnitLimit + SetComputeUnitPrice matching the quoted priority fee.
+ * Uses the speed tier's quoted price; older quotes without one get a price
+ * rounded down so the actual priority fee never exceeds the quote.
+ * @param {{ estimatedComputeUnits: number, priorityFeeLamports: number, computeUnitPrice?: number }} quote
+ * @returns {TransactionInstruction[]}
+ */
+function buildComputeBudgetInstructions(quote) {
+  const units = quote.estimatedComputeUnits;
+  const microLamports =
+    quote.computeUnitPrice ?? Math.floor(((quote.priorityFeeLamports || 0) * 1_000_000) / units);
+
+  return [
+    ComputeBudgetProgram.setComputeUnitLimit({ units }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports }),
+  ];
+}
+
+/**
+ * Fee payment: TransferChecked user ATA → treasury ATA, preceded by an idempotent
+ * treasury ATA creation (rent paid by the user) when the ATA doesn't exist yet.
+ * Token-2022 transfer fees are withheld from `feeAmount`, already grossed up by the quote.
+ * SOL: System transfer user → treasury address.
+ * @param {Object} quote - Stored quote
+ * @returns {Promise<{ instructions: TransactionInstruction[], createsTreasuryAta: boolean }>}
+ */
+async function buildFeePaymentInstructions(quote) {
+  if (quote.paymentToken === MINTS.WSOL) {
+    return {
+      instructions: [
+        SystemProgram.transfer({
+          fromPubkey: new PublicKey(quote.userPubkey),
+          toPubkey: new PublicKey(quote.treasuryAddress),
+          lamports: BigInt(quote.feeAmount),
+        }),
+      ],
+      createsTreasuryAta: false,
+    };
+  }
+
+  const { programId, decimals } = await mintInfo.getMintInfo(quote.paymentToken);
+  const mint = new PublicKey(quote.paymentToken);
+  const user = new PublicKey(quote.userPubkey);
+  const treasury = new PublicKey(quote.treasuryAddress);
+  const treasuryAta = new PublicKey(quote.treasuryAta);
+  const userAta = getAssociatedTokenAddressSync(mint, user, true, programId);
+
+  const instructions = [];
+  const treasuryAtaInfo = await helius.getConnection().getAccountInfo(treasuryAta, 'confirmed');
+  if (!treasuryAtaInfo) {
+    instructions.push(
+      createAssociatedTokenAccountIdempotentInstruction(
+        user,
+        treasuryAta,
+        treasury,
+        mint,
+        programId
+      )
+    );
+  }
+
+  instructions.push(
+    createTransferCheckedInstruction(
+      userAta,
+      mint,
+      treasuryAta,
+      user,
+      BigInt(quote.feeAmount),
+      decimals,
+      [],
+      programId
+    )
+  );
+
+  return { instructions, createsTreasuryAta: !treasuryAtaInfo };
+}
+
+/**
+ * Assemble the unsigned v0 transaction for a quote.
+ *
+ * @param {Object} quote - Stored quote
+ * @param {TransactionInstruction[]} userInstructions
+ * @param {Object} [options]
+ * @param {import('@solana/web3.js').AddressLookupTableAccount[]} [options.lookupTables] - From the draft
+ * @returns {Promise<{ transaction: VersionedTransaction, recentBlockhash: string, lastValidBlockHeight: number|null, feePaymentIndex: number, createsTreasuryAta: boolean }>}
+ */
+async function buildPreparedTransaction(quote, userInstructions, { lookupTables = [] } = {}) {
+  const connection = helius.getConnection();
+
+  // Durable-nonce quotes: AdvanceNonce first, nonce value as blockhash
+  let recentBlockhash;
+  let lastValidBlockHeight = null;
+  const prefix = [];
+  if (quote.nonceAccount) {
+    const nonceAccount = new PublicKey(quote.nonceAccount);
+    const nonceInfo = await connection.getNonce(nonceAccount, 'confirmed');
+    if (!nonceInfo) {
+      throw new Error('Nonce account not found');
+    }
+    recentBlockhash = nonceInfo.nonce;
+    prefix.push(
+      SystemProgram.nonceAdvance({
+        noncePubkey: nonceAccount,
+        authorizedPubkey: new PublicKey(quote.nonceAuthority),
+      })
+    );
+    userInstructions = userInstructions.filter((ix) => !isNonceAdvance(ix, nonceAccount));
+  } else {
+    ({ blockhash: recentBlockhash, lastValidBlockHeight } =
+      await connection.getLatestBlockhash('confirmed'));
+  }
+
+  const payment = await buildFeePaymentInstructions(quote);
+  const instructions = [
+    ...prefix,
+    ...buildComputeBudgetInstructions(quote),
+    ...payment.instructions.slice(0, -1),
+    ...userInstructions,
+    ...payment.instructions.slice(-1),
+  ];
+
+  const gasdfTable = await alt.getGasdfLookupTable().catch(() => null);
+  const tables = gasdfTable ? [gasdfTable, ...lookupTables] : lookupTables;
+
+  const message = new TransactionMessage({
+    payerKey: new PublicKey(quote.feePayer),
+    recentBlockhash,
+    instructions,
+  }).compileToV0Message(tables);
+
+  return {
+    transaction: new VersionedTransaction(message),
+    recentBlockhash,
+    lastValidBlockHeight,
+    feePaymentIndex: instructions.length - 1,
+    createsTreasuryAta: payment.createsTreasuryAta,
+  };
+}
+
+function isNonceAdvance(ix, nonceAccount) {
+  if (!ix.programId.equals(SystemProgram.programId)) return false;
+  try {
+    return (
+      SystemInstruction.decodeInstructionType(ix) === 'AdvanceNonceAccount' &&
+      ix.keys[0].pubkey.equals(nonceAccount)
+    );
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  parseInstructions,
+  instructionsFromDraft,
+  buildComputeBudgetInstructions,
+  buildFeePaymentInstructions,
+  buildPreparedTransaction,
+};
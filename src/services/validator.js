@@ -1,8 +1,11 @@
 const { Transaction, VersionedTransaction, PublicKey, SystemProgram } = require('@solana/web3.js');
 const { getAssociatedTokenAddress } = require('@solana/spl-token');
 const crypto = require('crypto');
+const bs58 = require('bs58').default;
 const nacl = require('tweetnacl');
-const { getFeePayer } = require('./fee-payer');
+const { getFeePayer, getAllPublicKeys } = require('./fee-payer');
+const { netAmountAfterFee } = require('./mint-info');
+const alt = require('../utils/alt');
 const { MAX_TX_SIZE } = require('../constants');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
@@ -15,6 +18,10 @@ const SYSTEM_TRANSFER_DISCRIMINATOR = 2; // Transfer instruction index
 const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
 const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
 
+// Token-2022 TransferFeeExtension instruction (26) → TransferCheckedWithFee (1)
+const TRANSFER_FEE_EXTENSION_DISCRIMINATOR = 26;
+const TRANSFER_CHECKED_WITH_FEE_DISCRIMINATOR = 1;
+
 // =============================================================================
 // SECURITY MODEL: Isolation-Based (Permissionless Compatible)
 // =============================================================================
@@ -28,7 +35,7 @@ const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
 //    - No token accounts = no token drain possible
 //    - Only risk is SOL drain, which simulation catches
 //
-// 2. SIMULATION VALIDATES BALANCE DELTA
+// 2. SIMULATION VALIDATES BALANCE DELTA (services/simulation.js)
 //    - Pre-simulation: record fee payer SOL balance
 //    - Post-simulation: verify delta = network fee only
 //    - ANY unexpected balance change = reject
@@ -69,6 +76,11 @@ const SYSTEM_DANGEROUS_INSTRUCTIONS = {
 // Durable nonce instruction discriminator
 const ADVANCE_NONCE_DISCRIMINATOR = 4;
 
+// Compute Budget Program instruction discriminators
+const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+const SET_COMPUTE_UNIT_LIMIT_DISCRIMINATOR = 2; // u32 units
+const SET_COMPUTE_UNIT_PRICE_DISCRIMINATOR = 3; // u64 microLamports
+
 // =========================================================================
 // Solana Mainnet Specifications (2025)
 // =========================================================================
@@ -76,17 +88,61 @@ const ADVANCE_NONCE_DISCRIMINATOR = 4;
 // Maximum compute units per transaction (Solana mainnet limit)
 const MAX_COMPUTE_UNITS = 1_400_000;
 
+// Default limit per non-ComputeBudget instruction when SetComputeUnitLimit is absent
+const DEFAULT_INSTRUCTION_COMPUTE_UNITS = 200_000;
+
 // Signature size in bytes (Ed25519)
 const SIGNATURE_SIZE = 64;
 
+// =========================================================================
+// Validation error codes (returned to clients via /v1/submit)
+// =========================================================================
+
+const VALIDATION_CODES = {
+  DESERIALIZE_FAILED: 'DESERIALIZE_FAILED',
+  TX_TOO_LARGE: 'TX_TOO_LARGE',
+  FEE_PAYER_MISMATCH: 'FEE_PAYER_MISMATCH',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  TREASURY_NOT_CONFIGURED: 'TREASURY_NOT_CONFIGURED',
+  MISSING_PAYMENT: 'MISSING_PAYMENT',
+  INSUFFICIENT_PAYMENT: 'INSUFFICIENT_PAYMENT',
+  FEE_PAYER_DRAIN: 'FEE_PAYER_DRAIN',
+  FEE_PAYER_TOKEN_DRAIN: 'FEE_PAYER_TOKEN_DRAIN',
+  NONCE_REQUIRED: 'NONCE_REQUIRED',
+  NONCE_ACCOUNT_MISMATCH: 'NONCE_ACCOUNT_MISMATCH',
+  NONCE_AUTHORITY_IS_FEE_PAYER: 'NONCE_AUTHORITY_IS_FEE_PAYER',
+  LOOKUP_TABLE_UNRESOLVED: 'LOOKUP_TABLE_UNRESOLVED',
+  COMPUTE_UNIT_PRICE_MISMATCH: 'COMPUTE_UNIT_PRICE_MISMATCH',
+  COMPUTE_BUDGET_EXCEEDS_QUOTE: 'COMPUTE_BUDGET_EXCEEDS_QUOTE',
+};
+
+/**
+ * Build a validation error entry.
+ * @param {string} code - One of VALIDATION_CODES
+ * @param {string} message - Human-readable description
+ * @param {number|null} [instructionIndex] - Offending instruction, null for transaction-level checks
+ * @returns {{ code: string, message: string, instructionIndex: number|null }}
+ */
+function validationError(code, message, instructionIndex = null) {
+  return { code, message, instructionIndex };
+}
+
+/**
+ * Deserialize a base64 transaction, keeping its wire format:
+ * v0 messages → VersionedTransaction, legacy messages → Transaction.
+ * @param {string} serializedTx - Base64 encoded transaction
+ * @returns {Transaction|VersionedTransaction}
+ */
 function deserializeTransaction(serializedTx) {
   const buffer = Buffer.from(serializedTx, 'base64');
 
+  let versioned;
   try {
-    return VersionedTransaction.deserialize(buffer);
+    versioned = VersionedTransaction.deserialize(buffer);
   } catch {
     return Transaction.from(buffer);
   }
+  return versioned.version === 'legacy' ? Transaction.from(buffer) : versioned;
 }
 
 /**
@@ -119,7 +175,7 @@ function validateTransactionSize(serializedTx) {
  *
  * @param {string} txBase64 - Base64-encoded serialized transaction
  * @param {Object} quoteData - The stored quote object
- * @returns {Promise<{ valid: boolean, errors: string[], feePayer?: string, transaction?: Transaction|VersionedTransaction }>}
+ * @returns {Promise<{ valid: boolean, errors: Array<{ code: string, message: string, instructionIndex: number|null }>, feePayer?: string, transaction?: Transaction|VersionedTransaction }>}
  */
 async function validateTransaction(txBase64, quoteData) {
   const errors = [];
@@ -129,19 +185,40 @@ async function validateTransaction(txBase64, quoteData) {
   try {
     transaction = deserializeTransaction(txBase64);
   } catch (err) {
-    return { valid: false, errors: ['Failed to deserialize transaction: ' + err.message] };
+    return {
+      valid: false,
+      errors: [
+        validationError(
+          VALIDATION_CODES.DESERIALIZE_FAILED,
+          'Failed to deserialize transaction: ' + err.message
+        ),
+      ],
+    };
+  }
+
+  // --- Resolve lookup-table accounts ----------------------------------------
+  // Every instruction account index must map to a real pubkey before the
+  // payment and drain checks, or a lookup index could hide the fee payer
+  const resolved = await resolveAccountKeys(transaction);
+  if (resolved.error) {
+    return {
+      valid: false,
+      errors: [validationError(VALIDATION_CODES.LOOKUP_TABLE_UNRESOLVED, resolved.error)],
+      transaction,
+    };
   }
+  const { accountKeys } = resolved;
 
   // --- Size check -----------------------------------------------------------
   const sizeResult = validateTransactionSize(txBase64);
   if (!sizeResult.valid) {
-    errors.push(sizeResult.error);
+    errors.push(validationError(VALIDATION_CODES.TX_TOO_LARGE, sizeResult.error));
   }
 
   // --- Fee payer check ------------------------------------------------------
-  const kp = getFeePayer();
-  const feePayerPubkey = kp.publicKey.toBase58();
-  const feePayerSet = new Set([feePayerPubkey]);
+  // Must match the pool payer reserved for this quote; drain checks cover every payer
+  const feePayerPubkey = quoteData.feePayer || getFeePayer().publicKey.toBase58();
+  const feePayerSet = new Set(getAllPublicKeys());
 
   let txFeePayer;
   if (transaction instanceof VersionedTransaction) {
@@ -151,34 +228,59 @@ async function validateTransaction(txBase64, quoteData) {
   }
 
   if (!txFeePayer || txFeePayer.toBase58() !== feePayerPubkey) {
-    errors.push('Transaction fee payer must be the GASdf fee payer');
+    errors.push(
+      validationError(
+        VALIDATION_CODES.FEE_PAYER_MISMATCH,
+        'Transaction fee payer must be the GASdf fee payer'
+      )
+    );
   }
 
+  // --- Durable nonce check --------------------------------------------------
+  const nonceErrors = validateDurableNonce(transaction, quoteData, feePayerSet);
+  errors.push(...nonceErrors);
+
   // --- User signature verification -----------------------------------------
   const userPubkey = quoteData.userPubkey;
   if (userPubkey) {
     const signatureVerification = verifyUserSignature(transaction, userPubkey);
     if (!signatureVerification.valid) {
-      errors.push(signatureVerification.error);
+      errors.push(validationError(VALIDATION_CODES.INVALID_SIGNATURE, signatureVerification.error));
     }
   }
 
+  // --- Compute budget checks -----------------------------------------------
+  // The fee payer pays the priority fee: limit × price must stay within what
+  // the quote priced, and the price must be the quoted speed tier's
+  const computeBudget = parseComputeBudget(transaction, accountKeys);
+  const priceError = validateComputeUnitPrice(computeBudget, quoteData);
+  if (priceError) {
+    errors.push(priceError);
+  }
+  const budgetError = validateComputeBudget(computeBudget, quoteData);
+  if (budgetError) {
+    errors.push(budgetError);
+  }
+
   // --- Payment instruction check --------------------------------------------
   const paymentResult = await validateFeePayment(
     transaction,
     quoteData,
     userPubkey,
-    feePayerPubkey
+    quoteData.treasuryAddress || getTreasuryAddress(),
+    accountKeys
   );
   if (!paymentResult.valid) {
-    errors.push(paymentResult.error);
+    errors.push(
+      validationError(paymentResult.code, paymentResult.error, paymentResult.instructionIndex)
+    );
   }
 
   // --- CPI drain checks (defense in depth) ----------------------------------
-  const drainErrors = validateNoFeePayerDrain(transaction, feePayerSet);
+  const drainErrors = validateNoFeePayerDrain(transaction, feePayerSet, accountKeys);
   errors.push(...drainErrors);
 
-  const tokenErrors = validateNoFeePayerTokenDrain(transaction, feePayerSet);
+  const tokenErrors = validateNoFeePayerTokenDrain(transaction, feePayerSet, accountKeys);
   errors.push(...tokenErrors);
 
   return {
@@ -189,16 +291,177 @@ async function validateTransaction(txBase64, quoteData) {
   };
 }
 
+/**
+ * Durable nonce rules:
+ * - Long-lived (nonce) quotes require AdvanceNonceAccount on the quoted nonce account
+ * - The nonce authority is never a fee payer, for any transaction
+ * @returns {Array<{ code: string, message: string, instructionIndex: number|null }>}
+ */
+function validateDurableNonce(transaction, quoteData, feePayerPubkeys) {
+  const errors = [];
+  const nonceInfo = detectDurableNonce(transaction);
+
+  if (quoteData.nonceAccount) {
+    if (!nonceInfo.isDurableNonce) {
+      errors.push(
+        validationError(
+          VALIDATION_CODES.NONCE_REQUIRED,
+          'Durable nonce quote requires AdvanceNonceAccount as the first instruction'
+        )
+      );
+      return errors;
+    }
+    if (nonceInfo.nonceAccount !== quoteData.nonceAccount) {
+      errors.push(
+        validationError(
+          VALIDATION_CODES.NONCE_ACCOUNT_MISMATCH,
+          `Transaction nonce account does not match quote (expected ${quoteData.nonceAccount})`,
+          0
+        )
+      );
+    }
+  }
+
+  if (nonceInfo.isDurableNonce && feePayerPubkeys.has(nonceInfo.nonceAuthority)) {
+    errors.push(
+      validationError(
+        VALIDATION_CODES.NONCE_AUTHORITY_IS_FEE_PAYER,
+        'Nonce authority must not be a GASdf fee payer',
+        0
+      )
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Read the ComputeBudget instructions the runtime will apply (first of each kind)
+ * and the priority fee they imply. Without SetComputeUnitLimit the runtime grants
+ * 200k CU per other instruction, capped at 1.4M.
+ * @returns {{ computeUnitLimit: number, computeUnitLimitIndex: number|null, computeUnitPrice: bigint, computeUnitPriceIndex: number|null, priorityFeeLamports: number }}
+ */
+function parseComputeBudget(transaction, accountKeys = getAccountKeys(transaction)) {
+  const instructions = extractInstructions(transaction);
+  let computeUnitLimit = null;
+  let computeUnitLimitIndex = null;
+  let computeUnitPrice = 0n;
+  let computeUnitPriceIndex = null;
+  let otherInstructions = 0;
+
+  instructions.forEach((ix, index) => {
+    if (getProgramId(ix, accountKeys) !== COMPUTE_BUDGET_PROGRAM_ID) {
+      otherInstructions++;
+      return;
+    }
+
+    const ixData = getInstructionData(ix);
+    if (
+      ixData[0] === SET_COMPUTE_UNIT_LIMIT_DISCRIMINATOR &&
+      ixData.length >= 5 &&
+      computeUnitLimitIndex === null
+    ) {
+      computeUnitLimit = ixData.readUInt32LE(1);
+      computeUnitLimitIndex = index;
+    } else if (
+      ixData[0] === SET_COMPUTE_UNIT_PRICE_DISCRIMINATOR &&
+      ixData.length >= 9 &&
+      computeUnitPriceIndex === null
+    ) {
+      computeUnitPrice = ixData.readBigUInt64LE(1);
+      computeUnitPriceIndex = index;
+    }
+  });
+
+  if (computeUnitLimit === null) {
+    computeUnitLimit = otherInstructions * DEFAULT_INSTRUCTION_COMPUTE_UNITS;
+  }
+  computeUnitLimit = Math.min(computeUnitLimit, MAX_COMPUTE_UNITS);
+
+  // Runtime rounds the priority fee up to the next lamport
+  const microLamports = computeUnitPrice * BigInt(computeUnitLimit);
+  const priorityFeeLamports = Number((microLamports + 999_999n) / 1_000_000n);
+
+  return {
+    computeUnitLimit,
+    computeUnitLimitIndex,
+    computeUnitPrice,
+    computeUnitPriceIndex,
+    priorityFeeLamports,
+  };
+}
+
+/**
+ * SetComputeUnitPrice must equal the price quoted for the chosen speed tier.
+ * Quotes issued before speed tiers carry no computeUnitPrice and are not checked.
+ * @param {ReturnType<typeof parseComputeBudget>} computeBudget
+ * @returns {{ code: string, message: string, instructionIndex: number|null }|null}
+ */
+function validateComputeUnitPrice(computeBudget, quoteData) {
+  if (quoteData.computeUnitPrice == null) {
+    return null;
+  }
+
+  const expected = BigInt(quoteData.computeUnitPrice);
+  const tier = quoteData.speed ? ` for the ${quoteData.speed} tier` : '';
+  const { computeUnitPrice, computeUnitPriceIndex } = computeBudget;
+
+  if (computeUnitPriceIndex === null) {
+    return validationError(
+      VALIDATION_CODES.COMPUTE_UNIT_PRICE_MISMATCH,
+      `Missing SetComputeUnitPrice instruction (quoted ${expected} µlamports/CU${tier})`
+    );
+  }
+  if (computeUnitPrice !== expected) {
+    return validationError(
+      VALIDATION_CODES.COMPUTE_UNIT_PRICE_MISMATCH,
+      `SetComputeUnitPrice is ${computeUnitPrice} µlamports/CU, quoted ${expected}${tier}`,
+      computeUnitPriceIndex
+    );
+  }
+  return null;
+}
+
+/**
+ * The priority fee the fee payer can be charged (limit × price) must not exceed
+ * the priority fee the quote priced. Points at the instruction to fix: the limit
+ * when the price matches the quote, the price otherwise.
+ * @param {ReturnType<typeof parseComputeBudget>} computeBudget
+ * @returns {{ code: string, message: string, instructionIndex: number|null }|null}
+ */
+function validateComputeBudget(computeBudget, quoteData) {
+  const pricedLamports = quoteData.priorityFeeLamports || 0;
+  const { computeUnitLimit, computeUnitPrice, priorityFeeLamports } = computeBudget;
+
+  if (priorityFeeLamports <= pricedLamports) {
+    return null;
+  }
+
+  const priceMatchesQuote =
+    quoteData.computeUnitPrice != null && computeUnitPrice === BigInt(quoteData.computeUnitPrice);
+  return validationError(
+    VALIDATION_CODES.COMPUTE_BUDGET_EXCEEDS_QUOTE,
+    `Compute budget allows a ${priorityFeeLamports} lamport priority fee ` +
+      `(${computeUnitLimit} CU × ${computeUnitPrice} µlamports/CU), quote priced ${pricedLamports}. ` +
+      `Lower the compute budget or request a new quote with estimatedComputeUnits ≥ ${computeUnitLimit}`,
+    priceMatchesQuote ? computeBudget.computeUnitLimitIndex : computeBudget.computeUnitPriceIndex
+  );
+}
+
 /**
  * Ensures no SOL is transferred out of any fee payer account
  * (except for transaction fees which are handled by the network)
+ * @returns {Array<{ code: string, message: string, instructionIndex: number }>}
  */
-function validateNoFeePayerDrain(transaction, feePayerPubkeys) {
+function validateNoFeePayerDrain(
+  transaction,
+  feePayerPubkeys,
+  accountKeys = getAccountKeys(transaction)
+) {
   const errors = [];
   const instructions = extractInstructions(transaction);
-  const accountKeys = getAccountKeys(transaction);
 
-  for (const ix of instructions) {
+  instructions.forEach((ix, index) => {
     const programId = getProgramId(ix, accountKeys);
 
     // Check System Program for dangerous instructions
@@ -212,25 +475,35 @@ function validateNoFeePayerDrain(transaction, feePayerPubkeys) {
           // For transfer-type instructions, check the 'from' account (index 0)
           const fromAccount = getAccountAtIndex(ix, 0, accountKeys);
           if (feePayerPubkeys.has(fromAccount)) {
-            errors.push(`Unauthorized System.${instructionName} from fee payer detected`);
+            errors.push(
+              validationError(
+                VALIDATION_CODES.FEE_PAYER_DRAIN,
+                `Unauthorized System.${instructionName} from fee payer detected`,
+                index
+              )
+            );
           }
         }
       }
     }
-  }
+  });
 
   return errors;
 }
 
 /**
  * Ensures no tokens are transferred from any fee payer's token accounts
+ * @returns {Array<{ code: string, message: string, instructionIndex: number }>}
  */
-function validateNoFeePayerTokenDrain(transaction, feePayerPubkeys) {
+function validateNoFeePayerTokenDrain(
+  transaction,
+  feePayerPubkeys,
+  accountKeys = getAccountKeys(transaction)
+) {
   const errors = [];
   const instructions = extractInstructions(transaction);
-  const accountKeys = getAccountKeys(transaction);
 
-  for (const ix of instructions) {
+  instructions.forEach((ix, index) => {
     const programId = getProgramId(ix, accountKeys);
 
     // Check Token Program and Token-2022
@@ -274,7 +547,13 @@ function validateNoFeePayerTokenDrain(transaction, feePayerPubkeys) {
 
           const authority = getAccountAtIndex(ix, authorityIndex, accountKeys);
           if (feePayerPubkeys.has(authority)) {
-            errors.push(`Unauthorized Token.${instructionName} with fee payer as authority`);
+            errors.push(
+              validationError(
+                VALIDATION_CODES.FEE_PAYER_TOKEN_DRAIN,
+                `Unauthorized Token.${instructionName} with fee payer as authority`,
+                index
+              )
+            );
           }
 
           // Additional check: CloseAccount sends SOL to destination
@@ -282,13 +561,19 @@ function validateNoFeePayerTokenDrain(transaction, feePayerPubkeys) {
             const source = getAccountAtIndex(ix, 0, accountKeys);
             // Block if source is a fee payer account (even if not authority)
             if (feePayerPubkeys.has(source)) {
-              errors.push('Unauthorized CloseAccount on fee payer token account');
+              errors.push(
+                validationError(
+                  VALIDATION_CODES.FEE_PAYER_TOKEN_DRAIN,
+                  'Unauthorized CloseAccount on fee payer token account',
+                  index
+                )
+              );
             }
           }
         }
       }
     }
-  }
+  });
 
   return errors;
 }
@@ -368,18 +653,33 @@ function verifyUserSignature(transaction, userPubkey) {
  * Validate that transaction contains a fee payment instruction
  *
  * Checks for:
- * - SPL Token Transfer or TransferChecked to treasury ATA
+ * - SPL Token Transfer, TransferChecked or TransferCheckedWithFee to treasury ATA
  * - System Program Transfer (for SOL payments) to treasury
+ *
+ * Quotes on Token-2022 mints with a transfer fee are checked on what the
+ * treasury receives after the fee (quote.netFeeAmount).
+ *
+ * @returns {Promise<{ valid: boolean, code?: string, error?: string, instructionIndex: number|null, actualAmount?: number }>}
  */
-async function validateFeePayment(transaction, quote, userPubkey, treasuryAddress) {
+async function validateFeePayment(
+  transaction,
+  quote,
+  userPubkey,
+  treasuryAddress,
+  accountKeys = getAccountKeys(transaction)
+) {
   const instructions = extractInstructions(transaction);
-  const accountKeys = getAccountKeys(transaction);
 
   if (!treasuryAddress) {
     treasuryAddress = config.TREASURY_ADDRESS || getFeePayer().publicKey.toBase58();
   }
   if (!treasuryAddress) {
-    return { valid: false, error: 'Treasury address not configured' };
+    return {
+      valid: false,
+      code: VALIDATION_CODES.TREASURY_NOT_CONFIGURED,
+      error: 'Treasury address not configured',
+      instructionIndex: null,
+    };
   }
 
   const expectedAmount = parseInt(quote.feeAmount);
@@ -390,8 +690,9 @@ async function validateFeePayment(transaction, quote, userPubkey, treasuryAddres
 
   let foundPayment = false;
   let actualAmount = 0;
+  let paymentIndex = null;
 
-  for (const ix of instructions) {
+  for (const [index, ix] of instructions.entries()) {
     const programId = getProgramId(ix, accountKeys);
     const ixData = getInstructionData(ix);
 
@@ -407,23 +708,29 @@ async function validateFeePayment(transaction, quote, userPubkey, treasuryAddres
           if (fromAccount === userPubkey && toAccount === treasuryAddress) {
             actualAmount = Number(amount);
             foundPayment = true;
+            paymentIndex = index;
             break;
           }
         }
       }
     }
 
-    // Check for SPL Token Transfer or TransferChecked
+    // Check for SPL Token Transfer, TransferChecked or TransferCheckedWithFee
     if (programId === TOKEN_PROGRAM_ID || programId === TOKEN_2022_PROGRAM_ID) {
       if (ixData.length >= 1) {
         const discriminator = ixData[0];
-
-        // Transfer (3) or TransferChecked (12)
-        if (discriminator === 3 || discriminator === 12) {
+        const withFee =
+          programId === TOKEN_2022_PROGRAM_ID &&
+          discriminator === TRANSFER_FEE_EXTENSION_DISCRIMINATOR &&
+          ixData[1] === TRANSFER_CHECKED_WITH_FEE_DISCRIMINATOR;
+
+        // Transfer (3), TransferChecked (12) or TransferCheckedWithFee (26/1)
+        if (discriminator === 3 || discriminator === 12 || withFee) {
+          // TransferChecked variants have the mint at index 1
           const destAccount =
             discriminator === 3
               ? getAccountAtIndex(ix, 1, accountKeys)
-              : getAccountAtIndex(ix, 2, accountKeys); // TransferChecked has mint at index 1
+              : getAccountAtIndex(ix, 2, accountKeys);
           const authority =
             discriminator === 3
               ? getAccountAtIndex(ix, 2, accountKeys)
@@ -432,28 +739,28 @@ async function validateFeePayment(transaction, quote, userPubkey, treasuryAddres
           // Verify authority is the user
           if (authority !== userPubkey) continue;
 
-          // Get expected treasury ATA for this token
-          let expectedTreasuryAta;
-          try {
-            expectedTreasuryAta = await getAssociatedTokenAddress(
-              new PublicKey(paymentToken),
-              new PublicKey(treasuryAddress)
-            );
-          } catch (e) {
-            continue; // Skip if we can't compute ATA
+          // Expected treasury ATA: stored with the quote (derived with the
+          // mint's token program), else the classic SPL Token derivation
+          let expectedTreasuryAta = quote.treasuryAta;
+          if (!expectedTreasuryAta) {
+            try {
+              expectedTreasuryAta = (
+                await getAssociatedTokenAddress(
+                  new PublicKey(paymentToken),
+                  new PublicKey(treasuryAddress)
+                )
+              ).toBase58();
+            } catch (e) {
+              continue; // Skip if we can't compute ATA
+            }
           }
 
           // Check if destination matches treasury ATA
-          if (destAccount === expectedTreasuryAta.toBase58()) {
-            // Parse amount based on instruction type
-            if (discriminator === 3) {
-              // Transfer: amount is u64 at offset 1
-              actualAmount = Number(ixData.readBigUInt64LE(1));
-            } else {
-              // TransferChecked: amount is u64 at offset 1
-              actualAmount = Number(ixData.readBigUInt64LE(1));
-            }
+          if (destAccount === expectedTreasuryAta) {
+            // Amount is u64 at offset 1, after the extension sub-instruction at 2
+            actualAmount = Number(ixData.readBigUInt64LE(withFee ? 2 : 1));
             foundPayment = true;
+            paymentIndex = index;
             break;
           }
         }
@@ -464,21 +771,31 @@ async function validateFeePayment(transaction, quote, userPubkey, treasuryAddres
   if (!foundPayment) {
     return {
       valid: false,
+      code: VALIDATION_CODES.MISSING_PAYMENT,
       error: `No fee payment found. Expected ${expectedAmount} of ${paymentToken} to treasury`,
+      instructionIndex: null,
     };
   }
 
+  // Token-2022 transfer fee: compare what the treasury nets
+  const expectedReceived = quote.transferFee ? parseInt(quote.netFeeAmount) : expectedAmount;
+  const received = quote.transferFee
+    ? Number(netAmountAfterFee(actualAmount, quote.transferFee))
+    : actualAmount;
+
   // Allow 1% tolerance for rounding
-  const tolerance = Math.max(1, Math.floor(expectedAmount * 0.01));
-  if (actualAmount < expectedAmount - tolerance) {
+  const tolerance = Math.max(1, Math.floor(expectedReceived * 0.01));
+  if (received < expectedReceived - tolerance) {
     return {
       valid: false,
+      code: VALIDATION_CODES.INSUFFICIENT_PAYMENT,
       error: `Insufficient fee payment: got ${actualAmount}, expected ${expectedAmount}`,
+      instructionIndex: paymentIndex,
       actualAmount,
     };
   }
 
-  return { valid: true, actualAmount };
+  return { valid: true, actualAmount, instructionIndex: paymentIndex };
 }
 
 /**
@@ -492,6 +809,64 @@ function getTreasuryAddress() {
 // Helper functions
 // =============================================================================
 
+/**
+ * Resolve the full account key list, including accounts loaded through
+ * address lookup tables (static, then writable lookups, then readonly lookups —
+ * the order instruction indexes refer to).
+ * Tables are cached; on a miss (table extended since caching) they are refetched once.
+ * @returns {Promise<{ accountKeys?: string[], lookupTables?: import('@solana/web3.js').AddressLookupTableAccount[], error?: string }>}
+ */
+async function resolveAccountKeys(transaction) {
+  if (!(transaction instanceof VersionedTransaction)) {
+    return { accountKeys: getAccountKeys(transaction), lookupTables: [] };
+  }
+
+  const lookups = transaction.message.addressTableLookups;
+  if (lookups.length === 0) {
+    return { accountKeys: getAccountKeys(transaction), lookupTables: [] };
+  }
+
+  const tableAddresses = lookups.map((lookup) => lookup.accountKey);
+  let lastError;
+  for (const refresh of [false, true]) {
+    let tables;
+    try {
+      tables = await alt.getLookupTables(tableAddresses, { refresh });
+    } catch (err) {
+      return { error: `Failed to fetch address lookup tables: ${err.message}` };
+    }
+
+    const missing = tableAddresses.filter((_, i) => !tables[i]);
+    if (missing.length > 0) {
+      return {
+        error: `Address lookup table not found: ${missing.map((k) => k.toBase58()).join(', ')}`,
+      };
+    }
+
+    const inactive = tables.filter((table) => !table.isActive());
+    if (inactive.length > 0) {
+      return {
+        error: `Address lookup table deactivated: ${inactive.map((t) => t.key.toBase58()).join(', ')}`,
+      };
+    }
+
+    try {
+      const keys = transaction.message.getAccountKeys({ addressLookupTableAccounts: tables });
+      return {
+        accountKeys: keys
+          .keySegments()
+          .flat()
+          .map((k) => k.toBase58()),
+        lookupTables: tables,
+      };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+
+  return { error: `Failed to resolve lookup table accounts: ${lastError.message}` };
+}
+
 function getAccountKeys(transaction) {
   if (transaction instanceof VersionedTransaction) {
     return transaction.message.staticAccountKeys.map((k) => k.toBase58());
@@ -536,6 +911,27 @@ function extractInstructions(transaction) {
   }
 }
 
+/**
+ * Number of signatures the message requires (fee payer + user signers)
+ */
+function getRequiredSignatureCount(transaction) {
+  if (transaction instanceof VersionedTransaction) {
+    return transaction.message.header.numRequiredSignatures;
+  } else {
+    return transaction.compileMessage().header.numRequiredSignatures;
+  }
+}
+
+/**
+ * Transaction signature (fee payer's, i.e. the first) as base58 — the tx id
+ * once sent. Only meaningful after co-signing.
+ */
+function getTransactionSignature(transaction) {
+  const sig =
+    transaction instanceof VersionedTransaction ? transaction.signatures[0] : transaction.signature;
+  return sig ? bs58.encode(sig) : null;
+}
+
 function getTransactionBlockhash(transaction) {
   if (transaction instanceof VersionedTransaction) {
     return transaction.message.recentBlockhash;
@@ -610,13 +1006,20 @@ module.exports = {
   validateTransaction,
   validateTransactionSize,
   validateFeePayment,
+  validateComputeUnitPrice,
+  validateComputeBudget,
+  parseComputeBudget,
   verifyUserSignature,
+  resolveAccountKeys,
   extractInstructions,
+  getRequiredSignatureCount,
   getTransactionBlockhash,
+  getTransactionSignature,
   detectDurableNonce,
   getReplayProtectionKey,
   computeTransactionHash,
   getTreasuryAddress,
   MAX_COMPUTE_UNITS,
   SIGNATURE_SIZE,
+  VALIDATION_CODES,
 };
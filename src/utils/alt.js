@@ -0,0 +1,268 @@
+/**
+ * Address Lookup Tables (ALT)
+ *
+ * Swap + fee payment transactions blow past the 1232-byte limit when every
+ * account is a 32-byte key. GASdf maintains its own lookup table (ALT_ADDRESS,
+ * created with scripts/setup-alt.js) holding the fee payers, treasury ATAs,
+ * token programs and common mints. /v1/quote returns it so clients can compile
+ * v0 messages against it; each hit costs 1 byte instead of 32.
+ */
+
+const {
+  PublicKey,
+  AddressLookupTableProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const config = require('./config');
+const logger = require('./logger');
+const helius = require('../services/helius');
+const feePayer = require('../services/fee-payer');
+const tokenGate = require('../services/token-gate');
+
+// Lookup table contents change rarely (setup script only) — 5 min cache
+const ALT_CACHE_TTL = 300_000;
+// Max addresses per extendLookupTable instruction
+const EXTEND_BATCH_SIZE = 20;
+const PUBKEY_SIZE = 32;
+const ALT_INDEX_SIZE = 1;
+
+// Programs and mints present in almost every GASdf transaction
+const CORE_ADDRESSES = {
+  SYSTEM_PROGRAM: new PublicKey('11111111111111111111111111111111'),
+  TOKEN_PROGRAM: new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'),
+  TOKEN_2022_PROGRAM: new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'),
+  ASSOCIATED_TOKEN_PROGRAM: new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL'),
+  COMPUTE_BUDGET_PROGRAM: new PublicKey('ComputeBudget111111111111111111111111111111'),
+  RENT_SYSVAR: new PublicKey('SysvarRent111111111111111111111111111111111'),
+  JUPITER_PROGRAM: new PublicKey('JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4'),
+  WSOL_MINT: new PublicKey('So11111111111111111111111111111111111111112'),
+  USDC_MINT: new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'),
+  USDT_MINT: new PublicKey('Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'),
+};
+
+// address (base58) -> { account: AddressLookupTableAccount, fetchedAt }
+const tableCache = new Map();
+
+/**
+ * @returns {PublicKey|null} GASdf lookup table, or null if ALT_ADDRESS is unset/invalid
+ */
+function getAltAddress() {
+  if (!config.ALT_ADDRESS) return null;
+  try {
+    return new PublicKey(config.ALT_ADDRESS);
+  } catch {
+    logger.warn('ALT', 'Invalid ALT_ADDRESS, lookup table disabled');
+    return null;
+  }
+}
+
+/** @returns {boolean} Whether a GASdf lookup table is configured. */
+function isAltConfigured() {
+  return getAltAddress() !== null;
+}
+
+/**
+ * Static addresses for the GASdf table: core programs, common mints,
+ * $ASDF mint and treasury (when configured).
+ * @returns {PublicKey[]}
+ */
+function getCoreAddressesForAlt() {
+  const addresses = Object.values(CORE_ADDRESSES);
+
+  for (const extra of [config.ASDF_MINT, config.TREASURY_ADDRESS]) {
+    if (!extra) continue;
+    try {
+      addresses.push(new PublicKey(extra));
+    } catch {
+      logger.warn('ALT', 'Skipping invalid address', { address: extra });
+    }
+  }
+
+  return addresses;
+}
+
+/**
+ * Instance-specific addresses for the GASdf table: every fee payer and the
+ * treasury ATA of each accepted payment token (SOL is paid to the treasury itself).
+ * @returns {PublicKey[]}
+ */
+function getGasdfAddressesForAlt() {
+  const payers = feePayer.getAllPublicKeys().map((p) => new PublicKey(p));
+  const treasury = config.TREASURY_ADDRESS
+    ? new PublicKey(config.TREASURY_ADDRESS)
+    : feePayer.getPublicKey();
+
+  const treasuryAtas = tokenGate
+    .getAcceptedTokens()
+    .filter(({ mint }) => mint !== config.WSOL_MINT)
+    .map(({ mint, token2022 }) =>
+      getAssociatedTokenAddressSync(
+        new PublicKey(mint),
+        treasury,
+        true,
+        token2022 ? CORE_ADDRESSES.TOKEN_2022_PROGRAM : CORE_ADDRESSES.TOKEN_PROGRAM
+      )
+    );
+
+  return [...payers, treasury, ...treasuryAtas];
+}
+
+/**
+ * Fetch an on-chain lookup table (cached).
+ * Entries are append-only on-chain, so a cached table is never wrong — only
+ * possibly short. Pass refresh to pick up newly extended entries.
+ * @param {PublicKey|string} address
+ * @param {{ refresh?: boolean }} [options]
+ * @returns {Promise<import('@solana/web3.js').AddressLookupTableAccount|null>} null if not found
+ */
+async function getLookupTable(address, { refresh = false } = {}) {
+  const key = address.toBase58 ? address.toBase58() : address;
+  const cached = tableCache.get(key);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < ALT_CACHE_TTL) {
+    return cached.account;
+  }
+
+  const pubkey = typeof address === 'string' ? new PublicKey(address) : address;
+  const result = await helius.getConnection().getAddressLookupTable(pubkey);
+  if (!result.value) {
+    logger.warn('ALT', 'Lookup table not found', { address: key });
+    return null;
+  }
+
+  tableCache.set(key, { account: result.value, fetchedAt: Date.now() });
+  return result.value;
+}
+
+/**
+ * Fetch several lookup tables (cached). Missing tables resolve to null.
+ * @param {Array<PublicKey|string>} addresses
+ * @param {{ refresh?: boolean }} [options]
+ * @returns {Promise<Array<import('@solana/web3.js').AddressLookupTableAccount|null>>}
+ */
+async function getLookupTables(addresses, options = {}) {
+  return Promise.all(addresses.map((address) => getLookupTable(address, options)));
+}
+
+/**
+ * @returns {Promise<import('@solana/web3.js').AddressLookupTableAccount|null>} GASdf table, if configured
+ */
+async function getGasdfLookupTable() {
+  const address = getAltAddress();
+  return address ? getLookupTable(address) : null;
+}
+
+/**
+ * Build a v0 transaction compiled against the GASdf lookup table
+ * (falls back to a plain v0 message if the table is unavailable).
+ * @param {import('@solana/web3.js').TransactionInstruction[]} instructions
+ * @param {PublicKey} payer
+ * @param {string} blockhash
+ * @returns {Promise<VersionedTransaction>}
+ */
+async function createVersionedTransaction(instructions, payer, blockhash) {
+  let lookupTables = [];
+  try {
+    const table = await getGasdfLookupTable();
+    if (table) lookupTables = [table];
+  } catch (err) {
+    logger.warn('ALT', 'Lookup table unavailable, compiling without it', { error: err.message });
+  }
+
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: blockhash,
+    instructions,
+  }).compileToV0Message(lookupTables);
+
+  return new VersionedTransaction(message);
+}
+
+/**
+ * Instructions to create a lookup table (setup script).
+ * @param {PublicKey} authority
+ * @param {number} recentSlot
+ * @returns {{ instruction: import('@solana/web3.js').TransactionInstruction, address: PublicKey }}
+ */
+function buildCreateInstruction(authority, recentSlot) {
+  const [instruction, address] = AddressLookupTableProgram.createLookupTable({
+    authority,
+    payer: authority,
+    recentSlot,
+  });
+  return { instruction, address };
+}
+
+/**
+ * Instructions to add addresses to a lookup table, batched per tx limit (setup script).
+ * @param {PublicKey} lookupTable
+ * @param {PublicKey} authority
+ * @param {PublicKey[]} addresses - Addresses not yet in the table
+ * @returns {import('@solana/web3.js').TransactionInstruction[]}
+ */
+function buildExtendInstructions(lookupTable, authority, addresses) {
+  const instructions = [];
+  for (let i = 0; i < addresses.length; i += EXTEND_BATCH_SIZE) {
+    instructions.push(
+      AddressLookupTableProgram.extendLookupTable({
+        lookupTable,
+        authority,
+        payer: authority,
+        addresses: addresses.slice(i, i + EXTEND_BATCH_SIZE),
+      })
+    );
+  }
+  return instructions;
+}
+
+/**
+ * Bytes spent on account keys with and without a lookup table.
+ * @param {number} totalAccounts - Accounts referenced by the message
+ * @param {number} altHits - Accounts found in the lookup table
+ * @returns {{ withoutAlt: number, withAlt: number, savings: number }}
+ */
+function calculateSizeSavings(totalAccounts, altHits) {
+  const withoutAlt = totalAccounts * PUBKEY_SIZE;
+  const withAlt = (totalAccounts - altHits) * PUBKEY_SIZE + altHits * ALT_INDEX_SIZE;
+  return { withoutAlt, withAlt, savings: withoutAlt - withAlt };
+}
+
+/** Clear cached lookup tables. */
+function clearCache() {
+  tableCache.clear();
+}
+
+/**
+ * GASdf table status for /health.
+ * @returns {{ configured: boolean, address: string|null, cached: boolean, cacheAge: number|null, addressCount: number }}
+ */
+function getStatus() {
+  const address = getAltAddress();
+  const cached = address ? tableCache.get(address.toBase58()) : null;
+
+  return {
+    configured: address !== null,
+    address: address ? address.toBase58() : null,
+    cached: !!cached,
+    cacheAge: cached ? Date.now() - cached.fetchedAt : null,
+    addressCount: cached ? cached.account.state.addresses.length : 0,
+  };
+}
+
+module.exports = {
+  getAltAddress,
+  isAltConfigured,
+  getCoreAddressesForAlt,
+  getGasdfAddressesForAlt,
+  getLookupTable,
+  getLookupTables,
+  getGasdfLookupTable,
+  createVersionedTransaction,
+  buildCreateInstruction,
+  buildExtendInstructions,
+  calculateSizeSavings,
+  clearCache,
+  getStatus,
+  CORE_ADDRESSES,
+};
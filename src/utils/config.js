@@ -47,8 +47,9 @@ const config = {
   // Redis
   REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379',
 
-  // Fee payer wallet (single keypair — Phase 0)
+  // Fee payer wallets (primary + optional pool members)
   FEE_PAYER_PRIVATE_KEY: process.env.FEE_PAYER_PRIVATE_KEY,
+  FEE_PAYER_PRIVATE_KEYS: process.env.FEE_PAYER_PRIVATE_KEYS?.split(',').filter(Boolean) || [],
 
   // $ASDF token mint
   ASDF_MINT:
@@ -65,14 +66,59 @@ const config = {
   // Fee economics (Golden Ratio split)
   BURN_RATIO: parseFloat(process.env.BURN_RATIO) || GOLDEN_BURN_RATIO,
   TREASURY_RATIO: parseFloat(process.env.TREASURY_RATIO) || GOLDEN_TREASURY_RATIO,
+  // true: the treasury share of swapped fees goes to SOL (fee payer gas) instead of staying $ASDF
+  TREASURY_SHARE_TO_SOL: process.env.TREASURY_SHARE_TO_SOL === 'true',
 
   NETWORK_FEE_LAMPORTS: parseInt(process.env.NETWORK_FEE_LAMPORTS) || 5000,
   FEE_MARKUP: parseFloat(process.env.FEE_MARKUP) || 2.0,
   BASE_FEE_LAMPORTS: parseInt(process.env.BASE_FEE_LAMPORTS) || 50000,
   QUOTE_TTL_SECONDS: parseInt(process.env.QUOTE_TTL_SECONDS) || 60,
-
-  // Burn settings
+  // Long-lived quotes for durable-nonce transactions (multisig / offline signing)
+  NONCE_QUOTE_TTL_SECONDS: parseInt(process.env.NONCE_QUOTE_TTL_SECONDS) || 4 * 60 * 60,
+  // Expired quotes stay refreshable (POST /v1/quote/:id/refresh) this long
+  QUOTE_REFRESH_GRACE_SECONDS: parseInt(process.env.QUOTE_REFRESH_GRACE_SECONDS) || 300,
+  // A refresh keeps the original price if the new one is at most this much higher
+  QUOTE_REFRESH_TOLERANCE_PERCENT: parseFloat(process.env.QUOTE_REFRESH_TOLERANCE_PERCENT) || 5,
+  // Batch quote prices can be locked into a real quote this long
+  QUOTE_BATCH_TTL_SECONDS: parseInt(process.env.QUOTE_BATCH_TTL_SECONDS) || 30,
+  // Consumed quotes stay visible to GET /v1/quote/:id this long (lifecycle record)
+  QUOTE_LIFECYCLE_RETENTION_SECONDS:
+    parseInt(process.env.QUOTE_LIFECYCLE_RETENTION_SECONDS) || 7 * 24 * 60 * 60,
+  // Token registry changes (scripts/tokens.js) reach every instance within this
+  TOKEN_REGISTRY_SYNC_SECONDS: parseInt(process.env.TOKEN_REGISTRY_SYNC_SECONDS) || 30,
+
+  // Address Lookup Table (scripts/setup-alt.js)
+  ALT_ADDRESS: process.env.ALT_ADDRESS || null,
+
+  // Jito bundles (mainnet only; JITO_DISABLED=true turns them off)
+  JITO_DISABLED: process.env.JITO_DISABLED === 'true',
+  JITO_BLOCK_ENGINE_URL:
+    process.env.JITO_BLOCK_ENGINE_URL || 'https://mainnet.block-engine.jito.wtf',
+  JITO_BUNDLE_TIMEOUT_MS: parseInt(process.env.JITO_BUNDLE_TIMEOUT_MS) || 30000,
+
+  // Signed quotes (dedicated Ed25519 key — never a fee payer key)
+  QUOTE_SIGNING_KEY: process.env.QUOTE_SIGNING_KEY,
+
+  // Burn policy: a fee balance is swapped once worth this much SOL
+  // (per-token override in raw units: scripts/tokens.js --burn-threshold)
   BURN_THRESHOLD_LAMPORTS: parseInt(process.env.BURN_THRESHOLD_LAMPORTS) || 100000000,
+  // continuous (every 60s cycle) | hourly | daily
+  BURN_SCHEDULE: process.env.BURN_SCHEDULE || 'continuous',
+  // Larger swaps are split into chunks under this Jupiter price impact
+  BURN_MAX_PRICE_IMPACT_PCT: parseFloat(process.env.BURN_MAX_PRICE_IMPACT_PCT) || 1,
+  // TWAP chunk: max SOL value swapped per token per run (0 = no cap)
+  BURN_MAX_SWAP_LAMPORTS: parseInt(process.env.BURN_MAX_SWAP_LAMPORTS) || 0,
+  // true: log what would be swapped and burned, send nothing
+  BURN_DRY_RUN: process.env.BURN_DRY_RUN === 'true',
+
+  // Fee payer refill from treasury stablecoins (REFILL_DISABLED=true turns it off)
+  REFILL_DISABLED: process.env.REFILL_DISABLED === 'true',
+  // Refill a payer below this multiple of its low-balance threshold...
+  REFILL_TRIGGER_RATIO: parseFloat(process.env.REFILL_TRIGGER_RATIO) || 1.5,
+  // ...up to this multiple
+  REFILL_TARGET_RATIO: parseFloat(process.env.REFILL_TARGET_RATIO) || 3,
+  // SOL delivered to fee payers per UTC day, all instances and payers together
+  REFILL_DAILY_CAP_LAMPORTS: parseInt(process.env.REFILL_DAILY_CAP_LAMPORTS) || 2_000_000_000,
 
   // Jupiter API
   JUPITER_API_KEY: process.env.JUPITER_API_KEY,
@@ -103,6 +149,29 @@ function validateConfig() {
     errors.push('FEE_PAYER_PRIVATE_KEY must be a valid base58 encoded private key (64-88 characters)');
   }
 
+  if (config.FEE_PAYER_PRIVATE_KEYS.some((k) => !PRIVATE_KEY_REGEX.test(k))) {
+    errors.push('FEE_PAYER_PRIVATE_KEYS must be comma-separated base58 encoded private keys');
+  }
+
+  if (config.QUOTE_SIGNING_KEY) {
+    if (!PRIVATE_KEY_REGEX.test(config.QUOTE_SIGNING_KEY)) {
+      errors.push('QUOTE_SIGNING_KEY must be a valid base58 encoded private key');
+    }
+    const feePayerKeys = [config.FEE_PAYER_PRIVATE_KEY, ...config.FEE_PAYER_PRIVATE_KEYS];
+    if (feePayerKeys.includes(config.QUOTE_SIGNING_KEY)) {
+      errors.push('QUOTE_SIGNING_KEY must not reuse a fee payer key');
+    }
+  }
+
+  if (!['continuous', 'hourly', 'daily'].includes(config.BURN_SCHEDULE)) {
+    errors.push('BURN_SCHEDULE must be continuous, hourly or daily');
+  }
+
+  // Replay protection keeps durable-nonce messages for 24h
+  if (config.NONCE_QUOTE_TTL_SECONDS > 24 * 60 * 60) {
+    errors.push('NONCE_QUOTE_TTL_SECONDS must not exceed 86400 (24h)');
+  }
+
   if (config.ASDF_MINT) {
     if (!MINT_ADDRESS_REGEX.test(config.ASDF_MINT)) {
       errors.push('ASDF_MINT must be a valid Solana address (32-44 base58 characters)');
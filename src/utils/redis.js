@@ -1,4 +1,4 @@
-const { createClient } = require('redis');
+const { createClient, WatchError } = require('redis');
 const config = require('./config');
 const logger = require('./logger');
 
@@ -272,6 +272,87 @@ async function deleteQuote(quoteId) {
   );
 }
 
+/**
+ * Batch quote (POST /v1/quote/batch): indicative prices for several payment
+ * tokens, one of which can be locked into a real quote before it expires.
+ */
+async function setQuoteBatch(batchId, data, ttlSeconds = config.QUOTE_BATCH_TTL_SECONDS) {
+  return withRedis(
+    async (redis) => {
+      await redis.setEx(`${KEY_PREFIX}quote:batch:${batchId}`, ttlSeconds, JSON.stringify(data));
+    },
+    () => {
+      memoryStore.set(`quote:batch:${batchId}`, JSON.stringify(data), ttlSeconds);
+    }
+  );
+}
+
+async function getQuoteBatch(batchId) {
+  return withRedis(
+    async (redis) => {
+      const data = await redis.get(`${KEY_PREFIX}quote:batch:${batchId}`);
+      return data ? JSON.parse(data) : null;
+    },
+    () => {
+      const data = memoryStore.get(`quote:batch:${batchId}`);
+      return data ? JSON.parse(data) : null;
+    }
+  );
+}
+
+async function deleteQuoteBatch(batchId) {
+  return withRedis(
+    async (redis) => {
+      await redis.del(`${KEY_PREFIX}quote:batch:${batchId}`);
+    },
+    () => {
+      memoryStore.del(`quote:batch:${batchId}`);
+    }
+  );
+}
+
+/**
+ * Quote lifecycle record — outlives the quote itself (deleted at submit) so
+ * GET /v1/quote/:id can still say what happened to it. Fields are merged
+ * into the existing record.
+ * @param {string} quoteId
+ * @param {Object} fields - status, signature, error, timestamps...
+ * @param {number} [ttlSeconds] - Retention window
+ * @returns {Promise<Object>} The merged record
+ */
+async function updateQuoteLifecycle(
+  quoteId,
+  fields,
+  ttlSeconds = config.QUOTE_LIFECYCLE_RETENTION_SECONDS
+) {
+  const key = `quote:lifecycle:${quoteId}`;
+  const record = { ...(await getQuoteLifecycle(quoteId)), ...fields, updatedAt: Date.now() };
+
+  return withRedis(
+    async (redis) => {
+      await redis.setEx(`${KEY_PREFIX}${key}`, ttlSeconds, JSON.stringify(record));
+      return record;
+    },
+    () => {
+      memoryStore.set(key, JSON.stringify(record), ttlSeconds);
+      return record;
+    }
+  );
+}
+
+async function getQuoteLifecycle(quoteId) {
+  return withRedis(
+    async (redis) => {
+      const data = await redis.get(`${KEY_PREFIX}quote:lifecycle:${quoteId}`);
+      return data ? JSON.parse(data) : null;
+    },
+    () => {
+      const data = memoryStore.get(`quote:lifecycle:${quoteId}`);
+      return data ? JSON.parse(data) : null;
+    }
+  );
+}
+
 async function incrBurnTotal(amount) {
   return withRedis(
     async (redis) => {
@@ -378,6 +459,51 @@ async function getTreasuryBalance() {
   );
 }
 
+/**
+ * Treasury's retained $ASDF share still in its ATA (raw units) — unlike the
+ * cumulative treasury total, this is a balance: the direct burn leaves it alone.
+ * @returns {Promise<number|null>} null until first tracked
+ */
+async function getRetainedAsdf() {
+  return withRedis(
+    async (redis) => {
+      const amount = await redis.get(`${KEY_PREFIX}treasury:asdf_retained`);
+      return amount === null ? null : parseInt(amount);
+    },
+    () => {
+      const amount = memoryStore.get('treasury:asdf_retained');
+      return amount === null ? null : parseInt(amount);
+    }
+  );
+}
+
+/**
+ * @param {number} amount - Raw units
+ */
+async function setRetainedAsdf(amount) {
+  return withRedis(
+    async (redis) => redis.set(`${KEY_PREFIX}treasury:asdf_retained`, String(amount)),
+    () => {
+      memoryStore.set('treasury:asdf_retained', String(amount));
+    }
+  );
+}
+
+/**
+ * @param {number} amount - Raw units (negative when spent)
+ * @returns {Promise<number>} New retained balance
+ */
+async function incrRetainedAsdf(amount) {
+  return withRedis(
+    async (redis) => redis.incrBy(`${KEY_PREFIX}treasury:asdf_retained`, amount),
+    () => {
+      const current = parseInt(memoryStore.get('treasury:asdf_retained')) || 0;
+      memoryStore.set('treasury:asdf_retained', String(current + amount));
+      return current + amount;
+    }
+  );
+}
+
 // Treasury history TTL: 30 days retention
 const TREASURY_HISTORY_TTL_SECONDS = 30 * 24 * 60 * 60;
 
@@ -411,6 +537,120 @@ async function getTreasuryHistory(limit = 20) {
   );
 }
 
+// Refill counters outlive their UTC day by one day
+const REFILL_DAILY_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+function refillDayKey() {
+  return `refill:daily:${new Date().toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Add lamports to today's (UTC) fee payer refill total.
+ * @param {number} lamports
+ * @returns {Promise<number>} Today's total
+ */
+async function incrRefillTotal(lamports) {
+  const dayKey = refillDayKey();
+  return withRedis(
+    async (redis) => {
+      const key = `${KEY_PREFIX}${dayKey}`;
+      const total = await redis.incrBy(key, lamports);
+      await redis.expire(key, REFILL_DAILY_TTL_SECONDS);
+      return total;
+    },
+    () => {
+      const total = (parseInt(memoryStore.get(dayKey)) || 0) + lamports;
+      memoryStore.set(dayKey, String(total));
+      return total;
+    }
+  );
+}
+
+/**
+ * @returns {Promise<number>} Lamports refilled today (UTC)
+ */
+async function getRefillTotal() {
+  const dayKey = refillDayKey();
+  return withRedis(
+    async (redis) => parseInt(await redis.get(`${KEY_PREFIX}${dayKey}`)) || 0,
+    () => parseInt(memoryStore.get(dayKey)) || 0
+  );
+}
+
+// =============================================================================
+// Token Registry (payment tokens, managed at runtime)
+// =============================================================================
+
+/**
+ * All registry entries, keyed by mint. Empty until seeded.
+ * @returns {Promise<Object<string, Object>>}
+ */
+async function getTokenRegistry() {
+  return withRedis(
+    async (redis) => {
+      const entries = await redis.hGetAll(`${KEY_PREFIX}tokens:registry`);
+      return Object.fromEntries(
+        Object.entries(entries).map(([mint, data]) => [mint, JSON.parse(data)])
+      );
+    },
+    () => JSON.parse(memoryStore.get('tokens:registry') || '{}')
+  );
+}
+
+/**
+ * Add or replace registry entries.
+ * @param {Object<string, Object>} entries - Keyed by mint
+ */
+async function setRegistryTokens(entries) {
+  return withRedis(
+    async (redis) => {
+      await redis.hSet(
+        `${KEY_PREFIX}tokens:registry`,
+        Object.fromEntries(
+          Object.entries(entries).map(([mint, entry]) => [mint, JSON.stringify(entry)])
+        )
+      );
+    },
+    () => {
+      const registry = JSON.parse(memoryStore.get('tokens:registry') || '{}');
+      memoryStore.set('tokens:registry', JSON.stringify({ ...registry, ...entries }));
+    }
+  );
+}
+
+/**
+ * ATOMIC: Set the "registry was seeded" marker (SET NX, no expiry), so the
+ * defaults are written once — not again after an operator removes them all.
+ * @returns {Promise<boolean>} true only for the call that set the marker
+ */
+async function markTokenRegistrySeeded() {
+  return withRedis(
+    async (redis) =>
+      (await redis.set(`${KEY_PREFIX}tokens:seeded`, Date.now().toString(), { NX: true })) === 'OK',
+    () => {
+      if (memoryStore.get('tokens:seeded') !== null) return false;
+      memoryStore.set('tokens:seeded', Date.now().toString());
+      return true;
+    }
+  );
+}
+
+/**
+ * @returns {Promise<boolean>} false if the mint wasn't registered
+ */
+async function removeRegistryToken(mint) {
+  return withRedis(
+    async (redis) => (await redis.hDel(`${KEY_PREFIX}tokens:registry`, mint)) > 0,
+    () => {
+      const registry = JSON.parse(memoryStore.get('tokens:registry') || '{}');
+      if (!registry[mint]) return false;
+      delete registry[mint];
+      memoryStore.set('tokens:registry', JSON.stringify(registry));
+      return true;
+    }
+  );
+}
+
 /**
  * Graceful shutdown
  */
@@ -435,8 +675,10 @@ const TX_HASH_TTL_SECONDS = 90;
  * Returns { claimed: false } if transaction was already submitted (replay)
  *
  * The atomic SET NX ensures no race condition between check and mark.
+ * @param {string} txHash - Message hash (signature-independent)
+ * @param {number} [ttlSeconds] - How long the message stays landable
  */
-async function claimTransactionSlot(txHash) {
+async function claimTransactionSlot(txHash, ttlSeconds = TX_HASH_TTL_SECONDS) {
   const key = `${KEY_PREFIX}txhash:${txHash}`;
 
   return withRedis(
@@ -445,7 +687,7 @@ async function claimTransactionSlot(txHash) {
       // Returns 'OK' if set, null if key already exists
       const result = await redis.set(key, Date.now().toString(), {
         NX: true,
-        EX: TX_HASH_TTL_SECONDS,
+        EX: ttlSeconds,
       });
       return { claimed: result === 'OK' };
     },
@@ -455,7 +697,7 @@ async function claimTransactionSlot(txHash) {
       if (existing !== null) {
         return { claimed: false };
       }
-      memoryStore.set(key, Date.now().toString(), TX_HASH_TTL_SECONDS);
+      memoryStore.set(key, Date.now().toString(), ttlSeconds);
       return { claimed: true };
     }
   );
@@ -478,6 +720,349 @@ async function releaseTransactionSlot(txHash) {
   );
 }
 
+/**
+ * ATOMIC: Claim a blockhash/nonce replay key (SET NX).
+ * A durable nonce value can only be consumed once, so a second message
+ * reusing it is rejected even though its message hash differs.
+ * @param {string} replayKey - From validator.getReplayProtectionKey()
+ * @param {number} ttlSeconds
+ * @param {string} messageHash - Owner of the key (stored for debugging)
+ */
+async function claimReplayKey(replayKey, ttlSeconds, messageHash) {
+  const key = `${KEY_PREFIX}replay:${replayKey}`;
+
+  return withRedis(
+    async (redis) => {
+      const result = await redis.set(key, messageHash, { NX: true, EX: ttlSeconds });
+      return { claimed: result === 'OK' };
+    },
+    () => {
+      if (memoryStore.get(key) !== null) {
+        return { claimed: false };
+      }
+      memoryStore.set(key, messageHash, ttlSeconds);
+      return { claimed: true };
+    }
+  );
+}
+
+/**
+ * Release a replay key (claimed but the transaction was never sent)
+ */
+async function releaseReplayKey(replayKey) {
+  const key = `${KEY_PREFIX}replay:${replayKey}`;
+
+  return withRedis(
+    async (redis) => {
+      await redis.del(key);
+    },
+    () => {
+      memoryStore.del(key);
+    }
+  );
+}
+
+/**
+ * ATOMIC: Mark a quote as consumed (SET NX) - single use for both stored and
+ * signed quotes. TTL must outlive the quote and its refresh window, so a
+ * refresh racing the submit can't bring the quote back.
+ * Returns { claimed: false } if the quote was already submitted.
+ */
+async function claimQuote(quoteId, ttlSeconds) {
+  const key = `${KEY_PREFIX}quote:used:${quoteId}`;
+
+  return withRedis(
+    async (redis) => {
+      const result = await redis.set(key, Date.now().toString(), { NX: true, EX: ttlSeconds });
+      return { claimed: result === 'OK' };
+    },
+    () => {
+      if (memoryStore.get(key) !== null) {
+        return { claimed: false };
+      }
+      memoryStore.set(key, Date.now().toString(), ttlSeconds);
+      return { claimed: true };
+    }
+  );
+}
+
+/**
+ * ATOMIC: Store a refreshed quote unless it was claimed meanwhile (WATCH on the
+ * claim marker): the refresh read the quote before a concurrent submit deleted it.
+ * Returns { stored: false } if the quote was submitted.
+ */
+async function storeRefreshedQuote(quoteId, data, ttlSeconds) {
+  const usedKey = `${KEY_PREFIX}quote:used:${quoteId}`;
+
+  return withRedis(
+    async (redis) => {
+      try {
+        return await redis.executeIsolated(async (isolated) => {
+          await isolated.watch(usedKey);
+          if (await isolated.exists(usedKey)) {
+            await isolated.unwatch();
+            return { stored: false };
+          }
+          await isolated
+            .multi()
+            .setEx(`${KEY_PREFIX}quote:${quoteId}`, ttlSeconds, JSON.stringify(data))
+            .exec();
+          return { stored: true };
+        });
+      } catch (err) {
+        // The marker was written between the check and the write
+        if (err instanceof WatchError) return { stored: false };
+        throw err;
+      }
+    },
+    () => {
+      if (memoryStore.get(usedKey) !== null) {
+        return { stored: false };
+      }
+      memoryStore.set(`quote:${quoteId}`, JSON.stringify(data), ttlSeconds);
+      return { stored: true };
+    }
+  );
+}
+
+// =============================================================================
+// Fee Payer Reservations (multi-wallet pool)
+// =============================================================================
+// Each quote reserves its estimated lamports against one fee payer until the
+// quote expires or is submitted. Reservations are stored per quote (with TTL)
+// and indexed per payer so the pool can compute available balance.
+
+/**
+ * Sum unexpired reservation entries
+ * @param {Array<[string, string|Object]>} entries - [quoteId, entry] pairs from a payer index
+ * @param {string} [excludeQuoteId] - Quote whose own entry is left out (renewal)
+ * @returns {{total: number, count: number, expired: string[]}}
+ */
+function summarizeReservations(entries, excludeQuoteId = null) {
+  const now = Date.now();
+  let total = 0;
+  let count = 0;
+  const expired = [];
+  for (const [quoteId, raw] of entries) {
+    const entry = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (entry.expiresAt <= now) {
+      expired.push(quoteId);
+      continue;
+    }
+    if (quoteId === excludeQuoteId) continue;
+    total += entry.amount;
+    count++;
+  }
+  return { total, count, expired };
+}
+
+const RESERVATION_WATCH_RETRIES = 5;
+
+/**
+ * Reserve lamports against a fee payer for a quote
+ *
+ * With `capacity`, the payer's existing reservations are checked and the new
+ * one is written atomically (WATCH on the payer index), so concurrent quotes
+ * on other instances cannot both claim the same headroom.
+ *
+ * @param {string} pubkey - Fee payer public key (base58)
+ * @param {string} quoteId - Quote the reservation belongs to
+ * @param {number} amount - Reserved lamports
+ * @param {number} ttlSeconds - Reservation lifetime (quote TTL)
+ * @param {Object} [capacity] - Limits the reservation must fit into
+ * @param {number} [capacity.limit] - Max lamports reserved in total, this one included
+ * @param {number} [capacity.maxCount] - Max reservations held by other quotes
+ * @returns {Promise<{pubkey: string, amount: number, expiresAt: number}|null>}
+ *   null when the payer has no room left
+ */
+async function reservePayerBalance(pubkey, quoteId, amount, ttlSeconds, capacity = null) {
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  const entry = JSON.stringify({ pubkey, amount, expiresAt });
+  const indexKey = `payer:reservations:${pubkey}`;
+
+  // A quote renewing its own reservation does not count against itself
+  const fits = (entries) => {
+    if (!capacity) return true;
+    const { total, count } = summarizeReservations(entries, quoteId);
+    if (capacity.maxCount !== undefined && count >= capacity.maxCount) return false;
+    if (capacity.limit !== undefined && total + amount > capacity.limit) return false;
+    return true;
+  };
+
+  const queueWrite = (multi) => {
+    multi.set(`${KEY_PREFIX}payer:reservation:${quoteId}`, entry, { EX: ttlSeconds });
+    multi.hSet(`${KEY_PREFIX}${indexKey}`, quoteId, entry);
+    // The index must outlive its longest reservation (a 4h durable-nonce quote
+    // can share it with 60s quotes): set a TTL if none, otherwise only extend it
+    multi.expire(`${KEY_PREFIX}${indexKey}`, ttlSeconds, 'NX');
+    multi.expire(`${KEY_PREFIX}${indexKey}`, ttlSeconds, 'GT');
+    return multi;
+  };
+
+  return withRedis(
+    async (redis) => {
+      if (!capacity) {
+        await queueWrite(redis.multi()).exec();
+        return { pubkey, amount, expiresAt };
+      }
+
+      for (let attempt = 0; attempt < RESERVATION_WATCH_RETRIES; attempt++) {
+        try {
+          const reserved = await redis.executeIsolated(async (isolated) => {
+            await isolated.watch(`${KEY_PREFIX}${indexKey}`);
+            const entries = await isolated.hGetAll(`${KEY_PREFIX}${indexKey}`);
+            if (!fits(Object.entries(entries || {}))) {
+              await isolated.unwatch();
+              return false;
+            }
+            await queueWrite(isolated.multi()).exec();
+            return true;
+          });
+          return reserved ? { pubkey, amount, expiresAt } : null;
+        } catch (err) {
+          // Another reservation touched the index between the check and the write
+          if (err instanceof WatchError) continue;
+          throw err;
+        }
+      }
+
+      logger.warn('REDIS', 'Payer reservation contended, giving up', { pubkey, quoteId });
+      return null;
+    },
+    () => {
+      const index = JSON.parse(memoryStore.get(indexKey) || '{}');
+      if (!fits(Object.entries(index))) return null;
+      index[quoteId] = { pubkey, amount, expiresAt };
+      memoryStore.set(indexKey, JSON.stringify(index));
+      memoryStore.set(`payer:reservation:${quoteId}`, entry, ttlSeconds);
+      return { pubkey, amount, expiresAt };
+    }
+  );
+}
+
+/**
+ * Get the reservation held by a quote
+ * @returns {Promise<{pubkey: string, amount: number, expiresAt: number}|null>}
+ */
+async function getPayerReservation(quoteId) {
+  return withRedis(
+    async (redis) => {
+      const data = await redis.get(`${KEY_PREFIX}payer:reservation:${quoteId}`);
+      return data ? JSON.parse(data) : null;
+    },
+    () => {
+      const data = memoryStore.get(`payer:reservation:${quoteId}`);
+      return data ? JSON.parse(data) : null;
+    }
+  );
+}
+
+/**
+ * Release a quote's reservation (after submit, or when the quote is abandoned)
+ * @returns {Promise<{pubkey: string, amount: number, expiresAt: number}|null>} released reservation
+ */
+async function releasePayerReservation(quoteId) {
+  const reservation = await getPayerReservation(quoteId);
+  if (!reservation) return null;
+
+  const indexKey = `payer:reservations:${reservation.pubkey}`;
+
+  return withRedis(
+    async (redis) => {
+      const multi = redis.multi();
+      multi.del(`${KEY_PREFIX}payer:reservation:${quoteId}`);
+      multi.hDel(`${KEY_PREFIX}${indexKey}`, quoteId);
+      await multi.exec();
+      return reservation;
+    },
+    () => {
+      const index = JSON.parse(memoryStore.get(indexKey) || '{}');
+      delete index[quoteId];
+      memoryStore.set(indexKey, JSON.stringify(index));
+      memoryStore.del(`payer:reservation:${quoteId}`);
+      return reservation;
+    }
+  );
+}
+
+/**
+ * Sum active reservations for a fee payer (expired entries are pruned)
+ * @returns {Promise<{total: number, count: number}>}
+ */
+async function getPayerReservedTotal(pubkey) {
+  const indexKey = `payer:reservations:${pubkey}`;
+
+  return withRedis(
+    async (redis) => {
+      const entries = await redis.hGetAll(`${KEY_PREFIX}${indexKey}`);
+      const { total, count, expired } = summarizeReservations(Object.entries(entries || {}));
+      if (expired.length > 0) {
+        await redis.hDel(`${KEY_PREFIX}${indexKey}`, expired);
+      }
+      return { total, count };
+    },
+    () => {
+      const index = JSON.parse(memoryStore.get(indexKey) || '{}');
+      const { total, count, expired } = summarizeReservations(Object.entries(index));
+      if (expired.length > 0) {
+        expired.forEach((quoteId) => delete index[quoteId]);
+        memoryStore.set(indexKey, JSON.stringify(index));
+      }
+      return { total, count };
+    }
+  );
+}
+
+// =============================================================================
+// Fee Payer Key Status (rotation / retirement)
+// =============================================================================
+// Retirement must hold on every instance: a key retired on one (e.g. because
+// it leaked) must be refused by submit everywhere, and survive restarts.
+
+/**
+ * Persist a fee payer's rotation status, or clear it (back to active)
+ * @param {string} pubkey - Fee payer public key (base58)
+ * @param {Object|null} status - {status, reason, since, emergency}, null to clear
+ */
+async function setPayerKeyStatus(pubkey, status) {
+  return withRedis(
+    async (redis) => {
+      if (status) {
+        await redis.hSet(`${KEY_PREFIX}payer:key_status`, pubkey, JSON.stringify(status));
+      } else {
+        await redis.hDel(`${KEY_PREFIX}payer:key_status`, pubkey);
+      }
+    },
+    () => {
+      const statuses = JSON.parse(memoryStore.get('payer:key_status') || '{}');
+      if (status) {
+        statuses[pubkey] = status;
+      } else {
+        delete statuses[pubkey];
+      }
+      memoryStore.set('payer:key_status', JSON.stringify(statuses));
+    }
+  );
+}
+
+/**
+ * Get every persisted fee payer status
+ * @returns {Promise<Object<string, Object>>} pubkey -> {status, reason, since, emergency}
+ */
+async function getPayerKeyStatuses() {
+  return withRedis(
+    async (redis) => {
+      const entries = await redis.hGetAll(`${KEY_PREFIX}payer:key_status`);
+      const statuses = {};
+      for (const [pubkey, raw] of Object.entries(entries || {})) {
+        statuses[pubkey] = JSON.parse(raw);
+      }
+      return statuses;
+    },
+    () => JSON.parse(memoryStore.get('payer:key_status') || '{}')
+  );
+}
+
 // =============================================================================
 // Per-Wallet Rate Limiting
 // =============================================================================
@@ -635,7 +1220,10 @@ async function recordBurnProof(proof) {
     amountBurned: proof.amountBurned,
     solAmount: proof.solAmount,
     treasuryAmount: proof.treasuryAmount,
-    method: proof.method, // jupiter
+    // Fee token swapped into the burned $ASDF (swap path)
+    inputMint: proof.inputMint,
+    inputAmount: proof.inputAmount,
+    method: proof.method, // jupiter | direct
     timestamp: Date.now(),
     network: proof.network || 'mainnet-beta',
     explorerUrl: `https://orbmarkets.io/tx/${proof.burnSignature}`,
@@ -673,13 +1261,15 @@ async function recordBurnProof(proof) {
 }
 
 /**
- * Get recent burn proofs
+ * Get recent burn proofs, newest first
+ * @param {number} [limit]
+ * @param {number} [offset] - Proofs to skip (pagination)
  */
-async function getBurnProofs(limit = 50) {
+async function getBurnProofs(limit = 50, offset = 0) {
   return withRedis(
     async (redis) => {
       const [proofs, totalCount] = await Promise.all([
-        redis.lRange(`${KEY_PREFIX}burn:proofs`, 0, limit - 1),
+        redis.lRange(`${KEY_PREFIX}burn:proofs`, offset, offset + limit - 1),
         redis.get(`${KEY_PREFIX}burn:proof:count`),
       ]);
       return {
@@ -690,7 +1280,7 @@ async function getBurnProofs(limit = 50) {
     () => {
       const proofs = JSON.parse(memoryStore.get('burn:proofs') || '[]');
       return {
-        proofs: proofs.slice(0, limit),
+        proofs: proofs.slice(offset, offset + limit),
         totalCount: proofs.length,
       };
     }
@@ -713,10 +1303,30 @@ async function getBurnProofBySignature(signature) {
   );
 }
 
+/**
+ * When the burn worker last completed a run (burn schedule).
+ * @returns {Promise<number>} Unix ms, 0 if never
+ */
+async function getLastBurnRun() {
+  return withRedis(
+    async (redis) => parseInt(await redis.get(`${KEY_PREFIX}burn:last_run`)) || 0,
+    () => parseInt(memoryStore.get('burn:last_run')) || 0
+  );
+}
+
+/**
+ * @param {number} timestamp - Unix ms
+ */
+async function setLastBurnRun(timestamp) {
+  return withRedis(
+    async (redis) => redis.set(`${KEY_PREFIX}burn:last_run`, String(timestamp)),
+    () => memoryStore.set('burn:last_run', String(timestamp))
+  );
+}
+
 // =============================================================================
 // Distributed Locking (Race Condition Prevention)
 // =============================================================================
-
 // In-memory locks for fallback
 const memoryLocks = new Map();
 
@@ -1081,7 +1691,6 @@ function getJupiterCacheStats() {
   };
 }
 
-
 module.exports = {
   initializeClient,
   getClient,
@@ -1093,6 +1702,11 @@ module.exports = {
   setQuote,
   getQuote,
   deleteQuote,
+  setQuoteBatch,
+  getQuoteBatch,
+  deleteQuoteBatch,
+  updateQuoteLifecycle,
+  getQuoteLifecycle,
   incrBurnTotal,
   incrTxCount,
   getStats,
@@ -1102,11 +1716,32 @@ module.exports = {
   // Treasury (80/20 model)
   incrTreasuryTotal,
   getTreasuryBalance,
+  getRetainedAsdf,
+  setRetainedAsdf,
+  incrRetainedAsdf,
   recordTreasuryEvent,
   getTreasuryHistory,
+  incrRefillTotal,
+  getRefillTotal,
+  // Token Registry
+  getTokenRegistry,
+  setRegistryTokens,
+  markTokenRegistrySeeded,
+  removeRegistryToken,
   // Anti-Replay Protection (atomic)
   claimTransactionSlot,
   releaseTransactionSlot,
+  claimReplayKey,
+  releaseReplayKey,
+  claimQuote,
+  storeRefreshedQuote,
+  // Fee Payer Reservations
+  reservePayerBalance,
+  getPayerReservation,
+  releasePayerReservation,
+  getPayerReservedTotal,
+  setPayerKeyStatus,
+  getPayerKeyStatuses,
   // Per-Wallet Rate Limiting
   incrWalletRateLimit,
   getWalletRateLimit,
@@ -1119,6 +1754,8 @@ module.exports = {
   recordBurnProof,
   getBurnProofs,
   getBurnProofBySignature,
+  getLastBurnRun,
+  setLastBurnRun,
   // Distributed Locking
   acquireLock,
   releaseLock,
@@ -0,0 +1,220 @@
+/**
+ * Tests for Burns Route — burn proof listing and on-chain verification
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { Keypair, PublicKey, TransactionMessage } = require('@solana/web3.js');
+const {
+  createBurnCheckedInstruction,
+  getAssociatedTokenAddressSync,
+} = require('@solana/spl-token');
+
+const mockConnection = { getTransaction: jest.fn() };
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  getBurnProofs: jest.fn(),
+  getBurnProofBySignature: jest.fn(),
+}));
+
+jest.mock('../../../src/services/helius', () => ({
+  getConnection: () => mockConnection,
+}));
+
+const redis = require('../../../src/utils/redis');
+const { MINTS } = require('../../../src/constants');
+const burnsRouter = require('../../../src/routes/burns');
+
+const SIGNATURE = '5'.repeat(88);
+const treasury = Keypair.generate().publicKey;
+
+function proof(overrides = {}) {
+  return {
+    burnSignature: SIGNATURE,
+    amountBurned: 3093.795,
+    treasuryAmount: 956.205,
+    method: 'jupiter',
+    timestamp: 1_700_000_000_000,
+    ...overrides,
+  };
+}
+
+/** getTransaction response for a transaction burning `amount` of `mint` */
+function burnTransaction(amount, { mint = MINTS.ASDF, err = null } = {}) {
+  const mintKey = new PublicKey(mint);
+  const message = new TransactionMessage({
+    payerKey: treasury,
+    recentBlockhash: PublicKey.default.toBase58(),
+    instructions: [
+      createBurnCheckedInstruction(
+        getAssociatedTokenAddressSync(mintKey, treasury),
+        mintKey,
+        treasury,
+        amount,
+        6
+      ),
+    ],
+  }).compileToV0Message();
+
+  return {
+    slot: 250_000_000,
+    blockTime: 1_700_000_000,
+    transaction: { message },
+    meta: { err, loadedAddresses: { writable: [], readonly: [] }, innerInstructions: [] },
+  };
+}
+
+describe('Burns Route', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/v1/burns', burnsRouter);
+  });
+
+  describe('GET /v1/burns', () => {
+    it('should page through burn proofs', async () => {
+      redis.getBurnProofs.mockResolvedValue({
+        proofs: [proof(), proof(), proof()],
+        totalCount: 42,
+      });
+
+      const res = await request(app).get('/v1/burns?limit=2&offset=4');
+
+      expect(res.status).toBe(200);
+      expect(redis.getBurnProofs).toHaveBeenCalledWith(3, 4);
+      expect(res.body).toEqual(
+        expect.objectContaining({ totalBurns: 42, limit: 2, offset: 4, hasMore: true })
+      );
+      expect(res.body.burns).toHaveLength(2);
+      expect(res.body.verification.mint).toBe(MINTS.ASDF);
+    });
+
+    it('should cap the page size at 100', async () => {
+      redis.getBurnProofs.mockResolvedValue({ proofs: [], totalCount: 0 });
+
+      const res = await request(app).get('/v1/burns?limit=500');
+
+      expect(redis.getBurnProofs).toHaveBeenCalledWith(101, 0);
+      expect(res.body).toEqual(expect.objectContaining({ limit: 100, hasMore: false }));
+    });
+
+    it('should return 500 when proofs cannot be read', async () => {
+      redis.getBurnProofs.mockRejectedValue(new Error('Connection refused'));
+
+      const res = await request(app).get('/v1/burns');
+
+      expect(res.status).toBe(500);
+      expect(res.body.code).toBe('BURNS_LIST_FAILED');
+    });
+  });
+
+  describe('GET /v1/burns/:signature', () => {
+    beforeEach(() => {
+      redis.getBurnProofBySignature.mockResolvedValue(proof());
+    });
+
+    it('should verify a BurnChecked of the recorded $ASDF amount', async () => {
+      mockConnection.getTransaction.mockResolvedValue(burnTransaction(3_093_795_000n));
+
+      const res = await request(app).get(`/v1/burns/${SIGNATURE}`);
+
+      expect(res.status).toBe(200);
+      expect(mockConnection.getTransaction).toHaveBeenCalledWith(SIGNATURE, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0,
+      });
+      expect(res.body).toEqual({
+        burn: proof(),
+        verified: true,
+        onChain: {
+          slot: 250_000_000,
+          blockTime: 1_700_000_000,
+          success: true,
+          amountBurned: 3093.795,
+        },
+        explorerUrl: `https://orbmarkets.io/tx/${SIGNATURE}`,
+      });
+    });
+
+    it('should not verify a different amount', async () => {
+      mockConnection.getTransaction.mockResolvedValue(burnTransaction(1_000_000n));
+
+      const res = await request(app).get(`/v1/burns/${SIGNATURE}`);
+
+      expect(res.body.verified).toBe(false);
+      expect(res.body.reason).toBe('Burned amount does not match the recorded amount');
+      expect(res.body.onChain.amountBurned).toBe(1);
+    });
+
+    it('should not verify a burn of another mint', async () => {
+      mockConnection.getTransaction.mockResolvedValue(
+        burnTransaction(3_093_795_000n, { mint: MINTS.USDC })
+      );
+
+      const res = await request(app).get(`/v1/burns/${SIGNATURE}`);
+
+      expect(res.body.verified).toBe(false);
+      expect(res.body.reason).toBe('No BurnChecked of the $ASDF mint');
+    });
+
+    it('should not verify a failed transaction', async () => {
+      mockConnection.getTransaction.mockResolvedValue(
+        burnTransaction(3_093_795_000n, { err: { InstructionError: [0, 'Custom'] } })
+      );
+
+      const res = await request(app).get(`/v1/burns/${SIGNATURE}`);
+
+      expect(res.body.verified).toBe(false);
+      expect(res.body.reason).toBe('Transaction failed on-chain');
+    });
+
+    it('should not verify a transaction RPC cannot find', async () => {
+      mockConnection.getTransaction.mockResolvedValue(null);
+
+      const res = await request(app).get(`/v1/burns/${SIGNATURE}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(
+        expect.objectContaining({
+          verified: false,
+          reason: 'Transaction not found on-chain',
+          onChain: null,
+        })
+      );
+    });
+
+    it('should return 404 for an unrecorded burn', async () => {
+      redis.getBurnProofBySignature.mockResolvedValue(null);
+
+      const res = await request(app).get(`/v1/burns/${SIGNATURE}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('BURN_NOT_FOUND');
+      expect(mockConnection.getTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid signature', async () => {
+      const res = await request(app).get('/v1/burns/short');
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_SIGNATURE');
+    });
+
+    it('should return 500 when RPC fails', async () => {
+      mockConnection.getTransaction.mockRejectedValue(new Error('429 Too Many Requests'));
+
+      const res = await request(app).get(`/v1/burns/${SIGNATURE}`);
+
+      expect(res.status).toBe(500);
+      expect(res.body.code).toBe('BURN_VERIFICATION_FAILED');
+    });
+  });
+});
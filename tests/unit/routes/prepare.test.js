@@ -0,0 +1,410 @@
+/**
+ * Tests for Prepare Route (server-side transaction building)
+ *
+ * Prepared transactions are signed by the user and run through the real
+ * validator — what /v1/prepare returns must pass /v1/submit checks.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  ComputeBudgetInstruction,
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  SystemInstruction,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const {
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  MINT_SIZE,
+  MintLayout,
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+} = require('@solana/spl-token');
+
+const mockFeePayer = Keypair.generate();
+const mockAccounts = new Map();
+const mockConnection = {
+  getAccountInfo: jest.fn(async (pubkey) => mockAccounts.get(pubkey.toBase58()) ?? null),
+  getLatestBlockhash: jest.fn(),
+  getNonce: jest.fn(),
+};
+
+jest.mock('../../../src/services/fee-payer', () => ({
+  getFeePayer: () => mockFeePayer,
+  getAllPublicKeys: () => [mockFeePayer.publicKey.toBase58()],
+}));
+
+jest.mock('../../../src/services/helius', () => ({
+  getConnection: () => mockConnection,
+}));
+
+jest.mock('../../../src/utils/alt', () => ({
+  getGasdfLookupTable: jest.fn().mockResolvedValue(null),
+  getLookupTables: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  getQuote: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const bs58 = require('bs58').default;
+const config = require('../../../src/utils/config');
+const redis = require('../../../src/utils/redis');
+const quoteSigner = require('../../../src/services/quote-signer');
+const validator = require('../../../src/services/validator');
+const mintInfo = require('../../../src/services/mint-info');
+const tokenRegistry = require('../../../src/services/token-registry');
+const prepareRouter = require('../../../src/routes/prepare');
+
+const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+const QUOTE_ID = '550e8400-e29b-41d4-a716-446655440000';
+const BLOCKHASH = Keypair.generate().publicKey.toBase58();
+
+describe('Prepare Route', () => {
+  const user = Keypair.generate();
+  const treasury = Keypair.generate().publicKey;
+  const treasuryAta = getAssociatedTokenAddressSync(USDC_MINT, treasury);
+  const recipient = Keypair.generate().publicKey;
+  let app;
+  let quote;
+
+  function mintAccount(decimals) {
+    const data = Buffer.alloc(MINT_SIZE);
+    MintLayout.encode(
+      {
+        mintAuthorityOption: 0,
+        mintAuthority: PublicKey.default,
+        supply: 0n,
+        decimals,
+        isInitialized: true,
+        freezeAuthorityOption: 0,
+        freezeAuthority: PublicKey.default,
+      },
+      data
+    );
+    return { owner: TOKEN_PROGRAM_ID, data, lamports: 1_000_000, executable: false };
+  }
+
+  function userInstruction() {
+    return SystemProgram.transfer({
+      fromPubkey: user.publicKey,
+      toPubkey: recipient,
+      lamports: 1000,
+    });
+  }
+
+  function toJson(ix) {
+    return {
+      programId: ix.programId.toBase58(),
+      keys: ix.keys.map((k) => ({ ...k, pubkey: k.pubkey.toBase58() })),
+      data: ix.data.toString('base64'),
+    };
+  }
+
+  function decode(body) {
+    return VersionedTransaction.deserialize(Buffer.from(body.transaction, 'base64'));
+  }
+
+  function programIds(tx) {
+    return tx.message.compiledInstructions.map((ix) =>
+      tx.message.staticAccountKeys[ix.programIdIndex].toBase58()
+    );
+  }
+
+  async function signAndValidate(tx) {
+    tx.sign([user]);
+    return validator.validateTransaction(Buffer.from(tx.serialize()).toString('base64'), quote);
+  }
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/v1/prepare', prepareRouter);
+  });
+
+  beforeEach(() => {
+    mintInfo.clearCache();
+    mockAccounts.clear();
+    mockAccounts.set(USDC_MINT.toBase58(), mintAccount(6));
+    mockAccounts.set(treasuryAta.toBase58(), { owner: TOKEN_PROGRAM_ID, data: Buffer.alloc(165) });
+    mockConnection.getLatestBlockhash.mockResolvedValue({
+      blockhash: BLOCKHASH,
+      lastValidBlockHeight: 1000,
+    });
+
+    quote = {
+      userPubkey: user.publicKey.toBase58(),
+      paymentToken: USDC_MINT.toBase58(),
+      feeAmount: '12345',
+      treasuryAddress: treasury.toBase58(),
+      treasuryAta: treasuryAta.toBase58(),
+      feePayer: mockFeePayer.publicKey.toBase58(),
+      estimatedComputeUnits: 100_000,
+      priorityFeeLamports: 250,
+      expiresAt: Date.now() + 60_000,
+    };
+    redis.getQuote.mockResolvedValue(quote);
+  });
+
+  it('should build a transaction that passes submit validation', async () => {
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, instructions: [toJson(userInstruction())] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.createsTreasuryAta).toBe(false);
+
+    const tx = decode(res.body);
+    expect(tx.message.staticAccountKeys[0].toBase58()).toBe(quote.feePayer);
+    expect(tx.message.recentBlockhash).toBe(BLOCKHASH);
+    expect(programIds(tx)).toEqual([
+      ComputeBudgetProgram.programId.toBase58(),
+      ComputeBudgetProgram.programId.toBase58(),
+      SystemProgram.programId.toBase58(),
+      TOKEN_PROGRAM_ID.toBase58(),
+    ]);
+    expect(res.body.feePaymentIndex).toBe(3);
+
+    const validation = await signAndValidate(tx);
+    expect(validation.errors).toEqual([]);
+  });
+
+  it('should price compute budget from the quote', async () => {
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, instructions: [toJson(userInstruction())] });
+
+    const tx = decode(res.body);
+    const [limitIx, priceIx] = TransactionMessage.decompile(tx.message).instructions;
+
+    expect(ComputeBudgetInstruction.decodeSetComputeUnitLimit(limitIx).units).toBe(100_000);
+    // 250 lamports over 100k CU → 2500 µlamports/CU
+    expect(ComputeBudgetInstruction.decodeSetComputeUnitPrice(priceIx).microLamports).toBe(2500n);
+  });
+
+  it('should use the speed tier price stored in the quote', async () => {
+    quote.speed = 'fast';
+    quote.computeUnitPrice = 2400;
+
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, instructions: [toJson(userInstruction())] });
+
+    const tx = decode(res.body);
+    const [, priceIx] = TransactionMessage.decompile(tx.message).instructions;
+    expect(ComputeBudgetInstruction.decodeSetComputeUnitPrice(priceIx).microLamports).toBe(2400n);
+
+    const validation = await signAndValidate(tx);
+    expect(validation.errors).toEqual([]);
+  });
+
+  it('should create the treasury ATA when it does not exist', async () => {
+    mockAccounts.delete(treasuryAta.toBase58());
+
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, instructions: [toJson(userInstruction())] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.createsTreasuryAta).toBe(true);
+
+    const tx = decode(res.body);
+    expect(programIds(tx)[2]).toBe(ASSOCIATED_TOKEN_PROGRAM_ID.toBase58());
+
+    const validation = await signAndValidate(tx);
+    expect(validation.errors).toEqual([]);
+  });
+
+  it('should accept a draft transaction and replace its compute budget', async () => {
+    const draft = new VersionedTransaction(
+      new TransactionMessage({
+        payerKey: user.publicKey,
+        recentBlockhash: PublicKey.default.toBase58(),
+        instructions: [
+          ComputeBudgetProgram.setComputeUnitLimit({ units: 999_999 }),
+          userInstruction(),
+        ],
+      }).compileToV0Message()
+    );
+
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, transaction: Buffer.from(draft.serialize()).toString('base64') });
+
+    expect(res.status).toBe(200);
+    const tx = decode(res.body);
+    const [limitIx] = TransactionMessage.decompile(tx.message).instructions;
+    expect(ComputeBudgetInstruction.decodeSetComputeUnitLimit(limitIx).units).toBe(100_000);
+    expect(tx.message.compiledInstructions).toHaveLength(4);
+  });
+
+  it('should pay SOL fees with a System transfer to the treasury address', async () => {
+    quote.paymentToken = 'So11111111111111111111111111111111111111112';
+    quote.treasuryAta = null;
+    quote.feeAmount = '55000';
+
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, instructions: [toJson(userInstruction())] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.createsTreasuryAta).toBe(false);
+
+    const tx = decode(res.body);
+    const payment = TransactionMessage.decompile(tx.message).instructions.at(-1);
+    expect(SystemInstruction.decodeTransfer(payment)).toEqual({
+      fromPubkey: user.publicKey,
+      toPubkey: treasury,
+      lamports: 55000n,
+    });
+
+    const validation = await signAndValidate(tx);
+    expect(validation.errors).toEqual([]);
+  });
+
+  it('should start durable-nonce quotes with AdvanceNonce on the nonce value', async () => {
+    const nonceAccount = Keypair.generate().publicKey;
+    const nonceValue = Keypair.generate().publicKey.toBase58();
+    mockConnection.getNonce.mockResolvedValue({ nonce: nonceValue });
+    quote.nonceAccount = nonceAccount.toBase58();
+    quote.nonceAuthority = user.publicKey.toBase58();
+
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, instructions: [toJson(userInstruction())] });
+
+    expect(res.status).toBe(200);
+    const tx = decode(res.body);
+    expect(tx.message.recentBlockhash).toBe(nonceValue);
+    expect(validator.detectDurableNonce(tx)).toEqual(
+      expect.objectContaining({ isDurableNonce: true, nonceAccount: nonceAccount.toBase58() })
+    );
+
+    const validation = await signAndValidate(tx);
+    expect(validation.errors).toEqual([]);
+  });
+
+  it('should build a durable-nonce quote from its signed envelope', async () => {
+    const nonceAccount = Keypair.generate().publicKey;
+    const nonceValue = Keypair.generate().publicKey.toBase58();
+    mockConnection.getNonce.mockResolvedValue({ nonce: nonceValue });
+    config.QUOTE_SIGNING_KEY = bs58.encode(Keypair.generate().secretKey);
+    const signedQuote = quoteSigner.signQuote({
+      ...quote,
+      quoteId: QUOTE_ID,
+      nonceAccount: nonceAccount.toBase58(),
+      nonceAuthority: user.publicKey.toBase58(),
+    });
+    // Redis record gone (restart, other replica)
+    redis.getQuote.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, signedQuote, instructions: [toJson(userInstruction())] });
+    config.QUOTE_SIGNING_KEY = undefined;
+
+    expect(res.status).toBe(200);
+    const tx = decode(res.body);
+    expect(tx.message.recentBlockhash).toBe(nonceValue);
+    expect(validator.detectDurableNonce(tx)).toEqual(
+      expect.objectContaining({
+        isDurableNonce: true,
+        nonceAccount: nonceAccount.toBase58(),
+        nonceAuthority: user.publicKey.toBase58(),
+      })
+    );
+  });
+
+  it('should return 404 for an unknown quote', async () => {
+    redis.getQuote.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, instructions: [toJson(userInstruction())] });
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('QUOTE_NOT_FOUND');
+  });
+
+  it('should reject an expired quote still kept for refresh', async () => {
+    quote.expiresAt = Date.now() - 1000;
+
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, instructions: [toJson(userInstruction())] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('QUOTE_EXPIRED');
+  });
+
+  it('should not build a transaction for a paused token', async () => {
+    jest
+      .spyOn(tokenRegistry, 'getToken')
+      .mockReturnValueOnce({ mint: USDC_MINT.toBase58(), enabled: false });
+
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, instructions: [toJson(userInstruction())] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('TOKEN_PAUSED');
+    expect(mockConnection.getLatestBlockhash).not.toHaveBeenCalled();
+  });
+
+  it('should reject malformed instructions', async () => {
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, instructions: [{ programId: 'not-a-key', keys: [] }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_INSTRUCTIONS');
+    expect(res.body.details).toContain('Invalid instruction 0');
+  });
+
+  it('should reject instructions and transaction together', async () => {
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, instructions: [toJson(userInstruction())], transaction: 'AAAA' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_INPUT');
+  });
+
+  it('should reject a draft transaction that is not base64', async () => {
+    const res = await request(app)
+      .post('/v1/prepare')
+      .send({ quoteId: QUOTE_ID, transaction: { instructions: [] } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_INPUT');
+    expect(redis.getQuote).not.toHaveBeenCalled();
+  });
+
+  it('should reject a transaction that exceeds the size limit', async () => {
+    const instructions = Array.from({ length: 30 }, () =>
+      toJson(
+        SystemProgram.transfer({
+          fromPubkey: user.publicKey,
+          toPubkey: Keypair.generate().publicKey,
+          lamports: 1,
+        })
+      )
+    );
+
+    const res = await request(app).post('/v1/prepare').send({ quoteId: QUOTE_ID, instructions });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('TX_TOO_LARGE');
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests for batch quotes (indicative prices in several tokens, lock one)
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/utils/config', () => ({
+  BASE_FEE_LAMPORTS: 50000,
+  NETWORK_FEE_LAMPORTS: 5000,
+  QUOTE_TTL_SECONDS: 60,
+  QUOTE_BATCH_TTL_SECONDS: 30,
+  QUOTE_REFRESH_GRACE_SECONDS: 300,
+  WALLET_QUOTE_LIMIT: 100,
+  TREASURY_ADDRESS: '4atX5qzxFrxb1Kiu4LXJ1M5JubSXSCUN677dsBaT6FaE',
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockBatches = new Map();
+jest.mock('../../../src/utils/redis', () => ({
+  setQuote: jest.fn().mockResolvedValue(true),
+  incrWalletRateLimit: jest.fn().mockResolvedValue(1),
+  setQuoteBatch: jest.fn(async (id, data) => mockBatches.set(id, data)),
+  getQuoteBatch: jest.fn(async (id) => mockBatches.get(id) ?? null),
+  deleteQuoteBatch: jest.fn(async (id) => mockBatches.delete(id)),
+}));
+
+jest.mock('../../../src/utils/alt', () => ({
+  getAltAddress: jest.fn().mockReturnValue(null),
+}));
+
+jest.mock('../../../src/services/token-gate', () => ({
+  isTokenAccepted: jest.fn((mint) => ({ accepted: !mint.startsWith('Scam') })),
+}));
+
+jest.mock('../../../src/services/fee-payer-pool', () => ({
+  isCircuitOpen: jest.fn().mockReturnValue(false),
+  reserveBalance: jest.fn().mockResolvedValue('FeePayer11111111111111111111111111111111111'),
+}));
+
+jest.mock('../../../src/services/helius', () => ({
+  calculatePriorityFee: jest.fn().mockResolvedValue({
+    priorityFeeLamports: 1000,
+    microLamportsPerCU: 5000,
+    computeUnits: 200000,
+    priorityLevel: 'High',
+    levels: Object.fromEntries(
+      ['Low', 'Medium', 'High', 'VeryHigh'].map((level) => [
+        level,
+        { microLamportsPerCU: 5000, priorityFeeLamports: 1000 },
+      ])
+    ),
+  }),
+}));
+
+jest.mock('../../../src/services/jupiter', () => ({
+  getFeeInToken: jest.fn(),
+}));
+
+jest.mock('../../../src/services/mint-info', () => ({
+  ...jest.requireActual('../../../src/services/mint-info'),
+  getMintInfo: jest.fn().mockResolvedValue({
+    programId: jest.requireActual('@solana/spl-token').TOKEN_PROGRAM_ID,
+    decimals: 6,
+    isToken2022: false,
+    transferFee: null,
+    unsupportedExtensions: [],
+  }),
+}));
+
+jest.mock('../../../src/services/holder-discount', () => ({
+  calculateDiscountedFee: jest.fn(async (pubkey, fee) => ({
+    discountedFee: fee,
+    tier: 'BRONZE',
+    discountPercent: 0,
+  })),
+}));
+
+jest.mock('../../../src/services/jito', () => ({
+  isEnabled: jest.fn().mockReturnValue(false),
+}));
+
+const redis = require('../../../src/utils/redis');
+const helius = require('../../../src/services/helius');
+const jupiter = require('../../../src/services/jupiter');
+const holderDiscount = require('../../../src/services/holder-discount');
+const quoteRouter = require('../../../src/routes/quote');
+
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const USDT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
+const BROKEN = 'Broken1111111111111111111111111111111111111';
+const SCAM = 'Scam11111111111111111111111111111111111111111';
+const USER = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+describe('Batch quotes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/v1/quote', quoteRouter);
+  });
+
+  beforeEach(() => {
+    mockBatches.clear();
+    jupiter.getFeeInToken.mockImplementation(async (mint) => {
+      if (mint === BROKEN) throw new Error('No route');
+      return mint === USDC
+        ? { inputAmount: 11000, symbol: 'USDC', decimals: 6 }
+        : { inputAmount: 11100, symbol: 'USDT', decimals: 6 };
+    });
+  });
+
+  function batch(body = {}) {
+    return request(app)
+      .post('/v1/quote/batch')
+      .send({ userPubkey: USER, paymentTokens: [USDC, USDT], speed: 'fast', ...body });
+  }
+
+  it('should price every token from one priority fee and holder lookup', async () => {
+    const res = await batch();
+
+    expect(res.status).toBe(200);
+    expect(res.body.indicative).toBe(true);
+    expect(res.body.prices).toEqual([
+      expect.objectContaining({
+        paymentToken: USDC,
+        feeAmount: '11000',
+        feeFormatted: '0.0110 USDC',
+      }),
+      expect.objectContaining({ paymentToken: USDT, feeAmount: '11100' }),
+    ]);
+    expect(helius.calculatePriorityFee).toHaveBeenCalledTimes(1);
+    expect(holderDiscount.calculateDiscountedFee).toHaveBeenCalledTimes(1);
+    expect(redis.incrWalletRateLimit).toHaveBeenCalledTimes(1);
+    expect(res.body.ttl).toBe(30);
+  });
+
+  it('should report rejected and unpriceable tokens per entry', async () => {
+    const res = await batch({ paymentTokens: [USDC, SCAM, BROKEN] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.prices.map((p) => p.code)).toEqual([
+      undefined,
+      'TOKEN_NOT_ACCEPTED',
+      'PRICE_UNAVAILABLE',
+    ]);
+    expect(Object.keys(mockBatches.get(res.body.batchId).prices)).toEqual([USDC]);
+  });
+
+  it('should reject more tokens than a batch allows', async () => {
+    const paymentTokens = Array.from({ length: 21 }, (_, i) => `Mint${i}`);
+
+    const res = await batch({ paymentTokens });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_INPUT');
+  });
+
+  it('should lock one batch price into a real quote', async () => {
+    const { body } = await batch();
+    jest.clearAllMocks();
+
+    const res = await request(app)
+      .post('/v1/quote')
+      .send({ batchId: body.batchId, paymentToken: USDT, userPubkey: USER });
+
+    expect(res.status).toBe(200);
+    expect(res.body.quoteId).toBeDefined();
+    expect(res.body.feeAmount).toBe('11100');
+    expect(res.body.speed).toBe('fast');
+    expect(jupiter.getFeeInToken).not.toHaveBeenCalled();
+    expect(helius.calculatePriorityFee).not.toHaveBeenCalled();
+
+    const [, stored] = redis.setQuote.mock.calls[0];
+    expect(stored).toEqual(
+      expect.objectContaining({ feeAmount: '11100', priorityLevel: 'High', computeUnitPrice: 5000 })
+    );
+    // Single lock per batch
+    expect(mockBatches.has(body.batchId)).toBe(false);
+  });
+
+  it('should not lock a batch for another wallet or an unpriced token', async () => {
+    const { body } = await batch();
+
+    const otherWallet = await request(app).post('/v1/quote').send({
+      batchId: body.batchId,
+      paymentToken: USDC,
+      userPubkey: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM',
+    });
+    expect(otherWallet.status).toBe(404);
+    expect(otherWallet.body.code).toBe('BATCH_NOT_FOUND');
+
+    const unpriced = await request(app)
+      .post('/v1/quote')
+      .send({ batchId: body.batchId, paymentToken: BROKEN, userPubkey: USER });
+    expect(unpriced.status).toBe(400);
+    expect(unpriced.body.code).toBe('TOKEN_NOT_IN_BATCH');
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Tests for Quote refresh (re-price within a tolerance band, same quote ID)
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/utils/config', () => ({
+  BASE_FEE_LAMPORTS: 50000,
+  NETWORK_FEE_LAMPORTS: 5000,
+  QUOTE_TTL_SECONDS: 60,
+  NONCE_QUOTE_TTL_SECONDS: 14400,
+  QUOTE_REFRESH_GRACE_SECONDS: 300,
+  QUOTE_REFRESH_TOLERANCE_PERCENT: 5,
+  WALLET_QUOTE_LIMIT: 100,
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  getQuote: jest.fn(),
+  storeRefreshedQuote: jest.fn().mockResolvedValue({ stored: true }),
+  incrWalletRateLimit: jest.fn().mockResolvedValue(1),
+}));
+
+jest.mock('../../../src/services/fee-payer-pool', () => ({
+  renewReservation: jest.fn(async (quoteId, pubkey) => pubkey),
+  releaseReservation: jest.fn().mockResolvedValue(null),
+  isKeyRetired: jest.fn().mockResolvedValue(false),
+}));
+
+jest.mock('../../../src/services/helius', () => ({
+  calculatePriorityFee: jest.fn().mockResolvedValue({
+    priorityFeeLamports: 1000,
+    microLamportsPerCU: 5000,
+    computeUnits: 200000,
+    priorityLevel: 'High',
+    levels: {},
+  }),
+}));
+
+jest.mock('../../../src/services/jupiter', () => ({
+  getFeeInToken: jest.fn(),
+}));
+
+jest.mock('../../../src/services/holder-discount', () => ({
+  calculateDiscountedFee: jest.fn(async (pubkey, fee) => ({ discountedFee: fee })),
+}));
+
+jest.mock('../../../src/services/jito', () => ({
+  isEnabled: jest.fn().mockReturnValue(false),
+}));
+
+const redis = require('../../../src/utils/redis');
+const feePayerPool = require('../../../src/services/fee-payer-pool');
+const helius = require('../../../src/services/helius');
+const jupiter = require('../../../src/services/jupiter');
+const tokenRegistry = require('../../../src/services/token-registry');
+const quoteRouter = require('../../../src/routes/quote');
+
+const QUOTE_ID = '550e8400-e29b-41d4-a716-446655440000';
+const FEE_PAYER = 'FeePayer11111111111111111111111111111111111';
+
+describe('Quote refresh', () => {
+  let app;
+  let quote;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/v1/quote', quoteRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    quote = {
+      userPubkey: '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU',
+      paymentToken: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+      feePayer: FEE_PAYER,
+      feeAmount: '100000',
+      feeAmountLamports: 54000,
+      estimatedComputeUnits: 200000,
+      priorityFeeLamports: 800,
+      speed: 'fast',
+      priorityLevel: 'High',
+      computeUnitPrice: 4000,
+      priorityAccounts: ['HotAccount1111111111111111111111111111111111'],
+      // Expired while the wallet prompt was open
+      expiresAt: Date.now() - 10_000,
+    };
+    redis.getQuote.mockResolvedValue(quote);
+  });
+
+  function refresh() {
+    return request(app).post(`/v1/quote/${QUOTE_ID}/refresh`).send({});
+  }
+
+  it('should keep the original price within the tolerance band', async () => {
+    jupiter.getFeeInToken.mockResolvedValue({ inputAmount: 104000 });
+
+    const res = await refresh();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(
+      expect.objectContaining({
+        quoteId: QUOTE_ID,
+        paymentSatisfied: true,
+        feeAmount: '100000',
+        previousFeeAmount: '100000',
+        currentFeeAmount: '104000',
+        feePayer: FEE_PAYER,
+      })
+    );
+    expect(res.body.priorityFee.computeUnitPrice).toBe(4000);
+    expect(res.body.expiresAt).toBeGreaterThan(Date.now());
+
+    const [id, stored, ttl] = redis.storeRefreshedQuote.mock.calls[0];
+    expect(id).toBe(QUOTE_ID);
+    expect(stored).toEqual(
+      expect.objectContaining({ feeAmount: '100000', computeUnitPrice: 4000 })
+    );
+    expect(ttl).toBe(360);
+  });
+
+  it('should accept the old payment when the price dropped', async () => {
+    jupiter.getFeeInToken.mockResolvedValue({ inputAmount: 80000 });
+
+    const res = await refresh();
+
+    expect(res.body.paymentSatisfied).toBe(true);
+    expect(res.body.feeAmount).toBe('100000');
+  });
+
+  it('should move to the new price beyond the tolerance band', async () => {
+    jupiter.getFeeInToken.mockResolvedValue({ inputAmount: 110000 });
+
+    const res = await refresh();
+
+    expect(res.body.paymentSatisfied).toBe(false);
+    expect(res.body.feeAmount).toBe('110000');
+    expect(res.body.priorityFee).toEqual({
+      priorityLevel: 'High',
+      computeUnitPrice: 5000,
+      computeUnitLimit: 200000,
+      lamports: 1000,
+    });
+    const [, stored] = redis.storeRefreshedQuote.mock.calls[0];
+    expect(stored).toEqual(
+      expect.objectContaining({
+        feeAmount: '110000',
+        priorityFeeLamports: 1000,
+        computeUnitPrice: 5000,
+      })
+    );
+    // network fee + new priority fee
+    expect(feePayerPool.renewReservation).toHaveBeenCalledWith(QUOTE_ID, FEE_PAYER, 6000, 60);
+  });
+
+  it('should re-price the stored speed tier and accounts', async () => {
+    jupiter.getFeeInToken.mockResolvedValue({ inputAmount: 100000 });
+
+    await refresh();
+
+    expect(helius.calculatePriorityFee).toHaveBeenCalledWith(200000, {
+      accountKeys: quote.priorityAccounts,
+      priorityLevel: 'High',
+    });
+  });
+
+  it('should return 404 once the quote is gone', async () => {
+    redis.getQuote.mockResolvedValue(null);
+
+    const res = await refresh();
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('QUOTE_NOT_FOUND');
+  });
+
+  it('should return 503 when the quote fee payer is unavailable', async () => {
+    jupiter.getFeeInToken.mockResolvedValue({ inputAmount: 100000 });
+    feePayerPool.renewReservation.mockResolvedValueOnce(null);
+
+    const res = await refresh();
+
+    expect(res.status).toBe(503);
+    expect(redis.storeRefreshedQuote).not.toHaveBeenCalled();
+  });
+
+  it('should not revive a quote submitted during the refresh', async () => {
+    jupiter.getFeeInToken.mockResolvedValue({ inputAmount: 100000 });
+    redis.storeRefreshedQuote.mockResolvedValueOnce({ stored: false });
+
+    const res = await refresh();
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('QUOTE_ALREADY_USED');
+    // The renewed reservation must not outlive the submitted quote
+    expect(feePayerPool.releaseReservation).toHaveBeenCalledWith(QUOTE_ID);
+  });
+
+  it('should not refresh a quote for a paused token', async () => {
+    jest.spyOn(tokenRegistry, 'getToken').mockReturnValueOnce({ enabled: false });
+
+    const res = await refresh();
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('TOKEN_PAUSED');
+    expect(feePayerPool.renewReservation).not.toHaveBeenCalled();
+  });
+
+  it('should not refresh a quote whose fee payer was retired', async () => {
+    feePayerPool.isKeyRetired.mockResolvedValueOnce(true);
+
+    const res = await refresh();
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('FEE_PAYER_RETIRED');
+    expect(feePayerPool.isKeyRetired).toHaveBeenCalledWith(FEE_PAYER);
+    expect(feePayerPool.renewReservation).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for Quote Route speed tiers (Helius priority levels)
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/utils/config', () => ({
+  BASE_FEE_LAMPORTS: 50000,
+  NETWORK_FEE_LAMPORTS: 5000,
+  QUOTE_TTL_SECONDS: 60,
+  QUOTE_REFRESH_GRACE_SECONDS: 300,
+  WALLET_QUOTE_LIMIT: 100,
+  TREASURY_ADDRESS: '4atX5qzxFrxb1Kiu4LXJ1M5JubSXSCUN677dsBaT6FaE',
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  setQuote: jest.fn().mockResolvedValue(true),
+  incrWalletRateLimit: jest.fn().mockResolvedValue(1),
+}));
+
+jest.mock('../../../src/utils/alt', () => ({
+  getAltAddress: jest.fn().mockReturnValue(null),
+}));
+
+jest.mock('../../../src/services/token-gate', () => ({
+  isTokenAccepted: jest.fn().mockReturnValue({ accepted: true, reason: 'whitelisted' }),
+}));
+
+jest.mock('../../../src/services/fee-payer-pool', () => ({
+  isCircuitOpen: jest.fn().mockReturnValue(false),
+  reserveBalance: jest.fn().mockResolvedValue('FeePayer11111111111111111111111111111111111'),
+}));
+
+jest.mock('../../../src/services/helius', () => ({
+  calculatePriorityFee: jest.fn(),
+}));
+
+jest.mock('../../../src/services/jupiter', () => ({
+  getFeeInToken: jest.fn().mockResolvedValue({ inputAmount: 100000, symbol: 'USDC', decimals: 6 }),
+}));
+
+jest.mock('../../../src/services/mint-info', () => ({
+  ...jest.requireActual('../../../src/services/mint-info'),
+  getMintInfo: jest.fn().mockResolvedValue({
+    programId: jest.requireActual('@solana/spl-token').TOKEN_PROGRAM_ID,
+    decimals: 6,
+    isToken2022: false,
+    transferFee: null,
+    unsupportedExtensions: [],
+  }),
+}));
+
+jest.mock('../../../src/services/holder-discount', () => ({
+  calculateDiscountedFee: jest.fn(async (pubkey, fee) => ({
+    discountedFee: fee,
+    tier: 'BRONZE',
+    discountPercent: 0,
+  })),
+}));
+
+jest.mock('../../../src/services/jito', () => ({
+  isEnabled: jest.fn().mockReturnValue(false),
+}));
+
+const redis = require('../../../src/utils/redis');
+const helius = require('../../../src/services/helius');
+const quoteRouter = require('../../../src/routes/quote');
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const USER = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+const LEVEL_PRICES = {
+  Min: 0,
+  Low: 500,
+  Medium: 1000,
+  High: 5000,
+  VeryHigh: 20000,
+  UnsafeMax: 50000,
+};
+
+describe('Quote Route speed tiers', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/v1/quote', quoteRouter);
+  });
+
+  beforeEach(() => {
+    redis.setQuote.mockClear();
+    helius.calculatePriorityFee.mockImplementation(async (computeUnits, { priorityLevel }) => {
+      const levels = {};
+      for (const [level, price] of Object.entries(LEVEL_PRICES)) {
+        levels[level] = {
+          microLamportsPerCU: price,
+          priorityFeeLamports: Math.ceil((price * computeUnits) / 1_000_000),
+        };
+      }
+      return {
+        ...levels[priorityLevel],
+        computeUnits,
+        priorityLevel,
+        levels,
+      };
+    });
+  });
+
+  it('should default to the standard tier (Medium)', async () => {
+    const res = await request(app)
+      .post('/v1/quote')
+      .send({ paymentToken: USDC_MINT, userPubkey: USER });
+
+    expect(res.status).toBe(200);
+    expect(res.body.speed).toBe('standard');
+    expect(helius.calculatePriorityFee).toHaveBeenCalledWith(200000, {
+      accountKeys: [],
+      priorityLevel: 'Medium',
+    });
+    expect(res.body.priorityFee).toEqual({
+      priorityLevel: 'Medium',
+      computeUnitPrice: 1000,
+      computeUnitLimit: 200000,
+      lamports: 200,
+    });
+  });
+
+  it('should price and store the chosen tier', async () => {
+    const res = await request(app)
+      .post('/v1/quote')
+      .send({ paymentToken: USDC_MINT, userPubkey: USER, speed: 'turbo' });
+
+    expect(res.status).toBe(200);
+    const [, stored] = redis.setQuote.mock.calls[0];
+    expect(stored).toEqual(
+      expect.objectContaining({
+        speed: 'turbo',
+        priorityLevel: 'VeryHigh',
+        computeUnitPrice: 20000,
+        priorityFeeLamports: 4000,
+      })
+    );
+  });
+
+  it('should return fee options for every tier', async () => {
+    const res = await request(app)
+      .post('/v1/quote')
+      .send({ paymentToken: USDC_MINT, userPubkey: USER, speed: 'economy' });
+
+    expect(Object.keys(res.body.feeOptions)).toEqual(['economy', 'standard', 'fast', 'turbo']);
+    expect(res.body.feeOptions.fast).toEqual({
+      priorityLevel: 'High',
+      computeUnitPrice: 5000,
+      lamports: 1000,
+    });
+  });
+
+  it('should reject an unknown speed', async () => {
+    const res = await request(app)
+      .post('/v1/quote')
+      .send({ paymentToken: USDC_MINT, userPubkey: USER, speed: 'ludicrous' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_SPEED');
+    expect(helius.calculatePriorityFee).not.toHaveBeenCalled();
+  });
+
+  it('should reject non-integer compute units before pricing', async () => {
+    const res = await request(app)
+      .post('/v1/quote')
+      .send({ paymentToken: USDC_MINT, userPubkey: USER, estimatedComputeUnits: 'lots' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      error: 'estimatedComputeUnits must be an integer between 1 and 1,400,000',
+      code: 'INVALID_INPUT',
+    });
+    expect(helius.calculatePriorityFee).not.toHaveBeenCalled();
+  });
+});
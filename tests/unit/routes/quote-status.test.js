@@ -0,0 +1,137 @@
+/**
+ * Tests for Quote status (GET /v1/quote/:id lifecycle)
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/utils/config', () => ({
+  QUOTE_TTL_SECONDS: 60,
+  QUOTE_REFRESH_GRACE_SECONDS: 300,
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  getQuote: jest.fn(),
+  getQuoteLifecycle: jest.fn(),
+}));
+
+const redis = require('../../../src/utils/redis');
+const quoteRouter = require('../../../src/routes/quote');
+
+const QUOTE_ID = '550e8400-e29b-41d4-a716-446655440000';
+const USER = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+describe('Quote status', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/v1/quote', quoteRouter);
+  });
+
+  beforeEach(() => {
+    redis.getQuote.mockResolvedValue(null);
+    redis.getQuoteLifecycle.mockResolvedValue(null);
+  });
+
+  function quote(expiresAt) {
+    return {
+      userPubkey: USER,
+      paymentToken: USDC,
+      feeAmount: '100000',
+      feePayer: 'FeePayer11111111111111111111111111111111111',
+      speed: 'fast',
+      priorityAccounts: ['HotAccount1111111111111111111111111111111111'],
+      createdAt: Date.now() - 5_000,
+      expiresAt,
+    };
+  }
+
+  it('should report an unused quote as active with its remaining TTL', async () => {
+    redis.getQuote.mockResolvedValue(quote(Date.now() + 30_000));
+
+    const res = await request(app).get(`/v1/quote/${QUOTE_ID}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(
+      expect.objectContaining({
+        quoteId: QUOTE_ID,
+        status: 'active',
+        signature: null,
+        feeAmount: '100000',
+        speed: 'fast',
+      })
+    );
+    expect(res.body.ttl).toBeGreaterThan(28);
+    expect(res.body.ttl).toBeLessThanOrEqual(30);
+    expect(res.body.priorityAccounts).toBeUndefined();
+  });
+
+  it('should report an expired quote with its refresh deadline', async () => {
+    const expiresAt = Date.now() - 10_000;
+    redis.getQuote.mockResolvedValue(quote(expiresAt));
+
+    const res = await request(app).get(`/v1/quote/${QUOTE_ID}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('expired');
+    expect(res.body.ttl).toBe(0);
+    expect(res.body.refreshableUntil).toBe(expiresAt + 300_000);
+  });
+
+  it('should report a used quote from its lifecycle record', async () => {
+    redis.getQuoteLifecycle.mockResolvedValue({
+      status: 'confirmed',
+      signature: '5sig',
+      userPubkey: USER,
+      paymentToken: USDC,
+      feeAmount: '100000',
+      consumedAt: 1,
+      submittedAt: 2,
+      confirmedAt: 3,
+    });
+
+    const res = await request(app).get(`/v1/quote/${QUOTE_ID}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(
+      expect.objectContaining({
+        status: 'confirmed',
+        signature: '5sig',
+        explorer: 'https://orbmarkets.io/tx/5sig',
+        confirmedAt: 3,
+        ttl: 0,
+      })
+    );
+    expect(redis.getQuote).not.toHaveBeenCalled();
+  });
+
+  it('should include the error of a failed submission', async () => {
+    redis.getQuoteLifecycle.mockResolvedValue({
+      status: 'failed',
+      error: { code: 'SIMULATION_REJECTED', message: 'Fee payer would lose SOL' },
+    });
+
+    const res = await request(app).get(`/v1/quote/${QUOTE_ID}`);
+
+    expect(res.body.status).toBe('failed');
+    expect(res.body.signature).toBeNull();
+    expect(res.body.error.code).toBe('SIMULATION_REJECTED');
+  });
+
+  it('should return 404 for an unknown quote', async () => {
+    const res = await request(app).get(`/v1/quote/${QUOTE_ID}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('QUOTE_NOT_FOUND');
+  });
+});
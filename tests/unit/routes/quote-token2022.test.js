@@ -0,0 +1,168 @@
+/**
+ * Tests for quotes on Token-2022 payment mints (transfer fee, unsupported extensions)
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_2022_PROGRAM_ID, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+
+jest.mock('../../../src/utils/config', () => ({
+  BASE_FEE_LAMPORTS: 50000,
+  NETWORK_FEE_LAMPORTS: 5000,
+  QUOTE_TTL_SECONDS: 60,
+  QUOTE_BATCH_TTL_SECONDS: 30,
+  QUOTE_REFRESH_GRACE_SECONDS: 300,
+  WALLET_QUOTE_LIMIT: 100,
+  TREASURY_ADDRESS: '4atX5qzxFrxb1Kiu4LXJ1M5JubSXSCUN677dsBaT6FaE',
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  setQuote: jest.fn().mockResolvedValue(true),
+  incrWalletRateLimit: jest.fn().mockResolvedValue(1),
+  setQuoteBatch: jest.fn().mockResolvedValue(true),
+}));
+
+jest.mock('../../../src/utils/alt', () => ({
+  getAltAddress: jest.fn().mockReturnValue(null),
+}));
+
+jest.mock('../../../src/services/token-gate', () => ({
+  isTokenAccepted: jest.fn().mockReturnValue({ accepted: true, reason: 'whitelisted' }),
+}));
+
+jest.mock('../../../src/services/fee-payer-pool', () => ({
+  isCircuitOpen: jest.fn().mockReturnValue(false),
+  reserveBalance: jest.fn().mockResolvedValue('FeePayer11111111111111111111111111111111111'),
+}));
+
+jest.mock('../../../src/services/helius', () => ({
+  calculatePriorityFee: jest.fn().mockResolvedValue({
+    priorityFeeLamports: 1000,
+    microLamportsPerCU: 5000,
+    computeUnits: 200000,
+    priorityLevel: 'Medium',
+    levels: Object.fromEntries(
+      ['Low', 'Medium', 'High', 'VeryHigh'].map((level) => [
+        level,
+        { microLamportsPerCU: 5000, priorityFeeLamports: 1000 },
+      ])
+    ),
+  }),
+}));
+
+jest.mock('../../../src/services/jupiter', () => ({
+  getFeeInToken: jest.fn().mockResolvedValue({ inputAmount: 10000, symbol: 'PYUSD', decimals: 6 }),
+}));
+
+jest.mock('../../../src/services/mint-info', () => ({
+  ...jest.requireActual('../../../src/services/mint-info'),
+  getMintInfo: jest.fn(),
+}));
+
+jest.mock('../../../src/services/holder-discount', () => ({
+  calculateDiscountedFee: jest.fn(async (pubkey, fee) => ({
+    discountedFee: fee,
+    tier: 'BRONZE',
+    discountPercent: 0,
+  })),
+}));
+
+jest.mock('../../../src/services/jito', () => ({
+  isEnabled: jest.fn().mockReturnValue(false),
+}));
+
+const redis = require('../../../src/utils/redis');
+const mintInfo = require('../../../src/services/mint-info');
+const quoteRouter = require('../../../src/routes/quote');
+
+const PYUSD = '2b1kV6DkPAnxd5ixfnExCx2PdhTteca1Ck2aG1Znhrog';
+const TREASURY = '4atX5qzxFrxb1Kiu4LXJ1M5JubSXSCUN677dsBaT6FaE';
+const USER = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+describe('Quote Route Token-2022 mints', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/v1/quote', quoteRouter);
+  });
+
+  function token2022Mint(overrides = {}) {
+    return {
+      programId: TOKEN_2022_PROGRAM_ID,
+      decimals: 6,
+      isToken2022: true,
+      transferFee: { basisPoints: 500, maximumFee: '1000000' },
+      unsupportedExtensions: [],
+      ...overrides,
+    };
+  }
+
+  it('should gross up the fee so the treasury nets the quoted amount', async () => {
+    mintInfo.getMintInfo.mockResolvedValue(token2022Mint());
+
+    const res = await request(app)
+      .post('/v1/quote')
+      .send({ paymentToken: PYUSD, userPubkey: USER });
+
+    expect(res.status).toBe(200);
+    expect(res.body.feeAmount).toBe('10527');
+    expect(res.body.transferFee).toEqual({ basisPoints: 500, amount: '527', netAmount: '10000' });
+
+    const treasuryAta = getAssociatedTokenAddressSync(
+      new PublicKey(PYUSD),
+      new PublicKey(TREASURY),
+      false,
+      TOKEN_2022_PROGRAM_ID
+    ).toBase58();
+    expect(res.body.treasury.ata).toBe(treasuryAta);
+
+    const [, stored] = redis.setQuote.mock.calls[0];
+    expect(stored).toEqual(
+      expect.objectContaining({
+        feeAmount: '10527',
+        netFeeAmount: '10000',
+        treasuryAta,
+        transferFee: { basisPoints: 500, maximumFee: '1000000' },
+      })
+    );
+  });
+
+  it('should reject mints with transfer hooks or non-transferable tokens', async () => {
+    mintInfo.getMintInfo.mockResolvedValue(
+      token2022Mint({ unsupportedExtensions: ['TransferHook'] })
+    );
+
+    const res = await request(app)
+      .post('/v1/quote')
+      .send({ paymentToken: PYUSD, userPubkey: USER });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('UNSUPPORTED_TOKEN_EXTENSION');
+    expect(res.body.details).toEqual({ extensions: ['TransferHook'] });
+    expect(redis.setQuote).not.toHaveBeenCalled();
+  });
+
+  it('should show grossed-up amounts in batch quotes', async () => {
+    mintInfo.getMintInfo.mockResolvedValue(token2022Mint());
+
+    const res = await request(app)
+      .post('/v1/quote/batch')
+      .send({ userPubkey: USER, paymentTokens: [PYUSD] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.prices[0].feeAmount).toBe('10527');
+    // Stored net: the locked quote grosses up with the mint's current fee
+    const [, stored] = redis.setQuoteBatch.mock.calls[0];
+    expect(stored.prices[PYUSD].inputAmount).toBe(10000);
+  });
+});
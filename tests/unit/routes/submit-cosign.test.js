@@ -0,0 +1,313 @@
+/**
+ * Tests for Submit Route co-signing (legacy + v0 transactions)
+ *
+ * Runs the real validator and fee payer co-sign path; RPC, Redis and
+ * simulation are mocked.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const bs58 = require('bs58').default;
+const nacl = require('tweetnacl');
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const { createTransferInstruction, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+
+const mockFeePayerKey = Keypair.generate();
+
+jest.mock('../../../src/utils/config', () => ({
+  FEE_PAYER_PRIVATE_KEY: require('bs58').default.encode(mockFeePayerKey.secretKey),
+  FEE_PAYER_PRIVATE_KEYS: [],
+  NETWORK_FEE_LAMPORTS: 5000,
+  QUOTE_TTL_SECONDS: 60,
+  NONCE_QUOTE_TTL_SECONDS: 14400,
+  QUOTE_REFRESH_GRACE_SECONDS: 300,
+  WSOL_MINT: 'So11111111111111111111111111111111111111112',
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  getQuote: jest.fn(),
+  claimQuote: jest.fn().mockResolvedValue({ claimed: true }),
+  deleteQuote: jest.fn().mockResolvedValue(true),
+  updateQuoteLifecycle: jest.fn().mockResolvedValue({}),
+  claimTransactionSlot: jest.fn().mockResolvedValue({ claimed: true }),
+  releaseTransactionSlot: jest.fn().mockResolvedValue(undefined),
+  recordTransactionVelocity: jest.fn().mockResolvedValue(undefined),
+  incrTxCount: jest.fn().mockResolvedValue(1),
+  addPendingSwap: jest.fn().mockResolvedValue(0),
+}));
+
+jest.mock('../../../src/services/fee-payer-pool', () => ({
+  releaseReservation: jest.fn().mockResolvedValue(null),
+  recordSuccess: jest.fn(),
+  recordFailure: jest.fn(),
+  isKeyRetired: jest.fn().mockReturnValue(false),
+}));
+
+jest.mock('../../../src/services/helius', () => ({
+  sendAndConfirmTransaction: jest.fn().mockResolvedValue({ signature: 'sig123' }),
+}));
+
+jest.mock('../../../src/services/simulation', () => ({
+  simulateWithBalanceCheck: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const redis = require('../../../src/utils/redis');
+const helius = require('../../../src/services/helius');
+const simulation = require('../../../src/services/simulation');
+const tokenRegistry = require('../../../src/services/token-registry');
+const submitRouter = require('../../../src/routes/submit');
+
+const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+const QUOTE_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+describe('Submit Route co-signing', () => {
+  const user = Keypair.generate();
+  const treasury = Keypair.generate().publicKey;
+  let app;
+
+  function paymentIx() {
+    const source = getAssociatedTokenAddressSync(USDC_MINT, user.publicKey);
+    const dest = getAssociatedTokenAddressSync(USDC_MINT, treasury);
+    return createTransferInstruction(source, dest, user.publicKey, 1000);
+  }
+
+  function buildLegacyTx() {
+    const tx = new Transaction({
+      feePayer: mockFeePayerKey.publicKey,
+      recentBlockhash: PublicKey.default.toBase58(),
+    }).add(paymentIx());
+    tx.partialSign(user);
+    return tx.serialize({ requireAllSignatures: false }).toString('base64');
+  }
+
+  function buildV0Tx() {
+    const message = new TransactionMessage({
+      payerKey: mockFeePayerKey.publicKey,
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions: [paymentIx()],
+    }).compileToV0Message();
+    const tx = new VersionedTransaction(message);
+    tx.sign([user]);
+    return Buffer.from(tx.serialize()).toString('base64');
+  }
+
+  function sentTransaction() {
+    const [serialized] = helius.sendAndConfirmTransaction.mock.calls[0];
+    return VersionedTransaction.deserialize(serialized);
+  }
+
+  function expectFullySigned(tx) {
+    const messageBytes = tx.message.serialize();
+    const signers = tx.message.staticAccountKeys.slice(0, tx.message.header.numRequiredSignatures);
+
+    expect(signers.map((k) => k.toBase58())).toEqual([
+      mockFeePayerKey.publicKey.toBase58(),
+      user.publicKey.toBase58(),
+    ]);
+    signers.forEach((signer, i) => {
+      expect(nacl.sign.detached.verify(messageBytes, tx.signatures[i], signer.toBytes())).toBe(
+        true
+      );
+    });
+  }
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/v1/submit', submitRouter);
+  });
+
+  beforeEach(() => {
+    redis.getQuote.mockResolvedValue({
+      userPubkey: user.publicKey.toBase58(),
+      paymentToken: USDC_MINT.toBase58(),
+      feeAmount: '1000',
+      feeAmountLamports: 50000,
+      treasuryAddress: treasury.toBase58(),
+      feePayer: mockFeePayerKey.publicKey.toBase58(),
+      priorityFeeLamports: 100,
+      expiresAt: Date.now() + 60_000,
+    });
+  });
+
+  it('should co-sign and send a legacy transaction', async () => {
+    const res = await request(app)
+      .post('/v1/submit')
+      .send({ quoteId: QUOTE_ID, transaction: buildLegacyTx() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.signature).toBe('sig123');
+
+    const sent = sentTransaction();
+    expect(sent.version).toBe('legacy');
+    expectFullySigned(sent);
+
+    // Legacy transactions reach simulation as Transaction, not VersionedTransaction
+    const [simulated, options] = simulation.simulateWithBalanceCheck.mock.calls[0];
+    expect(simulated).toBeInstanceOf(Transaction);
+    expect(options.maxFeeLamports).toBe(2 * 5000 + 100);
+  });
+
+  it('should co-sign and send a v0 transaction', async () => {
+    const res = await request(app)
+      .post('/v1/submit')
+      .send({ quoteId: QUOTE_ID, transaction: buildV0Tx() });
+
+    expect(res.status).toBe(200);
+
+    const sent = sentTransaction();
+    expect(sent.version).toBe(0);
+    expectFullySigned(sent);
+
+    const [simulated, options] = simulation.simulateWithBalanceCheck.mock.calls[0];
+    expect(simulated).toBeInstanceOf(VersionedTransaction);
+    expect(options.maxFeeLamports).toBe(2 * 5000 + 100);
+  });
+
+  it('should hold the quote claim through its refresh window', async () => {
+    await request(app).post('/v1/submit').send({ quoteId: QUOTE_ID, transaction: buildV0Tx() });
+
+    // Quote TTL + refresh grace, so a racing refresh finds the claim
+    expect(redis.claimQuote).toHaveBeenCalledWith(QUOTE_ID, 60 + 300);
+  });
+
+  it('should reject a legacy transaction with the wrong fee payer', async () => {
+    const tx = new Transaction({
+      feePayer: user.publicKey,
+      recentBlockhash: PublicKey.default.toBase58(),
+    }).add(paymentIx());
+    tx.sign(user);
+
+    const res = await request(app)
+      .post('/v1/submit')
+      .send({ quoteId: QUOTE_ID, transaction: tx.serialize().toString('base64') });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map((e) => e.code)).toContain('FEE_PAYER_MISMATCH');
+    expect(helius.sendAndConfirmTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should record the quote lifecycle through to confirmation', async () => {
+    await request(app).post('/v1/submit').send({ quoteId: QUOTE_ID, transaction: buildV0Tx() });
+
+    const updates = redis.updateQuoteLifecycle.mock.calls.map(([id, fields]) => {
+      expect(id).toBe(QUOTE_ID);
+      return fields;
+    });
+    expect(updates.map((u) => u.status)).toEqual(['consumed', 'submitted', 'confirmed']);
+    expect(updates[0]).toEqual(
+      expect.objectContaining({ userPubkey: user.publicKey.toBase58(), feeAmount: '1000' })
+    );
+    // Submitted carries the co-signed tx id before the send returns
+    expect(updates[1].signature).toBe(bs58.encode(sentTransaction().signatures[0]));
+    expect(updates[2].signature).toBe('sig123');
+  });
+
+  it('should record a rejected transaction as failed', async () => {
+    const tx = new Transaction({
+      feePayer: user.publicKey,
+      recentBlockhash: PublicKey.default.toBase58(),
+    }).add(paymentIx());
+    tx.sign(user);
+
+    await request(app)
+      .post('/v1/submit')
+      .send({ quoteId: QUOTE_ID, transaction: tx.serialize().toString('base64') });
+
+    const [, last] = redis.updateQuoteLifecycle.mock.calls.at(-1);
+    expect(last.status).toBe('failed');
+    expect(last.error.code).toBe('VALIDATION_FAILED');
+  });
+
+  it('should reject a transaction that is not base64', async () => {
+    const res = await request(app)
+      .post('/v1/submit')
+      .send({ quoteId: QUOTE_ID, transaction: 12345 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_INPUT');
+    expect(redis.claimQuote).not.toHaveBeenCalled();
+  });
+
+  it('should reject open quotes for a paused token before claiming them', async () => {
+    jest
+      .spyOn(tokenRegistry, 'getToken')
+      .mockReturnValueOnce({ mint: USDC_MINT.toBase58(), enabled: false });
+
+    const res = await request(app)
+      .post('/v1/submit')
+      .send({ quoteId: QUOTE_ID, transaction: buildV0Tx() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('TOKEN_PAUSED');
+    expect(redis.claimQuote).not.toHaveBeenCalled();
+    expect(helius.sendAndConfirmTransaction).not.toHaveBeenCalled();
+  });
+
+  /** A sponsoring wallet pays a SOL fee for a fresh one */
+  async function submitSolFee(treasuryAddress) {
+    const quote = await redis.getQuote();
+    redis.getQuote.mockResolvedValue({
+      ...quote,
+      paymentToken: 'So11111111111111111111111111111111111111112',
+      feeAmount: '55000',
+      treasuryAddress: treasuryAddress.toBase58(),
+    });
+    const tx = new Transaction({
+      feePayer: mockFeePayerKey.publicKey,
+      recentBlockhash: PublicKey.default.toBase58(),
+    }).add(
+      SystemProgram.transfer({
+        fromPubkey: user.publicKey,
+        toPubkey: treasuryAddress,
+        lamports: 55000,
+      })
+    );
+    tx.partialSign(user);
+
+    return request(app)
+      .post('/v1/submit')
+      .send({
+        quoteId: QUOTE_ID,
+        transaction: tx.serialize({ requireAllSignatures: false }).toString('base64'),
+      });
+  }
+
+  it('should accept a SOL fee and queue it for the $ASDF swap', async () => {
+    const res = await submitSolFee(mockFeePayerKey.publicKey);
+
+    expect(res.status).toBe(200);
+    expect(redis.addPendingSwap).toHaveBeenCalledWith(55000);
+  });
+
+  it('should not queue SOL fees paid to a separate treasury', async () => {
+    const res = await submitSolFee(treasury);
+
+    expect(res.status).toBe(200);
+    expect(redis.addPendingSwap).not.toHaveBeenCalled();
+  });
+
+  it('should keep the user signature bytes unchanged', async () => {
+    const transaction = buildLegacyTx();
+    const userSignature = Transaction.from(Buffer.from(transaction, 'base64')).signatures[1]
+      .signature;
+
+    await request(app).post('/v1/submit').send({ quoteId: QUOTE_ID, transaction });
+
+    expect(bs58.encode(sentTransaction().signatures[1])).toBe(bs58.encode(userSignature));
+  });
+});
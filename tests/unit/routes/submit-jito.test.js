@@ -0,0 +1,189 @@
+/**
+ * Tests for Submit Route Jito bundle path (tip transaction + Helius fallback)
+ *
+ * Runs the real validator, fee payer and Jito service; the block engine is a
+ * mocked fetch, RPC, Redis and simulation are mocked.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const {
+  Keypair,
+  PublicKey,
+  SystemInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const { createTransferInstruction, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+
+const mockFeePayerKey = Keypair.generate();
+
+global.fetch = jest.fn();
+
+jest.mock('../../../src/utils/config', () => ({
+  FEE_PAYER_PRIVATE_KEY: require('bs58').default.encode(mockFeePayerKey.secretKey),
+  FEE_PAYER_PRIVATE_KEYS: [],
+  NETWORK: 'mainnet',
+  NETWORK_FEE_LAMPORTS: 5000,
+  JITO_BLOCK_ENGINE_URL: 'https://mainnet.block-engine.jito.wtf',
+  JITO_BUNDLE_TIMEOUT_MS: 5000,
+  WSOL_MINT: 'So11111111111111111111111111111111111111112',
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  getQuote: jest.fn(),
+  claimQuote: jest.fn().mockResolvedValue({ claimed: true }),
+  deleteQuote: jest.fn().mockResolvedValue(true),
+  updateQuoteLifecycle: jest.fn().mockResolvedValue({}),
+  claimTransactionSlot: jest.fn().mockResolvedValue({ claimed: true }),
+  releaseTransactionSlot: jest.fn().mockResolvedValue(undefined),
+  recordTransactionVelocity: jest.fn().mockResolvedValue(undefined),
+  incrTxCount: jest.fn().mockResolvedValue(1),
+}));
+
+jest.mock('../../../src/services/fee-payer-pool', () => ({
+  releaseReservation: jest.fn().mockResolvedValue(null),
+  recordSuccess: jest.fn(),
+  recordFailure: jest.fn(),
+  isKeyRetired: jest.fn().mockReturnValue(false),
+}));
+
+jest.mock('../../../src/services/helius', () => ({
+  sendAndConfirmTransaction: jest.fn().mockResolvedValue({ signature: 'helius-sig' }),
+  getConnection: () => ({
+    getLatestBlockhash: jest
+      .fn()
+      .mockResolvedValue({ blockhash: require('@solana/web3.js').PublicKey.default.toBase58() }),
+  }),
+}));
+
+jest.mock('../../../src/services/simulation', () => ({
+  simulateWithBalanceCheck: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const redis = require('../../../src/utils/redis');
+const helius = require('../../../src/services/helius');
+const jito = require('../../../src/services/jito');
+const submitRouter = require('../../../src/routes/submit');
+
+const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+const QUOTE_ID = '550e8400-e29b-41d4-a716-446655440000';
+const TIP_LAMPORTS = 250_000;
+
+describe('Submit Route Jito bundles', () => {
+  const user = Keypair.generate();
+  const treasury = Keypair.generate().publicKey;
+  let app;
+
+  function buildV0Tx() {
+    const source = getAssociatedTokenAddressSync(USDC_MINT, user.publicKey);
+    const dest = getAssociatedTokenAddressSync(USDC_MINT, treasury);
+    const message = new TransactionMessage({
+      payerKey: mockFeePayerKey.publicKey,
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions: [createTransferInstruction(source, dest, user.publicKey, 1000)],
+    }).compileToV0Message();
+    const tx = new VersionedTransaction(message);
+    tx.sign([user]);
+    return Buffer.from(tx.serialize()).toString('base64');
+  }
+
+  function rpcResponse(result) {
+    return { json: () => Promise.resolve({ jsonrpc: '2.0', id: 1, result }) };
+  }
+
+  function sentBundle() {
+    const [, init] = global.fetch.mock.calls[0];
+    const [encoded] = JSON.parse(init.body).params;
+    return encoded.map((tx) => VersionedTransaction.deserialize(Buffer.from(tx, 'base64')));
+  }
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/v1/submit', submitRouter);
+  });
+
+  beforeEach(() => {
+    global.fetch.mockReset();
+    redis.getQuote.mockResolvedValue({
+      userPubkey: user.publicKey.toBase58(),
+      paymentToken: USDC_MINT.toBase58(),
+      feeAmount: '1000',
+      feeAmountLamports: 50000,
+      treasuryAddress: treasury.toBase58(),
+      feePayer: mockFeePayerKey.publicKey.toBase58(),
+      priorityFeeLamports: 100,
+      jitoTipLamports: TIP_LAMPORTS,
+      expiresAt: Date.now() + 60_000,
+    });
+  });
+
+  it('should bundle the co-signed transaction with a fee payer tip', async () => {
+    global.fetch.mockResolvedValueOnce(rpcResponse('bundle-1')).mockResolvedValueOnce(
+      rpcResponse({
+        value: [{ bundle_id: 'bundle-1', confirmation_status: 'confirmed', slot: 42 }],
+      })
+    );
+
+    const res = await request(app)
+      .post('/v1/submit')
+      .send({ quoteId: QUOTE_ID, transaction: buildV0Tx() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.bundleId).toBe('bundle-1');
+    expect(helius.sendAndConfirmTransaction).not.toHaveBeenCalled();
+
+    const [userTx, tipTx] = sentBundle();
+    expect(res.body.signature).toBe(require('bs58').default.encode(userTx.signatures[0]));
+    expect(tipTx.message.staticAccountKeys[0].toBase58()).toBe(
+      mockFeePayerKey.publicKey.toBase58()
+    );
+
+    const [tipIx] = tipTx.message.compiledInstructions;
+    const tipAccount = tipTx.message.staticAccountKeys[tipIx.accountKeyIndexes[1]].toBase58();
+    expect(jito.TIP_ACCOUNTS).toContain(tipAccount);
+    expect(Buffer.from(tipIx.data).readBigUInt64LE(4)).toBe(BigInt(TIP_LAMPORTS));
+  });
+
+  it('should fall back to Helius when the bundle is rejected', async () => {
+    global.fetch.mockResolvedValueOnce({
+      json: () => Promise.resolve({ error: { code: -32000, message: 'bundle rejected' } }),
+    });
+
+    const res = await request(app)
+      .post('/v1/submit')
+      .send({ quoteId: QUOTE_ID, transaction: buildV0Tx() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.signature).toBe('helius-sig');
+    expect(res.body.bundleId).toBeUndefined();
+    expect(helius.sendAndConfirmTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('should go straight to Helius for quotes without a tip', async () => {
+    const quote = await redis.getQuote();
+    redis.getQuote.mockResolvedValue({ ...quote, jitoTipLamports: undefined });
+
+    const res = await request(app)
+      .post('/v1/submit')
+      .send({ quoteId: QUOTE_ID, transaction: buildV0Tx() });
+
+    expect(res.status).toBe(200);
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(helius.sendAndConfirmTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('should never tip below the 0.0002 SOL minimum', () => {
+    const ix = jito.createTipInstruction(mockFeePayerKey.publicKey, 1);
+
+    expect(SystemInstruction.decodeTransfer(ix).lamports).toBe(BigInt(jito.MIN_TIP_LAMPORTS));
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for Burn Policy — thresholds, schedules and swap sizing
+ */
+
+jest.mock('../../../src/utils/config', () => ({
+  WSOL_MINT: 'So11111111111111111111111111111111111111112',
+  BURN_THRESHOLD_LAMPORTS: 100_000_000,
+  BURN_SCHEDULE: 'continuous',
+  BURN_MAX_PRICE_IMPACT_PCT: 1,
+  BURN_MAX_SWAP_LAMPORTS: 0,
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  getLastBurnRun: jest.fn(),
+  setLastBurnRun: jest.fn(),
+}));
+
+jest.mock('../../../src/services/jupiter', () => ({
+  // 1 USDC = 0.00625 SOL
+  getFeeInToken: jest.fn(async (mint, lamports) => ({ inputAmount: lamports / 6.25 })),
+}));
+
+jest.mock('../../../src/services/token-registry', () => ({
+  getToken: jest.fn(),
+}));
+
+const config = require('../../../src/utils/config');
+const redis = require('../../../src/utils/redis');
+const tokenRegistry = require('../../../src/services/token-registry');
+const burnPolicy = require('../../../src/services/burn-policy');
+
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+/** Quotes whose price impact grows with the amount: 1% per 10 USDC */
+function impactQuote(amount) {
+  return Promise.resolve({ outAmount: String(amount), priceImpactPct: String(amount / 1e9) });
+}
+
+describe('Burn Policy', () => {
+  afterEach(() => {
+    config.BURN_SCHEDULE = 'continuous';
+    config.BURN_MAX_SWAP_LAMPORTS = 0;
+  });
+
+  describe('getBurnThreshold', () => {
+    it('should value BURN_THRESHOLD_LAMPORTS in the token', async () => {
+      tokenRegistry.getToken.mockReturnValue({ burnThresholdAmount: null });
+
+      expect(await burnPolicy.getBurnThreshold(USDC)).toBe(16_000_000);
+      expect(await burnPolicy.getBurnThreshold(config.WSOL_MINT)).toBe(100_000_000);
+    });
+
+    it("should use the token's registry override", async () => {
+      tokenRegistry.getToken.mockReturnValue({ burnThresholdAmount: '250000000' });
+
+      expect(await burnPolicy.getBurnThreshold(USDC)).toBe(250_000_000);
+    });
+  });
+
+  describe('isBurnDue', () => {
+    it('should always run on the continuous schedule', async () => {
+      expect(await burnPolicy.isBurnDue()).toBe(true);
+      expect(redis.getLastBurnRun).not.toHaveBeenCalled();
+    });
+
+    it('should wait a full period after the last run', async () => {
+      config.BURN_SCHEDULE = 'daily';
+
+      redis.getLastBurnRun.mockResolvedValueOnce(Date.now() - 23 * 60 * 60 * 1000);
+      expect(await burnPolicy.isBurnDue()).toBe(false);
+
+      redis.getLastBurnRun.mockResolvedValueOnce(Date.now() - 25 * 60 * 60 * 1000);
+      expect(await burnPolicy.isBurnDue()).toBe(true);
+    });
+  });
+
+  describe('planSwap', () => {
+    it('should swap the whole balance when the impact is acceptable', async () => {
+      const plan = await burnPolicy.planSwap(USDC, 5_000_000, 1_000_000, impactQuote);
+
+      expect(plan).toEqual(expect.objectContaining({ amount: 5_000_000, priceImpactPct: 0.5 }));
+    });
+
+    it('should halve the swap until the impact is within the limit', async () => {
+      const quoteFor = jest.fn(impactQuote);
+
+      const plan = await burnPolicy.planSwap(USDC, 40_000_000, 1_000_000, quoteFor);
+
+      expect(quoteFor.mock.calls.map(([amount]) => amount)).toEqual([
+        40_000_000, 20_000_000, 10_000_000,
+      ]);
+      expect(plan.amount).toBe(10_000_000);
+    });
+
+    it('should cap each chunk at BURN_MAX_SWAP_LAMPORTS worth', async () => {
+      config.BURN_MAX_SWAP_LAMPORTS = 25_000_000; // 4 USDC
+
+      const plan = await burnPolicy.planSwap(USDC, 9_000_000, 1_000_000, impactQuote);
+
+      expect(plan.amount).toBe(4_000_000);
+    });
+
+    it('should give up rather than swap less than the threshold', async () => {
+      const plan = await burnPolicy.planSwap(USDC, 40_000_000, 15_000_000, impactQuote);
+
+      expect(plan).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,690 @@
+/**
+ * Tests for Burn Worker — SOL fee swap, stablecoin swap-and-burn, golden-ratio split
+ * and burn policy (schedule, chunking, dry run)
+ */
+
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+
+const mockTreasury = Keypair.generate();
+const mockConnection = {
+  getTransaction: jest.fn(),
+  getSignatureStatus: jest.fn(),
+  isBlockhashValid: jest.fn(),
+};
+
+jest.mock('../../../src/utils/config', () => ({
+  USE_MAINNET: true,
+  WSOL_MINT: 'So11111111111111111111111111111111111111112',
+  BURN_RATIO: jest.requireActual('../../../src/constants').GOLDEN_BURN_RATIO,
+  TREASURY_SHARE_TO_SOL: false,
+  BURN_THRESHOLD_LAMPORTS: 10_000_000,
+  BURN_SCHEDULE: 'continuous',
+  BURN_MAX_PRICE_IMPACT_PCT: 1,
+  BURN_MAX_SWAP_LAMPORTS: 0,
+  BURN_DRY_RUN: false,
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  withLock: jest.fn(async (name, fn) => ({ success: true, result: await fn() })),
+  getPendingSwapAmount: jest.fn(),
+  addPendingSwap: jest.fn().mockResolvedValue(0),
+  incrBurnTotal: jest.fn(),
+  recordBurnProof: jest.fn(),
+  getTreasuryBalance: jest.fn().mockResolvedValue(0),
+  incrTreasuryTotal: jest.fn(),
+  getRetainedAsdf: jest.fn().mockResolvedValue(null),
+  setRetainedAsdf: jest.fn(),
+  incrRetainedAsdf: jest.fn(),
+  recordTreasuryEvent: jest.fn(),
+  getLastBurnRun: jest.fn().mockResolvedValue(0),
+  setLastBurnRun: jest.fn(),
+}));
+
+jest.mock('@solana/spl-token', () => ({
+  ...jest.requireActual('@solana/spl-token'),
+  getAccount: jest.fn(),
+}));
+
+jest.mock('../../../src/services/mint-info', () => ({
+  getMintInfo: jest.fn().mockResolvedValue({
+    programId: jest.requireActual('@solana/spl-token').TOKEN_PROGRAM_ID,
+  }),
+}));
+
+jest.mock('../../../src/services/fee-payer', () => ({
+  getFeePayer: () => mockTreasury,
+}));
+
+jest.mock('../../../src/services/fee-payer-pool', () => ({
+  getPayersNeedingRefill: jest.fn(() => []),
+}));
+
+jest.mock('../../../src/services/helius', () => ({
+  getConnection: () => mockConnection,
+  sendAndConfirmTransaction: jest.fn().mockResolvedValue({ signature: 'swap-sig' }),
+  sendSmartTransaction: jest.fn().mockResolvedValue('burn-sig'),
+}));
+
+jest.mock('../../../src/services/jupiter', () => ({
+  swapToAsdf: jest.fn().mockResolvedValue({ outAmount: '123000000' }),
+  getSwapTransaction: jest.fn(),
+  getTokenToAsdfQuote: jest.fn(),
+  getTokenToSolQuote: jest.fn(),
+  // 0.01 SOL = $0.50
+  getFeeInToken: jest.fn().mockResolvedValue({ inputAmount: 500_000 }),
+}));
+
+const { getAccount, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { MINTS } = require('../../../src/constants');
+const config = require('../../../src/utils/config');
+const redis = require('../../../src/utils/redis');
+const logger = require('../../../src/utils/logger');
+const helius = require('../../../src/services/helius');
+const feePayerPool = require('../../../src/services/fee-payer-pool');
+const jupiter = require('../../../src/services/jupiter');
+const tokenRegistry = require('../../../src/services/token-registry');
+const burnWorker = require('../../../src/services/burn-worker');
+
+function swapTransaction() {
+  const message = new TransactionMessage({
+    payerKey: mockTreasury.publicKey,
+    recentBlockhash: PublicKey.default.toBase58(),
+    instructions: [
+      SystemProgram.transfer({
+        fromPubkey: mockTreasury.publicKey,
+        toPubkey: Keypair.generate().publicKey,
+        lamports: 1,
+      }),
+    ],
+  }).compileToV0Message();
+  return Buffer.from(new VersionedTransaction(message).serialize()).toString('base64');
+}
+
+function asdfBalance(amount) {
+  return {
+    mint: MINTS.ASDF,
+    owner: mockTreasury.publicKey.toBase58(),
+    uiTokenAmount: { amount },
+  };
+}
+
+function asdfReceived(amount) {
+  mockConnection.getTransaction.mockResolvedValue({
+    meta: { preTokenBalances: [], postTokenBalances: [asdfBalance(amount)] },
+  });
+}
+
+function burnedAmount(call = 0) {
+  const [[burnIx]] = helius.sendSmartTransaction.mock.calls[call];
+  // BurnChecked: discriminator, u64 amount, decimals
+  return burnIx.data.readBigUInt64LE(1);
+}
+
+describe('Burn Worker SOL fees', () => {
+  beforeEach(() => {
+    jupiter.getSwapTransaction.mockResolvedValue({ swapTransaction: swapTransaction() });
+    // No token balances: only the SOL path runs
+    getAccount.mockRejectedValue(new Error('could not find account'));
+    asdfReceived('10000000000');
+  });
+
+  it('should swap accumulated SOL fees to $ASDF and decrement the pending amount', async () => {
+    redis.getPendingSwapAmount.mockResolvedValue(25_000_000);
+
+    await burnWorker.runBurnCycle();
+
+    expect(jupiter.swapToAsdf).toHaveBeenCalledWith(25_000_000);
+    expect(jupiter.getSwapTransaction).toHaveBeenCalledWith(
+      { outAmount: '123000000' },
+      mockTreasury.publicKey.toBase58()
+    );
+
+    const [serialized] = helius.sendAndConfirmTransaction.mock.calls[0];
+    const sent = VersionedTransaction.deserialize(serialized);
+    expect(sent.signatures[0].some((b) => b !== 0)).toBe(true);
+
+    expect(redis.addPendingSwap).toHaveBeenCalledWith(-25_000_000);
+  });
+
+  it('should split the $ASDF received 76.4% burn / 23.6% treasury', async () => {
+    redis.getPendingSwapAmount.mockResolvedValue(25_000_000);
+
+    await burnWorker.runBurnCycle();
+
+    expect(burnedAmount()).toBe(7_639_000_000n);
+    expect(redis.incrBurnTotal).toHaveBeenCalledWith(7639);
+    expect(redis.incrTreasuryTotal).toHaveBeenCalledWith(2361);
+    expect(redis.incrRetainedAsdf).toHaveBeenCalledWith(2_361_000_000);
+    expect(redis.recordBurnProof).toHaveBeenCalledWith(
+      expect.objectContaining({
+        amountBurned: 7639,
+        treasuryAmount: 2361,
+        inputMint: config.WSOL_MINT,
+        inputAmount: 25_000_000,
+      })
+    );
+    expect(redis.recordTreasuryEvent).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'burn',
+        channel: 'swap',
+        burnAmount: 7639,
+        treasuryAmount: 2361,
+        retainedAs: 'ASDF',
+        burnSignature: 'burn-sig',
+        swapSignature: 'swap-sig',
+      })
+    );
+  });
+
+  it('should wait until enough SOL has accumulated', async () => {
+    redis.getPendingSwapAmount.mockResolvedValue(5_000_000);
+
+    await burnWorker.runBurnCycle();
+
+    expect(jupiter.swapToAsdf).not.toHaveBeenCalled();
+    expect(redis.addPendingSwap).not.toHaveBeenCalled();
+  });
+
+  it('should keep SOL fees for the refill worker while a fee payer runs low', async () => {
+    redis.getPendingSwapAmount.mockResolvedValue(25_000_000);
+    feePayerPool.getPayersNeedingRefill.mockReturnValueOnce([
+      { pubkey: mockTreasury.publicKey.toBase58() },
+    ]);
+
+    await burnWorker.runBurnCycle();
+
+    expect(jupiter.swapToAsdf).not.toHaveBeenCalled();
+  });
+
+  it("should not spend the fee payer's SOL when fees go to a separate treasury", async () => {
+    redis.getPendingSwapAmount.mockResolvedValue(25_000_000);
+    config.TREASURY_ADDRESS = Keypair.generate().publicKey.toBase58();
+
+    await burnWorker.runBurnCycle();
+    delete config.TREASURY_ADDRESS;
+
+    expect(jupiter.swapToAsdf).not.toHaveBeenCalled();
+    expect(helius.sendAndConfirmTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should decrement the pending amount before sending the swap', async () => {
+    redis.getPendingSwapAmount.mockResolvedValue(25_000_000);
+
+    await burnWorker.runBurnCycle();
+
+    expect(redis.addPendingSwap.mock.invocationCallOrder[0]).toBeLessThan(
+      helius.sendAndConfirmTransaction.mock.invocationCallOrder[0]
+    );
+  });
+
+  describe('when confirmation throws', () => {
+    beforeEach(() => {
+      redis.getPendingSwapAmount.mockResolvedValue(25_000_000);
+      helius.sendAndConfirmTransaction.mockRejectedValueOnce(new Error('block height exceeded'));
+    });
+
+    it('should restore the pending amount when the swap failed on-chain', async () => {
+      mockConnection.getSignatureStatus.mockResolvedValueOnce({
+        value: { err: { InstructionError: [2, 'Custom'] } },
+      });
+
+      await burnWorker.runBurnCycle();
+
+      expect(redis.addPendingSwap.mock.calls).toEqual([[-25_000_000], [25_000_000]]);
+      expect(helius.sendSmartTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should restore the pending amount when the swap can no longer land', async () => {
+      mockConnection.getSignatureStatus.mockResolvedValueOnce({ value: null });
+      mockConnection.isBlockhashValid.mockResolvedValueOnce({ value: false });
+
+      await burnWorker.runBurnCycle();
+
+      expect(mockConnection.getSignatureStatus).toHaveBeenCalledWith(expect.any(String), {
+        searchTransactionHistory: true,
+      });
+      expect(redis.addPendingSwap.mock.calls).toEqual([[-25_000_000], [25_000_000]]);
+    });
+
+    it('should not count the fees again when the swap landed anyway', async () => {
+      mockConnection.getSignatureStatus.mockResolvedValueOnce({
+        value: { err: null, confirmationStatus: 'confirmed' },
+      });
+
+      await burnWorker.runBurnCycle();
+
+      expect(redis.addPendingSwap.mock.calls).toEqual([[-25_000_000]]);
+    });
+
+    it('should not count the fees again while the swap may still land', async () => {
+      mockConnection.getSignatureStatus.mockResolvedValueOnce({ value: null });
+      mockConnection.isBlockhashValid.mockResolvedValueOnce({ value: true });
+
+      await burnWorker.runBurnCycle();
+
+      expect(redis.addPendingSwap.mock.calls).toEqual([[-25_000_000]]);
+    });
+  });
+});
+
+describe('Burn Worker stablecoin fees', () => {
+  const treasury = mockTreasury.publicKey.toBase58();
+  const usdcAta = getAssociatedTokenAddressSync(
+    new PublicKey(MINTS.USDC),
+    mockTreasury.publicKey
+  ).toBase58();
+
+  beforeEach(() => {
+    redis.getPendingSwapAmount.mockResolvedValue(0);
+    jupiter.getSwapTransaction.mockResolvedValue({ swapTransaction: swapTransaction() });
+    jupiter.getTokenToAsdfQuote.mockResolvedValue({ outAmount: '4000000000' });
+    // Only the treasury's USDC account holds a balance
+    getAccount.mockImplementation(async (connection, ata) => {
+      if (ata.toBase58() === usdcAta) return { amount: 2_000_000n };
+      throw new Error('could not find account');
+    });
+    mockConnection.getTransaction.mockResolvedValue({
+      meta: {
+        preTokenBalances: [asdfBalance('1000000')],
+        postTokenBalances: [
+          asdfBalance('4051000000'),
+          { mint: MINTS.ASDF, owner: 'Other', uiTokenAmount: { amount: '99' } },
+        ],
+      },
+    });
+  });
+
+  it('should swap, then burn the split of the $ASDF received and link both signatures', async () => {
+    await burnWorker.runBurnCycle();
+
+    expect(jupiter.getTokenToAsdfQuote).toHaveBeenCalledWith(MINTS.USDC, 2_000_000);
+    const [serialized] = helius.sendAndConfirmTransaction.mock.calls[0];
+    expect(VersionedTransaction.deserialize(serialized).signatures[0].some((b) => b !== 0)).toBe(
+      true
+    );
+    expect(mockConnection.getTransaction).toHaveBeenCalledWith('swap-sig', {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0,
+    });
+
+    // 4050 $ASDF received: 76.39% burned, the rest retained
+    expect(burnedAmount()).toBe(3_093_795_000n);
+    expect(redis.incrBurnTotal).toHaveBeenCalledWith(3093.795);
+    expect(redis.incrTreasuryTotal).toHaveBeenCalledWith(956.205);
+    expect(redis.recordBurnProof).toHaveBeenCalledWith(
+      expect.objectContaining({
+        burnSignature: 'burn-sig',
+        swapSignature: 'swap-sig',
+        amountBurned: 3093.795,
+        treasuryAmount: 956.205,
+        inputMint: MINTS.USDC,
+        inputAmount: 2_000_000,
+        method: 'jupiter',
+      })
+    );
+  });
+
+  it('should keep stablecoins for the refill worker while a fee payer runs low', async () => {
+    feePayerPool.getPayersNeedingRefill.mockReturnValueOnce([{ pubkey: treasury }]);
+
+    await burnWorker.runBurnCycle();
+
+    expect(jupiter.getTokenToAsdfQuote).not.toHaveBeenCalled();
+  });
+
+  it('should leave balances below the threshold', async () => {
+    getAccount.mockImplementation(async (connection, ata) => {
+      if (ata.toBase58() === usdcAta) return { amount: 400_000n };
+      throw new Error('could not find account');
+    });
+
+    await burnWorker.runBurnCycle();
+
+    expect(jupiter.getTokenToAsdfQuote).not.toHaveBeenCalled();
+  });
+
+  it('should not burn when the swap fails', async () => {
+    helius.sendAndConfirmTransaction.mockRejectedValueOnce(new Error('Transaction failed'));
+
+    await burnWorker.runBurnCycle();
+
+    expect(helius.sendSmartTransaction).not.toHaveBeenCalled();
+    expect(redis.recordBurnProof).not.toHaveBeenCalled();
+  });
+
+  it('should not burn when the swap delivered no $ASDF', async () => {
+    mockConnection.getTransaction.mockResolvedValue({
+      meta: { preTokenBalances: [asdfBalance('5')], postTokenBalances: [asdfBalance('5')] },
+    });
+
+    await burnWorker.runBurnCycle();
+
+    expect(helius.sendSmartTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('Burn Worker registry token fees', () => {
+  const mint = Keypair.generate().publicKey.toBase58();
+  const ata = getAssociatedTokenAddressSync(new PublicKey(mint), mockTreasury.publicKey).toBase58();
+  let listSpy;
+  let getTokenSpy;
+
+  beforeEach(() => {
+    redis.getPendingSwapAmount.mockResolvedValue(0);
+    jupiter.getSwapTransaction.mockResolvedValue({ swapTransaction: swapTransaction() });
+    jupiter.getTokenToAsdfQuote.mockResolvedValue({ outAmount: '4000000000' });
+    mockConnection.getTransaction.mockResolvedValue({
+      meta: {
+        preTokenBalances: [asdfBalance('0')],
+        postTokenBalances: [asdfBalance('4000000000')],
+      },
+    });
+    // A token added at runtime, with a 5-token (9 decimals) burn threshold
+    listSpy = jest.spyOn(tokenRegistry, 'listSwappableMints').mockReturnValue([mint]);
+    getTokenSpy = jest
+      .spyOn(tokenRegistry, 'getToken')
+      .mockReturnValue({ mint, decimals: 9, burnThresholdAmount: '5000000000' });
+  });
+
+  afterEach(() => {
+    listSpy.mockRestore();
+    getTokenSpy.mockRestore();
+  });
+
+  function ataHolds(amount) {
+    getAccount.mockImplementation(async (connection, address) => {
+      if (address.toBase58() === ata) return { amount };
+      throw new Error('could not find account');
+    });
+  }
+
+  it('should swap and burn the fees of a token added to the registry', async () => {
+    ataHolds(6_000_000_000n);
+
+    await burnWorker.runBurnCycle();
+
+    expect(jupiter.getTokenToAsdfQuote).toHaveBeenCalledWith(mint, 6_000_000_000);
+    expect(redis.recordBurnProof).toHaveBeenCalledWith(
+      expect.objectContaining({ inputMint: mint, inputAmount: 6_000_000_000 })
+    );
+  });
+
+  it("should leave its fees below the registry's burn threshold", async () => {
+    ataHolds(4_000_000_000n);
+
+    await burnWorker.runBurnCycle();
+
+    expect(jupiter.getFeeInToken).not.toHaveBeenCalledWith(mint, expect.anything());
+    expect(jupiter.getTokenToAsdfQuote).not.toHaveBeenCalled();
+  });
+});
+
+describe('Burn Worker golden-ratio split', () => {
+  const asdfAta = getAssociatedTokenAddressSync(
+    new PublicKey(MINTS.ASDF),
+    mockTreasury.publicKey
+  ).toBase58();
+
+  beforeEach(() => {
+    redis.getPendingSwapAmount.mockResolvedValue(0);
+    jupiter.getSwapTransaction.mockResolvedValue({ swapTransaction: swapTransaction() });
+  });
+
+  afterEach(() => {
+    config.TREASURY_SHARE_TO_SOL = false;
+    config.BURN_SCHEDULE = 'continuous';
+  });
+
+  function asdfAtaHolds(amount) {
+    getAccount.mockImplementation(async (connection, ata) => {
+      if (ata.toBase58() === asdfAta) return { amount };
+      throw new Error('could not find account');
+    });
+  }
+
+  it('should burn directly paid $ASDF in full, leaving the retained treasury share', async () => {
+    asdfAtaHolds(1_500_000_000n);
+    redis.getRetainedAsdf.mockResolvedValueOnce(236_000_000);
+
+    await burnWorker.runBurnCycle();
+
+    expect(burnedAmount()).toBe(1_264_000_000n);
+    expect(redis.recordBurnProof).toHaveBeenCalledWith(
+      expect.objectContaining({ amountBurned: 1264, treasuryAmount: 0, method: 'direct' })
+    );
+    expect(redis.recordTreasuryEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ channel: 'direct', burnAmount: 1264, treasuryAmount: 0 })
+    );
+    expect(redis.incrTreasuryTotal).not.toHaveBeenCalled();
+    expect(redis.setRetainedAsdf).not.toHaveBeenCalled();
+  });
+
+  it('should not burn when the ATA only holds the treasury share', async () => {
+    asdfAtaHolds(236_000_000n);
+    redis.getRetainedAsdf.mockResolvedValueOnce(236_000_000);
+
+    await burnWorker.runBurnCycle();
+
+    expect(helius.sendSmartTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should wait until directly paid $ASDF reaches the burn threshold', async () => {
+    // Threshold: 0.01 SOL worth = 0.5 $ASDF
+    asdfAtaHolds(400_000n);
+    redis.getRetainedAsdf.mockResolvedValueOnce(0);
+
+    await burnWorker.runBurnCycle();
+
+    expect(helius.sendSmartTransaction).not.toHaveBeenCalled();
+    expect(redis.recordBurnProof).not.toHaveBeenCalled();
+  });
+
+  it('should not burn directly paid $ASDF before the scheduled run', async () => {
+    config.BURN_SCHEDULE = 'hourly';
+    redis.getLastBurnRun.mockResolvedValueOnce(Date.now() - 10 * 60 * 1000);
+    asdfAtaHolds(1_500_000_000n);
+
+    await burnWorker.runBurnCycle();
+
+    expect(helius.sendSmartTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should lower the retained balance when $ASDF left the ATA', async () => {
+    asdfAtaHolds(300_000_000n);
+    redis.getRetainedAsdf.mockResolvedValueOnce(500_000_000);
+
+    await burnWorker.runBurnCycle();
+
+    expect(redis.setRetainedAsdf).toHaveBeenCalledWith(300_000_000);
+    expect(helius.sendSmartTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should start tracking the retained balance from the treasury total', async () => {
+    asdfAtaHolds(1_500_000_000n);
+    redis.getTreasuryBalance.mockResolvedValueOnce(236);
+
+    await burnWorker.runBurnCycle();
+
+    expect(redis.setRetainedAsdf).toHaveBeenCalledWith(236_000_000);
+    expect(burnedAmount()).toBe(1_264_000_000n);
+  });
+
+  describe('with TREASURY_SHARE_TO_SOL', () => {
+    beforeEach(() => {
+      config.TREASURY_SHARE_TO_SOL = true;
+      getAccount.mockRejectedValue(new Error('could not find account'));
+      redis.getPendingSwapAmount.mockResolvedValue(25_000_000);
+      asdfReceived('10000000000');
+    });
+
+    it('should swap the treasury share to SOL for the fee payer', async () => {
+      jupiter.getTokenToSolQuote.mockResolvedValue({ outAmount: '40000000' });
+
+      await burnWorker.runBurnCycle();
+
+      expect(jupiter.getTokenToSolQuote).toHaveBeenCalledWith(MINTS.ASDF, 2_361_000_000);
+      expect(helius.sendAndConfirmTransaction).toHaveBeenCalledTimes(2);
+      expect(redis.incrTreasuryTotal).not.toHaveBeenCalled();
+      expect(redis.recordTreasuryEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          treasuryAmount: 2361,
+          retainedAs: 'SOL',
+          refillSignature: 'swap-sig',
+          solAmount: 0.04,
+        })
+      );
+    });
+
+    it('should keep the share as $ASDF when the SOL swap fails', async () => {
+      jupiter.getTokenToSolQuote.mockRejectedValue(new Error('No route'));
+
+      await burnWorker.runBurnCycle();
+
+      expect(redis.incrTreasuryTotal).toHaveBeenCalledWith(2361);
+      expect(redis.recordTreasuryEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ treasuryAmount: 2361, retainedAs: 'ASDF' })
+      );
+    });
+  });
+});
+
+describe('Burn Worker policy', () => {
+  beforeEach(() => {
+    getAccount.mockRejectedValue(new Error('could not find account'));
+    jupiter.getSwapTransaction.mockResolvedValue({ swapTransaction: swapTransaction() });
+    redis.getPendingSwapAmount.mockResolvedValue(25_000_000);
+    asdfReceived('10000000000');
+  });
+
+  afterEach(() => {
+    config.BURN_SCHEDULE = 'continuous';
+    config.BURN_DRY_RUN = false;
+    jupiter.swapToAsdf.mockResolvedValue({ outAmount: '123000000' });
+  });
+
+  it('should record the run for the schedule', async () => {
+    await burnWorker.runBurnCycle();
+
+    expect(redis.setLastBurnRun).toHaveBeenCalled();
+  });
+
+  it('should hold the treasury lock the refill worker uses', async () => {
+    await burnWorker.runBurnCycle();
+
+    expect(redis.withLock).toHaveBeenCalledWith('treasury-swaps', expect.any(Function), 120);
+  });
+
+  it('should wait for the next scheduled run', async () => {
+    config.BURN_SCHEDULE = 'hourly';
+    redis.getLastBurnRun.mockResolvedValueOnce(Date.now() - 10 * 60 * 1000);
+
+    await burnWorker.runBurnCycle();
+
+    expect(redis.getPendingSwapAmount).not.toHaveBeenCalled();
+    expect(redis.setLastBurnRun).not.toHaveBeenCalled();
+  });
+
+  it('should swap a chunk and keep going next cycle when the price impact is too high', async () => {
+    config.BURN_SCHEDULE = 'daily';
+    jupiter.swapToAsdf.mockImplementation(async (amount) => ({
+      outAmount: '123000000',
+      priceImpactPct: amount > 15_000_000 ? '0.03' : '0.004',
+    }));
+
+    await burnWorker.runBurnCycle();
+
+    expect(jupiter.swapToAsdf).toHaveBeenLastCalledWith(12_500_000);
+    expect(redis.addPendingSwap).toHaveBeenCalledWith(-12_500_000);
+    expect(redis.recordBurnProof).toHaveBeenCalledWith(
+      expect.objectContaining({ inputAmount: 12_500_000 })
+    );
+    // Remainder left: not marked as a completed run
+    expect(redis.setLastBurnRun).not.toHaveBeenCalled();
+  });
+
+  it('should only log in dry-run mode', async () => {
+    config.BURN_DRY_RUN = true;
+    getAccount.mockResolvedValue({ amount: 5_000_000n });
+
+    await burnWorker.runBurnCycle();
+
+    expect(helius.sendAndConfirmTransaction).not.toHaveBeenCalled();
+    expect(helius.sendSmartTransaction).not.toHaveBeenCalled();
+    expect(redis.addPendingSwap).not.toHaveBeenCalled();
+    expect(redis.recordBurnProof).not.toHaveBeenCalled();
+    expect(redis.setLastBurnRun).not.toHaveBeenCalled();
+    expect(logger.info).toHaveBeenCalledWith(
+      'BURN_WORKER',
+      'Dry run: would burn $ASDF',
+      expect.objectContaining({ amount: 5 })
+    );
+    expect(logger.info).toHaveBeenCalledWith(
+      'BURN_WORKER',
+      'Dry run: would swap to $ASDF and burn',
+      expect.objectContaining({ inputAmount: 25_000_000, expectedAsdf: 123 })
+    );
+  });
+});
+
+describe('Burn Worker getSolBalanceChange', () => {
+  function solSwap({ pre, post }) {
+    const message = new TransactionMessage({
+      payerKey: mockTreasury.publicKey,
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions: [],
+    }).compileToV0Message();
+    mockConnection.getTransaction.mockResolvedValue({
+      transaction: { message },
+      meta: {
+        preBalances: pre,
+        postBalances: post,
+        loadedAddresses: { writable: [], readonly: [] },
+      },
+    });
+  }
+
+  it("should return the owner's lamport gain, net of the fee", async () => {
+    solSwap({ pre: [1_000_000_000], post: [1_244_995_000] });
+
+    const change = await burnWorker.getSolBalanceChange(
+      mockConnection,
+      'swap-sig',
+      mockTreasury.publicKey.toBase58()
+    );
+
+    expect(change).toBe(244_995_000);
+  });
+
+  it('should return 0 for an account the transaction does not touch', async () => {
+    solSwap({ pre: [1_000_000_000], post: [1_244_995_000] });
+
+    const change = await burnWorker.getSolBalanceChange(
+      mockConnection,
+      'swap-sig',
+      Keypair.generate().publicKey.toBase58()
+    );
+
+    expect(change).toBe(0);
+  });
+
+  it('should throw when the transaction is not found', async () => {
+    mockConnection.getTransaction.mockResolvedValue(null);
+
+    await expect(
+      burnWorker.getSolBalanceChange(mockConnection, 'swap-sig', 'owner')
+    ).rejects.toThrow('Transaction not found');
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Tests for Draft Transaction analysis (transaction-aware quoting)
+ */
+
+const {
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const {
+  MINT_SIZE,
+  MintLayout,
+  TOKEN_PROGRAM_ID,
+  createTransferInstruction,
+  getAssociatedTokenAddressSync,
+} = require('@solana/spl-token');
+
+const mockFeePayer = Keypair.generate();
+const mockOtherPayer = Keypair.generate();
+const mockAccounts = new Map();
+const mockConnection = {
+  getAccountInfo: jest.fn(async (pubkey) => mockAccounts.get(pubkey.toBase58()) ?? null),
+  getLatestBlockhash: jest.fn(),
+};
+
+jest.mock('../../../src/services/fee-payer', () => ({
+  getFeePayer: () => mockFeePayer,
+  getAllPublicKeys: () => [mockFeePayer.publicKey.toBase58(), mockOtherPayer.publicKey.toBase58()],
+  isFeePayer: (pubkey) =>
+    [mockFeePayer.publicKey.toBase58(), mockOtherPayer.publicKey.toBase58()].includes(pubkey),
+}));
+
+jest.mock('../../../src/services/helius', () => ({
+  getConnection: () => mockConnection,
+}));
+
+jest.mock('../../../src/services/simulation', () => ({
+  simulateDraft: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/alt', () => ({
+  getGasdfLookupTable: jest.fn().mockResolvedValue(null),
+  getLookupTables: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const simulation = require('../../../src/services/simulation');
+const mintInfo = require('../../../src/services/mint-info');
+const txBuilder = require('../../../src/services/tx-builder');
+const {
+  analyzeDraft,
+  FEE_PAYMENT_COMPUTE_UNITS,
+} = require('../../../src/services/draft-transaction');
+
+const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+
+describe('Draft Transaction analysis', () => {
+  const user = Keypair.generate();
+  const recipient = Keypair.generate().publicKey;
+  const treasury = Keypair.generate().publicKey;
+  const treasuryAta = getAssociatedTokenAddressSync(USDC_MINT, treasury);
+
+  const context = {
+    feePayers: [mockFeePayer.publicKey.toBase58(), mockOtherPayer.publicKey.toBase58()],
+    userPubkey: user.publicKey.toBase58(),
+    paymentToken: USDC_MINT.toBase58(),
+    treasuryAddress: treasury.toBase58(),
+    treasuryAta: treasuryAta.toBase58(),
+  };
+
+  function mintAccount(decimals) {
+    const data = Buffer.alloc(MINT_SIZE);
+    MintLayout.encode(
+      {
+        mintAuthorityOption: 0,
+        mintAuthority: PublicKey.default,
+        supply: 0n,
+        decimals,
+        isInitialized: true,
+        freezeAuthorityOption: 0,
+        freezeAuthority: PublicKey.default,
+      },
+      data
+    );
+    return { owner: TOKEN_PROGRAM_ID, data, lamports: 1_000_000, executable: false };
+  }
+
+  // What /v1/prepare returns for this draft, issued with `payer`
+  async function preparedSize(draft, payer) {
+    const { instructions, lookupTables } = await txBuilder.instructionsFromDraft(draft);
+    const quote = {
+      userPubkey: context.userPubkey,
+      paymentToken: context.paymentToken,
+      feeAmount: '12345',
+      treasuryAddress: context.treasuryAddress,
+      treasuryAta: context.treasuryAta,
+      feePayer: payer.toBase58(),
+      estimatedComputeUnits: 100_000,
+      priorityFeeLamports: 250,
+    };
+    const prepared = await txBuilder.buildPreparedTransaction(quote, instructions, {
+      lookupTables,
+    });
+    return prepared.transaction.serialize().length;
+  }
+
+  function buildDraft(instructions, payer = mockFeePayer.publicKey) {
+    const message = new TransactionMessage({
+      payerKey: payer,
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions,
+    }).compileToV0Message();
+    return Buffer.from(new VersionedTransaction(message).serialize()).toString('base64');
+  }
+
+  function transfer(to = recipient) {
+    return SystemProgram.transfer({ fromPubkey: user.publicKey, toPubkey: to, lamports: 1000 });
+  }
+
+  beforeEach(() => {
+    mintInfo.clearCache();
+    mockAccounts.clear();
+    mockAccounts.set(USDC_MINT.toBase58(), mintAccount(6));
+    mockConnection.getLatestBlockhash.mockResolvedValue({
+      blockhash: PublicKey.default.toBase58(),
+      lastValidBlockHeight: 1000,
+    });
+    simulation.simulateDraft.mockResolvedValue({ success: true, unitsConsumed: 1000, logs: [] });
+  });
+
+  it('should price simulated units plus the fee payment with headroom', async () => {
+    const result = await analyzeDraft(buildDraft([transfer()]), context);
+
+    expect(result.valid).toBe(true);
+    expect(result.unitsConsumed).toBe(1000);
+    expect(result.computeUnits).toBe(Math.ceil((1000 + FEE_PAYMENT_COMPUTE_UNITS) * 1.1));
+    expect(simulation.simulateDraft).toHaveBeenCalledWith(expect.any(VersionedTransaction), {
+      durableNonce: false,
+    });
+  });
+
+  it('should return writable accounts without the fee payer', async () => {
+    const result = await analyzeDraft(buildDraft([transfer()]), context);
+
+    expect(result.writableAccounts.sort()).toEqual(
+      [user.publicKey.toBase58(), recipient.toBase58()].sort()
+    );
+  });
+
+  it('should use an explicit compute unit limit from the draft', async () => {
+    const draft = buildDraft([
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 50_000 }),
+      transfer(),
+    ]);
+
+    const result = await analyzeDraft(draft, context);
+
+    expect(result.computeUnits).toBe(50_000);
+  });
+
+  it('should skip compute budget instructions web3.js cannot decode', async () => {
+    // SetLoadedAccountsDataSizeLimit (discriminator 4, u32 bytes)
+    const data = Buffer.alloc(5);
+    data.writeUInt8(4, 0);
+    data.writeUInt32LE(64 * 1024, 1);
+    const draft = buildDraft([
+      new TransactionInstruction({ programId: ComputeBudgetProgram.programId, keys: [], data }),
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 50_000 }),
+      transfer(),
+    ]);
+
+    const result = await analyzeDraft(draft, context);
+
+    expect(result.valid).toBe(true);
+    expect(result.computeUnits).toBe(50_000);
+  });
+
+  it('should not add payment units when the draft already pays the treasury', async () => {
+    const source = getAssociatedTokenAddressSync(USDC_MINT, user.publicKey);
+    const payment = createTransferInstruction(source, treasuryAta, user.publicKey, 1000);
+
+    const result = await analyzeDraft(buildDraft([payment]), context);
+
+    expect(result.computeUnits).toBe(Math.ceil(1000 * 1.1));
+  });
+
+  it('should measure size with the fee payer and payment included', async () => {
+    const draft = buildDraft([transfer()], user.publicKey);
+
+    const result = await analyzeDraft(draft, context);
+
+    // Fee payer key + signature, payment accounts and instruction
+    expect(result.size).toBeGreaterThan(Buffer.from(draft, 'base64').length + 32 + 64);
+  });
+
+  it('should measure the size of the transaction prepare builds', async () => {
+    const draft = buildDraft([
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 50_000 }),
+      transfer(),
+    ]);
+
+    const result = await analyzeDraft(draft, context);
+
+    // Compute budget, treasury ATA creation (missing here) and TransferChecked included
+    expect(result.size).toBe(await preparedSize(draft, mockFeePayer.publicKey));
+  });
+
+  it('should measure the largest size over the pool payers', async () => {
+    // The draft already references one pool payer: issuing it with the other costs a key more
+    const draft = buildDraft([transfer(mockOtherPayer.publicKey)], user.publicKey);
+
+    const result = await analyzeDraft(draft, context);
+
+    expect(result.size).toBe(await preparedSize(draft, mockFeePayer.publicKey));
+    expect(result.size).toBe((await preparedSize(draft, mockOtherPayer.publicKey)) + 32);
+  });
+
+  function draftOfSize(minSize) {
+    const instructions = [];
+    let draft = buildDraft(instructions, user.publicKey);
+    while (Buffer.from(draft, 'base64').length < minSize) {
+      instructions.push(transfer(Keypair.generate().publicKey));
+      draft = buildDraft(instructions, user.publicKey);
+    }
+    return draft;
+  }
+
+  it('should reject a draft that only fits without the fee payment', async () => {
+    mockAccounts.set(treasuryAta.toBase58(), { owner: TOKEN_PROGRAM_ID, data: Buffer.alloc(165) });
+    const draft = draftOfSize(1000);
+
+    const result = await analyzeDraft(draft, context);
+
+    expect(result.valid).toBe(false);
+    expect(result.code).toBe('TX_TOO_LARGE');
+    expect(result.details.size).toBe(await preparedSize(draft, mockFeePayer.publicKey));
+    expect(result.details.size).toBeGreaterThan(1232);
+    expect(simulation.simulateDraft).not.toHaveBeenCalled();
+  });
+
+  it('should reject a draft too large to serialize with the fee payment', async () => {
+    const result = await analyzeDraft(draftOfSize(1200), context);
+
+    expect(result.valid).toBe(false);
+    expect(result.code).toBe('TX_TOO_LARGE');
+    expect(result.details).toEqual({ size: null, maxSize: 1232 });
+    expect(simulation.simulateDraft).not.toHaveBeenCalled();
+  });
+
+  it('should surface simulation failures with logs', async () => {
+    simulation.simulateDraft.mockResolvedValue({
+      success: false,
+      error: 'Draft transaction simulation failed',
+      simulationError: { InstructionError: [0, 'Custom'] },
+      logs: ['Program failed'],
+    });
+
+    const result = await analyzeDraft(buildDraft([transfer()]), context);
+
+    expect(result.valid).toBe(false);
+    expect(result.code).toBe('DRAFT_SIMULATION_FAILED');
+    expect(result.details.logs).toEqual(['Program failed']);
+  });
+
+  it('should reject an undecodable draft', async () => {
+    const result = await analyzeDraft('AAAA', context);
+
+    expect(result.valid).toBe(false);
+    expect(result.code).toBe('INVALID_DRAFT_TRANSACTION');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for Durable Nonce Service (long-lived quotes)
+ */
+
+const { Keypair } = require('@solana/web3.js');
+
+const mockFeePayer = Keypair.generate().publicKey;
+
+const mockConnection = {
+  getNonce: jest.fn(),
+};
+
+jest.mock('../../../src/services/helius', () => ({
+  getConnection: () => mockConnection,
+}));
+
+jest.mock('../../../src/services/fee-payer', () => ({
+  isFeePayer: (pubkey) => pubkey === mockFeePayer.toBase58(),
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { validateNonceAccount } = require('../../../src/services/durable-nonce');
+
+describe('Durable Nonce Service', () => {
+  const nonceAccount = Keypair.generate().publicKey.toBase58();
+  const authority = Keypair.generate().publicKey;
+
+  it('should accept a nonce account with a user authority', async () => {
+    mockConnection.getNonce.mockResolvedValue({ authorizedPubkey: authority, nonce: 'nonce123' });
+
+    const result = await validateNonceAccount(nonceAccount);
+
+    expect(result).toEqual({ valid: true, authority: authority.toBase58(), nonce: 'nonce123' });
+  });
+
+  it('should reject a nonce account controlled by a fee payer', async () => {
+    mockConnection.getNonce.mockResolvedValue({
+      authorizedPubkey: mockFeePayer,
+      nonce: 'nonce123',
+    });
+
+    const result = await validateNonceAccount(nonceAccount);
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/must not be a GASdf fee payer/);
+  });
+
+  it('should reject a missing nonce account', async () => {
+    mockConnection.getNonce.mockResolvedValue(null);
+
+    const result = await validateNonceAccount(nonceAccount);
+
+    expect(result).toEqual({ valid: false, error: 'Nonce account not found' });
+  });
+
+  it('should reject an account that is not a nonce account', async () => {
+    mockConnection.getNonce.mockRejectedValue(new Error('invalid account data'));
+
+    const result = await validateNonceAccount(nonceAccount);
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/not a valid durable nonce account/);
+  });
+});
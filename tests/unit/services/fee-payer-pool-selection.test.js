@@ -0,0 +1,418 @@
+/**
+ * Tests for Fee Payer Pool Service — multi-payer behaviour
+ *
+ * Per-quote payer selection, Redis reservations, per-payer circuit breakers and key rotation.
+ */
+
+const PAYER_A = 'So11111111111111111111111111111111111111112';
+const PAYER_B = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+const mockConnection = {
+  getMultipleAccountsInfo: jest.fn(),
+};
+
+jest.mock('../../../src/services/fee-payer', () => ({
+  getAllPublicKeys: jest.fn(() => [PAYER_A, PAYER_B]),
+  getConnection: jest.fn(() => mockConnection),
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// Key statuses shared by every "instance" through Redis
+const mockKeyStatuses = {};
+
+jest.mock('../../../src/utils/redis', () => ({
+  setPayerKeyStatus: jest.fn(async (pubkey, status) => {
+    if (status) mockKeyStatuses[pubkey] = status;
+    else delete mockKeyStatuses[pubkey];
+  }),
+  getPayerKeyStatuses: jest.fn(async () => ({ ...mockKeyStatuses })),
+  calculateVelocityBasedBuffer: jest.fn().mockResolvedValue({ required: 100_000_000 }),
+  getPayerReservedTotal: jest.fn().mockResolvedValue({ total: 0, count: 0 }),
+  reservePayerBalance: jest.fn().mockResolvedValue(true),
+  releasePayerReservation: jest.fn().mockResolvedValue(null),
+}));
+
+const redis = require('../../../src/utils/redis');
+const {
+  CRITICAL_BALANCE,
+  MAX_RESERVATIONS_PER_PAYER,
+  FAILURE_THRESHOLD,
+  pool,
+  checkBalances,
+  reserveBalance,
+  renewReservation,
+  releaseReservation,
+  recordFailure,
+  recordSuccess,
+  isCircuitOpen,
+  isPayerCircuitOpen,
+  isKeyRetired,
+  startKeyRetirement,
+  completeKeyRetirement,
+  emergencyRetireKey,
+  reactivateKey,
+  getRotationStatus,
+  KEY_STATUS,
+  getStatus,
+  getPayersNeedingRefill,
+} = require('../../../src/services/fee-payer-pool');
+
+function mockBalances(a, b) {
+  mockConnection.getMultipleAccountsInfo.mockResolvedValue([{ lamports: a }, { lamports: b }]);
+}
+
+describe('Fee Payer Pool', () => {
+  beforeEach(() => {
+    pool.balances.clear();
+    pool.thresholds.clear();
+    pool.lastUsed.clear();
+    pool.breakers.clear();
+    pool.unhealthyUntil.clear();
+    pool.keyStatus.clear();
+    pool.reservations.clear();
+    pool.reservationsByPayer.clear();
+    pool.circuitOpen = false;
+    pool.consecutiveFailures = 0;
+    redis.getPayerReservedTotal.mockResolvedValue({ total: 0, count: 0 });
+    Object.keys(mockKeyStatuses).forEach((pubkey) => delete mockKeyStatuses[pubkey]);
+  });
+
+  describe('Constants', () => {
+    it('should export CRITICAL_BALANCE as 0.05 SOL', () => {
+      expect(CRITICAL_BALANCE).toBe(50_000_000);
+    });
+
+    it('should export MAX_RESERVATIONS_PER_PAYER', () => {
+      expect(MAX_RESERVATIONS_PER_PAYER).toBe(200);
+    });
+  });
+
+  describe('checkBalances()', () => {
+    it('should split the velocity buffer across payers', async () => {
+      mockBalances(1_000_000_000, 1_000_000_000);
+
+      const status = await checkBalances();
+
+      // 0.1 SOL required / 2 payers = 0.05 SOL each
+      expect(pool.thresholds.get(PAYER_A)).toBe(50_000_000);
+      expect(status.circuitOpen).toBe(false);
+      expect(status.totalSolBalance).toBe(2);
+    });
+
+    it('should open only the drained payer breaker', async () => {
+      mockBalances(1_000_000_000, 10_000);
+
+      const status = await checkBalances();
+
+      expect(isPayerCircuitOpen(PAYER_A)).toBe(false);
+      expect(isPayerCircuitOpen(PAYER_B)).toBe(true);
+      expect(isCircuitOpen()).toBe(false);
+      expect(status.payers.find((p) => p.pubkey === PAYER_B).circuitOpen).toBe(true);
+    });
+
+    it('should open the pool circuit when every payer is drained', async () => {
+      mockBalances(10_000, 10_000);
+
+      await checkBalances();
+
+      expect(isCircuitOpen()).toBe(true);
+    });
+
+    it('should keep a drained payer out until it is back above MIN_HEALTHY_BALANCE', async () => {
+      mockBalances(10_000, 1_000_000_000);
+      await checkBalances();
+
+      // Above its 0.05 SOL threshold, not yet healthy again
+      mockBalances(80_000_000, 1_000_000_000);
+      await checkBalances();
+      expect(isPayerCircuitOpen(PAYER_A)).toBe(true);
+
+      mockBalances(150_000_000, 1_000_000_000);
+      await checkBalances();
+      expect(isPayerCircuitOpen(PAYER_A)).toBe(false);
+    });
+
+    it('should keep previous state when RPC fails', async () => {
+      mockBalances(1_000_000_000, 1_000_000_000);
+      await checkBalances();
+      mockConnection.getMultipleAccountsInfo.mockRejectedValueOnce(new Error('429'));
+
+      await checkBalances();
+
+      expect(pool.balances.get(PAYER_A)).toBe(1_000_000_000);
+      expect(isCircuitOpen()).toBe(false);
+    });
+  });
+
+  describe('reserveBalance()', () => {
+    it('should reserve against the highest-balance payer when none used yet', async () => {
+      mockBalances(500_000_000, 900_000_000);
+
+      const pubkey = await reserveBalance('quote-1', 10_000, 60);
+
+      expect(pubkey).toBe(PAYER_B);
+      expect(redis.reservePayerBalance).toHaveBeenCalledWith(PAYER_B, 'quote-1', 10_000, 60, {
+        limit: 850_000_000,
+        maxCount: MAX_RESERVATIONS_PER_PAYER,
+      });
+    });
+
+    it('should fall back to the next payer when the first one filled up concurrently', async () => {
+      mockBalances(500_000_000, 900_000_000);
+      redis.reservePayerBalance.mockResolvedValueOnce(null);
+
+      const pubkey = await reserveBalance('quote-1', 10_000, 60);
+
+      expect(pubkey).toBe(PAYER_A);
+      expect(redis.reservePayerBalance).toHaveBeenCalledTimes(2);
+      expect(pool.reservationsByPayer.get(PAYER_B)?.has('quote-1')).toBeFalsy();
+    });
+
+    it('should rotate to the least-recently-used payer', async () => {
+      mockBalances(500_000_000, 900_000_000);
+
+      const first = await reserveBalance('quote-1', 10_000, 60);
+      const second = await reserveBalance('quote-2', 10_000, 60);
+
+      expect(first).toBe(PAYER_B);
+      expect(second).toBe(PAYER_A);
+    });
+
+    it('should skip payers whose breaker is open', async () => {
+      mockBalances(1_000_000_000, 10_000);
+
+      const pubkey = await reserveBalance('quote-1', 10_000, 60);
+
+      expect(pubkey).toBe(PAYER_A);
+    });
+
+    it('should account for existing reservations', async () => {
+      mockBalances(100_000_000, 100_000_000);
+      redis.getPayerReservedTotal.mockImplementation(async (pubkey) =>
+        pubkey === PAYER_A ? { total: 49_995_000, count: 10 } : { total: 0, count: 0 }
+      );
+      pool.lastUsed.set(PAYER_B, Date.now());
+
+      // PAYER_A is least recently used but only has 5_000 lamports left above its floor
+      const pubkey = await reserveBalance('quote-1', 10_000, 60);
+
+      expect(pubkey).toBe(PAYER_B);
+    });
+
+    it('should skip payers at the reservation cap', async () => {
+      mockBalances(1_000_000_000, 1_000_000_000);
+      redis.getPayerReservedTotal.mockImplementation(async (pubkey) =>
+        pubkey === PAYER_B
+          ? { total: 0, count: MAX_RESERVATIONS_PER_PAYER }
+          : { total: 0, count: 0 }
+      );
+
+      const pubkey = await reserveBalance('quote-1', 10_000, 60);
+
+      expect(pubkey).toBe(PAYER_A);
+    });
+
+    it('should return null when no payer has capacity', async () => {
+      mockBalances(10_000, 10_000);
+
+      const pubkey = await reserveBalance('quote-1', 10_000, 60);
+
+      expect(pubkey).toBeNull();
+      expect(redis.reservePayerBalance).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renewReservation()', () => {
+    it('should renew on the quote payer, not the best one', async () => {
+      mockBalances(100_000_000, 900_000_000);
+
+      const pubkey = await renewReservation('quote-1', PAYER_A, 10_000, 60);
+
+      expect(pubkey).toBe(PAYER_A);
+      expect(redis.reservePayerBalance).toHaveBeenCalledWith(PAYER_A, 'quote-1', 10_000, 60, {
+        limit: 50_000_000,
+        maxCount: MAX_RESERVATIONS_PER_PAYER,
+      });
+    });
+
+    it('should return null when the payer has no room left', async () => {
+      mockBalances(100_000_000, 100_000_000);
+      redis.reservePayerBalance.mockResolvedValueOnce(null);
+
+      const pubkey = await renewReservation('quote-1', PAYER_A, 10_000, 60);
+
+      expect(pubkey).toBeNull();
+      expect(pool.reservations.has('quote-1')).toBe(false);
+    });
+
+    it('should return null when the quote payer breaker is open', async () => {
+      mockBalances(10_000, 1_000_000_000);
+
+      const pubkey = await renewReservation('quote-1', PAYER_A, 10_000, 60);
+
+      expect(pubkey).toBeNull();
+    });
+  });
+
+  describe('releaseReservation()', () => {
+    it('should release the quote reservation in Redis', async () => {
+      await releaseReservation('quote-1');
+      expect(redis.releasePayerReservation).toHaveBeenCalledWith('quote-1');
+    });
+  });
+
+  describe('Failure breaker', () => {
+    beforeEach(async () => {
+      mockBalances(1_000_000_000, 1_000_000_000);
+      await checkBalances();
+    });
+
+    it('should open a payer breaker after consecutive failures', () => {
+      for (let i = 0; i < FAILURE_THRESHOLD; i++) {
+        recordFailure(PAYER_A);
+      }
+
+      expect(isPayerCircuitOpen(PAYER_A)).toBe(true);
+      expect(isPayerCircuitOpen(PAYER_B)).toBe(false);
+      expect(isCircuitOpen()).toBe(false);
+    });
+
+    it('should reset the failure count on success', () => {
+      for (let i = 0; i < FAILURE_THRESHOLD - 1; i++) {
+        recordFailure(PAYER_A);
+      }
+      recordSuccess(PAYER_A);
+      recordFailure(PAYER_A);
+
+      expect(isPayerCircuitOpen(PAYER_A)).toBe(false);
+    });
+
+    it('should open the pool circuit after failures spread across payers', () => {
+      recordFailure(PAYER_A);
+      recordFailure(PAYER_B);
+      recordFailure(PAYER_A);
+      recordFailure(PAYER_B);
+      expect(isCircuitOpen()).toBe(false);
+
+      recordFailure(PAYER_A);
+
+      expect(isPayerCircuitOpen(PAYER_A)).toBe(true);
+      expect(isPayerCircuitOpen(PAYER_B)).toBe(false);
+      expect(isCircuitOpen()).toBe(true);
+    });
+
+    it('should auto-close after the cooldown', () => {
+      pool.unhealthyUntil.set(PAYER_A, Date.now() - 1000);
+      expect(isPayerCircuitOpen(PAYER_A)).toBe(false);
+    });
+  });
+
+  describe('Key rotation', () => {
+    beforeEach(() => {
+      mockBalances(1_000_000_000, 1_000_000_000);
+    });
+
+    it('should stop quoting a retiring key but let its quotes renew', async () => {
+      await startKeyRetirement(PAYER_A, 'scheduled rotation');
+
+      expect(await reserveBalance('quote-1', 10_000, 60)).toBe(PAYER_B);
+      expect(await reserveBalance('quote-2', 10_000, 60)).toBe(PAYER_B);
+      expect(await renewReservation('quote-0', PAYER_A, 10_000, 60)).toBe(PAYER_A);
+      expect(await isKeyRetired(PAYER_A)).toBe(false);
+    });
+
+    it('should only complete retirement once reservations clear', async () => {
+      await startKeyRetirement(PAYER_A, 'scheduled rotation');
+      redis.getPayerReservedTotal.mockResolvedValueOnce({ total: 10_000, count: 1 });
+
+      expect(await completeKeyRetirement(PAYER_A)).toBe(false);
+      expect(await completeKeyRetirement(PAYER_A)).toBe(true);
+      expect(await isKeyRetired(PAYER_A)).toBe(true);
+      expect(getRotationStatus()).toEqual(
+        expect.objectContaining({ active: 1, retiring: 0, retired: 1 })
+      );
+    });
+
+    it('should cancel reservations on emergency retirement', async () => {
+      pool.lastUsed.set(PAYER_B, Date.now());
+      await reserveBalance('quote-1', 10_000, 60);
+
+      const cancelled = await emergencyRetireKey(PAYER_A, 'key leaked');
+
+      expect(cancelled).toBe(1);
+      expect(redis.releasePayerReservation).toHaveBeenCalledWith('quote-1');
+      expect(await isKeyRetired(PAYER_A)).toBe(true);
+      expect(await renewReservation('quote-1', PAYER_A, 10_000, 60)).toBeNull();
+      expect(await reactivateKey(PAYER_A)).toBe(false);
+    });
+
+    it('should reactivate a retired key', async () => {
+      await startKeyRetirement(PAYER_A, 'scheduled rotation');
+      await completeKeyRetirement(PAYER_A);
+
+      expect(await reactivateKey(PAYER_A)).toBe(true);
+      expect(getRotationStatus().keys[0]).toEqual(
+        expect.objectContaining({ pubkey: PAYER_A, status: KEY_STATUS.ACTIVE })
+      );
+    });
+
+    it('should honour a retirement made by another instance', async () => {
+      mockKeyStatuses[PAYER_A] = {
+        status: KEY_STATUS.RETIRED,
+        reason: 'key leaked',
+        since: Date.now(),
+        emergency: true,
+      };
+
+      expect(await isKeyRetired(PAYER_A)).toBe(true);
+      expect(await reserveBalance('quote-1', 10_000, 60)).toBe(PAYER_B);
+      expect(await renewReservation('quote-0', PAYER_A, 10_000, 60)).toBeNull();
+    });
+
+    it('should persist status changes', async () => {
+      await startKeyRetirement(PAYER_A, 'scheduled rotation');
+      expect(mockKeyStatuses[PAYER_A]).toEqual(
+        expect.objectContaining({ status: KEY_STATUS.RETIRING, reason: 'scheduled rotation' })
+      );
+
+      await reactivateKey(PAYER_A);
+      expect(mockKeyStatuses[PAYER_A]).toBeUndefined();
+    });
+
+    it('should open the pool circuit when every active key is down', async () => {
+      mockBalances(1_000_000_000, 10_000);
+      await checkBalances();
+
+      await startKeyRetirement(PAYER_A, 'scheduled rotation');
+
+      expect(isCircuitOpen()).toBe(true);
+    });
+  });
+
+  describe('getStatus()', () => {
+    it('should list every payer', () => {
+      const status = getStatus();
+      expect(status.payers.map((p) => p.pubkey)).toEqual([PAYER_A, PAYER_B]);
+    });
+  });
+
+  describe('getPayersNeedingRefill()', () => {
+    it('should be empty before balances are known', () => {
+      expect(getPayersNeedingRefill()).toEqual([]);
+    });
+
+    it('should list payers below 1.5x their threshold, breaker open or not', async () => {
+      // threshold = 0.05 SOL each
+      mockBalances(70_000_000, 80_000_000);
+      await checkBalances();
+
+      expect(getPayersNeedingRefill().map((p) => p.pubkey)).toEqual([PAYER_A]);
+    });
+  });
+});
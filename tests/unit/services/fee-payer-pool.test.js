@@ -11,6 +11,7 @@ jest.mock('../../../src/utils/config', () => ({
     '4Es13NXZ2RVKLifpCokQED5CRkHNfKuiL9dmc7Mzjtq4RJiveQ1BEWk6PNaP8Lzms8bUSGSzwyZe8wurmWsFjNUu',
   FEE_PAYER_PRIVATE_KEYS: '',
   IS_DEV: true,
+  QUOTE_TTL_SECONDS: 60,
 }));
 
 jest.mock('../../../src/utils/logger', () => ({
@@ -20,9 +21,12 @@ jest.mock('../../../src/utils/logger', () => ({
   debug: jest.fn(),
 }));
 
-jest.mock('../../../src/utils/rpc', () => ({
+jest.mock('../../../src/services/fee-payer', () => ({
+  ...jest.requireActual('../../../src/services/fee-payer'),
   getConnection: jest.fn().mockReturnValue({
-    getBalance: jest.fn().mockResolvedValue(1000000000), // 1 SOL
+    getMultipleAccountsInfo: jest
+      .fn()
+      .mockImplementation(async (pubkeys) => pubkeys.map(() => ({ lamports: 1000000000 }))), // 1 SOL
   }),
 }));
 
@@ -39,6 +43,12 @@ jest.mock('../../../src/utils/redis', () => ({
     const result = await callback();
     return { success: true, result };
   }),
+  calculateVelocityBasedBuffer: jest.fn().mockResolvedValue({ required: 50_000_000 }),
+  getPayerReservedTotal: jest.fn().mockResolvedValue({ total: 0, count: 0 }),
+  reservePayerBalance: jest.fn().mockResolvedValue(true),
+  releasePayerReservation: jest.fn().mockResolvedValue(null),
+  setPayerKeyStatus: jest.fn().mockResolvedValue(),
+  getPayerKeyStatuses: jest.fn().mockResolvedValue({}),
 }));
 
 const {
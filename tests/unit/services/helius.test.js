@@ -0,0 +1,90 @@
+/**
+ * Tests for Helius priority fee estimates (all levels in one call)
+ */
+
+const mockGetPriorityFeeEstimate = jest.fn();
+
+jest.mock('helius-sdk', () => ({
+  createHelius: () => ({ getPriorityFeeEstimate: mockGetPriorityFeeEstimate }),
+}));
+
+jest.mock('../../../src/utils/config', () => ({
+  HELIUS_API_KEY: 'test-key',
+  RPC_URL: 'http://localhost:8899',
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const helius = require('../../../src/services/helius');
+
+const LEVELS = {
+  min: 0,
+  low: 1200.4,
+  medium: 3000,
+  high: 9000,
+  veryHigh: 40000,
+  unsafeMax: 100000,
+};
+
+describe('Helius priority fees', () => {
+  beforeEach(() => {
+    helius.clearPriorityFeeCache();
+    mockGetPriorityFeeEstimate.mockReset();
+    mockGetPriorityFeeEstimate.mockResolvedValue({ priorityFeeLevels: LEVELS });
+  });
+
+  it('should request all levels and pick the requested one', async () => {
+    const estimate = await helius.getPriorityFeeEstimate({ priorityLevel: 'High' });
+
+    expect(mockGetPriorityFeeEstimate).toHaveBeenCalledWith({
+      accountKeys: undefined,
+      options: { includeAllPriorityFeeLevels: true, lookbackSlots: 150 },
+    });
+    expect(estimate.priorityFee).toBe(9000);
+    expect(estimate.priorityLevel).toBe('High');
+    expect(estimate.levels).toEqual({
+      Min: 0,
+      Low: 1201,
+      Medium: 3000,
+      High: 9000,
+      VeryHigh: 40000,
+      UnsafeMax: 100000,
+    });
+  });
+
+  it('should serve every level from the global cache', async () => {
+    await helius.getPriorityFeeEstimate({ priorityLevel: 'Low' });
+    const estimate = await helius.getPriorityFeeEstimate({ priorityLevel: 'VeryHigh' });
+
+    expect(mockGetPriorityFeeEstimate).toHaveBeenCalledTimes(1);
+    expect(estimate).toEqual(expect.objectContaining({ priorityFee: 40000, cached: true }));
+  });
+
+  it('should not cache per-account estimates', async () => {
+    await helius.getPriorityFeeEstimate({ accountKeys: ['acct1'] });
+    await helius.getPriorityFeeEstimate({ accountKeys: ['acct1'] });
+
+    expect(mockGetPriorityFeeEstimate).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fall back to default levels when Helius fails', async () => {
+    mockGetPriorityFeeEstimate.mockRejectedValue(new Error('rpc down'));
+
+    const estimate = await helius.getPriorityFeeEstimate({ priorityLevel: 'Medium' });
+
+    expect(estimate).toEqual(expect.objectContaining({ priorityFee: 1000, fallback: true }));
+  });
+
+  it('should price every level at the requested compute units', async () => {
+    const fee = await helius.calculatePriorityFee(200_000, { priorityLevel: 'Low' });
+
+    expect(fee.microLamportsPerCU).toBe(1201);
+    expect(fee.priorityFeeLamports).toBe(241);
+    expect(fee.levels.VeryHigh).toEqual({ microLamportsPerCU: 40000, priorityFeeLamports: 8000 });
+  });
+});
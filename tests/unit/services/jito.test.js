@@ -56,12 +56,9 @@ describe('Jito Bundle Service', () => {
     });
 
     it('should return false when JITO_DISABLED is set', () => {
-      process.env.JITO_DISABLED = 'true';
-      jest.isolateModules(() => {
-        jito = require('../../../src/services/jito');
-      });
+      _config.JITO_DISABLED = true;
       expect(jito.isEnabled()).toBe(false);
-      delete process.env.JITO_DISABLED;
+      delete _config.JITO_DISABLED;
     });
   });
 
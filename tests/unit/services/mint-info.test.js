@@ -0,0 +1,219 @@
+/**
+ * Tests for Mint Info (token program, Token-2022 transfer fee and extensions)
+ */
+
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const {
+  ACCOUNT_SIZE,
+  ACCOUNT_TYPE_SIZE,
+  AccountType,
+  ExtensionType,
+  MINT_SIZE,
+  MintLayout,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  TRANSFER_FEE_CONFIG_SIZE,
+  TransferFeeConfigLayout,
+  TransferHookLayout,
+} = require('@solana/spl-token');
+
+const mockGetAccountInfo = jest.fn();
+jest.mock('../../../src/services/helius', () => ({
+  getConnection: () => ({ getAccountInfo: mockGetAccountInfo }),
+}));
+
+const { MINTS } = require('../../../src/constants');
+const mintInfo = require('../../../src/services/mint-info');
+
+const MINT = Keypair.generate().publicKey.toBase58();
+
+function baseMint() {
+  const data = Buffer.alloc(MINT_SIZE);
+  MintLayout.encode(
+    {
+      mintAuthorityOption: 0,
+      mintAuthority: PublicKey.default,
+      supply: 0n,
+      decimals: 6,
+      isInitialized: true,
+      freezeAuthorityOption: 0,
+      freezeAuthority: PublicKey.default,
+    },
+    data
+  );
+  return data;
+}
+
+function tlv(type, value) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16LE(type, 0);
+  header.writeUInt16LE(value.length, 2);
+  return Buffer.concat([header, value]);
+}
+
+function transferFeeExtension(basisPoints, maximumFee) {
+  const value = Buffer.alloc(TRANSFER_FEE_CONFIG_SIZE);
+  const fee = { epoch: 0n, maximumFee, transferFeeBasisPoints: basisPoints };
+  TransferFeeConfigLayout.encode(
+    {
+      transferFeeConfigAuthority: PublicKey.default,
+      withdrawWithheldAuthority: PublicKey.default,
+      withheldAmount: 0n,
+      olderTransferFee: fee,
+      newerTransferFee: fee,
+    },
+    value
+  );
+  return tlv(ExtensionType.TransferFeeConfig, value);
+}
+
+function transferHookExtension(programId) {
+  const value = Buffer.alloc(TransferHookLayout.span);
+  TransferHookLayout.encode({ authority: PublicKey.default, programId }, value);
+  return tlv(ExtensionType.TransferHook, value);
+}
+
+function token2022Mint(...extensions) {
+  const padding = Buffer.alloc(ACCOUNT_SIZE - MINT_SIZE);
+  const accountType = Buffer.alloc(ACCOUNT_TYPE_SIZE, AccountType.Mint);
+  return {
+    owner: TOKEN_2022_PROGRAM_ID,
+    data: Buffer.concat([baseMint(), padding, accountType, ...extensions]),
+  };
+}
+
+describe('Mint Info', () => {
+  beforeEach(() => {
+    mintInfo.clearCache();
+  });
+
+  describe('getMintInfo', () => {
+    it('should read a classic SPL Token mint', async () => {
+      mockGetAccountInfo.mockResolvedValue({ owner: TOKEN_PROGRAM_ID, data: baseMint() });
+
+      const info = await mintInfo.getMintInfo(MINT);
+
+      expect(info.programId.equals(TOKEN_PROGRAM_ID)).toBe(true);
+      expect(info).toEqual(
+        expect.objectContaining({
+          decimals: 6,
+          isToken2022: false,
+          transferFee: null,
+          unsupportedExtensions: [],
+        })
+      );
+    });
+
+    it('should read the transfer fee of a Token-2022 mint', async () => {
+      mockGetAccountInfo.mockResolvedValue(token2022Mint(transferFeeExtension(50, 5000n)));
+
+      const info = await mintInfo.getMintInfo(MINT);
+
+      expect(info.isToken2022).toBe(true);
+      expect(info.transferFee).toEqual({ basisPoints: 50, maximumFee: '5000' });
+      expect(info.unsupportedExtensions).toEqual([]);
+    });
+
+    it('should flag an uninitialized transfer hook — its authority can set a program', async () => {
+      mockGetAccountInfo.mockResolvedValue(token2022Mint(transferHookExtension(PublicKey.default)));
+
+      const info = await mintInfo.getMintInfo(MINT);
+
+      expect(info.unsupportedExtensions).toEqual(['TransferHook']);
+    });
+
+    it('should flag confidential transfer extensions', async () => {
+      mockGetAccountInfo.mockResolvedValue(
+        token2022Mint(
+          tlv(ExtensionType.ConfidentialTransferMint, Buffer.alloc(65)),
+          tlv(16, Buffer.alloc(129))
+        )
+      );
+
+      const info = await mintInfo.getMintInfo(MINT);
+
+      expect(info.unsupportedExtensions).toEqual([
+        'ConfidentialTransferMint',
+        'ConfidentialTransferFeeConfig',
+      ]);
+    });
+
+    it('should allow PYUSD its confidential transfers and uninitialized hook', async () => {
+      mockGetAccountInfo.mockResolvedValue(
+        token2022Mint(
+          transferFeeExtension(0, 0n),
+          tlv(ExtensionType.ConfidentialTransferMint, Buffer.alloc(65)),
+          tlv(16, Buffer.alloc(129)),
+          transferHookExtension(PublicKey.default)
+        )
+      );
+
+      const info = await mintInfo.getMintInfo(MINTS.PYUSD);
+
+      expect(info.unsupportedExtensions).toEqual([]);
+    });
+
+    it('should still flag PYUSD once its hook points at a program', async () => {
+      mockGetAccountInfo.mockResolvedValue(
+        token2022Mint(transferHookExtension(Keypair.generate().publicKey))
+      );
+
+      const info = await mintInfo.getMintInfo(MINTS.PYUSD);
+
+      expect(info.unsupportedExtensions).toEqual(['TransferHook']);
+    });
+
+    it('should flag transfer hooks and non-transferable mints', async () => {
+      mockGetAccountInfo.mockResolvedValue(
+        token2022Mint(
+          transferHookExtension(Keypair.generate().publicKey),
+          tlv(ExtensionType.NonTransferable, Buffer.alloc(0))
+        )
+      );
+
+      const info = await mintInfo.getMintInfo(MINT);
+
+      expect(info.unsupportedExtensions).toEqual(['TransferHook', 'NonTransferable']);
+    });
+
+    it('should cache mint info', async () => {
+      mockGetAccountInfo.mockResolvedValue({ owner: TOKEN_PROGRAM_ID, data: baseMint() });
+
+      await mintInfo.getMintInfo(MINT);
+      await mintInfo.getMintInfo(MINT);
+
+      expect(mockGetAccountInfo).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw for a missing mint', async () => {
+      mockGetAccountInfo.mockResolvedValue(null);
+
+      await expect(mintInfo.getMintInfo(MINT)).rejects.toThrow('Mint not found');
+    });
+  });
+
+  describe('transfer fee math', () => {
+    const transferFee = { basisPoints: 500, maximumFee: '1000000' };
+
+    it('should gross up so the treasury nets the quoted amount', () => {
+      for (const net of [1n, 999n, 10000n, 123457n]) {
+        const gross = mintInfo.grossAmountForNet(net, transferFee);
+
+        expect(mintInfo.netAmountAfterFee(gross, transferFee)).toBeGreaterThanOrEqual(net);
+        expect(mintInfo.netAmountAfterFee(gross - 1n, transferFee)).toBeLessThan(net);
+      }
+    });
+
+    it('should add only the maximum fee once the cap is reached', () => {
+      const capped = { basisPoints: 500, maximumFee: '100' };
+
+      expect(mintInfo.grossAmountForNet(10000n, capped)).toBe(10100n);
+      expect(mintInfo.netAmountAfterFee(10100n, capped)).toBe(10000n);
+    });
+
+    it('should leave amounts unchanged without a transfer fee', () => {
+      expect(mintInfo.grossAmountForNet(10000, null)).toBe(10000n);
+      expect(mintInfo.netAmountAfterFee(10000, null)).toBe(10000n);
+    });
+  });
+});
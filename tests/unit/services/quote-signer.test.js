@@ -0,0 +1,133 @@
+/**
+ * Tests for Quote Signer Service (signed quote envelopes)
+ */
+
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+
+const signingKey = Keypair.generate();
+
+jest.mock('../../../src/utils/config', () => ({
+  QUOTE_SIGNING_KEY: null,
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('Quote Signer Service', () => {
+  let quoteSigner;
+  let config;
+
+  const quote = {
+    quoteId: '550e8400-e29b-41d4-a716-446655440000',
+    userPubkey: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    paymentToken: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+    feeAmount: '12345',
+    feeAmountLamports: 61000,
+    treasuryAddress: 'So11111111111111111111111111111111111111112',
+    treasuryAta: 'So11111111111111111111111111111111111111112',
+    feePayer: 'So11111111111111111111111111111111111111112',
+    priorityFeeLamports: 200,
+    estimatedComputeUnits: 200000,
+  };
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      config = require('../../../src/utils/config');
+      config.QUOTE_SIGNING_KEY = bs58.encode(signingKey.secretKey);
+      quoteSigner = require('../../../src/services/quote-signer');
+    });
+  });
+
+  function freshQuote() {
+    return { ...quote, expiresAt: Date.now() + 60_000 };
+  }
+
+  it('should report enabled when a signing key is configured', () => {
+    expect(quoteSigner.isEnabled()).toBe(true);
+    expect(quoteSigner.getSignerPublicKey()).toBe(signingKey.publicKey.toBase58());
+  });
+
+  it('should sign and verify a quote round-trip', () => {
+    const envelope = quoteSigner.signQuote(freshQuote());
+    const result = quoteSigner.verifySignedQuote(envelope, quote.quoteId);
+
+    expect(envelope.signer).toBe(signingKey.publicKey.toBase58());
+    expect(result.valid).toBe(true);
+    expect(result.quote.feeAmount).toBe('12345');
+    expect(result.quote.feePayer).toBe(quote.feePayer);
+  });
+
+  it('should only sign envelope fields', () => {
+    const envelope = quoteSigner.signQuote({ ...freshQuote(), createdAt: 1, extra: 'x' });
+    const payload = JSON.parse(Buffer.from(envelope.payload, 'base64').toString());
+
+    expect(Object.keys(payload)).toEqual(quoteSigner.PAYLOAD_FIELDS);
+  });
+
+  it('should reject a tampered payload', () => {
+    const envelope = quoteSigner.signQuote(freshQuote());
+    const payload = JSON.parse(Buffer.from(envelope.payload, 'base64').toString());
+    payload.feeAmount = '1';
+    const tampered = {
+      ...envelope,
+      payload: Buffer.from(JSON.stringify(payload)).toString('base64'),
+    };
+
+    const result = quoteSigner.verifySignedQuote(tampered, quote.quoteId);
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/signature verification failed/);
+  });
+
+  it('should reject an envelope signed by another key', () => {
+    const envelope = quoteSigner.signQuote(freshQuote());
+    const other = Keypair.generate();
+
+    const result = quoteSigner.verifySignedQuote(
+      { ...envelope, signer: other.publicKey.toBase58() },
+      quote.quoteId
+    );
+    expect(result.valid).toBe(false);
+  });
+
+  it('should reject a quoteId mismatch', () => {
+    const envelope = quoteSigner.signQuote(freshQuote());
+    const result = quoteSigner.verifySignedQuote(envelope, 'another-quote');
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/does not match/);
+  });
+
+  it('should reject an expired quote', () => {
+    const envelope = quoteSigner.signQuote({ ...quote, expiresAt: Date.now() - 1 });
+    const result = quoteSigner.verifySignedQuote(envelope, quote.quoteId);
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/expired/);
+  });
+
+  it('should reject a malformed envelope', () => {
+    expect(quoteSigner.verifySignedQuote(null, quote.quoteId).valid).toBe(false);
+    expect(quoteSigner.verifySignedQuote({ payload: 'abc' }, quote.quoteId).valid).toBe(false);
+  });
+
+  describe('without QUOTE_SIGNING_KEY', () => {
+    beforeEach(() => {
+      jest.isolateModules(() => {
+        config = require('../../../src/utils/config');
+        config.QUOTE_SIGNING_KEY = null;
+        quoteSigner = require('../../../src/services/quote-signer');
+      });
+    });
+
+    it('should be disabled', () => {
+      expect(quoteSigner.isEnabled()).toBe(false);
+      expect(() => quoteSigner.signQuote(freshQuote())).toThrow('QUOTE_SIGNING_KEY not configured');
+      expect(quoteSigner.verifySignedQuote({}, quote.quoteId).valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Tests for Refill Worker — fee payer top-ups from treasury token fees
+ */
+
+const { Keypair, SystemInstruction } = require('@solana/web3.js');
+
+const mockTreasury = Keypair.generate();
+const mockConnection = {};
+
+jest.mock('../../../src/utils/config', () => ({
+  REFILL_TARGET_RATIO: 3,
+  REFILL_DAILY_CAP_LAMPORTS: 2_000_000_000,
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  withLock: jest.fn(async (name, fn) => ({ success: true, result: await fn() })),
+  getRefillTotal: jest.fn(),
+  incrRefillTotal: jest.fn(),
+  recordTreasuryEvent: jest.fn(),
+}));
+
+jest.mock('@solana/spl-token', () => ({
+  ...jest.requireActual('@solana/spl-token'),
+  getAccount: jest.fn(),
+}));
+
+jest.mock('../../../src/services/mint-info', () => ({
+  getMintInfo: jest.fn().mockResolvedValue({
+    programId: jest.requireActual('@solana/spl-token').TOKEN_PROGRAM_ID,
+  }),
+}));
+
+jest.mock('../../../src/services/fee-payer', () => ({
+  getFeePayer: () => mockTreasury,
+}));
+
+jest.mock('../../../src/services/fee-payer-pool', () => ({
+  checkBalances: jest.fn(),
+  getPayersNeedingRefill: jest.fn(),
+}));
+
+jest.mock('../../../src/services/helius', () => ({
+  getConnection: () => mockConnection,
+  sendSmartTransaction: jest.fn().mockResolvedValue('transfer-sig'),
+}));
+
+jest.mock('../../../src/services/jupiter', () => ({
+  getFeeInToken: jest.fn(),
+  getTokenToSolQuote: jest.fn(),
+}));
+
+jest.mock('../../../src/services/burn-worker', () => ({
+  executeSwap: jest.fn().mockResolvedValue('swap-sig'),
+  getSolBalanceChange: jest.fn(),
+  TREASURY_LOCK: 'treasury-swaps',
+}));
+
+const { getAccount, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { PublicKey } = require('@solana/web3.js');
+const { MINTS } = require('../../../src/constants');
+const redis = require('../../../src/utils/redis');
+const logger = require('../../../src/utils/logger');
+const helius = require('../../../src/services/helius');
+const jupiter = require('../../../src/services/jupiter');
+const feePayerPool = require('../../../src/services/fee-payer-pool');
+const { executeSwap, getSolBalanceChange } = require('../../../src/services/burn-worker');
+const tokenRegistry = require('../../../src/services/token-registry');
+const { runRefillCycle } = require('../../../src/services/refill-worker');
+
+const TREASURY = mockTreasury.publicKey.toBase58();
+const PAYER_B = Keypair.generate().publicKey.toBase58();
+
+function ataOf(mint) {
+  return getAssociatedTokenAddressSync(new PublicKey(mint), mockTreasury.publicKey).toBase58();
+}
+
+/** Treasury stablecoin balances, raw units */
+function mockStablecoins(balances) {
+  getAccount.mockImplementation(async (connection, ata) => {
+    const mint = Object.keys(balances).find((m) => ataOf(m) === ata.toBase58());
+    if (!mint) throw new Error('could not find account');
+    return { amount: BigInt(balances[mint]) };
+  });
+}
+
+describe('Refill Worker', () => {
+  beforeEach(() => {
+    redis.getRefillTotal.mockResolvedValue(0);
+    // 1 USDC/USDT = 0.00625 SOL
+    jupiter.getFeeInToken.mockImplementation(async (mint, lamports) => ({
+      inputAmount: Math.ceil(lamports / 6.25),
+    }));
+    jupiter.getTokenToSolQuote.mockImplementation(async (mint, amount) => ({
+      outAmount: String(amount * 6.25),
+    }));
+    // Swaps deliver what they quoted unless a test says otherwise
+    getSolBalanceChange.mockImplementation(async () =>
+      Number(executeSwap.mock.calls.at(-1)[1].outAmount)
+    );
+    mockStablecoins({ [MINTS.USDC]: 100_000_000 });
+  });
+
+  it('should hold the treasury lock the burn worker uses', async () => {
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([]);
+
+    await runRefillCycle();
+
+    expect(redis.withLock).toHaveBeenCalledWith('treasury-swaps', expect.any(Function), 120);
+  });
+
+  it('should do nothing while every payer is above the trigger', async () => {
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([]);
+
+    const result = await runRefillCycle();
+
+    expect(result.result).toEqual({ refilled: 0 });
+    expect(jupiter.getTokenToSolQuote).not.toHaveBeenCalled();
+  });
+
+  it('should swap stablecoins to SOL and send it to a low payer', async () => {
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([
+      { pubkey: PAYER_B, balance: 50_000_000, threshold: 100_000_000 },
+    ]);
+
+    const result = await runRefillCycle();
+
+    // Topped up to 3× the threshold
+    expect(jupiter.getFeeInToken).toHaveBeenCalledWith(MINTS.USDC, 250_000_000);
+    expect(jupiter.getTokenToSolQuote).toHaveBeenCalledWith(MINTS.USDC, 40_000_000);
+    expect(executeSwap).toHaveBeenCalledWith(mockTreasury, { outAmount: '250000000' });
+
+    const [[transferIx], signers] = helius.sendSmartTransaction.mock.calls[0];
+    expect(SystemInstruction.decodeTransfer(transferIx)).toEqual({
+      fromPubkey: mockTreasury.publicKey,
+      toPubkey: new PublicKey(PAYER_B),
+      lamports: 250_000_000n,
+    });
+    expect(signers).toEqual([mockTreasury]);
+
+    expect(redis.incrRefillTotal).toHaveBeenCalledWith(250_000_000);
+    expect(redis.recordTreasuryEvent).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'refill',
+        payer: PAYER_B,
+        solAmount: 0.25,
+        swaps: [
+          {
+            inputMint: MINTS.USDC,
+            inputAmount: 40_000_000,
+            lamports: 250_000_000,
+            swapSignature: 'swap-sig',
+          },
+        ],
+        transferSignature: 'transfer-sig',
+      })
+    );
+    expect(result.result).toEqual({ refilled: 250_000_000 });
+    expect(feePayerPool.checkBalances).toHaveBeenCalledTimes(2);
+  });
+
+  it('should send and count the SOL the swap delivered, not its quote', async () => {
+    getSolBalanceChange.mockResolvedValue(245_000_000);
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([
+      { pubkey: PAYER_B, balance: 50_000_000, threshold: 100_000_000 },
+    ]);
+
+    const result = await runRefillCycle();
+
+    expect(getSolBalanceChange).toHaveBeenCalledWith(mockConnection, 'swap-sig', TREASURY);
+    const [[transferIx]] = helius.sendSmartTransaction.mock.calls[0];
+    expect(SystemInstruction.decodeTransfer(transferIx).lamports).toBe(245_000_000n);
+    expect(redis.incrRefillTotal).toHaveBeenCalledWith(245_000_000);
+    expect(result.result).toEqual({ refilled: 245_000_000 });
+  });
+
+  it('should not transfer when the low payer is the treasury itself', async () => {
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([
+      { pubkey: TREASURY, balance: 50_000_000, threshold: 100_000_000 },
+    ]);
+
+    await runRefillCycle();
+
+    expect(executeSwap).toHaveBeenCalled();
+    expect(helius.sendSmartTransaction).not.toHaveBeenCalled();
+    expect(redis.incrRefillTotal).toHaveBeenCalledWith(250_000_000);
+  });
+
+  it('should move on to the next stablecoin when one runs out', async () => {
+    mockStablecoins({ [MINTS.USDC]: 10_000_000, [MINTS.USDT]: 100_000_000 });
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([
+      { pubkey: PAYER_B, balance: 50_000_000, threshold: 100_000_000 },
+    ]);
+
+    await runRefillCycle();
+
+    expect(jupiter.getTokenToSolQuote).toHaveBeenCalledWith(MINTS.USDC, 10_000_000);
+    expect(jupiter.getFeeInToken).toHaveBeenCalledWith(MINTS.USDT, 187_500_000);
+    expect(jupiter.getTokenToSolQuote).toHaveBeenCalledWith(MINTS.USDT, 30_000_000);
+    expect(redis.incrRefillTotal).toHaveBeenCalledWith(250_000_000);
+  });
+
+  it('should stop at the daily cap', async () => {
+    redis.getRefillTotal.mockResolvedValue(1_900_000_000);
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([
+      { pubkey: PAYER_B, balance: 50_000_000, threshold: 100_000_000 },
+    ]);
+
+    await runRefillCycle();
+
+    expect(jupiter.getFeeInToken).toHaveBeenCalledWith(MINTS.USDC, 100_000_000);
+    expect(redis.incrRefillTotal).toHaveBeenCalledWith(100_000_000);
+  });
+
+  it('should not swap once the daily cap is used up', async () => {
+    redis.getRefillTotal.mockResolvedValue(2_000_000_000);
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([
+      { pubkey: PAYER_B, balance: 50_000_000, threshold: 100_000_000 },
+    ]);
+
+    await runRefillCycle();
+
+    expect(executeSwap).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(
+      'REFILL_WORKER',
+      'Daily refill cap reached',
+      expect.any(Object)
+    );
+  });
+
+  it('should count the swap against the cap even if the transfer fails', async () => {
+    helius.sendSmartTransaction.mockRejectedValueOnce(new Error('Blockhash expired'));
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([
+      { pubkey: PAYER_B, balance: 50_000_000, threshold: 100_000_000 },
+    ]);
+
+    const result = await runRefillCycle();
+
+    expect(redis.incrRefillTotal).toHaveBeenCalledWith(250_000_000);
+    expect(redis.recordTreasuryEvent).not.toHaveBeenCalled();
+    expect(result.result).toEqual({ refilled: 0 });
+  });
+
+  it('should swap a token added to the registry, but not $ASDF or WSOL', async () => {
+    const mint = Keypair.generate().publicKey.toBase58();
+    const listSpy = jest
+      .spyOn(tokenRegistry, 'listSwappableMints')
+      .mockReturnValue([MINTS.USDC, mint]);
+    mockStablecoins({
+      [MINTS.USDC]: 10_000_000,
+      [mint]: 100_000_000_000,
+      [MINTS.ASDF]: 100_000_000_000,
+    });
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([
+      { pubkey: PAYER_B, balance: 50_000_000, threshold: 100_000_000 },
+    ]);
+
+    await runRefillCycle();
+    listSpy.mockRestore();
+
+    expect(jupiter.getTokenToSolQuote).toHaveBeenCalledWith(mint, 30_000_000);
+    expect(jupiter.getTokenToSolQuote).not.toHaveBeenCalledWith(MINTS.ASDF, expect.anything());
+    expect(redis.incrRefillTotal).toHaveBeenCalledWith(250_000_000);
+  });
+
+  it('should leave balances worth less than the minimum refill', async () => {
+    // 1.5 USDC = 0.009375 SOL
+    mockStablecoins({ [MINTS.USDC]: 1_500_000 });
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([
+      { pubkey: PAYER_B, balance: 50_000_000, threshold: 100_000_000 },
+    ]);
+
+    await runRefillCycle();
+
+    expect(executeSwap).not.toHaveBeenCalled();
+  });
+
+  it('should skip refills when the treasury holds no stablecoins', async () => {
+    mockStablecoins({});
+    feePayerPool.getPayersNeedingRefill.mockReturnValue([
+      { pubkey: PAYER_B, balance: 50_000_000, threshold: 100_000_000 },
+    ]);
+
+    await runRefillCycle();
+
+    expect(executeSwap).not.toHaveBeenCalled();
+    expect(redis.incrRefillTotal).not.toHaveBeenCalled();
+  });
+});
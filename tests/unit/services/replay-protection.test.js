@@ -0,0 +1,124 @@
+/**
+ * Tests for Replay Protection Service (message-hash + durable nonce keys)
+ */
+
+// These are unit tests - don't load the app
+jest.mock('../../../src/index', () => ({}));
+
+describe('Replay Protection', () => {
+  let replayProtection;
+  let redis;
+  // Re-required after resetModules so instanceof checks in the validator match
+  let web3;
+  let feePayer;
+  let user;
+  let nonceAccount;
+
+  function buildTx({ lamports = 1000, nonce = false } = {}) {
+    const { PublicKey, SystemProgram, TransactionMessage, VersionedTransaction } = web3;
+
+    const instructions = [
+      SystemProgram.transfer({
+        fromPubkey: user.publicKey,
+        toPubkey: feePayer.publicKey,
+        lamports,
+      }),
+    ];
+    if (nonce) {
+      instructions.unshift(
+        SystemProgram.nonceAdvance({
+          noncePubkey: nonceAccount,
+          authorizedPubkey: user.publicKey,
+        })
+      );
+    }
+
+    const message = new TransactionMessage({
+      payerKey: feePayer.publicKey,
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions,
+    }).compileToV0Message();
+    return new VersionedTransaction(message);
+  }
+
+  beforeEach(() => {
+    jest.resetModules();
+
+    // Force memory fallback for tests
+    process.env.REDIS_URL = '';
+    process.env.NODE_ENV = 'test';
+
+    web3 = require('@solana/web3.js');
+    redis = require('../../../src/utils/redis');
+    replayProtection = require('../../../src/services/replay-protection');
+
+    feePayer = web3.Keypair.generate();
+    user = web3.Keypair.generate();
+    nonceAccount = web3.Keypair.generate().publicKey;
+  });
+
+  it('should derive the blockhash TTL from ~150 slots', () => {
+    expect(replayProtection.BLOCKHASH_VALIDITY_SLOTS).toBe(150);
+    expect(replayProtection.BLOCKHASH_TTL_SECONDS).toBe(90);
+  });
+
+  it('should claim a new blockhash transaction', async () => {
+    const result = await replayProtection.claim(buildTx());
+
+    expect(result.claimed).toBe(true);
+    expect(result.messageHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(result.replayKey).toBe(`blockhash:${web3.PublicKey.default.toBase58()}`);
+    expect(result.ttlSeconds).toBe(replayProtection.BLOCKHASH_TTL_SECONDS);
+  });
+
+  it('should reject a re-signed copy of the same message', async () => {
+    const original = buildTx();
+    const resigned = buildTx();
+    resigned.sign([user]);
+
+    await replayProtection.claim(original);
+    const result = await replayProtection.claim(resigned);
+
+    expect(result.claimed).toBe(false);
+    expect(result.reason).toMatch(/already submitted/);
+  });
+
+  it('should allow different messages sharing a blockhash', async () => {
+    await replayProtection.claim(buildTx({ lamports: 1000 }));
+    const result = await replayProtection.claim(buildTx({ lamports: 2000 }));
+
+    expect(result.claimed).toBe(true);
+  });
+
+  it('should key durable nonce transactions on nonce account and value', async () => {
+    const result = await replayProtection.claim(buildTx({ nonce: true }));
+
+    expect(result.claimed).toBe(true);
+    expect(result.replayKey).toBe(
+      `nonce:${nonceAccount.toBase58()}:${web3.PublicKey.default.toBase58()}`
+    );
+    expect(result.ttlSeconds).toBe(replayProtection.NONCE_TTL_SECONDS);
+  });
+
+  it('should reject a different message reusing the same nonce value', async () => {
+    await replayProtection.claim(buildTx({ nonce: true, lamports: 1000 }));
+    const result = await replayProtection.claim(buildTx({ nonce: true, lamports: 2000 }));
+
+    expect(result.claimed).toBe(false);
+    expect(result.reason).toMatch(/nonce already used/);
+
+    // The losing message's hash is not left claimed
+    const retry = await redis.claimTransactionSlot(result.messageHash);
+    expect(retry.claimed).toBe(true);
+  });
+
+  it('should allow a retry after release', async () => {
+    const tx = buildTx({ nonce: true });
+    const first = await replayProtection.claim(tx);
+
+    await replayProtection.release(first);
+    const second = await replayProtection.claim(tx);
+
+    expect(second.claimed).toBe(true);
+  });
+});
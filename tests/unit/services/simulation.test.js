@@ -0,0 +1,186 @@
+/**
+ * Tests for Simulation Service (fee payer balance-delta guard)
+ */
+
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const { AccountLayout } = require('@solana/spl-token');
+
+const mockConnection = {
+  getTokenAccountsByOwner: jest.fn(),
+  getMultipleAccountsInfo: jest.fn(),
+  simulateTransaction: jest.fn(),
+};
+
+jest.mock('../../../src/services/helius', () => ({
+  getConnection: () => mockConnection,
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const simulation = require('../../../src/services/simulation');
+
+function encodeTokenAccount(amount) {
+  const data = Buffer.alloc(AccountLayout.span);
+  AccountLayout.encode(
+    {
+      mint: PublicKey.default,
+      owner: PublicKey.default,
+      amount: BigInt(amount),
+      delegateOption: 0,
+      delegate: PublicKey.default,
+      state: 1,
+      isNativeOption: 0,
+      isNative: 0n,
+      delegatedAmount: 0n,
+      closeAuthorityOption: 0,
+      closeAuthority: PublicKey.default,
+    },
+    data
+  );
+  return data;
+}
+
+describe('Simulation Service', () => {
+  const feePayer = Keypair.generate();
+  const user = Keypair.generate();
+  const tokenAccount = Keypair.generate().publicKey;
+
+  function buildTx() {
+    const message = new TransactionMessage({
+      payerKey: feePayer.publicKey,
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions: [
+        SystemProgram.transfer({
+          fromPubkey: user.publicKey,
+          toPubkey: Keypair.generate().publicKey,
+          lamports: 1000,
+        }),
+      ],
+    }).compileToV0Message();
+    return new VersionedTransaction(message);
+  }
+
+  beforeEach(() => {
+    simulation.clearCache();
+    mockConnection.getTokenAccountsByOwner.mockImplementation(async (_owner, { programId }) => ({
+      value: programId.toBase58().startsWith('Tokenkeg') ? [{ pubkey: tokenAccount }] : [],
+    }));
+    mockConnection.getMultipleAccountsInfo.mockResolvedValue([
+      { lamports: 1_000_000_000, data: Buffer.alloc(0) },
+      { lamports: 2_039_280, data: encodeTokenAccount(500) },
+    ]);
+  });
+
+  function mockSimulation(feePayerLamports, tokenAmount, extra = {}) {
+    mockConnection.simulateTransaction.mockResolvedValue({
+      value: {
+        err: null,
+        logs: ['Program 11111111111111111111111111111111 invoke [1]'],
+        unitsConsumed: 450,
+        accounts: [
+          { lamports: feePayerLamports, data: ['', 'base64'] },
+          {
+            lamports: 2_039_280,
+            data: [encodeTokenAccount(tokenAmount).toString('base64'), 'base64'],
+          },
+        ],
+        ...extra,
+      },
+    });
+  }
+
+  it('should accept when fee payer only pays the network fee', async () => {
+    mockSimulation(1_000_000_000 - 5000, 500);
+
+    const result = await simulation.simulateWithBalanceCheck(buildTx(), {
+      feePayer: feePayer.publicKey,
+      maxFeeLamports: 5000,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.feePayerDelta).toBe(5000);
+    expect(result.unitsConsumed).toBe(450);
+  });
+
+  it('should request post-state for fee payer and its token accounts', async () => {
+    mockSimulation(1_000_000_000, 500);
+
+    await simulation.simulateWithBalanceCheck(buildTx(), {
+      feePayer: feePayer.publicKey,
+      maxFeeLamports: 5000,
+    });
+
+    const [, options] = mockConnection.simulateTransaction.mock.calls[0];
+    expect(options.sigVerify).toBe(false);
+    expect(options.accounts.addresses).toEqual([
+      feePayer.publicKey.toBase58(),
+      tokenAccount.toBase58(),
+    ]);
+  });
+
+  it('should reject a SOL drain beyond the allowed fee', async () => {
+    mockSimulation(1_000_000_000 - 5000 - 100_000, 500);
+
+    const result = await simulation.simulateWithBalanceCheck(buildTx(), {
+      feePayer: feePayer.publicKey,
+      maxFeeLamports: 5000,
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('FEE_PAYER_SOL_DRAIN');
+    expect(result.feePayerDelta).toBe(105_000);
+    expect(result.logs).toHaveLength(1);
+  });
+
+  it('should reject any decrease of fee payer token balances', async () => {
+    mockSimulation(1_000_000_000 - 5000, 100);
+
+    const result = await simulation.simulateWithBalanceCheck(buildTx(), {
+      feePayer: feePayer.publicKey,
+      maxFeeLamports: 5000,
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('FEE_PAYER_TOKEN_DRAIN');
+    expect(result.tokenDeltas).toEqual([{ account: tokenAccount.toBase58(), delta: '-400' }]);
+  });
+
+  it('should reject when the simulation itself fails', async () => {
+    mockSimulation(1_000_000_000, 500, {
+      err: { InstructionError: [0, 'Custom'] },
+      logs: ['Program failed'],
+    });
+
+    const result = await simulation.simulateWithBalanceCheck(buildTx(), {
+      feePayer: feePayer.publicKey,
+      maxFeeLamports: 5000,
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('SIMULATION_FAILED');
+    expect(result.simulationError).toEqual({ InstructionError: [0, 'Custom'] });
+    expect(result.logs).toEqual(['Program failed']);
+  });
+
+  it('should cache fee payer token accounts between simulations', async () => {
+    mockSimulation(1_000_000_000, 500);
+    const options = { feePayer: feePayer.publicKey, maxFeeLamports: 5000 };
+
+    await simulation.simulateWithBalanceCheck(buildTx(), options);
+    await simulation.simulateWithBalanceCheck(buildTx(), options);
+
+    // Two programs (Token + Token-2022) queried once
+    expect(mockConnection.getTokenAccountsByOwner).toHaveBeenCalledTimes(2);
+  });
+});
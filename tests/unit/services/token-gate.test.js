@@ -1,8 +1,8 @@
 /**
  * Tests for Token Gate Service — Phase 0 Whitelist Model
  *
- * Phase 0: Hardcoded whitelist only (no HolDex).
- * Accepted: USDC, USDT, $ASDF (and SOL native).
+ * Phase 0: Whitelist only (no HolDex).
+ * Accepted: USDC, USDT, PYUSD, $ASDF and SOL (paid natively).
  */
 
 jest.mock('../../../src/utils/logger', () => ({
@@ -45,6 +45,12 @@ describe('Token Gate Service', () => {
         expect(result.reason).toBe('whitelisted');
       });
 
+      it('should accept SOL — paid natively, e.g. by a sponsoring wallet', async () => {
+        const result = await tokenGate.isTokenAccepted(SOL);
+        expect(result.accepted).toBe(true);
+        expect(result.reason).toBe('whitelisted');
+      });
+
       it('should accept $ASDF (100% burn channel)', async () => {
         const result = await tokenGate.isTokenAccepted(ASDF);
         expect(result.accepted).toBe(true);
@@ -54,12 +60,6 @@ describe('Token Gate Service', () => {
     });
 
     describe('Non-whitelist tokens — rejected', () => {
-      it('should reject SOL — if you have SOL, pay gas directly', async () => {
-        const result = await tokenGate.isTokenAccepted(SOL);
-        expect(result.accepted).toBe(false);
-        expect(result.reason).toBe('not_whitelisted');
-      });
-
       it('should reject unknown token', async () => {
         const result = await tokenGate.isTokenAccepted(UNKNOWN);
         expect(result.accepted).toBe(false);
@@ -97,10 +97,7 @@ describe('Token Gate Service', () => {
       expect(tokenGate.isDiamondToken(USDC)).toBe(true);
       expect(tokenGate.isDiamondToken(USDT)).toBe(true);
       expect(tokenGate.isDiamondToken(ASDF)).toBe(true);
-    });
-
-    it('should return false for SOL — contradicts the gasless purpose', () => {
-      expect(tokenGate.isDiamondToken(SOL)).toBe(false);
+      expect(tokenGate.isDiamondToken(SOL)).toBe(true);
     });
 
     it('should return false for other non-whitelisted tokens', () => {
@@ -117,8 +114,8 @@ describe('Token Gate Service', () => {
     it('should return list of whitelisted tokens', () => {
       const tokens = tokenGate.getDiamondTokensList();
       expect(tokens).toBeInstanceOf(Array);
-      // Phase 0 whitelist: USDC, USDT, $ASDF (no SOL — contradicts gasless purpose)
-      expect(tokens.length).toBe(3);
+      // Phase 0 whitelist: USDC, USDT, PYUSD, $ASDF, SOL
+      expect(tokens.length).toBe(5);
     });
 
     it('should include $ASDF (100% burn channel)', () => {
@@ -134,9 +131,9 @@ describe('Token Gate Service', () => {
       expect(tokens.find((t) => t.symbol === 'USDT')).toBeDefined();
     });
 
-    it('should NOT include SOL', () => {
+    it('should include SOL (paid natively)', () => {
       const tokens = tokenGate.getDiamondTokensList();
-      expect(tokens.find((t) => t.symbol === 'SOL')).toBeUndefined();
+      expect(tokens.find((t) => t.symbol === 'SOL')).toBeDefined();
     });
 
     it('should mark all tokens as Diamond tier', () => {
@@ -162,10 +159,10 @@ describe('Token Gate Service', () => {
       expect(tokenGate.DIAMOND_TOKENS.has(USDC)).toBe(true);
       expect(tokenGate.DIAMOND_TOKENS.has(USDT)).toBe(true);
       expect(tokenGate.DIAMOND_TOKENS.has(ASDF)).toBe(true);
+      expect(tokenGate.DIAMOND_TOKENS.has(SOL)).toBe(true);
     });
 
-    it('should not contain SOL or other non-whitelisted tokens', () => {
-      expect(tokenGate.DIAMOND_TOKENS.has(SOL)).toBe(false);
+    it('should not contain non-whitelisted tokens', () => {
       expect(tokenGate.DIAMOND_TOKENS.has(UNKNOWN)).toBe(false);
       expect(tokenGate.DIAMOND_TOKENS.has(MSOL)).toBe(false);
     });
@@ -0,0 +1,195 @@
+/**
+ * Tests for Token Registry (runtime-managed payment tokens)
+ */
+
+const { Keypair } = require('@solana/web3.js');
+const { TOKEN_2022_PROGRAM_ID, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+
+jest.mock('../../../src/utils/config', () => ({
+  WSOL_MINT: 'So11111111111111111111111111111111111111112',
+  TOKEN_REGISTRY_SYNC_SECONDS: 30,
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// Shared store: stands in for Redis, seen by every "instance"
+const mockStore = new Map();
+const mockSeeded = { value: false };
+jest.mock('../../../src/utils/redis', () => ({
+  getTokenRegistry: jest.fn(async () => Object.fromEntries(mockStore)),
+  setRegistryTokens: jest.fn(async (entries) => {
+    for (const [mint, entry] of Object.entries(entries)) mockStore.set(mint, entry);
+  }),
+  markTokenRegistrySeeded: jest.fn(async () => {
+    if (mockSeeded.value) return false;
+    mockSeeded.value = true;
+    return true;
+  }),
+  removeRegistryToken: jest.fn(async (mint) => mockStore.delete(mint)),
+}));
+
+jest.mock('../../../src/services/mint-info', () => ({
+  getMintInfo: jest.fn(),
+}));
+
+const { MINTS } = require('../../../src/constants');
+const redis = require('../../../src/utils/redis');
+const mintInfo = require('../../../src/services/mint-info');
+const tokenRegistry = require('../../../src/services/token-registry');
+const tokenGate = require('../../../src/services/token-gate');
+
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+describe('Token Registry', () => {
+  beforeEach(async () => {
+    mockStore.clear();
+    mockSeeded.value = false;
+    await tokenRegistry.sync();
+  });
+
+  it('should seed an empty registry with the Phase 0 whitelist', async () => {
+    expect([...mockStore.keys()]).toHaveLength(5);
+    expect(tokenRegistry.getToken(USDC)).toEqual(
+      expect.objectContaining({ symbol: 'USDC', decimals: 6, enabled: true, slippageBps: 0 })
+    );
+  });
+
+  it('should register a token with decimals and program read from the mint', async () => {
+    const mint = Keypair.generate().publicKey.toBase58();
+    mintInfo.getMintInfo.mockResolvedValue({
+      programId: TOKEN_2022_PROGRAM_ID,
+      decimals: 8,
+      unsupportedExtensions: [],
+    });
+
+    const entry = await tokenRegistry.addToken(mint, { symbol: 'NEW', slippageBps: 100 });
+
+    expect(entry).toEqual(
+      expect.objectContaining({ mint, symbol: 'NEW', decimals: 8, token2022: true, enabled: true })
+    );
+    expect(JSON.parse(JSON.stringify(mockStore.get(mint)))).toEqual(entry);
+    expect(tokenGate.isTokenAccepted(mint).accepted).toBe(true);
+  });
+
+  it('should refuse mints that cannot pay fees and invalid policies', async () => {
+    const mint = Keypair.generate().publicKey.toBase58();
+    mintInfo.getMintInfo.mockResolvedValue({
+      programId: TOKEN_PROGRAM_ID,
+      decimals: 6,
+      unsupportedExtensions: ['TransferHook'],
+    });
+
+    await expect(tokenRegistry.addToken(mint)).rejects.toThrow('TransferHook');
+    await expect(tokenRegistry.updateToken(USDC, { slippageBps: -1 })).rejects.toThrow(
+      'slippageBps'
+    );
+    await expect(tokenRegistry.updateToken(USDC, { minFeeAmount: '1.5' })).rejects.toThrow(
+      'minFeeAmount'
+    );
+    expect(mockStore.has(mint)).toBe(false);
+  });
+
+  it('should set and clear a burn threshold override', async () => {
+    await tokenRegistry.updateToken(USDC, { burnThresholdAmount: 250_000_000 });
+    expect(tokenRegistry.getToken(USDC).burnThresholdAmount).toBe('250000000');
+
+    await tokenRegistry.updateToken(USDC, { burnThresholdAmount: null });
+    expect(tokenRegistry.getToken(USDC).burnThresholdAmount).toBeNull();
+
+    await expect(tokenRegistry.updateToken(USDC, { burnThresholdAmount: '-1' })).rejects.toThrow(
+      'burnThresholdAmount'
+    );
+  });
+
+  it('should pause a token without removing it', async () => {
+    await tokenRegistry.setEnabled(USDC, false);
+
+    expect(tokenGate.isTokenAccepted(USDC)).toEqual({ accepted: false, reason: 'paused' });
+    expect(tokenGate.isWhitelisted(USDC)).toBe(true);
+    expect(tokenGate.getAcceptedTokens().map((t) => t.mint)).not.toContain(USDC);
+  });
+
+  it('should pick up changes made by another instance on sync', async () => {
+    mockStore.set(USDC, { ...mockStore.get(USDC), enabled: false });
+    expect(tokenGate.isTokenAccepted(USDC).accepted).toBe(true);
+
+    await tokenRegistry.sync();
+
+    expect(tokenGate.isTokenAccepted(USDC).accepted).toBe(false);
+  });
+
+  it('should keep the last snapshot when Redis is unavailable', async () => {
+    redis.getTokenRegistry.mockRejectedValueOnce(new Error('Connection refused'));
+
+    await tokenRegistry.sync();
+
+    expect(tokenRegistry.getToken(USDC)).not.toBeNull();
+  });
+
+  it('should list the fee mints to swap, paused ones included, without $ASDF and WSOL', async () => {
+    const mint = Keypair.generate().publicKey.toBase58();
+    mintInfo.getMintInfo.mockResolvedValue({
+      programId: TOKEN_PROGRAM_ID,
+      decimals: 9,
+      unsupportedExtensions: [],
+    });
+    await tokenRegistry.addToken(mint, { symbol: 'NEW' });
+    await tokenRegistry.setEnabled(USDC, false);
+
+    expect(tokenRegistry.listSwappableMints()).toEqual([USDC, MINTS.USDT, MINTS.PYUSD, mint]);
+  });
+
+  it('should remove a token', async () => {
+    expect(await tokenRegistry.removeToken(USDC)).toBe(true);
+
+    expect(tokenGate.isTokenAccepted(USDC).reason).toBe('not_whitelisted');
+    expect(await tokenRegistry.removeToken(USDC)).toBe(false);
+  });
+
+  it('should not reseed a registry the operator emptied', async () => {
+    for (const { mint } of tokenRegistry.listTokens({ includeDisabled: true })) {
+      await tokenRegistry.removeToken(mint);
+    }
+
+    await tokenRegistry.sync();
+
+    expect(mockStore.size).toBe(0);
+    expect(tokenRegistry.listTokens()).toEqual([]);
+  });
+
+  it('should not reseed an emptied registry seeded before the marker existed', async () => {
+    mockSeeded.value = false;
+
+    await tokenRegistry.removeToken(USDC);
+    mockStore.clear();
+    await tokenRegistry.sync();
+
+    expect(mockStore.size).toBe(0);
+  });
+
+  describe('applyFeePolicy', () => {
+    it('should add the slippage buffer, rounding up', async () => {
+      await tokenRegistry.updateToken(USDC, { slippageBps: 150 });
+
+      expect(tokenRegistry.applyFeePolicy(USDC, 10001)).toBe(10152);
+    });
+
+    it('should raise fees below the minimum', async () => {
+      await tokenRegistry.updateToken(USDC, { minFeeAmount: '5000' });
+
+      expect(tokenRegistry.applyFeePolicy(USDC, 1200)).toBe(5000);
+      expect(tokenRegistry.applyFeePolicy(USDC, 6000)).toBe(6000);
+    });
+
+    it('should leave unregistered tokens at market price', () => {
+      expect(tokenRegistry.applyFeePolicy('Unknown1111111111111111111111111111111111', 1200)).toBe(
+        1200
+      );
+    });
+  });
+});
@@ -0,0 +1,467 @@
+/**
+ * Tests for structured validation errors ({ code, message, instructionIndex })
+ */
+
+const {
+  AddressLookupTableAccount,
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const {
+  TOKEN_2022_PROGRAM_ID,
+  createTransferCheckedWithFeeInstruction,
+  createTransferInstruction,
+  getAssociatedTokenAddressSync,
+} = require('@solana/spl-token');
+
+const mockFeePayer = Keypair.generate();
+const mockPoolPayer = Keypair.generate();
+const mockTreasury = Keypair.generate().publicKey.toBase58();
+
+jest.mock('../../../src/services/fee-payer', () => ({
+  getFeePayer: () => mockFeePayer,
+  getAllPublicKeys: () => [mockFeePayer.publicKey.toBase58(), mockPoolPayer.publicKey.toBase58()],
+}));
+
+jest.mock('../../../src/utils/alt', () => ({
+  getLookupTables: jest.fn(),
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const alt = require('../../../src/utils/alt');
+const { validateTransaction, VALIDATION_CODES } = require('../../../src/services/validator');
+
+const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+
+describe('Validator structured errors', () => {
+  const user = Keypair.generate();
+
+  function quoteFor(overrides = {}) {
+    return {
+      userPubkey: user.publicKey.toBase58(),
+      paymentToken: USDC_MINT.toBase58(),
+      feeAmount: '1000',
+      treasuryAddress: mockTreasury,
+      feePayer: mockFeePayer.publicKey.toBase58(),
+      ...overrides,
+    };
+  }
+
+  function paymentIx(amount) {
+    const source = getAssociatedTokenAddressSync(USDC_MINT, user.publicKey);
+    const dest = getAssociatedTokenAddressSync(USDC_MINT, new PublicKey(mockTreasury));
+    return createTransferInstruction(source, dest, user.publicKey, amount);
+  }
+
+  function buildTx(instructions, payer = mockFeePayer.publicKey, lookupTables = []) {
+    const message = new TransactionMessage({
+      payerKey: payer,
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions,
+    }).compileToV0Message(lookupTables);
+    const tx = new VersionedTransaction(message);
+    tx.sign([user]);
+    return Buffer.from(tx.serialize()).toString('base64');
+  }
+
+  it('should accept a valid transaction with no errors', async () => {
+    const result = await validateTransaction(buildTx([paymentIx(1000)]), quoteFor());
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+  });
+
+  it('should report deserialization failures', async () => {
+    const result = await validateTransaction('AAAA', quoteFor());
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].code).toBe(VALIDATION_CODES.DESERIALIZE_FAILED);
+  });
+
+  it('should report a missing payment at transaction level', async () => {
+    const noop = SystemProgram.transfer({
+      fromPubkey: user.publicKey,
+      toPubkey: Keypair.generate().publicKey,
+      lamports: 1,
+    });
+    const result = await validateTransaction(buildTx([noop]), quoteFor());
+
+    expect(result.errors).toEqual([
+      expect.objectContaining({ code: VALIDATION_CODES.MISSING_PAYMENT, instructionIndex: null }),
+    ]);
+  });
+
+  it('should point insufficient payment at the payment instruction', async () => {
+    const unrelated = SystemProgram.transfer({
+      fromPubkey: user.publicKey,
+      toPubkey: Keypair.generate().publicKey,
+      lamports: 1,
+    });
+    const result = await validateTransaction(buildTx([unrelated, paymentIx(10)]), quoteFor());
+
+    expect(result.errors).toEqual([
+      {
+        code: VALIDATION_CODES.INSUFFICIENT_PAYMENT,
+        message: 'Insufficient fee payment: got 10, expected 1000',
+        instructionIndex: 1,
+      },
+    ]);
+  });
+
+  it('should point drain attempts at the offending instruction', async () => {
+    const drain = SystemProgram.transfer({
+      fromPubkey: mockFeePayer.publicKey,
+      toPubkey: user.publicKey,
+      lamports: 1_000_000,
+    });
+    const result = await validateTransaction(buildTx([paymentIx(1000), drain]), quoteFor());
+
+    expect(result.errors).toEqual([
+      expect.objectContaining({ code: VALIDATION_CODES.FEE_PAYER_DRAIN, instructionIndex: 1 }),
+    ]);
+  });
+
+  describe('durable nonce', () => {
+    const nonceAccount = Keypair.generate().publicKey;
+
+    function advanceIx(authority = user.publicKey) {
+      return SystemProgram.nonceAdvance({ noncePubkey: nonceAccount, authorizedPubkey: authority });
+    }
+
+    it('should accept a nonce transaction for a nonce quote', async () => {
+      const result = await validateTransaction(
+        buildTx([advanceIx(), paymentIx(1000)]),
+        quoteFor({ nonceAccount: nonceAccount.toBase58() })
+      );
+
+      expect(result.errors).toEqual([]);
+    });
+
+    it('should require AdvanceNonceAccount for a nonce quote', async () => {
+      const result = await validateTransaction(
+        buildTx([paymentIx(1000)]),
+        quoteFor({ nonceAccount: nonceAccount.toBase58() })
+      );
+
+      expect(result.errors.map((e) => e.code)).toEqual([VALIDATION_CODES.NONCE_REQUIRED]);
+    });
+
+    it('should reject a different nonce account than quoted', async () => {
+      const result = await validateTransaction(
+        buildTx([advanceIx(), paymentIx(1000)]),
+        quoteFor({ nonceAccount: Keypair.generate().publicKey.toBase58() })
+      );
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          code: VALIDATION_CODES.NONCE_ACCOUNT_MISMATCH,
+          instructionIndex: 0,
+        }),
+      ]);
+    });
+
+    it('should reject a fee payer nonce authority', async () => {
+      const result = await validateTransaction(
+        buildTx([advanceIx(mockFeePayer.publicKey), paymentIx(1000)]),
+        quoteFor()
+      );
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          code: VALIDATION_CODES.NONCE_AUTHORITY_IS_FEE_PAYER,
+          instructionIndex: 0,
+        }),
+      ]);
+    });
+  });
+
+  describe('address lookup tables', () => {
+    function lookupTable(addresses, deactivationSlot = BigInt('0xffffffffffffffff')) {
+      return new AddressLookupTableAccount({
+        key: Keypair.generate().publicKey,
+        state: {
+          deactivationSlot,
+          lastExtendedSlot: 0,
+          lastExtendedSlotStartIndex: 0,
+          authority: undefined,
+          addresses,
+        },
+      });
+    }
+
+    function treasuryAta() {
+      return getAssociatedTokenAddressSync(USDC_MINT, new PublicKey(mockTreasury));
+    }
+
+    beforeEach(() => {
+      alt.getLookupTables.mockReset();
+    });
+
+    it('should find a payment whose treasury ATA is loaded from a table', async () => {
+      const table = lookupTable([treasuryAta()]);
+      alt.getLookupTables.mockResolvedValue([table]);
+
+      const result = await validateTransaction(
+        buildTx([paymentIx(1000)], mockFeePayer.publicKey, [table]),
+        quoteFor()
+      );
+
+      expect(result.errors).toEqual([]);
+    });
+
+    it('should detect a fee payer hidden behind a lookup index', async () => {
+      const table = lookupTable([treasuryAta(), mockPoolPayer.publicKey]);
+      alt.getLookupTables.mockResolvedValue([table]);
+      const drain = SystemProgram.transfer({
+        fromPubkey: mockPoolPayer.publicKey,
+        toPubkey: user.publicKey,
+        lamports: 1_000_000,
+      });
+      // Non-signer so the compiler moves it into the table
+      drain.keys[0].isSigner = false;
+
+      const result = await validateTransaction(
+        buildTx([paymentIx(1000), drain], mockFeePayer.publicKey, [table]),
+        quoteFor()
+      );
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({ code: VALIDATION_CODES.FEE_PAYER_DRAIN, instructionIndex: 1 }),
+      ]);
+    });
+
+    it('should reject a transaction whose table cannot be found', async () => {
+      const table = lookupTable([treasuryAta()]);
+      alt.getLookupTables.mockResolvedValue([null]);
+
+      const result = await validateTransaction(
+        buildTx([paymentIx(1000)], mockFeePayer.publicKey, [table]),
+        quoteFor()
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          code: VALIDATION_CODES.LOOKUP_TABLE_UNRESOLVED,
+          instructionIndex: null,
+        }),
+      ]);
+    });
+
+    it('should reject a deactivated table', async () => {
+      const table = lookupTable([treasuryAta()], BigInt(1000));
+      alt.getLookupTables.mockResolvedValue([table]);
+
+      const result = await validateTransaction(
+        buildTx([paymentIx(1000)], mockFeePayer.publicKey, [table]),
+        quoteFor()
+      );
+
+      expect(result.errors.map((e) => e.code)).toEqual([VALIDATION_CODES.LOOKUP_TABLE_UNRESOLVED]);
+    });
+
+    it('should refetch a cached table that is missing new entries', async () => {
+      const table = lookupTable([Keypair.generate().publicKey, treasuryAta()]);
+      const stale = new AddressLookupTableAccount({
+        key: table.key,
+        state: { ...table.state, addresses: table.state.addresses.slice(0, 1) },
+      });
+      alt.getLookupTables.mockResolvedValueOnce([stale]).mockResolvedValueOnce([table]);
+
+      const result = await validateTransaction(
+        buildTx([paymentIx(1000)], mockFeePayer.publicKey, [table]),
+        quoteFor()
+      );
+
+      expect(result.errors).toEqual([]);
+      expect(alt.getLookupTables).toHaveBeenLastCalledWith([table.key], { refresh: true });
+    });
+  });
+
+  describe('compute budget', () => {
+    const limitIx = (units) => ComputeBudgetProgram.setComputeUnitLimit({ units });
+    const priceIx = (microLamports) => ComputeBudgetProgram.setComputeUnitPrice({ microLamports });
+    // 200k CU × 5000 µlamports/CU = 1000 lamports
+    const tierQuote = (overrides = {}) =>
+      quoteFor({
+        speed: 'fast',
+        computeUnitPrice: 5000,
+        estimatedComputeUnits: 200_000,
+        priorityFeeLamports: 1000,
+        ...overrides,
+      });
+
+    it('should accept the price quoted for the speed tier', async () => {
+      const tx = buildTx([limitIx(200_000), priceIx(5000), paymentIx(1000)]);
+
+      const result = await validateTransaction(tx, tierQuote());
+
+      expect(result.errors).toEqual([]);
+    });
+
+    it('should reject a price different from the quote', async () => {
+      const tx = buildTx([priceIx(4000), paymentIx(1000)]);
+
+      const result = await validateTransaction(tx, tierQuote());
+
+      expect(result.errors).toEqual([
+        {
+          code: VALIDATION_CODES.COMPUTE_UNIT_PRICE_MISMATCH,
+          message: 'SetComputeUnitPrice is 4000 µlamports/CU, quoted 5000 for the fast tier',
+          instructionIndex: 0,
+        },
+      ]);
+    });
+
+    it('should require SetComputeUnitPrice when the quote has a price', async () => {
+      const result = await validateTransaction(buildTx([paymentIx(1000)]), tierQuote());
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          code: VALIDATION_CODES.COMPUTE_UNIT_PRICE_MISMATCH,
+          instructionIndex: null,
+        }),
+      ]);
+    });
+
+    it('should point an inflated limit at SetComputeUnitLimit', async () => {
+      const tx = buildTx([limitIx(1_400_000), priceIx(5000), paymentIx(1000)]);
+
+      const result = await validateTransaction(tx, tierQuote());
+
+      expect(result.errors).toEqual([
+        {
+          code: VALIDATION_CODES.COMPUTE_BUDGET_EXCEEDS_QUOTE,
+          message:
+            'Compute budget allows a 7000 lamport priority fee (1400000 CU × 5000 µlamports/CU), ' +
+            'quote priced 1000. Lower the compute budget or request a new quote with ' +
+            'estimatedComputeUnits ≥ 1400000',
+          instructionIndex: 0,
+        },
+      ]);
+    });
+
+    it('should reject a huge price on a quote without a speed tier', async () => {
+      const tx = buildTx([limitIx(10_000), priceIx(10_000_000), paymentIx(1000)]);
+
+      const result = await validateTransaction(
+        tx,
+        quoteFor({ estimatedComputeUnits: 10_000, priorityFeeLamports: 10 })
+      );
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          code: VALIDATION_CODES.COMPUTE_BUDGET_EXCEEDS_QUOTE,
+          instructionIndex: 1,
+        }),
+      ]);
+    });
+
+    it('should charge the default 200k CU per instruction without a limit', async () => {
+      const noop = SystemProgram.transfer({
+        fromPubkey: user.publicKey,
+        toPubkey: Keypair.generate().publicKey,
+        lamports: 1,
+      });
+      const tx = buildTx([priceIx(5000), noop, paymentIx(1000)]);
+
+      const result = await validateTransaction(tx, tierQuote());
+
+      // 2 instructions × 200k CU × 5000 µlamports/CU = 2000 lamports
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          code: VALIDATION_CODES.COMPUTE_BUDGET_EXCEEDS_QUOTE,
+          message: expect.stringContaining('2000 lamport priority fee'),
+          instructionIndex: null,
+        }),
+      ]);
+    });
+  });
+
+  describe('Token-2022 transfer fee', () => {
+    const PYUSD_MINT = new PublicKey('2b1kV6DkPAnxd5ixfnExCx2PdhTteca1Ck2aG1Znhrog');
+    const transferFee = { basisPoints: 500, maximumFee: '1000000' };
+
+    function token2022Quote() {
+      const ata = getAssociatedTokenAddressSync(
+        PYUSD_MINT,
+        new PublicKey(mockTreasury),
+        false,
+        TOKEN_2022_PROGRAM_ID
+      );
+      // 10000 net at 5% → 10527 gross (fee 527)
+      return quoteFor({
+        paymentToken: PYUSD_MINT.toBase58(),
+        treasuryAta: ata.toBase58(),
+        feeAmount: '10527',
+        netFeeAmount: '10000',
+        transferFee,
+      });
+    }
+
+    function paymentWithFeeIx(amount) {
+      const fee = (BigInt(amount) * 500n + 9_999n) / 10_000n;
+      return createTransferCheckedWithFeeInstruction(
+        getAssociatedTokenAddressSync(PYUSD_MINT, user.publicKey, false, TOKEN_2022_PROGRAM_ID),
+        PYUSD_MINT,
+        new PublicKey(token2022Quote().treasuryAta),
+        user.publicKey,
+        BigInt(amount),
+        6,
+        fee,
+        [],
+        TOKEN_2022_PROGRAM_ID
+      );
+    }
+
+    it('should accept TransferCheckedWithFee to the Token-2022 treasury ATA', async () => {
+      const result = await validateTransaction(
+        buildTx([paymentWithFeeIx(10527)]),
+        token2022Quote()
+      );
+
+      expect(result.errors).toEqual([]);
+    });
+
+    it('should reject a payment that nets the treasury less than quoted', async () => {
+      const result = await validateTransaction(
+        buildTx([paymentWithFeeIx(10000)]),
+        token2022Quote()
+      );
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          code: VALIDATION_CODES.INSUFFICIENT_PAYMENT,
+          instructionIndex: 0,
+        }),
+      ]);
+    });
+  });
+
+  it('should report fee payer mismatch and signature errors together', async () => {
+    const other = Keypair.generate();
+    const message = new TransactionMessage({
+      payerKey: other.publicKey,
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions: [paymentIx(1000)],
+    }).compileToV0Message();
+    const tx = Buffer.from(new VersionedTransaction(message).serialize()).toString('base64');
+
+    const result = await validateTransaction(tx, quoteFor());
+    const codes = result.errors.map((e) => e.code);
+
+    expect(codes).toContain(VALIDATION_CODES.FEE_PAYER_MISMATCH);
+    expect(codes).toContain(VALIDATION_CODES.INVALID_SIGNATURE);
+    result.errors.forEach((e) => expect(e.instructionIndex).toBeNull());
+  });
+});
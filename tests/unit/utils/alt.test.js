@@ -26,7 +26,7 @@ jest.mock('@solana/web3.js', () => ({
   })),
 }));
 
-jest.mock('../../../src/utils/rpc', () => ({
+jest.mock('../../../src/services/helius', () => ({
   getConnection: jest.fn(() => ({
     getAddressLookupTable: jest.fn().mockResolvedValue({
       value: {
@@ -51,6 +51,9 @@ jest.mock('../../../src/utils/logger', () => ({
 jest.mock('../../../src/utils/config', () => ({
   ASDF_MINT: '9zB5wRarXMj86MymwLumSKA1Dx35zPqqKfcZtK1Spump',
   TREASURY_ADDRESS: null,
+  get ALT_ADDRESS() {
+    return process.env.ALT_ADDRESS || null;
+  },
 }));
 
 describe('ALT Utility', () => {
@@ -274,6 +277,26 @@ describe('ALT Utility', () => {
     });
   });
 
+  describe('getGasdfLookupTable()', () => {
+    it('should return null when not configured', async () => {
+      expect(await alt.getGasdfLookupTable()).toBeNull();
+    });
+
+    it('should fetch and cache the configured table', async () => {
+      process.env.ALT_ADDRESS = SYSTEM_PROGRAM;
+      jest.isolateModules(() => {
+        alt = require('../../../src/utils/alt');
+      });
+
+      const table = await alt.getGasdfLookupTable();
+      const status = alt.getStatus();
+
+      expect(table.state.addresses).toHaveLength(2);
+      expect(status.cached).toBe(true);
+      expect(status.addressCount).toBe(2);
+    });
+  });
+
   describe('createVersionedTransaction()', () => {
     it('should create a VersionedTransaction', async () => {
       process.env.ALT_ADDRESS = SYSTEM_PROGRAM;
@@ -0,0 +1,197 @@
+/**
+ * Fee Payer Reservation Tests
+ * Tests for per-quote lamport reservations against pool payers
+ */
+
+// These are unit tests - don't load the app
+jest.mock('../../../src/index', () => ({}));
+
+describe('Fee Payer Reservations', () => {
+  let redis;
+  const payer = 'So11111111111111111111111111111111111111112';
+
+  beforeEach(() => {
+    jest.resetModules();
+
+    // Force memory fallback for tests
+    process.env.REDIS_URL = '';
+    process.env.NODE_ENV = 'test';
+
+    redis = require('../../../src/utils/redis');
+  });
+
+  test('should reserve and look up a quote reservation', async () => {
+    await redis.reservePayerBalance(payer, 'quote-1', 15000, 60);
+
+    const reservation = await redis.getPayerReservation('quote-1');
+    expect(reservation).toMatchObject({ pubkey: payer, amount: 15000 });
+    expect(reservation.expiresAt).toBeGreaterThan(Date.now());
+  });
+
+  test('should sum active reservations per payer', async () => {
+    await redis.reservePayerBalance(payer, 'quote-1', 15000, 60);
+    await redis.reservePayerBalance(payer, 'quote-2', 5000, 60);
+
+    const reserved = await redis.getPayerReservedTotal(payer);
+    expect(reserved).toEqual({ total: 20000, count: 2 });
+  });
+
+  test('should release a reservation', async () => {
+    await redis.reservePayerBalance(payer, 'quote-1', 15000, 60);
+    await redis.reservePayerBalance(payer, 'quote-2', 5000, 60);
+
+    const released = await redis.releasePayerReservation('quote-1');
+
+    expect(released.amount).toBe(15000);
+    expect(await redis.getPayerReservation('quote-1')).toBeNull();
+    expect(await redis.getPayerReservedTotal(payer)).toEqual({ total: 5000, count: 1 });
+  });
+
+  test('should return null when releasing an unknown quote', async () => {
+    expect(await redis.releasePayerReservation('unknown')).toBeNull();
+  });
+
+  test('should ignore expired reservations', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    await redis.reservePayerBalance(payer, 'quote-1', 15000, 60);
+
+    Date.now.mockReturnValue(1_000_000 + 61_000);
+    const reserved = await redis.getPayerReservedTotal(payer);
+    Date.now.mockRestore();
+
+    expect(reserved).toEqual({ total: 0, count: 0 });
+  });
+
+  test('should refuse a reservation beyond the payer capacity', async () => {
+    await redis.reservePayerBalance(payer, 'quote-1', 15000, 60);
+
+    const reservation = await redis.reservePayerBalance(payer, 'quote-2', 10000, 60, {
+      limit: 20000,
+    });
+
+    expect(reservation).toBeNull();
+    expect(await redis.getPayerReservation('quote-2')).toBeNull();
+    expect(await redis.getPayerReservedTotal(payer)).toEqual({ total: 15000, count: 1 });
+  });
+
+  test('should refuse a reservation beyond the payer count cap', async () => {
+    await redis.reservePayerBalance(payer, 'quote-1', 100, 60);
+
+    expect(await redis.reservePayerBalance(payer, 'quote-2', 100, 60, { maxCount: 1 })).toBeNull();
+  });
+
+  test('should not count a quote own reservation when renewing it', async () => {
+    await redis.reservePayerBalance(payer, 'quote-1', 15000, 60);
+
+    const reservation = await redis.reservePayerBalance(payer, 'quote-1', 15000, 120, {
+      limit: 20000,
+      maxCount: 1,
+    });
+
+    expect(reservation).toMatchObject({ pubkey: payer, amount: 15000 });
+    expect(await redis.getPayerReservedTotal(payer)).toEqual({ total: 15000, count: 1 });
+  });
+});
+
+describe('Fee Payer Reservations (Redis)', () => {
+  let redis;
+  const payer = 'So11111111111111111111111111111111111111112';
+  const indexKey = `gasdf:payer:reservations:${payer}`;
+
+  // Minimal client: records key TTLs with EXPIRE NX/GT semantics, hash fields,
+  // and lets a test change a watched key before EXEC
+  class MockWatchError extends Error {}
+  const mockTtls = new Map();
+  const mockHashes = new Map();
+  const mockWatch = { dirty: false, beforeExec: null };
+  const mockClient = {
+    isOpen: true,
+    on: jest.fn(),
+    connect: jest.fn().mockResolvedValue(),
+    executeIsolated: async (fn) => fn(mockClient),
+    watch: async () => {
+      mockWatch.dirty = false;
+    },
+    unwatch: async () => {},
+    hGetAll: async (key) => ({ ...(mockHashes.get(key) || {}) }),
+    multi: () => {
+      const ops = [];
+      const multi = {
+        set: (key, value, { EX }) => ops.push(() => mockTtls.set(key, EX)) && multi,
+        hSet: (key, field, value) =>
+          ops.push(() => mockHashes.set(key, { ...mockHashes.get(key), [field]: value })) && multi,
+        expire: (key, seconds, mode) =>
+          ops.push(() => {
+            const current = mockTtls.get(key);
+            if (mode === 'NX' && current !== undefined) return;
+            if (mode === 'GT' && (current === undefined || seconds <= current)) return;
+            mockTtls.set(key, seconds);
+          }) && multi,
+        exec: async () => {
+          if (mockWatch.beforeExec) {
+            mockWatch.beforeExec();
+            mockWatch.beforeExec = null;
+          }
+          if (mockWatch.dirty) {
+            mockWatch.dirty = false;
+            throw new MockWatchError('One (or more) of the watched keys has been changed');
+          }
+          ops.forEach((op) => op());
+        },
+      };
+      return multi;
+    },
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    mockTtls.clear();
+    mockHashes.clear();
+    process.env.REDIS_URL = 'redis://localhost:6379';
+    process.env.NODE_ENV = 'test';
+
+    jest.doMock('redis', () => ({ createClient: () => mockClient, WatchError: MockWatchError }));
+    redis = require('../../../src/utils/redis');
+  });
+
+  afterEach(() => {
+    jest.dontMock('redis');
+  });
+
+  test('should keep the index alive for a long reservation followed by a short one', async () => {
+    await redis.reservePayerBalance(payer, 'nonce-quote', 15000, 4 * 60 * 60);
+    await redis.reservePayerBalance(payer, 'quote-2', 5000, 60);
+
+    expect(mockTtls.get(indexKey)).toBe(4 * 60 * 60);
+  });
+
+  test('should extend the index for a longer reservation', async () => {
+    await redis.reservePayerBalance(payer, 'quote-1', 5000, 60);
+    await redis.reservePayerBalance(payer, 'nonce-quote', 15000, 4 * 60 * 60);
+
+    expect(mockTtls.get(indexKey)).toBe(4 * 60 * 60);
+  });
+
+  test('should re-check capacity when the index changed under the watch', async () => {
+    await redis.reservePayerBalance(payer, 'quote-1', 5000, 60);
+    // Another instance reserves between the capacity check and EXEC
+    mockWatch.beforeExec = () => {
+      mockHashes.set(indexKey, {
+        ...mockHashes.get(indexKey),
+        'quote-other': JSON.stringify({
+          pubkey: payer,
+          amount: 10000,
+          expiresAt: Date.now() + 60_000,
+        }),
+      });
+      mockWatch.dirty = true;
+    };
+
+    const reservation = await redis.reservePayerBalance(payer, 'quote-2', 10000, 60, {
+      limit: 20000,
+    });
+
+    expect(reservation).toBeNull();
+    expect(Object.keys(mockHashes.get(indexKey))).toEqual(['quote-1', 'quote-other']);
+  });
+});
@@ -77,6 +77,44 @@ describe('Redis Utilities', () => {
     });
   });
 
+  describe('Quote lifecycle', () => {
+    it('should outlive the deleted quote and merge updates', async () => {
+      await redis.setQuote('lifecycle-test', { userPubkey: 'user' });
+      await redis.updateQuoteLifecycle('lifecycle-test', { status: 'consumed', feeAmount: '10' });
+      await redis.deleteQuote('lifecycle-test');
+      await redis.updateQuoteLifecycle('lifecycle-test', { status: 'submitted', signature: 'sig' });
+
+      const record = await redis.getQuoteLifecycle('lifecycle-test');
+      expect(record).toEqual(
+        expect.objectContaining({ status: 'submitted', feeAmount: '10', signature: 'sig' })
+      );
+      expect(await redis.getQuote('lifecycle-test')).toBeNull();
+    });
+
+    it('getQuoteLifecycle should return null for an unused quote', async () => {
+      expect(await redis.getQuoteLifecycle('never-submitted')).toBeNull();
+    });
+  });
+
+  describe('Token registry', () => {
+    it('should add, replace and remove entries', async () => {
+      await redis.setRegistryTokens({ mintA: { symbol: 'A' }, mintB: { symbol: 'B' } });
+      await redis.setRegistryTokens({ mintA: { symbol: 'A2' } });
+
+      expect(await redis.getTokenRegistry()).toEqual(
+        expect.objectContaining({ mintA: { symbol: 'A2' }, mintB: { symbol: 'B' } })
+      );
+      expect(await redis.removeRegistryToken('mintB')).toBe(true);
+      expect(await redis.removeRegistryToken('mintB')).toBe(false);
+      expect((await redis.getTokenRegistry()).mintB).toBeUndefined();
+    });
+
+    it('should set the seeded marker only once', async () => {
+      expect(await redis.markTokenRegistrySeeded()).toBe(true);
+      expect(await redis.markTokenRegistrySeeded()).toBe(false);
+    });
+  });
+
   describe('Statistics operations', () => {
     it('getStats should return stats object', async () => {
       const stats = await redis.getStats();
@@ -127,6 +165,16 @@ describe('Redis Utilities', () => {
       expect(after).toBe(before + 1000);
     });
 
+    it('retained $ASDF should be unset until tracked, then a balance', async () => {
+      expect(await redis.getRetainedAsdf()).toBeNull();
+
+      await redis.setRetainedAsdf(236_000_000);
+      await redis.incrRetainedAsdf(1_000_000);
+      await redis.incrRetainedAsdf(-37_000_000);
+
+      expect(await redis.getRetainedAsdf()).toBe(200_000_000);
+    });
+
     it('recordTreasuryEvent should not throw', async () => {
       await expect(
         redis.recordTreasuryEvent({